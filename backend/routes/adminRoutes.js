@@ -3,19 +3,132 @@ const {
   getRegistrationStats, 
   getCollection, 
   getDocument, 
+  queryDocuments,
+  queryDocumentsIn,
+  setDocument,
   updateDocument, 
   deleteDocument,
   COLLECTIONS 
-} = require('../utils/firebase');
-const { deleteFromS3, getKeyFromUrl } = require('../utils/s3Uploader');
+} = require('../utils/repository');
+const {
+  REGISTRATION_FILE_FIELDS,
+  SIGNED_URL_TTL_SECONDS,
+  deleteFromS3,
+  getSignedDownloadUrl,
+  getKeyFromUrl
+} = require('../utils/s3Uploader');
+const { authenticateAdmin } = require('../utils/auth');
+const {
+  ROLES,
+  requireRole,
+  getScopedCommittees,
+  canAccessRegistration,
+  filterRegistrationsForAdmin
+} = require('../utils/permissions');
+const { AUDIT_ACTIONS, diffFields, deletionDiff, recordAudit } = require('../utils/audit');
+const {
+  normalizeEmail,
+  normalizePhone,
+  findContactMatches,
+  findNearDuplicates,
+  findReturningApplicants
+} = require('../utils/duplicates');
+const { STATUSES, getRegistrationStatus, getNextStatuses, buildTransition } = require('../utils/statusPipeline');
+const { sendOffer } = require('../utils/offers');
+const {
+  getRubric,
+  saveRubric,
+  validateRubric,
+  normalizeRubric,
+  validateScores,
+  aggregateScores,
+  groupSheetsByRegistration,
+  scoreSheetId
+} = require('../utils/scoring');
+const {
+  getApplicationWindow,
+  saveApplicationWindow,
+  validateApplicationWindow,
+  normalizeApplicationWindow,
+  describeApplicationWindow
+} = require('../utils/applicationWindow');
+const { validateCommittees, validatePositions, validateYear, formatRankedList } = require('../utils/registrationForm');
+const {
+  getConferenceConfig,
+  saveConferenceConfig,
+  validateConferenceConfig,
+  normalizeConferenceConfig
+} = require('../utils/conferenceConfig');
+const { selectEdition, registrationEdition, inEdition } = require('../utils/editions');
+const {
+  deleteRegistrationRecommendations,
+  groupRecommendationsByRegistration,
+  summarizeRecommendations
+} = require('../utils/recommendations');
+const { deleteRegistrationComments, countCommentsByRegistration } = require('../utils/comments');
+const {
+  getEditionTags,
+  registrationTagIds,
+  validateTagIds,
+  formatTagNames
+} = require('../utils/tags');
+const {
+  BLIND_REVIEW_MESSAGE,
+  getReviewSettings,
+  saveReviewSettings,
+  isBlinded,
+  redactRegistration,
+  viewRegistrationAs,
+  touchesIdentifyingFields,
+  describeReviewSettings
+} = require('../utils/blindReview');
+const { RECUSED_MESSAGE, findConflict } = require('../utils/conflicts');
+const {
+  SORT_FIELDS,
+  QUERY_SORT_FIELDS,
+  buildRegistrationQuery,
+  parsePageSize,
+  decodeCursor,
+  sortKeyFor,
+  sortRegistrations,
+  pageRegistrations,
+  readRegistrationPage
+} = require('../utils/registrationQuery');
+const {
+  getApplicationQuestions,
+  saveApplicationQuestions,
+  validateApplicationQuestions,
+  normalizeApplicationQuestions,
+  validateAnswers,
+  describeQuestionTarget
+} = require('../utils/applicationQuestions');
 
 const router = express.Router();
 
+// Send the offer for a newly selected registration and record it
+async function sendSelectionOffer(req, registration) {
+  const offer = await sendOffer(registration, {
+    baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`
+  });
+
+  await recordAudit(req.admin, {
+    action: AUDIT_ACTIONS.OFFER_SEND,
+    registrationIds: [registration.id],
+    details: {
+      committee: offer.offerCommittee,
+      position: offer.offerPosition,
+      expiresAt: offer.offerExpiresAt,
+      emailSent: offer.emailSent
+    }
+  });
+
+  return offer;
+}
+
 // Helper function to delete registration files
-async function deleteRegistrationFiles(files) {
-  if (!files || typeof files !== 'object') return;
-  
-  const deletePromises = Object.values(files).map(async (fileUrl) => {
+async function deleteRegistrationFiles(registration) {
+  const deletePromises = REGISTRATION_FILE_FIELDS.map(async (field) => {
+    const fileUrl = registration[field];
     if (typeof fileUrl === 'string') {
       const key = getKeyFromUrl(fileUrl);
       if (key) {
@@ -31,111 +144,898 @@ async function deleteRegistrationFiles(files) {
   await Promise.all(deletePromises);
 }
 
-// Middleware for admin authentication - removed as requested
-const authenticateAdmin = (req, res, next) => {
-  // Authentication removed - allow direct access
-  next();
-};
+// Helper function to delete every reviewer's score sheet for a registration
+async function deleteRegistrationScores(registrationId) {
+  const sheets = await queryDocuments(COLLECTIONS.SCORES, [
+    { field: 'registrationId', operator: '==', value: registrationId }
+  ]);
+  await Promise.all(sheets.map(sheet => deleteDocument(COLLECTIONS.SCORES, sheet.id)));
+}
+
+// Helper function to free a deleted registration's interview seat
+async function releaseInterviewSlot(registration) {
+  if (!registration.interviewSlotId) return;
+  const slot = await getDocument(COLLECTIONS.INTERVIEW_SLOTS, registration.interviewSlotId);
+  if (slot) {
+    await updateDocument(COLLECTIONS.INTERVIEW_SLOTS, slot.id, {
+      bookedRegistrationIds: (slot.bookedRegistrationIds || []).filter(id => id !== registration.id)
+    });
+  }
+}
+
+// Table rows for registrations as the admin may see them, with their status, score,
+// recommendation and comment summaries and duplicate and returning-applicant flags.
+// Pass duplicateFlags found across the whole edition; without them only registrations
+// sharing an email or phone number are flagged.
+async function describeRegistrations(req, registrations, { rubric, reviewSettings, duplicateFlags = null }) {
+  const registrationIds = registrations.map(reg => reg.id);
+  const [scoreSheets, recommendations, comments, contactMatches] = await Promise.all([
+    queryDocumentsIn(COLLECTIONS.SCORES, 'registrationId', registrationIds),
+    queryDocumentsIn(COLLECTIONS.RECOMMENDATIONS, 'registrationId', registrationIds),
+    queryDocumentsIn(COLLECTIONS.COMMENTS, 'registrationId', registrationIds),
+    findContactMatches(registrations)
+  ]);
+  const sheetsByRegistration = groupSheetsByRegistration(scoreSheets);
+  const recommendationsByRegistration = groupRecommendationsByRegistration(recommendations);
+  const commentCounts = countCommentsByRegistration(comments);
+
+  // Duplicates among what the admin can see, and applications to earlier editions
+  const flags = duplicateFlags || findNearDuplicates(
+    filterRegistrationsForAdmin(req.admin, contactMatches.filter(inEdition(req.edition.id))),
+    { similarNames: false }
+  );
+  const returningApplicants = findReturningApplicants(registrations, contactMatches);
+
+  return registrations.map(reg => viewRegistrationAs(req.admin, reviewSettings, {
+    ...reg,
+    status: getRegistrationStatus(reg),
+    nextStatuses: getNextStatuses(getRegistrationStatus(reg)),
+    possibleDuplicates: flags.get(reg.id) || [],
+    previousApplications: returningApplicants.get(reg.id) || [],
+    scoreSummary: aggregateScores(rubric, sheetsByRegistration.get(reg.id)),
+    recommendationSummary: summarizeRecommendations(recommendationsByRegistration.get(reg.id)),
+    commentCount: commentCounts.get(reg.id) || 0,
+    conflict: findConflict(req.admin, reg),
+    scoredByMe: (sheetsByRegistration.get(reg.id) || []).some(sheet => sheet.reviewer === req.admin.username)
+  }));
+}
+
+// Free-text search over the fields the admin can see; blinded admins search by candidate code
+function matchesSearch(reg, searchTerm, blinded) {
+  const fields = blinded ? [reg.candidateCode] : [reg.name, reg.email, reg.phone, reg.college];
+  return fields.some(value => String(value || '').toLowerCase().includes(searchTerm));
+}
+
+// Log an admin opening a registration they have a conflict of interest with
+async function recordConflictedView(req, registration, view) {
+  const conflict = findConflict(req.admin, registration);
+  if (!conflict) return null;
+
+  await recordAudit(req.admin, {
+    action: AUDIT_ACTIONS.CONFLICT_VIEW,
+    registrationIds: [registration.id],
+    details: { view, reasons: conflict.reasons }
+  });
+  return conflict;
+}
+
+// What the edit form can change. Everything else on a registration (status, offers,
+// seats, interview bookings, scores, portal tokens) changes through its own endpoint.
+const EDITABLE_REGISTRATION_FIELDS = [
+  'name', 'email', 'phone', 'college', 'department', 'year',
+  'munsParticipated', 'munsWithAwards', 'munsChaired', 'organizingExperience',
+  'committees', 'positions', 'answers', 'tags'
+];
+
+// Check an admin's edits to a registration, as the edit form and bulk update send them.
+// Fields outside EDITABLE_REGISTRATION_FIELDS are ignored.
+// Returns { updateData } with the fields to store, or { error: { status, message, field } }.
+async function prepareRegistrationUpdate(admin, registration, data) {
+  const updateData = {};
+  EDITABLE_REGISTRATION_FIELDS.forEach(field => {
+    if (data[field] !== undefined) updateData[field] = data[field];
+  });
+
+  if (touchesIdentifyingFields(updateData) &&
+      isBlinded(admin, await getReviewSettings(registrationEdition(registration)))) {
+    return { error: { status: 403, message: BLIND_REVIEW_MESSAGE } };
+  }
+
+  // Validate email if being updated
+  if (updateData.email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(updateData.email)) {
+      return { error: { status: 400, message: 'Invalid email format', field: 'email' } };
+    }
+    updateData.email = normalizeEmail(updateData.email);
+  }
+
+  // Keep the normalized phone used for duplicate checks in sync
+  if (updateData.phone !== undefined) {
+    updateData.phoneNormalized = normalizePhone(updateData.phone);
+  }
+
+  // Edited preferences must be ranked lists of configured committees and positions
+  if (updateData.committees !== undefined || updateData.positions !== undefined) {
+    const config = await getConferenceConfig(registrationEdition(registration));
+    const committeeError = updateData.committees !== undefined && validateCommittees(updateData.committees, config);
+    const positionError = updateData.positions !== undefined && validatePositions(updateData.positions, config);
+    if (committeeError || positionError) {
+      return {
+        error: {
+          status: 400,
+          message: committeeError || positionError,
+          field: committeeError ? 'committees' : 'positions'
+        }
+      };
+    }
+  }
+
+  // Edited answers are checked against the questions for the resulting preferences
+  if (updateData.answers !== undefined) {
+    const { error: answerError, answers } = validateAnswers(
+      await getApplicationQuestions(registrationEdition(registration)),
+      updateData.answers && typeof updateData.answers === 'object' ? updateData.answers : {},
+      updateData.committees !== undefined ? updateData.committees : registration.committees,
+      updateData.positions !== undefined ? updateData.positions : registration.positions
+    );
+    if (answerError) {
+      return { error: { status: 400, message: answerError, field: 'answers' } };
+    }
+    updateData.answers = answers;
+  }
+
+  // Tags must be the registration's edition's tags
+  if (updateData.tags !== undefined) {
+    const { error: tagError, tagIds } = validateTagIds(
+      updateData.tags,
+      await getEditionTags(registrationEdition(registration))
+    );
+    if (tagError) {
+      return { error: { status: 400, message: tagError, field: 'tags' } };
+    }
+    updateData.tags = tagIds;
+  }
+
+  // The year is stored as the configured option value, as the application form sends it.
+  // Only a changed year is checked, so a retired option does not block other edits.
+  if (updateData.year !== undefined) {
+    updateData.year = String(updateData.year).trim();
+    const yearError = updateData.year !== String(registration.year) &&
+      validateYear(updateData.year, await getConferenceConfig(registrationEdition(registration)));
+    if (yearError) {
+      return { error: { status: 400, message: yearError, field: 'year' } };
+    }
+  }
+
+  // Validate numeric fields if being updated
+  const numericFields = ['munsParticipated', 'munsWithAwards', 'munsChaired'];
+  for (const field of numericFields) {
+    if (updateData[field] !== undefined) {
+      const value = parseInt(updateData[field]);
+      if (isNaN(value) || value < 0) {
+        return { error: { status: 400, message: `${field} must be a non-negative number`, field } };
+      }
+      updateData[field] = value;
+    }
+  }
+
+  return { updateData };
+}
+
+// Get dashboard statistics for the edition
+router.get('/stats', authenticateAdmin, selectEdition, async (req, res) => {
+  try {
+    const stats = await getRegistrationStats({
+      filter: inEdition(req.edition.id),
+      committees: getScopedCommittees(req.admin),
+      config: await getConferenceConfig(req.edition.id)
+    });
+
+    if (isBlinded(req.admin, await getReviewSettings(req.edition.id))) {
+      stats.recentSubmissions = stats.recentSubmissions.map(redactRegistration);
+    }
+    
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch statistics'
+    });
+  }
+});
+
+// Get a page of the edition's registrations
+// Query: committee, position, year, status, tag, search, flagged, returning, toScore,
+// sortBy (submittedAt, name or score), sortOrder, limit, and cursor from the previous page
+router.get('/registrations', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), selectEdition, async (req, res) => {
+  try {
+    const {
+      search,
+      flagged,
+      returning,
+      toScore,
+      cursor,
+      sortBy = 'submittedAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid page cursor'
+      });
+    }
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Registrations can be sorted by ${SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    const pageSize = parsePageSize(req.query.limit);
+    const [rubric, reviewSettings] = await Promise.all([
+      getRubric(req.edition.id),
+      getReviewSettings(req.edition.id)
+    ]);
+    const blinded = isBlinded(req.admin, reviewSettings);
+    const query = buildRegistrationQuery(req.admin, req.edition.id, req.query);
+    const searchTerm = search ? search.toLowerCase() : null;
+
+    // Filters that need the table rows
+    const matchesRow = reg =>
+      (!searchTerm || matchesSearch(reg, searchTerm, blinded)) &&
+      (flagged !== 'true' || reg.possibleDuplicates.length > 0) &&
+      (returning !== 'true' || reg.previousApplications.length > 0) &&
+      // The admin's scoring queue: not yet scored by them, and no conflict of interest
+      (toScore !== 'true' || (!reg.scoredByMe && !reg.conflict));
+
+    let page;
+    if (flagged === 'true' || !QUERY_SORT_FIELDS.includes(sortBy) || (sortBy === 'name' && blinded)) {
+      // Similar names are only found by comparing the whole edition, scores are only
+      // known in memory, and blinded admins sort by candidate code, not the stored name
+      let registrations;
+      let duplicateFlags;
+      if (flagged === 'true') {
+        const editionQuery = buildRegistrationQuery(req.admin, req.edition.id);
+        const visible = (await queryDocuments(COLLECTIONS.REGISTRATIONS, editionQuery.conditions)).filter(editionQuery.matchesRest);
+        duplicateFlags = findNearDuplicates(visible);
+        registrations = visible.filter(query.matches);
+      } else {
+        registrations = (await queryDocuments(COLLECTIONS.REGISTRATIONS, query.conditions)).filter(query.matchesRest);
+      }
+
+      const rows = await describeRegistrations(req, registrations, { rubric, reviewSettings, duplicateFlags });
+      page = pageRegistrations(rows.filter(matchesRow), { keyOf: sortKeyFor(sortBy), sortOrder, after, pageSize });
+    } else {
+      page = await readRegistrationPage({
+        conditions: query.conditions,
+        sortBy,
+        sortOrder,
+        after,
+        pageSize,
+        select: async batch => {
+          const rows = await describeRegistrations(req, batch.filter(query.matchesRest), { rubric, reviewSettings });
+          return rows.filter(matchesRow);
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: page.registrations,
+      rubric,
+      review: describeReviewSettings(req.admin, reviewSettings),
+      pagination: {
+        limit: pageSize,
+        nextCursor: page.nextCursor,
+        hasNext: Boolean(page.nextCursor)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registrations'
+    });
+  }
+});
+
+// Get single registration
+router.get('/registrations/:id', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    const reviewSettings = await getReviewSettings(registrationEdition(registration));
+    const conflict = await recordConflictedView(req, registration, 'registration');
+
+    res.json({
+      success: true,
+      data: viewRegistrationAs(req.admin, reviewSettings, {
+        ...registration,
+        status: getRegistrationStatus(registration),
+        nextStatuses: getNextStatuses(getRegistrationStatus(registration)),
+        conflict
+      })
+    });
+
+  } catch (error) {
+    console.error('Get registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registration'
+    });
+  }
+});
+
+// Get a short-lived download link for an uploaded document
+// Pass ?redirect=true to be sent straight to the file
+router.get('/registrations/:id/files/:field', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { id, field } = req.params;
+
+    if (!REGISTRATION_FILE_FIELDS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: `File field must be one of: ${REGISTRATION_FILE_FIELDS.join(', ')}`
+      });
+    }
+
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    if (isBlinded(req.admin, await getReviewSettings(registrationEdition(registration)))) {
+      return res.status(403).json({
+        success: false,
+        message: BLIND_REVIEW_MESSAGE
+      });
+    }
+
+    const key = registration[field] ? getKeyFromUrl(registration[field]) : null;
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'No file uploaded for this field'
+      });
+    }
+
+    await recordConflictedView(req, registration, field);
+    const url = await getSignedDownloadUrl(key);
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(url);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        url,
+        expiresAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get registration file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get file link'
+    });
+  }
+});
+
+// Update registration
+router.put('/registrations/:id', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    const { error: updateError, updateData } = await prepareRegistrationUpdate(req.admin, registration, req.body);
+    if (updateError) {
+      return res.status(updateError.status).json({
+        success: false,
+        message: updateError.message,
+        field: updateError.field
+      });
+    }
+
+    const success = await updateDocument(COLLECTIONS.REGISTRATIONS, id, updateData);
+
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.REGISTRATION_UPDATE,
+      registrationIds: [id],
+      changes: diffFields(registration, updateData)
+    });
+
+    res.json({
+      success: true,
+      message: 'Registration updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update registration'
+    });
+  }
+});
+
+// Move a registration to its next status
+router.post('/registrations/:id/status', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    const { error, updateData } = buildTransition(registration, status, { by: req.admin.username, note });
+
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await updateDocument(COLLECTIONS.REGISTRATIONS, id, updateData);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.STATUS_CHANGE,
+      registrationIds: [id],
+      changes: { status: { from: getRegistrationStatus(registration), to: status } },
+      details: note ? { note } : null
+    });
+
+    // Selecting someone sends them an offer to accept or decline
+    const offer = status === STATUSES.SELECTED
+      ? await sendSelectionOffer(req, { ...registration, ...updateData })
+      : null;
+
+    res.json({
+      success: true,
+      message: offer
+        ? `Status changed to ${status}. ${offer.emailSent ? 'Offer emailed.' : 'The offer email could not be sent.'}`
+        : `Status changed to ${status}`,
+      data: {
+        status,
+        statusUpdatedAt: updateData.statusUpdatedAt,
+        nextStatuses: getNextStatuses(status),
+        offer: offer && {
+          offerStatus: offer.offerStatus,
+          offerCommittee: offer.offerCommittee,
+          offerPosition: offer.offerPosition,
+          offerExpiresAt: offer.offerExpiresAt,
+          emailSent: offer.emailSent
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Status change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change status'
+    });
+  }
+});
+
+// Get the edition's scoring rubric
+router.get('/rubric', authenticateAdmin, selectEdition, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getRubric(req.edition.id)
+    });
+
+  } catch (error) {
+    console.error('Get rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rubric'
+    });
+  }
+});
+
+// Replace the edition's scoring rubric
+// Body: { criteria: [{ key, label, maxScore, weight }] }
+router.put('/rubric', authenticateAdmin, requireRole(ROLES.SUPER_ADMIN), selectEdition, async (req, res) => {
+  try {
+    const { criteria } = req.body;
+    const rubricError = validateRubric(criteria);
+
+    if (rubricError) {
+      return res.status(400).json({
+        success: false,
+        message: rubricError
+      });
+    }
+
+    const previous = await getRubric(req.edition.id);
+    const rubric = normalizeRubric(criteria);
+    await saveRubric(req.edition.id, rubric);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.RUBRIC_UPDATE,
+      changes: { criteria: { from: previous, to: rubric } },
+      details: { edition: req.edition.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Rubric updated successfully',
+      data: rubric
+    });
+
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update rubric'
+    });
+  }
+});
+
+// Get the edition's application window, as configured and as applicants currently see it
+router.get('/application-window', authenticateAdmin, selectEdition, async (req, res) => {
+  try {
+    const [applicationWindow, config] = await Promise.all([
+      getApplicationWindow(req.edition.id),
+      getConferenceConfig(req.edition.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settings: applicationWindow,
+        current: describeApplicationWindow(applicationWindow, config)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get application window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application window'
+    });
+  }
+});
+
+// Set or extend the application window and the applicant edit deadline
+// Body: { opensAt, closesAt, positions: { [position]: { opensAt, closesAt } }, editDeadline }
+router.put('/application-window', authenticateAdmin, requireRole(ROLES.SUPER_ADMIN), selectEdition, async (req, res) => {
+  try {
+    const config = await getConferenceConfig(req.edition.id);
+    const windowError = validateApplicationWindow(req.body, config);
+
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError
+      });
+    }
+
+    const previous = await getApplicationWindow(req.edition.id);
+    const applicationWindow = normalizeApplicationWindow(req.body);
+    await saveApplicationWindow(req.edition.id, applicationWindow);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.APPLICATION_WINDOW_UPDATE,
+      changes: diffFields(previous, applicationWindow),
+      details: { edition: req.edition.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Application window updated successfully',
+      data: {
+        settings: applicationWindow,
+        current: describeApplicationWindow(applicationWindow, config)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update application window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update application window'
+    });
+  }
+});
+
+// Get the edition's committees, positions and year options
+router.get('/conference', authenticateAdmin, selectEdition, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getConferenceConfig(req.edition.id)
+    });
+
+  } catch (error) {
+    console.error('Get conference configuration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conference configuration'
+    });
+  }
+});
 
-// Get dashboard statistics
-router.get('/stats', authenticateAdmin, async (req, res) => {
+// Replace the edition's committees, positions and year options
+// Body: { committees: [{ code, name, description, icon }], positions: [name], years: [{ value, label }] }
+router.put('/conference', authenticateAdmin, requireRole(ROLES.SUPER_ADMIN), selectEdition, async (req, res) => {
   try {
-    const stats = await getRegistrationStats();
-    
+    const configError = validateConferenceConfig(req.body);
+
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        message: configError
+      });
+    }
+
+    const previous = await getConferenceConfig(req.edition.id);
+    const config = normalizeConferenceConfig(req.body);
+    await saveConferenceConfig(req.edition.id, config);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.CONFERENCE_UPDATE,
+      changes: diffFields(previous, config),
+      details: { edition: req.edition.id }
+    });
+
     res.json({
       success: true,
-      data: stats
+      message: 'Conference configuration updated successfully',
+      data: config
     });
 
   } catch (error) {
-    console.error('Stats error:', error);
+    console.error('Update conference configuration error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch statistics'
+      message: 'Failed to update conference configuration'
     });
   }
 });
 
-// Get all registrations
-router.get('/registrations', authenticateAdmin, async (req, res) => {
+// Get the edition's committee and position questions
+router.get('/questions', authenticateAdmin, selectEdition, async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 50, 
-      search, 
-      committee, 
-      position, 
-      year,
-      status 
-    } = req.query;
+    res.json({
+      success: true,
+      data: await getApplicationQuestions(req.edition.id)
+    });
 
-    let registrations = await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc');
+  } catch (error) {
+    console.error('Get application questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application questions'
+    });
+  }
+});
 
-    // Apply filters
-    if (search) {
-      const searchTerm = search.toLowerCase();
-      registrations = registrations.filter(reg => 
-        reg.name.toLowerCase().includes(searchTerm) ||
-        reg.email.toLowerCase().includes(searchTerm) ||
-        reg.phone.includes(searchTerm) ||
-        reg.college.toLowerCase().includes(searchTerm)
-      );
-    }
+// Replace the edition's committee and position questions
+// Body: { questions: [{ key, label, type, required, options, committee | position }] }
+router.put('/questions', authenticateAdmin, requireRole(ROLES.SUPER_ADMIN), selectEdition, async (req, res) => {
+  try {
+    const { questions } = req.body;
+    const questionsError = validateApplicationQuestions(questions, await getConferenceConfig(req.edition.id));
 
-    if (committee) {
-      registrations = registrations.filter(reg => {
-        const committees = Array.isArray(reg.committees) 
-          ? reg.committees 
-          : JSON.parse(reg.committees || '[]');
-        return committees.includes(committee);
+    if (questionsError) {
+      return res.status(400).json({
+        success: false,
+        message: questionsError
       });
     }
 
-    if (position) {
-      registrations = registrations.filter(reg => {
-        const positions = Array.isArray(reg.positions) 
-          ? reg.positions 
-          : JSON.parse(reg.positions || '[]');
-        return positions.includes(position);
+    const previous = await getApplicationQuestions(req.edition.id);
+    const normalized = normalizeApplicationQuestions(questions);
+    await saveApplicationQuestions(req.edition.id, normalized);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.QUESTIONS_UPDATE,
+      changes: diffFields({ questions: previous }, { questions: normalized }),
+      details: { edition: req.edition.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Application questions updated successfully',
+      data: normalized
+    });
+
+  } catch (error) {
+    console.error('Update application questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update application questions'
+    });
+  }
+});
+
+// Get the edition's blind review settings and whether they hide identities from you
+router.get('/review-settings', authenticateAdmin, selectEdition, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: describeReviewSettings(req.admin, await getReviewSettings(req.edition.id))
+    });
+
+  } catch (error) {
+    console.error('Get review settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review settings'
+    });
+  }
+});
+
+// Turn blind review on or off, and close or reopen scoring
+// Body: { blindReview, scoringClosed } - reopening scoring hides revealed identities again
+router.put('/review-settings', authenticateAdmin, requireRole(ROLES.SUPER_ADMIN), selectEdition, async (req, res) => {
+  try {
+    const { blindReview, scoringClosed } = req.body;
+
+    if ((blindReview !== undefined && typeof blindReview !== 'boolean') ||
+        (scoringClosed !== undefined && typeof scoringClosed !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'blindReview and scoringClosed must be true or false'
       });
     }
 
-    if (year) {
-      registrations = registrations.filter(reg => reg.year === year);
+    const previous = await getReviewSettings(req.edition.id);
+    const settings = { ...previous };
+
+    if (blindReview !== undefined) settings.blindReview = blindReview;
+    if (scoringClosed === true && !previous.scoringClosedAt) {
+      settings.scoringClosedAt = new Date().toISOString();
+    }
+    if (scoringClosed === false) {
+      settings.scoringClosedAt = null;
+      settings.identitiesRevealedAt = null;
+    }
+
+    await saveReviewSettings(req.edition.id, settings);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.REVIEW_SETTINGS_UPDATE,
+      changes: diffFields(previous, settings),
+      details: { edition: req.edition.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Review settings updated successfully',
+      data: describeReviewSettings(req.admin, settings)
+    });
+
+  } catch (error) {
+    console.error('Update review settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review settings'
+    });
+  }
+});
+
+// Reveal applicant identities to every admin once blind scoring has closed
+router.post('/review-settings/reveal', authenticateAdmin, requireRole(ROLES.SUPER_ADMIN), selectEdition, async (req, res) => {
+  try {
+    const settings = await getReviewSettings(req.edition.id);
+
+    if (!settings.blindReview || settings.identitiesRevealedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Identities are not hidden for this edition'
+      });
     }
 
-    if (status) {
-      registrations = registrations.filter(reg => reg.status === status);
+    if (!settings.scoringClosedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Close scoring before revealing identities'
+      });
     }
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedRegistrations = registrations.slice(startIndex, endIndex);
+    const revealed = { ...settings, identitiesRevealedAt: new Date().toISOString() };
+    await saveReviewSettings(req.edition.id, revealed);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.IDENTITIES_REVEAL,
+      changes: diffFields(settings, revealed),
+      details: { edition: req.edition.id }
+    });
 
     res.json({
       success: true,
-      data: paginatedRegistrations,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(registrations.length / limit),
-        totalRecords: registrations.length,
-        hasNext: endIndex < registrations.length,
-        hasPrev: startIndex > 0
-      }
+      message: 'Applicant identities revealed',
+      data: describeReviewSettings(req.admin, revealed)
     });
 
   } catch (error) {
-    console.error('Get registrations error:', error);
+    console.error('Reveal identities error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch registrations'
+      message: 'Failed to reveal identities'
     });
   }
 });
 
-// Get single registration
-router.get('/registrations/:id', authenticateAdmin, async (req, res) => {
+// Get every reviewer's scores for a registration
+router.get('/registrations/:id/scores', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
   try {
     const { id } = req.params;
     const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
@@ -147,83 +1047,130 @@ router.get('/registrations/:id', authenticateAdmin, async (req, res) => {
       });
     }
 
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    const [rubric, sheets] = await Promise.all([
+      getRubric(registrationEdition(registration)),
+      queryDocuments(COLLECTIONS.SCORES, [
+        { field: 'registrationId', operator: '==', value: id }
+      ])
+    ]);
+    await recordConflictedView(req, registration, 'scores');
+
     res.json({
       success: true,
-      data: registration
+      data: {
+        rubric,
+        sheets,
+        summary: aggregateScores(rubric, sheets)
+      }
     });
 
   } catch (error) {
-    console.error('Get registration error:', error);
+    console.error('Get scores error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch registration'
+      message: 'Failed to fetch scores'
     });
   }
 });
 
-// Update registration
-router.put('/registrations/:id', authenticateAdmin, async (req, res) => {
+// Submit (or replace) the current reviewer's scores for a registration
+// Body: { scores: { [criterionKey]: number }, remarks }
+router.put('/registrations/:id/scores', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-
-    // Remove fields that shouldn't be updated
-    delete updateData.id;
-    delete updateData.submittedAt;
-    delete updateData.createdAt;
-
-    // Validate email if being updated
-    if (updateData.email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(updateData.email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email format'
-        });
-      }
-      updateData.email = updateData.email.toLowerCase();
-    }
-
-    // Validate numeric fields if being updated
-    const numericFields = ['munsParticipated', 'munsWithAwards', 'munsChaired', 'year'];
-    for (const field of numericFields) {
-      if (updateData[field] !== undefined) {
-        const value = parseInt(updateData[field]);
-        if (isNaN(value) || value < 0) {
-          return res.status(400).json({
-            success: false,
-            message: `${field} must be a non-negative number`
-          });
-        }
-        updateData[field] = value;
-      }
-    }
+    const { remarks } = req.body;
 
-    const success = await updateDocument(COLLECTIONS.REGISTRATIONS, id, updateData);
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
 
-    if (!success) {
+    if (!registration) {
       return res.status(404).json({
         success: false,
         message: 'Registration not found'
       });
     }
 
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    if (findConflict(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: RECUSED_MESSAGE
+      });
+    }
+
+    const reviewSettings = await getReviewSettings(registrationEdition(registration));
+    if (reviewSettings.scoringClosedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scoring is closed for this edition'
+      });
+    }
+
+    const rubric = await getRubric(registrationEdition(registration));
+    const { error, scores } = validateScores(rubric, req.body.scores);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const sheetId = scoreSheetId(id, req.admin.username);
+    const previous = await getDocument(COLLECTIONS.SCORES, sheetId);
+    const sheet = {
+      registrationId: id,
+      reviewer: req.admin.username,
+      reviewerName: req.admin.name,
+      scores,
+      remarks: remarks ? String(remarks).trim() : '',
+      submittedAt: new Date().toISOString()
+    };
+
+    await setDocument(COLLECTIONS.SCORES, sheetId, sheet);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.SCORE_SUBMIT,
+      registrationIds: [id],
+      changes: diffFields(previous || {}, { scores: sheet.scores, remarks: sheet.remarks })
+    });
+
+    const sheets = await queryDocuments(COLLECTIONS.SCORES, [
+      { field: 'registrationId', operator: '==', value: id }
+    ]);
+
     res.json({
       success: true,
-      message: 'Registration updated successfully'
+      message: 'Scores saved successfully',
+      data: {
+        sheet: { id: sheetId, ...sheet },
+        summary: aggregateScores(rubric, sheets)
+      }
     });
 
   } catch (error) {
-    console.error('Update registration error:', error);
+    console.error('Submit scores error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update registration'
+      message: 'Failed to save scores'
     });
   }
 });
 
 // Delete registration
-router.delete('/registrations/:id', authenticateAdmin, async (req, res) => {
+router.delete('/registrations/:id', authenticateAdmin, requireRole(ROLES.COMMITTEE_HEAD), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -237,18 +1184,33 @@ router.delete('/registrations/:id', authenticateAdmin, async (req, res) => {
       });
     }
 
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
     // Delete associated files from S3
-    if (registration.files) {
-      try {
-        await deleteRegistrationFiles(registration.files);
-      } catch (fileDeleteError) {
-        console.error('File deletion error:', fileDeleteError);
-        // Continue with registration deletion even if file deletion fails
-      }
+    try {
+      await deleteRegistrationFiles(registration);
+    } catch (fileDeleteError) {
+      console.error('File deletion error:', fileDeleteError);
+      // Continue with registration deletion even if file deletion fails
     }
 
     // Delete registration from Firestore
     await deleteDocument(COLLECTIONS.REGISTRATIONS, id);
+    await deleteRegistrationScores(id);
+    await deleteRegistrationRecommendations(id);
+    await deleteRegistrationComments(id);
+    await releaseInterviewSlot(registration);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.REGISTRATION_DELETE,
+      registrationIds: [id],
+      changes: deletionDiff(registration)
+    });
 
     res.json({
       success: true,
@@ -265,7 +1227,7 @@ router.delete('/registrations/:id', authenticateAdmin, async (req, res) => {
 });
 
 // Bulk operations
-router.post('/registrations/bulk-action', authenticateAdmin, async (req, res) => {
+router.post('/registrations/bulk-action', authenticateAdmin, requireRole(ROLES.COMMITTEE_HEAD), async (req, res) => {
   try {
     const { action, registrationIds, data } = req.body;
 
@@ -282,16 +1244,43 @@ router.post('/registrations/bulk-action', authenticateAdmin, async (req, res) =>
       errors: []
     };
 
+    // Per-registration diffs for the audit log, keyed by registration ID
+    const auditChanges = {};
+
+    // Tags to add or remove, checked against each registration's edition
+    const tagIds = data && Array.isArray(data.tagIds) ? data.tagIds : [];
+    if ((action === 'tag' || action === 'untag') && tagIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one tag'
+      });
+    }
+    const editionTags = new Map();
+    const tagsForEdition = async editionId => {
+      if (!editionTags.has(editionId)) editionTags.set(editionId, await getEditionTags(editionId));
+      return editionTags.get(editionId);
+    };
+
     for (const id of registrationIds) {
       try {
+        const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
+
+        if (registration && !canAccessRegistration(req.admin, registration)) {
+          results.failed++;
+          results.errors.push(`Registration ${id} is outside your committees`);
+          continue;
+        }
+
         switch (action) {
           case 'delete':
-            const registration = await getDocument(COLLECTIONS.REGISTRATIONS, id);
             if (registration) {
-              if (registration.files) {
-                await deleteRegistrationFiles(registration.files);
-              }
+              await deleteRegistrationFiles(registration);
               await deleteDocument(COLLECTIONS.REGISTRATIONS, id);
+              await deleteRegistrationScores(id);
+              await deleteRegistrationRecommendations(id);
+              await deleteRegistrationComments(id);
+              await releaseInterviewSlot(registration);
+              auditChanges[id] = deletionDiff(registration);
               results.success++;
             } else {
               results.failed++;
@@ -300,13 +1289,28 @@ router.post('/registrations/bulk-action', authenticateAdmin, async (req, res) =>
             break;
 
           case 'update':
-            if (!data) {
+            if (!data || typeof data !== 'object') {
               results.failed++;
               results.errors.push(`No update data provided for ${id}`);
               break;
             }
-            const updateSuccess = await updateDocument(COLLECTIONS.REGISTRATIONS, id, data);
+            if (!registration) {
+              results.failed++;
+              results.errors.push(`Registration ${id} not found`);
+              break;
+            }
+            // Checked like the edit form; tags only change through the tag actions
+            const bulkData = { ...data };
+            delete bulkData.tags;
+            const { error: updateError, updateData: fieldUpdates } = await prepareRegistrationUpdate(req.admin, registration, bulkData);
+            if (updateError) {
+              results.failed++;
+              results.errors.push(`${id}: ${updateError.message}`);
+              break;
+            }
+            const updateSuccess = await updateDocument(COLLECTIONS.REGISTRATIONS, id, fieldUpdates);
             if (updateSuccess) {
+              auditChanges[id] = diffFields(registration, fieldUpdates);
               results.success++;
             } else {
               results.failed++;
@@ -314,6 +1318,56 @@ router.post('/registrations/bulk-action', authenticateAdmin, async (req, res) =>
             }
             break;
 
+          case 'status': {
+            if (!registration) {
+              results.failed++;
+              results.errors.push(`Registration ${id} not found`);
+              break;
+            }
+            const transition = buildTransition(registration, data && data.status, {
+              by: req.admin.username,
+              note: data && data.note
+            });
+            if (transition.error) {
+              results.failed++;
+              results.errors.push(`${id}: ${transition.error}`);
+              break;
+            }
+            await updateDocument(COLLECTIONS.REGISTRATIONS, id, transition.updateData);
+            auditChanges[id] = { status: { from: getRegistrationStatus(registration), to: data.status } };
+            if (data.status === STATUSES.SELECTED) {
+              await sendSelectionOffer(req, { ...registration, ...transition.updateData });
+            }
+            results.success++;
+            break;
+          }
+
+          case 'tag':
+          case 'untag': {
+            if (!registration) {
+              results.failed++;
+              results.errors.push(`Registration ${id} not found`);
+              break;
+            }
+            const tagCheck = validateTagIds(tagIds, await tagsForEdition(registrationEdition(registration)));
+            if (tagCheck.error) {
+              results.failed++;
+              results.errors.push(`${id}: ${tagCheck.error}`);
+              break;
+            }
+            const currentTags = registrationTagIds(registration);
+            const tags = action === 'tag'
+              ? [...new Set([...currentTags, ...tagCheck.tagIds])]
+              : currentTags.filter(tagId => !tagCheck.tagIds.includes(tagId));
+            const tagChanges = diffFields(registration, { tags });
+            if (Object.keys(tagChanges).length > 0) {
+              await updateDocument(COLLECTIONS.REGISTRATIONS, id, { tags });
+              auditChanges[id] = tagChanges;
+            }
+            results.success++;
+            break;
+          }
+
           default:
             results.failed++;
             results.errors.push(`Unknown action: ${action}`);
@@ -324,6 +1378,20 @@ router.post('/registrations/bulk-action', authenticateAdmin, async (req, res) =>
       }
     }
 
+    if (Object.keys(auditChanges).length > 0) {
+      await recordAudit(req.admin, {
+        action: {
+          delete: AUDIT_ACTIONS.BULK_DELETE,
+          update: AUDIT_ACTIONS.BULK_UPDATE,
+          status: AUDIT_ACTIONS.BULK_STATUS_CHANGE,
+          tag: AUDIT_ACTIONS.BULK_TAG,
+          untag: AUDIT_ACTIONS.BULK_TAG
+        }[action],
+        registrationIds: Object.keys(auditChanges),
+        changes: auditChanges
+      });
+    }
+
     res.json({
       success: true,
       message: `Bulk ${action} completed`,
@@ -339,53 +1407,183 @@ router.post('/registrations/bulk-action', authenticateAdmin, async (req, res) =>
   }
 });
 
-// Export registrations
-router.get('/export', authenticateAdmin, async (req, res) => {
+// Get audit log entries
+router.get('/audit-logs', authenticateAdmin, requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
   try {
-    const { format = 'json', ...filters } = req.query;
-    
-    let registrations = await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc');
-
-    // Apply same filters as in get registrations
-    if (filters.search) {
-      const searchTerm = filters.search.toLowerCase();
-      registrations = registrations.filter(reg => 
-        reg.name.toLowerCase().includes(searchTerm) ||
-        reg.email.toLowerCase().includes(searchTerm) ||
-        reg.phone.includes(searchTerm) ||
-        reg.college.toLowerCase().includes(searchTerm)
+    const {
+      page = 1,
+      limit = 50,
+      actor,
+      action,
+      registrationId,
+      from,
+      to
+    } = req.query;
+
+    let entries = await getCollection(COLLECTIONS.AUDIT_LOGS, 'timestamp', 'desc');
+
+    // Apply filters
+    if (actor) {
+      const actorTerm = actor.toLowerCase();
+      entries = entries.filter(entry =>
+        (entry.actor || '').toLowerCase().includes(actorTerm) ||
+        (entry.actorName || '').toLowerCase().includes(actorTerm)
       );
     }
 
-    // Format data for export
-    const exportData = registrations.map(reg => ({
-      ID: reg.id,
-      Name: reg.name,
-      Email: reg.email,
-      Phone: reg.phone,
-      College: reg.college,
-      Department: reg.department,
-      Year: reg.year,
-      'MUNs Participated': reg.munsParticipated,
-      'MUNs with Awards': reg.munsWithAwards,
-      'Organizing Experience': reg.organizingExperience,
-      'MUNs Chaired': reg.munsChaired,
-      'Committee Preferences': Array.isArray(reg.committees) 
-        ? reg.committees.join(', ') 
-        : reg.committees,
-      'Position Preferences': Array.isArray(reg.positions) 
-        ? reg.positions.join(', ') 
-        : reg.positions,
-      Status: reg.status,
-      'Submitted At': reg.submittedAt,
-      'Files Uploaded': reg.files ? Object.keys(reg.files).join(', ') : 'None'
+    if (action) {
+      entries = entries.filter(entry => entry.action === action);
+    }
+
+    if (registrationId) {
+      entries = entries.filter(entry =>
+        Array.isArray(entry.registrationIds) && entry.registrationIds.includes(registrationId)
+      );
+    }
+
+    if (from) {
+      const fromDate = new Date(from);
+      entries = entries.filter(entry => new Date(entry.timestamp) >= fromDate);
+    }
+
+    if (to) {
+      // Date-only values include the whole day
+      const toDate = new Date(to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        toDate.setUTCHours(23, 59, 59, 999);
+      }
+      entries = entries.filter(entry => new Date(entry.timestamp) <= toDate);
+    }
+
+    // Pagination
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + parseInt(limit);
+
+    res.json({
+      success: true,
+      data: entries.slice(startIndex, endIndex),
+      actions: Object.values(AUDIT_ACTIONS),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(entries.length / limit),
+        totalRecords: entries.length,
+        hasNext: endIndex < entries.length,
+        hasPrev: startIndex > 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs'
+    });
+  }
+});
+
+// Export the edition's registrations
+router.get('/export', authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), selectEdition, async (req, res) => {
+  try {
+    const { format = 'json', search, sortBy = 'submittedAt', sortOrder = 'desc' } = req.query;
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Registrations can be sorted by ${SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    // Same filters as the registrations table
+    const query = buildRegistrationQuery(req.admin, req.edition.id, req.query);
+    const matched = (await queryDocuments(COLLECTIONS.REGISTRATIONS, query.conditions)).filter(query.matchesRest);
+    const registrationIds = matched.map(reg => reg.id);
+
+    const [rubric, scoreSheets, questions, recommendations, tags, reviewSettings, contactMatches] = await Promise.all([
+      getRubric(req.edition.id),
+      queryDocumentsIn(COLLECTIONS.SCORES, 'registrationId', registrationIds),
+      getApplicationQuestions(req.edition.id),
+      queryDocumentsIn(COLLECTIONS.RECOMMENDATIONS, 'registrationId', registrationIds),
+      getEditionTags(req.edition.id),
+      getReviewSettings(req.edition.id),
+      findContactMatches(matched)
+    ]);
+    const blinded = isBlinded(req.admin, reviewSettings);
+    const returningApplicants = findReturningApplicants(matched, contactMatches);
+    const sheetsByRegistration = groupSheetsByRegistration(scoreSheets);
+    const recommendationsByRegistration = groupRecommendationsByRegistration(recommendations);
+    let registrations = matched.map(reg => viewRegistrationAs(req.admin, reviewSettings, {
+      ...reg,
+      scoreSummary: aggregateScores(rubric, sheetsByRegistration.get(reg.id))
     }));
 
+    if (search) {
+      const searchTerm = search.toLowerCase();
+      registrations = registrations.filter(reg => matchesSearch(reg, searchTerm, blinded));
+    }
+
+    registrations = sortRegistrations(registrations, sortKeyFor(sortBy), sortOrder);
+
+    // Format data for export
+    const exportData = registrations.map(reg => {
+      const { scoreSummary } = reg;
+      const criteriaColumns = {};
+      rubric.forEach(criterion => {
+        const average = scoreSummary.criteriaAverages[criterion.key];
+        // Labels can repeat, so the criterion key keeps each column apart
+        criteriaColumns[`${criterion.label} [${criterion.key}] (avg /${criterion.maxScore})`] = average === undefined ? null : average;
+      });
+
+      const previousApplications = returningApplicants.get(reg.id) || [];
+      const recommendationSummary = summarizeRecommendations(recommendationsByRegistration.get(reg.id));
+
+      // One column per question; blank where it was not asked or not answered
+      const answerColumns = {};
+      questions.forEach(question => {
+        const answer = reg.answers && reg.answers[question.key];
+        answerColumns[`${question.label} [${question.key}] (${describeQuestionTarget(question)})`] = answer === undefined ? null : answer;
+      });
+
+      return {
+        ID: reg.id,
+        Edition: registrationEdition(reg),
+        'Candidate Code': reg.candidateCode,
+        Name: reg.name,
+        Email: reg.email,
+        Phone: reg.phone,
+        College: reg.college,
+        Department: reg.department,
+        Year: reg.year,
+        'MUNs Participated': reg.munsParticipated,
+        'MUNs with Awards': reg.munsWithAwards,
+        'Organizing Experience': reg.organizingExperience,
+        'MUNs Chaired': reg.munsChaired,
+        'First Choice Committee': Array.isArray(reg.committees) ? reg.committees[0] : reg.committees,
+        'Committee Preferences (ranked)': formatRankedList(reg.committees),
+        'First Choice Position': Array.isArray(reg.positions) ? reg.positions[0] : reg.positions,
+        'Position Preferences (ranked)': formatRankedList(reg.positions),
+        Status: getRegistrationStatus(reg),
+        Tags: formatTagNames(reg, tags),
+        ...criteriaColumns,
+        'Average Total Score': scoreSummary.averageTotal,
+        'Normalized Score (%)': scoreSummary.normalizedScore,
+        'Reviewers': scoreSummary.reviewerCount,
+        'Submitted At': reg.submittedAt,
+        'Previous Editions': previousApplications
+          .map(previous => `${previous.edition} (${previous.status})`)
+          .join(', ') || 'None',
+        ...answerColumns,
+        'Recommendations': recommendationSummary.requested > 0
+          ? `${recommendationSummary.submitted}/${recommendationSummary.requested} received`
+          : 'None requested',
+        'Files Uploaded': REGISTRATION_FILE_FIELDS.filter(field => reg[field]).join(', ') || 'None'
+      };
+    });
+
     if (format === 'csv') {
       // Convert to CSV
       const csv = convertToCSV(exportData);
       res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename=registrations_${new Date().toISOString().split('T')[0]}.csv`);
+      res.setHeader('Content-Disposition', `attachment; filename=registrations_${req.edition.id}_${new Date().toISOString().split('T')[0]}.csv`);
       res.send(csv);
     } else {
       // Return JSON
@@ -406,22 +1604,23 @@ router.get('/export', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Quote a CSV cell holding commas, quotes or line breaks (long answers, free-text labels)
+function toCSVCell(value) {
+  if (typeof value === 'string' && /[,"\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
 // Helper function to convert JSON to CSV
 function convertToCSV(data) {
   if (data.length === 0) return '';
   
   const headers = Object.keys(data[0]);
-  const csvHeaders = headers.join(',');
+  const csvHeaders = headers.map(toCSVCell).join(',');
   
   const csvRows = data.map(row => 
-    headers.map(header => {
-      const value = row[header];
-      // Escape commas and quotes in CSV
-      if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-        return `"${value.replace(/"/g, '""')}"`;
-      }
-      return value;
-    }).join(',')
+    headers.map(header => toCSVCell(row[header])).join(',')
   );
   
   return [csvHeaders, ...csvRows].join('\n');
@@ -0,0 +1,272 @@
+const express = require('express');
+const {
+  getCollection,
+  getDocument,
+  setDocument,
+  updateDocument,
+  COLLECTIONS
+} = require('../utils/repository');
+const {
+  normalizeUsername,
+  hashPassword,
+  toPublicAdmin,
+  authenticateAdmin
+} = require('../utils/auth');
+const { ROLES, isValidRole, requireRole } = require('../utils/permissions');
+const { getConferenceConfig, committeeCodes } = require('../utils/conferenceConfig');
+const { getCurrentEdition } = require('../utils/editions');
+const { normalizeEmail } = require('../utils/duplicates');
+const { validateCollege, recuseFromScoring } = require('../utils/conflicts');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Only super-admins manage admin accounts
+router.use(authenticateAdmin, requireRole(ROLES.SUPER_ADMIN));
+
+// Committee assignments are checked against the current edition's committees
+async function getCurrentConferenceConfig() {
+  const edition = await getCurrentEdition();
+  return getConferenceConfig(edition.id);
+}
+
+// Validate role/committee assignment against the configured committees,
+// returning an error message or null
+function validateRoleAssignment(role, committees, config) {
+  if (!isValidRole(role)) {
+    return `Role must be one of: ${Object.values(ROLES).join(', ')}`;
+  }
+
+  if (role === ROLES.COMMITTEE_HEAD && (!Array.isArray(committees) || committees.length === 0)) {
+    return 'Committee heads must be assigned at least one committee';
+  }
+
+  if (role === ROLES.COMMITTEE_HEAD) {
+    const unknown = committees.find(committee => !committeeCodes(config).includes(committee));
+    if (unknown !== undefined) {
+      return `Unknown committee: ${unknown}`;
+    }
+  }
+
+  return null;
+}
+
+// Admins give an email to be notified when mentioned in comments.
+// Returns { error } or { email }, where an empty email clears it.
+function validateAdminEmail(value) {
+  const email = normalizeEmail(value);
+  if (!email) return { email: null };
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: 'Please enter a valid email address' };
+  }
+  return { email };
+}
+
+// Get all admin users
+router.get('/', async (req, res) => {
+  try {
+    const users = await getCollection(COLLECTIONS.ADMIN_USERS);
+
+    res.json({
+      success: true,
+      data: users.map(user => ({
+        ...toPublicAdmin(user),
+        email: user.email || null,
+        active: user.active !== false,
+        lastLoginAt: user.lastLoginAt || null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get admin users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin users'
+    });
+  }
+});
+
+// Create admin user
+router.post('/', async (req, res) => {
+  try {
+    const { password, name, role, committees = [] } = req.body;
+    const username = normalizeUsername(req.body.username);
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required'
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long'
+      });
+    }
+
+    const roleError = validateRoleAssignment(role, committees, await getCurrentConferenceConfig());
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        message: roleError
+      });
+    }
+
+    const { error: emailError, email } = validateAdminEmail(req.body.email);
+    if (emailError) {
+      return res.status(400).json({
+        success: false,
+        message: emailError
+      });
+    }
+
+    const { error: collegeError, college } = validateCollege(req.body.college);
+    if (collegeError) {
+      return res.status(400).json({
+        success: false,
+        message: collegeError
+      });
+    }
+
+    if (await getDocument(COLLECTIONS.ADMIN_USERS, username)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An admin with this username already exists'
+      });
+    }
+
+    await setDocument(COLLECTIONS.ADMIN_USERS, username, {
+      passwordHash: await hashPassword(password),
+      name: name || username,
+      email,
+      college,
+      role,
+      committees: role === ROLES.COMMITTEE_HEAD ? committees : [],
+      active: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin user created successfully',
+      data: { username }
+    });
+
+  } catch (error) {
+    console.error('Create admin user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create admin user'
+    });
+  }
+});
+
+// Update admin user (name, email, college, role, committees, active flag or password)
+router.put('/:username', async (req, res) => {
+  try {
+    const username = normalizeUsername(req.params.username);
+    const user = await getDocument(COLLECTIONS.ADMIN_USERS, username);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin user not found'
+      });
+    }
+
+    const { name, role, committees, active, password } = req.body;
+    const updateData = {};
+
+    if (name !== undefined) updateData.name = name;
+    if (active !== undefined) updateData.active = Boolean(active);
+
+    if (req.body.email !== undefined) {
+      const { error: emailError, email } = validateAdminEmail(req.body.email);
+      if (emailError) {
+        return res.status(400).json({
+          success: false,
+          message: emailError
+        });
+      }
+      updateData.email = email;
+    }
+
+    if (req.body.college !== undefined) {
+      const { error: collegeError, college } = validateCollege(req.body.college);
+      if (collegeError) {
+        return res.status(400).json({
+          success: false,
+          message: collegeError
+        });
+      }
+      updateData.college = college;
+    }
+
+    if (role !== undefined || committees !== undefined) {
+      const nextRole = role !== undefined ? role : user.role;
+      const nextCommittees = committees !== undefined ? committees : user.committees;
+      const roleError = validateRoleAssignment(nextRole, nextCommittees, await getCurrentConferenceConfig());
+
+      if (roleError) {
+        return res.status(400).json({
+          success: false,
+          message: roleError
+        });
+      }
+
+      updateData.role = nextRole;
+      updateData.committees = nextRole === ROLES.COMMITTEE_HEAD ? nextCommittees : [];
+    }
+
+    if (password !== undefined) {
+      if (typeof password !== 'string' || password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password must be at least 8 characters long'
+        });
+      }
+      updateData.passwordHash = await hashPassword(password);
+    }
+
+    if (username === req.admin.username && (updateData.active === false ||
+        (updateData.role && updateData.role !== ROLES.SUPER_ADMIN))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate or demote your own account'
+      });
+    }
+
+    await updateDocument(COLLECTIONS.ADMIN_USERS, username, updateData);
+
+    // A new college can put the admin in conflict with applicants they already scored
+    if (updateData.college) {
+      const recused = await recuseFromScoring(
+        toPublicAdmin({ ...user, ...updateData }),
+        await getCollection(COLLECTIONS.REGISTRATIONS)
+      );
+      if (recused.length > 0) {
+        await recordAudit(req.admin, {
+          action: AUDIT_ACTIONS.SCORE_RECUSE,
+          registrationIds: recused,
+          details: { reviewer: username }
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Admin user updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update admin user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update admin user'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,402 @@
+const express = require('express');
+const {
+  getCollection,
+  getDocument,
+  setDocument,
+  updateDocument,
+  COLLECTIONS
+} = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const { ROLES, requireRole, getScopedCommittees } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { STATUSES, isValidStatus, getRegistrationStatus } = require('../utils/statusPipeline');
+const { getRubric, aggregateScores, groupSheetsByRegistration } = require('../utils/scoring');
+const { getConferenceConfig } = require('../utils/conferenceConfig');
+const { selectEdition, inEdition } = require('../utils/editions');
+const { getReviewSettings, isBlinded, candidateCode } = require('../utils/blindReview');
+const {
+  ALLOCATION_STATES,
+  defaultCapacities,
+  alignCapacities,
+  validateCapacities,
+  applicantPreferences,
+  summarizeSlots,
+  describeUnassigned,
+  runAllocation,
+  validateAssignments
+} = require('../utils/allocation');
+
+const router = express.Router();
+
+// Everyone still in the running is considered unless a run asks otherwise
+const DEFAULT_ELIGIBLE_STATUSES = Object.values(STATUSES)
+  .filter(status => status !== STATUSES.REJECTED && status !== STATUSES.DECLINED);
+
+router.use(authenticateAdmin, selectEdition);
+
+// Each edition's working allocation lives in a single document, keyed by the edition ID.
+// Capacities always follow the edition's conference configuration.
+async function getAllocation(editionId) {
+  const [allocation, config] = await Promise.all([
+    getDocument(COLLECTIONS.ALLOCATIONS, editionId),
+    getConferenceConfig(editionId)
+  ]);
+  if (allocation) {
+    const { id, ...fields } = allocation;
+    return { ...fields, capacities: alignCapacities(fields.capacities || {}, config) };
+  }
+
+  return {
+    state: ALLOCATION_STATES.DRAFT,
+    capacities: defaultCapacities(config),
+    eligibleStatuses: DEFAULT_ELIGIBLE_STATUSES,
+    assignments: [],
+    unassigned: [],
+    unfilledSlots: summarizeSlots(defaultCapacities(config), []),
+    conflicts: []
+  };
+}
+
+// The edition's registrations in the given statuses, with their averaged reviewer score
+async function getEligibleApplicants(editionId, statuses) {
+  const [registrations, rubric, scoreSheets] = await Promise.all([
+    getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc'),
+    getRubric(editionId),
+    getCollection(COLLECTIONS.SCORES)
+  ]);
+  const sheetsByRegistration = groupSheetsByRegistration(scoreSheets);
+
+  return registrations
+    .filter(inEdition(editionId))
+    .filter(reg => statuses.includes(getRegistrationStatus(reg)))
+    .map(reg => ({
+      id: reg.id,
+      name: reg.name,
+      submittedAt: reg.submittedAt,
+      committees: reg.committees,
+      positions: reg.positions,
+      score: aggregateScores(rubric, sheetsByRegistration.get(reg.id)).normalizedScore
+    }));
+}
+
+// Committee heads only see the seats of their own committees
+function scopeAllocation(admin, allocation) {
+  const scope = getScopedCommittees(admin);
+  if (!scope) return allocation;
+
+  const inScope = item => scope.includes(item.committee);
+  return {
+    ...allocation,
+    assignments: (allocation.assignments || []).filter(inScope),
+    unfilledSlots: (allocation.unfilledSlots || []).filter(inScope),
+    conflicts: (allocation.conflicts || []).filter(inScope),
+    unassigned: []
+  };
+}
+
+// Blinded admins see candidate codes in place of names, including those in conflict messages
+function blindAllocation(allocation) {
+  const names = new Map();
+  [...(allocation.assignments || []), ...(allocation.unassigned || [])].forEach(item => {
+    if (item.name) names.set(item.registrationId, item.name);
+  });
+
+  const withCode = item => ({ ...item, name: candidateCode(item.registrationId) });
+  return {
+    ...allocation,
+    assignments: (allocation.assignments || []).map(withCode),
+    unassigned: (allocation.unassigned || []).map(withCode),
+    conflicts: (allocation.conflicts || []).map(conflict => ({
+      ...conflict,
+      message: (conflict.registrationIds || []).reduce(
+        (message, id) => (names.has(id) ? message.split(names.get(id)).join(candidateCode(id)) : message),
+        conflict.message || ''
+      )
+    }))
+  };
+}
+
+// Get the edition's allocation
+router.get('/', requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const [allocation, reviewSettings] = await Promise.all([
+      getAllocation(req.edition.id),
+      getReviewSettings(req.edition.id)
+    ]);
+    const scoped = scopeAllocation(req.admin, allocation);
+
+    res.json({
+      success: true,
+      data: isBlinded(req.admin, reviewSettings) ? blindAllocation(scoped) : scoped
+    });
+
+  } catch (error) {
+    console.error('Get allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch allocation'
+    });
+  }
+});
+
+// Set seats per committee and position
+// Body: { capacities: { [committee]: { [position]: count } } }
+router.put('/capacities', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const { capacities } = req.body;
+    const capacityError = validateCapacities(capacities, await getConferenceConfig(req.edition.id));
+
+    if (capacityError) {
+      return res.status(400).json({
+        success: false,
+        message: capacityError
+      });
+    }
+
+    const allocation = await getAllocation(req.edition.id);
+
+    await setDocument(COLLECTIONS.ALLOCATIONS, req.edition.id, {
+      ...allocation,
+      capacities,
+      state: ALLOCATION_STATES.DRAFT,
+      unfilledSlots: summarizeSlots(capacities, allocation.assignments || [])
+    });
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.ALLOCATION_UPDATE,
+      changes: { capacities: { from: allocation.capacities, to: capacities } },
+      details: { edition: req.edition.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Capacities saved. Run the allocation again to apply them.'
+    });
+
+  } catch (error) {
+    console.error('Update capacities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save capacities'
+    });
+  }
+});
+
+// Propose a new allocation, keeping locked seats
+// Body: { statuses: [...] } to limit which applicants are considered
+router.post('/run', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const allocation = await getAllocation(req.edition.id);
+    const statuses = req.body.statuses || allocation.eligibleStatuses || DEFAULT_ELIGIBLE_STATUSES;
+
+    if (!Array.isArray(statuses) || statuses.length === 0 || !statuses.every(isValidStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Statuses must be a list of: ${Object.values(STATUSES).join(', ')}`
+      });
+    }
+
+    const applicants = await getEligibleApplicants(req.edition.id, statuses);
+    const locks = (allocation.assignments || []).filter(assignment => assignment.locked);
+    const result = runAllocation({ applicants, capacities: allocation.capacities, locks });
+
+    const updated = {
+      ...allocation,
+      ...result,
+      eligibleStatuses: statuses,
+      state: ALLOCATION_STATES.DRAFT,
+      generatedAt: new Date().toISOString(),
+      generatedBy: req.admin.username
+    };
+    await setDocument(COLLECTIONS.ALLOCATIONS, req.edition.id, updated);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.ALLOCATION_RUN,
+      registrationIds: result.assignments.map(assignment => assignment.registrationId),
+      details: {
+        edition: req.edition.id,
+        applicants: applicants.length,
+        assigned: result.assignments.length,
+        locked: locks.length,
+        unfilledSeats: result.unfilledSlots.reduce((sum, slot) => sum + slot.open, 0),
+        conflicts: result.conflicts.length
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Allocated ${result.assignments.length} of ${applicants.length} applicants`,
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Run allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run allocation'
+    });
+  }
+});
+
+// Replace the assignments by hand (move, remove, lock or unlock seats)
+// Body: { assignments: [{ committee, position, registrationId, locked }] }
+router.put('/assignments', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const { assignments } = req.body;
+    const allocation = await getAllocation(req.edition.id);
+    const applicants = await getEligibleApplicants(req.edition.id, allocation.eligibleStatuses || DEFAULT_ELIGIBLE_STATUSES);
+    const applicantsById = new Map(applicants.map(applicant => [applicant.id, applicant]));
+
+    const assignmentError = validateAssignments(assignments, allocation.capacities, new Set(applicantsById.keys()));
+
+    if (assignmentError) {
+      return res.status(400).json({
+        success: false,
+        message: assignmentError
+      });
+    }
+
+    const nextAssignments = assignments.map(({ committee, position, registrationId, locked }) => {
+      const applicant = applicantsById.get(registrationId);
+      const rank = applicantPreferences(applicant)
+        .findIndex(pref => pref.committee === committee && pref.position === position);
+      return {
+        committee,
+        position,
+        registrationId,
+        name: applicant.name,
+        score: applicant.score,
+        preferenceRank: rank >= 0 ? rank + 1 : null,
+        locked: Boolean(locked)
+      };
+    });
+    const assignedIds = new Set(nextAssignments.map(assignment => assignment.registrationId));
+
+    // Seats placed outside an applicant's own preferences are worth a second look
+    const conflicts = nextAssignments
+      .filter(assignment => assignment.preferenceRank === null)
+      .map(assignment => ({
+        type: 'not_preferred',
+        committee: assignment.committee,
+        position: assignment.position,
+        registrationIds: [assignment.registrationId],
+        message: `${assignment.name} did not apply for ${assignment.committee} ${assignment.position}`
+      }));
+
+    const updated = {
+      ...allocation,
+      assignments: nextAssignments,
+      unassigned: describeUnassigned(applicants, assignedIds, allocation.capacities),
+      unfilledSlots: summarizeSlots(allocation.capacities, nextAssignments),
+      conflicts,
+      state: ALLOCATION_STATES.DRAFT
+    };
+    await setDocument(COLLECTIONS.ALLOCATIONS, req.edition.id, updated);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.ALLOCATION_UPDATE,
+      registrationIds: Array.from(assignedIds),
+      changes: {
+        assignments: {
+          from: (allocation.assignments || []).map(({ committee, position, registrationId, locked }) =>
+            ({ committee, position, registrationId, locked })),
+          to: nextAssignments.map(({ committee, position, registrationId, locked }) =>
+            ({ committee, position, registrationId, locked }))
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Allocation updated successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Update allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update allocation'
+    });
+  }
+});
+
+// Publish the allocation onto each registration
+router.post('/publish', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const allocation = await getAllocation(req.edition.id);
+    const assignments = allocation.assignments || [];
+
+    if (assignments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no assignments to publish'
+      });
+    }
+
+    const publishedAt = new Date().toISOString();
+    const assignmentsById = new Map(assignments.map(assignment => [assignment.registrationId, assignment]));
+    const registrations = (await getCollection(COLLECTIONS.REGISTRATIONS)).filter(inEdition(req.edition.id));
+    const auditChanges = {};
+    const keptSeats = [];
+
+    for (const registration of registrations) {
+      // Seats filled from the waitlist were not set by the allocation, so it does not clear or move them
+      if (registration.allocatedCommittee && !registration.allocationPublishedAt) {
+        keptSeats.push(registration.id);
+        continue;
+      }
+
+      // Applicants who declined or let their offer lapse gave the seat up, so it is not handed back
+      const assignment = getRegistrationStatus(registration) === STATUSES.DECLINED
+        ? null
+        : assignmentsById.get(registration.id);
+      const before = {
+        committee: registration.allocatedCommittee || null,
+        position: registration.allocatedPosition || null
+      };
+      const after = {
+        committee: assignment ? assignment.committee : null,
+        position: assignment ? assignment.position : null
+      };
+
+      if (before.committee === after.committee && before.position === after.position) continue;
+
+      await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, {
+        allocatedCommittee: after.committee,
+        allocatedPosition: after.position,
+        allocationPublishedAt: assignment ? publishedAt : null
+      });
+      auditChanges[registration.id] = { allocation: { from: before, to: after } };
+    }
+
+    await setDocument(COLLECTIONS.ALLOCATIONS, req.edition.id, {
+      ...allocation,
+      state: ALLOCATION_STATES.PUBLISHED,
+      publishedAt,
+      publishedBy: req.admin.username
+    });
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.ALLOCATION_PUBLISH,
+      registrationIds: Object.keys(auditChanges),
+      changes: auditChanges,
+      details: { edition: req.edition.id, assigned: assignments.length, keptSeats }
+    });
+
+    res.json({
+      success: true,
+      message: `Published ${assignments.length} assignments` +
+        (keptSeats.length > 0 ? `; kept ${keptSeats.length} seats filled from the waitlist` : '')
+    });
+
+  } catch (error) {
+    console.error('Publish allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish allocation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { getDocument, updateDocument, COLLECTIONS } = require('../utils/repository');
+const {
+  normalizeUsername,
+  verifyPassword,
+  toPublicAdmin,
+  createSession,
+  destroySession,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticateAdmin
+} = require('../utils/auth');
+
+const router = express.Router();
+
+// Slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 login attempts per windowMs
+  message: {
+    success: false,
+    message: 'Too many login attempts, please try again later.'
+  }
+});
+
+// Log in and start an admin session
+router.post('/login', loginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required'
+      });
+    }
+
+    const user = await getDocument(COLLECTIONS.ADMIN_USERS, normalizeUsername(username));
+    const valid = user && user.active !== false && await verifyPassword(password, user.passwordHash);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    const { token, expiresAt } = await createSession(user);
+    setSessionCookie(res, token);
+
+    await updateDocument(COLLECTIONS.ADMIN_USERS, user.id, {
+      lastLoginAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        admin: toPublicAdmin(user),
+        token,
+        expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in'
+    });
+  }
+});
+
+// End the current admin session
+router.post('/logout', async (req, res) => {
+  try {
+    await destroySession(req);
+    clearSessionCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out'
+    });
+  }
+});
+
+// Get the currently logged in admin
+router.get('/me', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: req.admin
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  getCollection,
+  getDocument,
+  queryDocuments,
+  updateDocument,
+  updateDocumentIf,
+  COLLECTIONS
+} = require('../utils/repository');
+const { getRegistrationCommittees } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { STATUSES, getRegistrationStatus, buildTransition } = require('../utils/statusPipeline');
+const { createTransport, renderTemplate, fromAddress } = require('../utils/mailer');
+const { registrationEdition, inEdition, editionForRegistration } = require('../utils/editions');
+const {
+  INTERVIEW_ELIGIBLE_STATUSES,
+  hashBookingToken,
+  bookingUrl,
+  getBookedIds,
+  isSlotBookable,
+  formatSlotTime,
+  buildInterviewInvite
+} = require('../utils/interviews');
+
+const router = express.Router();
+
+// Booking links are public, so keep token guessing slow
+const bookingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    success: false,
+    message: 'Too many booking requests, please try again later.'
+  }
+});
+
+router.use(bookingLimiter);
+
+async function findRegistrationByToken(token) {
+  if (!token) return null;
+  const [registration] = await queryDocuments(COLLECTIONS.REGISTRATIONS, [
+    { field: 'interviewTokenHash', operator: '==', value: hashBookingToken(token) }
+  ]);
+  return registration || null;
+}
+
+// What an applicant may see of a slot
+function toPublicSlot(slot) {
+  return {
+    id: slot.id,
+    committee: slot.committee,
+    panel: slot.panel,
+    startsAt: slot.startsAt,
+    endsAt: slot.endsAt,
+    location: slot.location,
+    seatsLeft: Math.max((slot.capacity || 1) - getBookedIds(slot).length, 0)
+  };
+}
+
+// Get the applicant's booking and the slots they can pick
+router.get('/booking', async (req, res) => {
+  try {
+    const registration = await findRegistrationByToken(req.query.token);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'This booking link is invalid or has been replaced by a newer one'
+      });
+    }
+
+    if (!INTERVIEW_ELIGIBLE_STATUSES.includes(getRegistrationStatus(registration))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Interview booking is closed for this application'
+      });
+    }
+
+    const committees = getRegistrationCommittees(registration);
+    const slots = await getCollection(COLLECTIONS.INTERVIEW_SLOTS, 'startsAt', 'asc');
+    const current = slots.find(slot => slot.id === registration.interviewSlotId);
+
+    res.json({
+      success: true,
+      data: {
+        name: registration.name,
+        booking: current ? toPublicSlot(current) : null,
+        slots: slots
+          .filter(inEdition(registrationEdition(registration)))
+          .filter(slot => committees.includes(slot.committee))
+          .filter(slot => slot.id !== registration.interviewSlotId && isSlotBookable(slot, registration.id))
+          .map(toPublicSlot)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load booking'
+    });
+  }
+});
+
+// Book or reschedule an interview slot
+// Body: { token, slotId }
+router.post('/booking', async (req, res) => {
+  try {
+    const { token, slotId } = req.body;
+    const registration = await findRegistrationByToken(token);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'This booking link is invalid or has been replaced by a newer one'
+      });
+    }
+
+    const status = getRegistrationStatus(registration);
+    if (!INTERVIEW_ELIGIBLE_STATUSES.includes(status)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Interview booking is closed for this application'
+      });
+    }
+
+    const slot = slotId ? await getDocument(COLLECTIONS.INTERVIEW_SLOTS, slotId) : null;
+
+    if (!slot || !inEdition(registrationEdition(registration))(slot) ||
+        !getRegistrationCommittees(registration).includes(slot.committee)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview slot not found'
+      });
+    }
+
+    if (registration.interviewSlotId === slot.id) {
+      return res.json({
+        success: true,
+        message: 'You are already booked into this slot',
+        data: { booking: toPublicSlot(slot) }
+      });
+    }
+
+    // The capacity check and the booking are one write, so two applicants
+    // cannot both take the last seat
+    const booked = await updateDocumentIf(COLLECTIONS.INTERVIEW_SLOTS, slot.id, current => (
+      current && isSlotBookable(current, registration.id)
+        ? { bookedRegistrationIds: [...getBookedIds(current).filter(id => id !== registration.id), registration.id] }
+        : null
+    ));
+
+    if (!booked) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available. Please pick another one.'
+      });
+    }
+
+    const bookedSlot = { ...slot, ...booked };
+
+    // Free the previous slot when rescheduling, without dropping anyone who booked it meanwhile
+    if (registration.interviewSlotId) {
+      await updateDocumentIf(COLLECTIONS.INTERVIEW_SLOTS, registration.interviewSlotId, current => (
+        current ? { bookedRegistrationIds: getBookedIds(current).filter(id => id !== registration.id) } : null
+      ));
+    }
+
+    const sequence = registration.interviewSlotId ? (registration.interviewInviteSequence || 0) + 1 : 0;
+    const updateData = {
+      interviewSlotId: slot.id,
+      interviewBookedAt: new Date().toISOString(),
+      interviewInviteSequence: sequence
+    };
+
+    // Booking moves a shortlisted applicant on to the interview stage
+    if (status === STATUSES.SHORTLISTED) {
+      const transition = buildTransition(registration, STATUSES.INTERVIEW, { note: 'Interview slot booked' });
+      if (transition.updateData) Object.assign(updateData, transition.updateData);
+    }
+
+    await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, updateData);
+
+    await recordAudit(null, {
+      action: AUDIT_ACTIONS.INTERVIEW_BOOK,
+      registrationIds: [registration.id],
+      changes: {
+        interviewSlotId: { from: registration.interviewSlotId || null, to: slot.id }
+      },
+      details: { committee: slot.committee, startsAt: slot.startsAt }
+    });
+
+    // The booking stands even if the confirmation email fails
+    let emailSent = false;
+    try {
+      const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      const edition = await editionForRegistration(registration);
+      const email = renderTemplate('interview_confirmation', {
+        name: registration.name,
+        slotTime: formatSlotTime(slot),
+        committee: slot.committee,
+        panel: slot.panel || 'Selection panel',
+        location: slot.location || 'To be announced',
+        bookingUrl: bookingUrl(baseUrl, token)
+      }, edition);
+
+      await createTransport().sendMail({
+        from: fromAddress(edition),
+        to: registration.email,
+        subject: email.subject,
+        html: email.html,
+        icalEvent: {
+          filename: 'interview.ics',
+          method: 'REQUEST',
+          content: buildInterviewInvite({
+            registration,
+            slot,
+            edition,
+            sequence,
+            organizerEmail: process.env.SMTP_USER
+          })
+        }
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.error(`Failed to send interview confirmation to ${registration.email}:`, emailError);
+    }
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? 'Interview booked. A calendar invite is on its way to your inbox.'
+        : 'Interview booked. We could not email your calendar invite, so please note the time.',
+      data: { booking: toPublicSlot(bookedSlot), emailSent }
+    });
+
+  } catch (error) {
+    console.error('Book interview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book interview'
+    });
+  }
+});
+
+module.exports = router;
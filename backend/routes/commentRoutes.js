@@ -0,0 +1,257 @@
+const express = require('express');
+const {
+  getDocument,
+  addDocument,
+  updateDocument,
+  deleteDocument,
+  COLLECTIONS
+} = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const { ROLES, requireRole, canAccessRegistration } = require('../utils/permissions');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const { registrationEdition } = require('../utils/editions');
+const {
+  validateCommentBody,
+  getMentionableAdmins,
+  extractMentions,
+  notifyMentions,
+  getRegistrationComments
+} = require('../utils/comments');
+
+// Mounted at /api/admin/registrations/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Load the registration the thread belongs to, checking the admin may see it
+async function loadRegistration(req, res, next) {
+  try {
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, req.params.id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    req.registration = registration;
+    next();
+  } catch (error) {
+    console.error('Load registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registration'
+    });
+  }
+}
+
+router.use(authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), loadRegistration);
+
+// Load one of the registration's comments, checking it was written by this admin
+async function loadOwnComment(req, res) {
+  const comment = await getDocument(COLLECTIONS.COMMENTS, req.params.commentId);
+
+  if (!comment || comment.registrationId !== req.registration.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  if (comment.author !== req.admin.username) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only change your own comments'
+    });
+    return null;
+  }
+
+  return comment;
+}
+
+function baseUrlFor(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Get the registration's comments, oldest first
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getRegistrationComments(req.registration.id)
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments'
+    });
+  }
+});
+
+// Admins who can be @mentioned on this registration
+router.get('/mentionable', async (req, res) => {
+  try {
+    const admins = await getMentionableAdmins(req.registration);
+
+    res.json({
+      success: true,
+      data: admins.map(admin => ({ username: admin.username, name: admin.name }))
+    });
+
+  } catch (error) {
+    console.error('Get mentionable admins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admins'
+    });
+  }
+});
+
+// Add a comment
+// Body: { body } - @username mentions email the mentioned admin
+router.post('/', async (req, res) => {
+  try {
+    const { error, body } = validateCommentBody(req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const admins = await getMentionableAdmins(req.registration);
+    const comment = {
+      registrationId: req.registration.id,
+      edition: registrationEdition(req.registration),
+      author: req.admin.username,
+      authorName: req.admin.name,
+      body,
+      mentions: extractMentions(body, admins),
+      editedAt: null
+    };
+
+    const docRef = await addDocument(COLLECTIONS.COMMENTS, comment);
+    const notified = await notifyMentions(comment, req.registration, admins, {
+      author: req.admin,
+      baseUrl: baseUrlFor(req)
+    });
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.COMMENT_ADD,
+      registrationIds: [req.registration.id],
+      details: { commentId: docRef.id, mentions: comment.mentions, notified }
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment added',
+      data: {
+        comment: await getDocument(COLLECTIONS.COMMENTS, docRef.id),
+        notified
+      }
+    });
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment'
+    });
+  }
+});
+
+// Edit your own comment
+// Body: { body } - only admins newly mentioned by the edit are emailed
+router.put('/:commentId', async (req, res) => {
+  try {
+    const comment = await loadOwnComment(req, res);
+    if (!comment) return;
+
+    const { error, body } = validateCommentBody(req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const admins = await getMentionableAdmins(req.registration);
+    const mentions = extractMentions(body, admins);
+    const updateData = {
+      body,
+      mentions,
+      editedAt: new Date().toISOString()
+    };
+
+    await updateDocument(COLLECTIONS.COMMENTS, comment.id, updateData);
+
+    const newMentions = mentions.filter(username => !(comment.mentions || []).includes(username));
+    const notified = await notifyMentions({ ...comment, ...updateData, mentions: newMentions }, req.registration, admins, {
+      author: req.admin,
+      baseUrl: baseUrlFor(req)
+    });
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.COMMENT_UPDATE,
+      registrationIds: [req.registration.id],
+      changes: diffFields(comment, { body, mentions }),
+      details: { commentId: comment.id, notified }
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment updated',
+      data: {
+        comment: { ...comment, ...updateData },
+        notified
+      }
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment'
+    });
+  }
+});
+
+// Delete your own comment
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const comment = await loadOwnComment(req, res);
+    if (!comment) return;
+
+    await deleteDocument(COLLECTIONS.COMMENTS, comment.id);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.COMMENT_DELETE,
+      registrationIds: [req.registration.id],
+      changes: diffFields(comment, { body: null }),
+      details: { commentId: comment.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const { authenticateAdmin } = require('../utils/auth');
+const { ROLES, requireRole } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { getConferenceConfig, saveConferenceConfig } = require('../utils/conferenceConfig');
+const { getApplicationQuestions, saveApplicationQuestions } = require('../utils/applicationQuestions');
+const { getRubric, saveRubric } = require('../utils/scoring');
+const {
+  listEditions,
+  getEdition,
+  getCurrentEdition,
+  setCurrentEdition,
+  saveEdition,
+  validateEdition,
+  normalizeEdition
+} = require('../utils/editions');
+
+const router = express.Router();
+
+router.use(authenticateAdmin);
+
+// Get every edition and which one is taking applications
+router.get('/', async (req, res) => {
+  try {
+    const [editions, current] = await Promise.all([listEditions(), getCurrentEdition()]);
+
+    res.json({
+      success: true,
+      data: {
+        editions,
+        currentEditionId: current.id
+      }
+    });
+
+  } catch (error) {
+    console.error('Get editions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch editions'
+    });
+  }
+});
+
+// Create an edition, starting from another edition's committees, positions, years, questions and rubric
+// Body: { id, name, year, copyFrom } (copyFrom defaults to the current edition)
+router.post('/', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const editionError = validateEdition(req.body, await listEditions());
+
+    if (editionError) {
+      return res.status(400).json({
+        success: false,
+        message: editionError
+      });
+    }
+
+    const source = req.body.copyFrom ? await getEdition(req.body.copyFrom) : await getCurrentEdition();
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown edition: ${req.body.copyFrom}`
+      });
+    }
+
+    const edition = normalizeEdition(req.body);
+    await saveEdition(edition);
+    await saveConferenceConfig(edition.id, await getConferenceConfig(source.id));
+    await saveApplicationQuestions(edition.id, await getApplicationQuestions(source.id));
+    await saveRubric(edition.id, await getRubric(source.id));
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.EDITION_CREATE,
+      details: { ...edition, copiedFrom: source.id }
+    });
+
+    res.json({
+      success: true,
+      message: `Edition ${edition.name} created`,
+      data: edition
+    });
+
+  } catch (error) {
+    console.error('Create edition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create edition'
+    });
+  }
+});
+
+// Make an edition the one new applications are filed under
+// Body: { editionId }
+router.put('/current', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const edition = await getEdition(req.body.editionId);
+
+    if (!edition) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown edition: ${req.body.editionId}`
+      });
+    }
+
+    const previous = await getCurrentEdition();
+    await setCurrentEdition(edition.id);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.EDITION_ACTIVATE,
+      changes: { currentEditionId: { from: previous.id, to: edition.id } }
+    });
+
+    res.json({
+      success: true,
+      message: `${edition.name} is now taking applications`,
+      data: edition
+    });
+
+  } catch (error) {
+    console.error('Set current edition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to switch the current edition'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const storage = require('../utils/storage');
+
+const router = express.Router();
+
+// Serve a file from local storage through a signed, expiring link
+router.get('/', (req, res) => {
+  if (storage.name !== 'local') {
+    return res.status(404).json({
+      success: false,
+      message: 'API endpoint not found'
+    });
+  }
+
+  const { key, expires, signature } = req.query;
+  const filePath = storage.resolveSignedPath(key, expires, signature);
+
+  if (!filePath) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -1,176 +1,171 @@
 const express = require('express');
-const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const { addDocument } = require('../utils/firebase');
-const { uploadToS3 } = require('../utils/s3Uploader');
+const { addDocument, COLLECTIONS } = require('../utils/repository');
+const { findExistingApplications } = require('../utils/duplicates');
+const { initialStatusFields } = require('../utils/statusPipeline');
+const {
+  getApplicationWindow,
+  describeApplicationWindow,
+  checkSubmissionWindow
+} = require('../utils/applicationWindow');
+const { getConferenceConfig, committeeCodes, yearValues } = require('../utils/conferenceConfig');
+const { getCurrentEdition } = require('../utils/editions');
+const { getApplicationQuestions, parseAnswers, validateAnswers } = require('../utils/applicationQuestions');
+const {
+  REFEREE_POSITIONS,
+  MAX_REFEREES,
+  parseReferees,
+  validateReferees,
+  requestRecommendations
+} = require('../utils/recommendations');
+const {
+  uploadRegistrationFiles,
+  findMissingField,
+  parsePreferences,
+  validatePreferences,
+  validateYear,
+  buildApplicationFields,
+  storeUploadedFiles
+} = require('../utils/registrationForm');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-
-const fileFilter = (req, file, cb) => {
-    // Check file type
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF files are allowed'), false);
-    }
-};
-
-const upload = multer({
-    storage: storage,
-    fileFilter: fileFilter,
-    limits: {
-        fileSize: 3 * 1024 * 1024, // 3MB max file size
-        files: 3 // Maximum 3 files
-    }
-});
-
 // Handle form submission with file uploads
-router.post('/', upload.fields([
-  { name: 'idCard', maxCount: 1 },
-  { name: 'munCertificates', maxCount: 1 },
-  { name: 'chairingResume', maxCount: 1 }
-]), async (req, res) => {
+router.post('/', uploadRegistrationFiles, async (req, res) => {
   try {
-        console.log('Form submission received');
-        console.log('Files:', req.files);
-        console.log('Body:', req.body);
+    console.log('Form submission received');
+    console.log('Files:', req.files);
+    console.log('Body:', req.body);
+
+    // Applications are filed under the current edition
+    const edition = await getCurrentEdition();
+
+    // Reject submissions outside the application window
+    const [applicationWindow, config, questions] = await Promise.all([
+      getApplicationWindow(edition.id),
+      getConferenceConfig(edition.id),
+      getApplicationQuestions(edition.id)
+    ]);
+    const windowError = checkSubmissionWindow(applicationWindow, config, []);
+    if (windowError) {
+      return res.status(403).json({
+        success: false,
+        message: windowError
+      });
+    }
 
     // Validate required fields
-        const requiredFields = ['name', 'email', 'phone', 'college', 'department', 'year'];
-        for (const field of requiredFields) {
-            if (!req.body[field]) {
+    const missingField = findMissingField(req.body);
+    if (missingField) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required field: ${missingField}`
+      });
+    }
+
+    const yearError = validateYear(req.body.year, config);
+    if (yearError) {
       return res.status(400).json({
         success: false,
-                    message: `Missing required field: ${field}`
+        message: yearError
       });
-            }
     }
 
-        // Validate required file
+    // Reject repeat applications to this edition from the same email or phone number
+    const existingApplications = await findExistingApplications({
+      email: req.body.email,
+      phone: req.body.phone,
+      editionId: edition.id
+    });
+
+    if (existingApplications.length > 0) {
+      const reason = existingApplications[0].duplicateReason === 'email' ? 'email address' : 'phone number';
+      return res.status(409).json({
+        success: false,
+        message: `An application with this ${reason} already exists`
+      });
+    }
+
+    // Validate required file
     if (!req.files || !req.files.idCard) {
       return res.status(400).json({
         success: false,
-                message: 'ID Card is required'
-            });
-        }
-
-        // Parse checkbox values
-        let committees = [];
-        let positions = [];
-
-        try {
-            if (req.body.committees) {
-      committees = JSON.parse(req.body.committees);
-            }
-            if (req.body.positions) {
-      positions = JSON.parse(req.body.positions);
-            }
-    } catch (error) {
-            console.error('Error parsing checkbox values:', error);
-            committees = req.body.committees ? [req.body.committees] : [];
-            positions = req.body.positions ? [req.body.positions] : [];
-        }
-
-        // Validate checkbox selections
-    if (!Array.isArray(committees) || committees.length === 0) {
+        message: 'ID Card is required'
+      });
+    }
+
+    // Parse and validate checkbox values
+    const { committees, positions } = parsePreferences(req.body);
+    const preferenceError = validatePreferences(committees, positions, config);
+    if (preferenceError) {
       return res.status(400).json({
         success: false,
-        message: 'Please select at least one committee preference'
+        message: preferenceError
+      });
+    }
+
+    // Positions can close before the rest of the form
+    const positionWindowError = checkSubmissionWindow(applicationWindow, config, positions);
+    if (positionWindowError) {
+      return res.status(403).json({
+        success: false,
+        message: positionWindowError
       });
     }
 
-    if (!Array.isArray(positions) || positions.length === 0) {
+    // Answer the questions attached to the chosen committees and positions
+    const { error: answerError, answers } = validateAnswers(questions, parseAnswers(req.body), committees, positions);
+    if (answerError) {
       return res.status(400).json({
         success: false,
-        message: 'Please select at least one position preference'
+        message: answerError
       });
     }
 
-        // Upload files to S3
-        const fileUrls = {};
-        const uploadPromises = [];
-
-        // Upload ID Card
-        if (req.files.idCard) {
-            const idCardFile = req.files.idCard[0];
-            const idCardKey = `id-cards/${uuidv4()}-${idCardFile.originalname}`;
-            uploadPromises.push(
-                uploadToS3(idCardFile.buffer, idCardKey, idCardFile.mimetype)
-                    .then(url => { fileUrls.idCardUrl = url; })
-                    .catch(error => {
-                        console.error('Error uploading ID card:', error);
-                        throw new Error('Failed to upload ID card');
-                    })
-            );
-        }
-
-        // Upload MUN Certificates (optional)
-        if (req.files.munCertificates) {
-            const certFile = req.files.munCertificates[0];
-            const certKey = `certificates/${uuidv4()}-${certFile.originalname}`;
-            uploadPromises.push(
-                uploadToS3(certFile.buffer, certKey, certFile.mimetype)
-                    .then(url => { fileUrls.munCertificatesUrl = url; })
-                    .catch(error => {
-                        console.error('Error uploading MUN certificates:', error);
-                        // Don't fail the entire submission for optional files
-                    })
-            );
-        }
-
-        // Upload Chairing Resume (optional)
-        if (req.files.chairingResume) {
-            const resumeFile = req.files.chairingResume[0];
-            const resumeKey = `resumes/${uuidv4()}-${resumeFile.originalname}`;
-            uploadPromises.push(
-                uploadToS3(resumeFile.buffer, resumeKey, resumeFile.mimetype)
-                    .then(url => { fileUrls.chairingResumeUrl = url; })
-                    .catch(error => {
-                        console.error('Error uploading chairing resume:', error);
-                        // Don't fail the entire submission for optional files
-                    })
-            );
-        }
-
-        // Wait for all file uploads to complete
-        await Promise.all(uploadPromises);
-
-        // Prepare data for Firestore
-        const formData = {
-            name: req.body.name,
-            email: req.body.email,
-            phone: req.body.phone,
-            college: req.body.college,
-            department: req.body.department,
-      year: req.body.year,
-            munsParticipated: parseInt(req.body.munsParticipated) || 0,
-            munsWithAwards: parseInt(req.body.munsWithAwards) || 0,
-      organizingExperience: req.body.organizingExperience,
-            munsChaired: parseInt(req.body.munsChaired) || 0,
-      committees: committees,
-      positions: positions,
-            idCardUrl: fileUrls.idCardUrl,
-            munCertificatesUrl: fileUrls.munCertificatesUrl || null,
-            chairingResumeUrl: fileUrls.chairingResumeUrl || null,
-            submittedAt: new Date().toISOString()
-        };
-
-        console.log('Saving to Firestore:', formData);
-
-        // Save to Firestore
-        const docRef = await addDocument('registrations', formData);
-
-        console.log('Document saved with ID:', docRef.id);
-
-        res.json({
+    // Chairperson candidates name referees from a previous MUN secretariat
+    const { error: refereeError, referees } = validateReferees(parseReferees(req.body), {
+      positions,
+      applicantEmail: req.body.email
+    });
+    if (refereeError) {
+      return res.status(400).json({
+        success: false,
+        message: refereeError
+      });
+    }
+
+    // Upload files to storage
+    const fileUrls = await storeUploadedFiles(req.files);
+
+    // Prepare data for Firestore
+    const formData = {
+      ...buildApplicationFields(req.body, committees, positions),
+      edition: edition.id,
+      answers,
+      idCardUrl: fileUrls.idCardUrl,
+      munCertificatesUrl: fileUrls.munCertificatesUrl || null,
+      chairingResumeUrl: fileUrls.chairingResumeUrl || null,
+      submittedAt: new Date().toISOString()
+    };
+    Object.assign(formData, initialStatusFields(formData.submittedAt));
+
+    console.log('Saving to Firestore:', formData);
+
+    // Save to Firestore
+    const docRef = await addDocument(COLLECTIONS.REGISTRATIONS, formData);
+
+    console.log('Document saved with ID:', docRef.id);
+
+    // Email each referee their recommendation link; a failed email is logged and can be resent
+    await requestRecommendations({ ...formData, id: docRef.id }, referees, {
+      baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`
+    });
+
+    res.json({
       success: true,
-            message: 'Application submitted successfully!',
+      message: 'Application submitted successfully!',
       data: {
-                id: docRef.id,
-                submittedAt: formData.submittedAt
+        id: docRef.id,
+        submittedAt: formData.submittedAt
       }
     });
 
@@ -179,66 +174,126 @@ router.post('/', upload.fields([
 
     res.status(500).json({
       success: false,
-            message: error.message || 'Failed to submit application'
+      message: error.message || 'Failed to submit application'
+    });
+  }
+});
+
+// Get when applications open and close (for the form and landing page)
+router.get('/window', async (req, res) => {
+  try {
+    const edition = await getCurrentEdition();
+    const [applicationWindow, config] = await Promise.all([
+      getApplicationWindow(edition.id),
+      getConferenceConfig(edition.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: describeApplicationWindow(applicationWindow, config)
+    });
+
+  } catch (error) {
+    console.error('Get application window error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch application window'
+    });
+  }
+});
+
+// Get the current edition with its committees, positions, year options,
+// committee/position questions and referee rules (for the form and landing page)
+router.get('/conference', async (req, res) => {
+  try {
+    const edition = await getCurrentEdition();
+    const [config, questions] = await Promise.all([
+      getConferenceConfig(edition.id),
+      getApplicationQuestions(edition.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...config,
+        questions,
+        referees: { positions: REFEREE_POSITIONS, max: MAX_REFEREES },
+        edition
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conference configuration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conference configuration'
     });
   }
 });
 
 // Get form validation rules (for frontend)
-router.get('/validation-rules', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      requiredFields: [
-        'name', 'email', 'phone', 'college', 'department', 'year',
-        'munsParticipated', 'munsWithAwards', 'organizingExperience', 'munsChaired',
-        'committees', 'positions', 'idCard'
-      ],
-      fileUpload: {
-        maxSize: {
-          idCard: '2MB',
-          munCertificates: '2MB',
-          chairingResume: '3MB'
+router.get('/validation-rules', async (req, res) => {
+  try {
+    const config = await getConferenceConfig((await getCurrentEdition()).id);
+
+    res.json({
+      success: true,
+      data: {
+        requiredFields: [
+          'name', 'email', 'phone', 'college', 'department', 'year',
+          'munsParticipated', 'munsWithAwards', 'organizingExperience', 'munsChaired',
+          'committees', 'positions', 'idCard'
+        ],
+        fileUpload: {
+          maxSize: {
+            idCard: '2MB',
+            munCertificates: '2MB',
+            chairingResume: '3MB'
+          },
+          allowedTypes: ['application/pdf'],
+          required: ['idCard'],
+          optional: ['munCertificates', 'chairingResume']
         },
-        allowedTypes: ['application/pdf'],
-        required: ['idCard'],
-        optional: ['munCertificates', 'chairingResume']
-      },
-      committees: [
-        'UNSC', 'UNODC', 'LOK SABHA', 'CCC', 'IPC', 'DISEC'
-      ],
-      positions: [
-        'Chairperson', 'Vice-Chairperson', 'Director'
-      ],
-      yearOptions: ['1', '2', '3', '4', '5']
-    }
-  });
+        committees: committeeCodes(config),
+        positions: config.positions,
+        yearOptions: yearValues(config)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get validation rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch validation rules'
+    });
+  }
 });
 
-// Check if email already exists
+// Check if an application already exists for an email and/or phone number
 router.post('/check-email', async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, phone } = req.body;
     
-    if (!email) {
+    if (!email && !phone) {
       return res.status(400).json({
         success: false,
-        message: 'Email is required'
+        message: 'Email or phone is required'
       });
     }
 
-    // Query Firestore for existing email
-    const { firestoreHelpers, COLLECTIONS } = require('../utils/firebase');
-    const existingRegistrations = await firestoreHelpers.queryDocuments(
-      COLLECTIONS.REGISTRATIONS,
-      [{ field: 'email', operator: '==', value: email.toLowerCase() }]
-    );
+    const existingRegistrations = await findExistingApplications({
+      email,
+      phone,
+      editionId: (await getCurrentEdition()).id
+    });
+    const exists = existingRegistrations.length > 0;
 
     res.json({
       success: true,
-      exists: existingRegistrations.length > 0,
-      message: existingRegistrations.length > 0 
-        ? 'An application with this email already exists' 
+      exists,
+      matchedOn: exists ? existingRegistrations[0].duplicateReason : null,
+      message: exists 
+        ? 'An application with these details already exists' 
         : 'Email is available'
     });
 
@@ -0,0 +1,305 @@
+const express = require('express');
+const {
+  addDocument,
+  getCollection,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  COLLECTIONS
+} = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const { getConferenceConfig, committeeCodes } = require('../utils/conferenceConfig');
+const { selectEdition, inEdition } = require('../utils/editions');
+const {
+  ROLES,
+  requireRole,
+  getScopedCommittees,
+  canAccessRegistration,
+  filterRegistrationsForAdmin
+} = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { getRegistrationStatus } = require('../utils/statusPipeline');
+const { getReviewSettings, isBlinded, candidateCode } = require('../utils/blindReview');
+const { createTransport, renderTemplate, fromAddress } = require('../utils/mailer');
+const {
+  INTERVIEW_ELIGIBLE_STATUSES,
+  createBookingToken,
+  bookingUrl,
+  validateSlot,
+  getBookedIds
+} = require('../utils/interviews');
+
+const router = express.Router();
+
+router.use(authenticateAdmin, selectEdition);
+
+function canManageCommittee(admin, committee) {
+  const scope = getScopedCommittees(admin);
+  return !scope || scope.includes(committee);
+}
+
+// Get the edition's interview schedule, plus eligible applicants who have not booked yet
+router.get('/slots', requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { committee } = req.query;
+
+    const [slots, registrations, reviewSettings] = await Promise.all([
+      getCollection(COLLECTIONS.INTERVIEW_SLOTS, 'startsAt', 'asc'),
+      getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc'),
+      getReviewSettings(req.edition.id)
+    ]);
+    const registrationsById = new Map(registrations.map(reg => [reg.id, reg]));
+    // Blinded admins see candidate codes, as in the registrations table
+    const blinded = isBlinded(req.admin, reviewSettings);
+
+    const schedule = slots
+      .filter(inEdition(req.edition.id))
+      .filter(slot => canManageCommittee(req.admin, slot.committee))
+      .filter(slot => !committee || slot.committee === committee)
+      .map(slot => ({
+        ...slot,
+        bookings: getBookedIds(slot).map(id => {
+          const registration = registrationsById.get(id);
+          return {
+            registrationId: id,
+            name: registration ? (blinded ? candidateCode(id) : registration.name) : 'Deleted registration',
+            email: registration && !blinded ? registration.email : null,
+            status: registration ? getRegistrationStatus(registration) : null
+          };
+        })
+      }));
+
+    const unbooked = filterRegistrationsForAdmin(req.admin, registrations.filter(inEdition(req.edition.id)))
+      .filter(reg => INTERVIEW_ELIGIBLE_STATUSES.includes(getRegistrationStatus(reg)))
+      .filter(reg => !reg.interviewSlotId)
+      .map(reg => ({
+        registrationId: reg.id,
+        name: blinded ? candidateCode(reg.id) : reg.name,
+        email: blinded ? null : reg.email,
+        committees: reg.committees,
+        invitedAt: reg.interviewInvitedAt || null
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        slots: schedule,
+        unbooked
+      }
+    });
+
+  } catch (error) {
+    console.error('Get interview slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch interview slots'
+    });
+  }
+});
+
+// Create an interview slot
+// Body: { committee, panel, startsAt, endsAt, capacity, location }
+router.post('/slots', requireRole(ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { committee, panel, startsAt, endsAt, capacity = 1, location } = req.body;
+
+    const config = await getConferenceConfig(req.edition.id);
+    const slotError = validateSlot({ committee, startsAt, endsAt, capacity }, committeeCodes(config));
+    if (slotError) {
+      return res.status(400).json({
+        success: false,
+        message: slotError
+      });
+    }
+
+    if (!canManageCommittee(req.admin, committee)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This committee is outside your committees'
+      });
+    }
+
+    const slot = {
+      edition: req.edition.id,
+      committee,
+      panel: panel || '',
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(endsAt).toISOString(),
+      capacity: Number(capacity),
+      location: location || '',
+      bookedRegistrationIds: [],
+      createdBy: req.admin.username
+    };
+    const { id } = await addDocument(COLLECTIONS.INTERVIEW_SLOTS, slot);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.INTERVIEW_SLOT_CREATE,
+      details: { slotId: id, edition: req.edition.id, committee, startsAt: slot.startsAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Interview slot created successfully',
+      data: { id, ...slot }
+    });
+
+  } catch (error) {
+    console.error('Create interview slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create interview slot'
+    });
+  }
+});
+
+// Delete an interview slot that nobody has booked
+router.delete('/slots/:id', requireRole(ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const slot = await getDocument(COLLECTIONS.INTERVIEW_SLOTS, id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Interview slot not found'
+      });
+    }
+
+    if (!canManageCommittee(req.admin, slot.committee)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This committee is outside your committees'
+      });
+    }
+
+    if (getBookedIds(slot).length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot has bookings. Ask the applicants to reschedule first.'
+      });
+    }
+
+    await deleteDocument(COLLECTIONS.INTERVIEW_SLOTS, id);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.INTERVIEW_SLOT_DELETE,
+      details: { slotId: id, committee: slot.committee, startsAt: slot.startsAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Interview slot deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete interview slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete interview slot'
+    });
+  }
+});
+
+// Email booking links to shortlisted applicants
+// Body: { registrationIds, smtpProvider }. Without IDs, everyone eligible in the edition who has not booked is invited.
+// Each invitation issues a fresh link, so earlier links stop working.
+router.post('/invitations', requireRole(ROLES.COMMITTEE_HEAD, ROLES.MAILER), async (req, res) => {
+  try {
+    const { registrationIds, smtpProvider = 'gmail' } = req.body;
+
+    let registrations;
+    if (Array.isArray(registrationIds) && registrationIds.length > 0) {
+      registrations = (await Promise.all(
+        registrationIds.map(id => getDocument(COLLECTIONS.REGISTRATIONS, id))
+      )).filter(Boolean);
+    } else {
+      registrations = (await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc'))
+        .filter(reg => !reg.interviewSlotId);
+    }
+
+    registrations = registrations
+      .filter(inEdition(req.edition.id))
+      .filter(reg => canAccessRegistration(req.admin, reg))
+      .filter(reg => INTERVIEW_ELIGIBLE_STATUSES.includes(getRegistrationStatus(reg)));
+
+    if (registrations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No shortlisted applicants to invite'
+      });
+    }
+
+    const transporter = createTransport(smtpProvider);
+
+    try {
+      await transporter.verify();
+    } catch (verifyError) {
+      console.error('SMTP verification failed:', verifyError);
+      return res.status(500).json({
+        success: false,
+        message: `Email configuration error for ${smtpProvider}. Please check SMTP settings.`
+      });
+    }
+
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const blinded = isBlinded(req.admin, await getReviewSettings(req.edition.id));
+    const results = { sent: 0, failed: 0, errors: [] };
+    const invitedIds = [];
+
+    for (const registration of registrations) {
+      try {
+        const { token, tokenHash } = createBookingToken();
+        const email = renderTemplate('interview_invitation', {
+          name: registration.name,
+          bookingUrl: bookingUrl(baseUrl, token)
+        }, req.edition);
+
+        await transporter.sendMail({
+          from: fromAddress(req.edition),
+          to: registration.email,
+          subject: email.subject,
+          html: email.html
+        });
+
+        // Only replace the stored token once the new link is in the applicant's inbox
+        await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, {
+          interviewTokenHash: tokenHash,
+          interviewInvitedAt: new Date().toISOString()
+        });
+        invitedIds.push(registration.id);
+        results.sent++;
+
+      } catch (emailError) {
+        console.error(`Failed to send interview invitation to ${registration.email}:`, emailError);
+        results.failed++;
+        results.errors.push(`${blinded ? candidateCode(registration.id) : registration.email}: ${emailError.message}`);
+      }
+    }
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.MAIL_INTERVIEW_INVITE,
+      registrationIds: invitedIds,
+      recipientCount: registrations.length,
+      details: {
+        smtpProvider,
+        sent: results.sent,
+        failed: results.failed
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Interview invitations sent. Sent: ${results.sent}, Failed: ${results.failed}`,
+      results
+    });
+
+  } catch (error) {
+    console.error('Send interview invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send interview invitations'
+    });
+  }
+});
+
+module.exports = router;
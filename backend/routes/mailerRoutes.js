@@ -1,123 +1,21 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
-const { getCollection, getDocument, COLLECTIONS } = require('../utils/firebase');
+const { getCollection, getDocument, COLLECTIONS } = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const { ROLES, requireRole } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { selectEdition, inEdition, editionForRegistration } = require('../utils/editions');
+const {
+  emailTemplates,
+  smtpConfigs,
+  createTransport,
+  renderTemplate,
+  fromAddress
+} = require('../utils/mailer');
 
 const router = express.Router();
 
-// Email templates
-const emailTemplates = {
-  welcome: {
-    subject: 'Welcome to KMUN\'25 Executive Board Recruitment',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
-          <h1 style="margin: 0; font-size: 28px;">KMUN'25</h1>
-          <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Recruitment</p>
-        </div>
-        <div style="padding: 30px; background: #ffffff;">
-          <h2 style="color: #172d9d; margin-bottom: 20px;">Welcome {{name}}!</h2>
-          <p style="line-height: 1.6; color: #333;">Thank you for your interest in joining the KMUN'25 Executive Board. We have received your application and our team will review it carefully.</p>
-          <p style="line-height: 1.6; color: #333;">We will get back to you soon with updates on your application status.</p>
-          <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #172d9d; margin-top: 0;">Application Summary:</h3>
-            <ul style="color: #666;">
-              <li>Committee Preferences: {{committees}}</li>
-              <li>Position Preferences: {{positions}}</li>
-              <li>Submitted: {{submittedAt}}</li>
-            </ul>
-          </div>
-          <p style="line-height: 1.6; color: #333;">Best regards,<br>KMUN'25 Organizing Team</p>
-        </div>
-      </div>
-    `
-  },
-  
-  status_update: {
-    subject: 'KMUN\'25 Application Status Update',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
-          <h1 style="margin: 0; font-size: 28px;">KMUN'25</h1>
-          <p style="margin: 10px 0 0 0; font-size: 16px;">Application Status Update</p>
-        </div>
-        <div style="padding: 30px; background: #ffffff;">
-          <h2 style="color: #172d9d; margin-bottom: 20px;">Hello {{name}},</h2>
-          <p style="line-height: 1.6; color: #333;">We have an update regarding your KMUN'25 Executive Board application.</p>
-          <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <p style="font-size: 16px; color: #172d9d; font-weight: bold; margin: 0;">{{message}}</p>
-          </div>
-          <p style="line-height: 1.6; color: #333;">If you have any questions, please don't hesitate to contact us.</p>
-          <p style="line-height: 1.6; color: #333;">Best regards,<br>KMUN'25 Organizing Team</p>
-        </div>
-      </div>
-    `
-  },
-
-  custom: {
-    subject: '{{subject}}',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
-          <h1 style="margin: 0; font-size: 28px;">KMUN'25</h1>
-          <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Recruitment</p>
-        </div>
-        <div style="padding: 30px; background: #ffffff;">
-          {{message}}
-        </div>
-      </div>
-    `
-  }
-};
-
-// SMTP configurations
-const smtpConfigs = {
-  gmail: {
-    host: process.env.SMTP_HOST_GMAIL,
-    port: process.env.SMTP_PORT_GMAIL,
-    secure: false,
-    auth: {
-      user: process.env.SMTP_USER_GMAIL,
-      pass: process.env.SMTP_PASS_GMAIL
-    }
-  },
-  outlook: {
-    host: process.env.SMTP_HOST_OUTLOOK,
-    port: process.env.SMTP_PORT_OUTLOOK,
-    secure: false,
-    auth: {
-      user: process.env.SMTP_USER_OUTLOOK,
-      pass: process.env.SMTP_PASS_OUTLOOK
-    }
-  }
-};
-
-// Middleware for admin authentication - removed as requested
-const authenticateAdmin = (req, res, next) => {
-  // Authentication removed - allow direct access
-  next();
-};
-
-// Create transporter
-function createTransport(provider = 'gmail') {
-  const config = smtpConfigs[provider];
-  if (!config) {
-    throw new Error(`Unsupported email provider: ${provider}`);
-  } 
-  return nodemailer.createTransport(config);
-}
-
-// Template replacement function
-function replaceTemplateVariables(template, variables) {
-  let result = template;
-  for (const [key, value] of Object.entries(variables)) {
-    const regex = new RegExp(`{{${key}}}`, 'g');
-    result = result.replace(regex, value || '');
-  }
-  return result;
-}
-
 // Send email to individual or multiple recipients
-router.post('/send-mail', authenticateAdmin, async (req, res) => {
+router.post('/send-mail', authenticateAdmin, requireRole(ROLES.MAILER), selectEdition, async (req, res) => {
   try {
     const {
       recipients,
@@ -169,10 +67,13 @@ router.post('/send-mail', authenticateAdmin, async (req, res) => {
     
     console.log('Parsed recipients:', recipientsArray);
     
+    // Group recipients come from the selected edition's registrations
+    const editionRegistrations = (await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc'))
+      .filter(inEdition(req.edition.id));
+
     if (recipientsArray.includes('all')) {
       // Get all registrant emails
-      const registrations = await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc');
-      recipientEmails = registrations.map(reg => reg.email);
+      recipientEmails = editionRegistrations.map(reg => reg.email);
     } else {
       // Check if it's a single email (not a committee code)
       const isSingleEmail = recipientsArray.length === 1 && recipientsArray[0].includes('@');
@@ -181,12 +82,10 @@ router.post('/send-mail', authenticateAdmin, async (req, res) => {
         // Single email recipient
         recipientEmails = recipientsArray;
       } else {
-        // Handle committee-specific recipients
-        const registrations = await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc');
-        
+        // Handle committee-specific recipients (committee codes from the conference configuration)
         recipientsArray.forEach(committee => {
-          const committeeRegistrations = registrations.filter(reg => 
-            Array.isArray(reg.committees) && reg.committees.includes(committee.toUpperCase())
+          const committeeRegistrations = editionRegistrations.filter(reg => 
+            Array.isArray(reg.committees) && reg.committees.includes(committee)
           );
           recipientEmails.push(...committeeRegistrations.map(reg => reg.email));
         });
@@ -214,21 +113,21 @@ router.post('/send-mail', authenticateAdmin, async (req, res) => {
       });
     }
 
-    // Prepare email template
-    const emailTemplate = emailTemplates[template] || emailTemplates.custom;
-    
     const results = {
       sent: 0,
       failed: 0,
       errors: []
     };
+    const recipientRegistrationIds = [];
 
     // Send emails
     for (const email of recipientEmails) {
       try {
         // Get registration data for personalization
-        const registrations = await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc');
-        const registration = registrations.find(reg => reg.email === email);
+        const registration = editionRegistrations.find(reg => reg.email === email);
+        if (registration) {
+          recipientRegistrationIds.push(registration.id);
+        }
         
         const templateVariables = {
           name: registration?.name || 'Applicant',
@@ -250,16 +149,15 @@ router.post('/send-mail', authenticateAdmin, async (req, res) => {
             : 'N/A'
         };
 
-        const emailSubject = replaceTemplateVariables(emailTemplate.subject, templateVariables);
-        const emailHtml = replaceTemplateVariables(emailTemplate.html, templateVariables);
+        const rendered = renderTemplate(template, templateVariables, req.edition);
 
         const mailOptions = {
-          from: `"KMUN'25 Team" <${process.env.SMTP_USER}>`,
+          from: fromAddress(req.edition),
           to: email,
           cc: cc.length > 0 ? cc : undefined,
           bcc: bcc.length > 0 ? bcc : undefined,
-          subject: emailSubject,
-          html: emailHtml
+          subject: rendered.subject,
+          html: rendered.html
         };
 
         await transporter.sendMail(mailOptions);
@@ -272,6 +170,21 @@ router.post('/send-mail', authenticateAdmin, async (req, res) => {
       }
     }
 
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.MAIL_SEND,
+      registrationIds: recipientRegistrationIds,
+      recipientCount: recipientEmails.length,
+      details: {
+        edition: req.edition.id,
+        recipients: recipientsArray,
+        subject,
+        template,
+        smtpProvider,
+        sent: results.sent,
+        failed: results.failed
+      }
+    });
+
     res.json({
       success: true,
       message: `Email sending completed. Sent: ${results.sent}, Failed: ${results.failed}`,
@@ -288,7 +201,7 @@ router.post('/send-mail', authenticateAdmin, async (req, res) => {
 });
 
 // Send welcome emails to new registrations
-router.post('/send-welcome', authenticateAdmin, async (req, res) => {
+router.post('/send-welcome', authenticateAdmin, requireRole(ROLES.MAILER), selectEdition, async (req, res) => {
   try {
     const { registrationIds } = req.body;
 
@@ -323,14 +236,15 @@ router.post('/send-welcome', authenticateAdmin, async (req, res) => {
           submittedAt: new Date(registration.submittedAt).toLocaleDateString()
         };
 
-        const emailSubject = replaceTemplateVariables(emailTemplates.welcome.subject, templateVariables);
-        const emailHtml = replaceTemplateVariables(emailTemplates.welcome.html, templateVariables);
+        // Welcome emails carry the branding of the edition applied to
+        const edition = await editionForRegistration(registration);
+        const rendered = renderTemplate('welcome', templateVariables, edition);
 
         const mailOptions = {
-          from: `"KMUN'25 Team" <${process.env.SMTP_USER}>`,
+          from: fromAddress(edition),
           to: registration.email,
-          subject: emailSubject,
-          html: emailHtml
+          subject: rendered.subject,
+          html: rendered.html
         };
 
         await transporter.sendMail(mailOptions);
@@ -343,6 +257,16 @@ router.post('/send-welcome', authenticateAdmin, async (req, res) => {
       }
     }
 
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.MAIL_WELCOME,
+      registrationIds,
+      recipientCount: registrationIds.length,
+      details: {
+        sent: results.sent,
+        failed: results.failed
+      }
+    });
+
     res.json({
       success: true,
       message: `Welcome emails sent. Sent: ${results.sent}, Failed: ${results.failed}`,
@@ -359,7 +283,7 @@ router.post('/send-welcome', authenticateAdmin, async (req, res) => {
 });
 
 // Get email templates
-router.get('/templates', authenticateAdmin, (req, res) => {
+router.get('/templates', authenticateAdmin, requireRole(ROLES.MAILER), (req, res) => {
   res.json({
     success: true,
     data: {
@@ -370,7 +294,7 @@ router.get('/templates', authenticateAdmin, (req, res) => {
 });
 
 // Test email configuration
-router.post('/test-smtp', authenticateAdmin, async (req, res) => {
+router.post('/test-smtp', authenticateAdmin, requireRole(ROLES.MAILER), selectEdition, async (req, res) => {
   try {
     const { provider = 'custom', testEmail } = req.body;
 
@@ -388,9 +312,9 @@ router.post('/test-smtp', authenticateAdmin, async (req, res) => {
 
     // Send test email
     const mailOptions = {
-      from: `"KMUN'25 Team" <${process.env.SMTP_USER}>`,
+      from: fromAddress(req.edition),
       to: testEmail,
-      subject: 'KMUN\'25 Email Configuration Test',
+      subject: `${req.edition.name} Email Configuration Test`,
       html: `
         <div style="font-family: Arial, sans-serif; padding: 20px;">
           <h2 style="color: #172d9d;">Email Configuration Test</h2>
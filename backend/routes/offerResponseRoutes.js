@@ -0,0 +1,183 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { queryDocuments, COLLECTIONS } = require('../utils/repository');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { toApplicantActor } = require('../utils/applicantAuth');
+const { registrationEdition } = require('../utils/editions');
+const {
+  OFFER_STATES,
+  hashOfferToken,
+  isOfferExpired,
+  promoteFromWaitlist,
+  closeOffer,
+  acceptOffer,
+  expireOffer
+} = require('../utils/offers');
+
+const router = express.Router();
+
+// Offer links are public, so keep token guessing slow
+const offerLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  }
+});
+
+router.use(offerLimiter);
+
+const RESPONSES = {
+  accept: OFFER_STATES.ACCEPTED,
+  decline: OFFER_STATES.DECLINED
+};
+
+function publicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Find the offer behind a link, lapsing it first if its deadline has passed
+async function findOfferByToken(req, token) {
+  if (!token) return null;
+  const [registration] = await queryDocuments(COLLECTIONS.REGISTRATIONS, [
+    { field: 'offerTokenHash', operator: '==', value: hashOfferToken(token) }
+  ]);
+  if (!registration) return null;
+
+  if (isOfferExpired(registration)) {
+    // Whoever expires it first passes the seat on; the link shows it as expired either way
+    await expireOffer(registration, { baseUrl: publicBaseUrl(req) });
+    return { ...registration, offerStatus: OFFER_STATES.EXPIRED };
+  }
+  return registration;
+}
+
+// What an applicant may see of their offer
+function toPublicOffer(registration) {
+  return {
+    name: registration.name,
+    committee: registration.offerCommittee,
+    position: registration.offerPosition,
+    status: registration.offerStatus,
+    expiresAt: registration.offerExpiresAt,
+    respondedAt: registration.offerRespondedAt || null
+  };
+}
+
+// Get the offer for a link
+router.get('/', async (req, res) => {
+  try {
+    const registration = await findOfferByToken(req, req.query.token);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'This offer link is invalid or has been replaced by a newer one'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicOffer(registration)
+    });
+
+  } catch (error) {
+    console.error('Get offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load offer'
+    });
+  }
+});
+
+// Accept or decline an offer
+// Body: { token, response: 'accept' | 'decline' }
+router.post('/respond', async (req, res) => {
+  try {
+    const { token, response } = req.body;
+
+    if (!RESPONSES[response]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Response must be accept or decline'
+      });
+    }
+
+    const registration = await findOfferByToken(req, token);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'This offer link is invalid or has been replaced by a newer one'
+      });
+    }
+
+    if (registration.offerStatus === OFFER_STATES.EXPIRED) {
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired. Please contact the organizing team.'
+      });
+    }
+
+    if (registration.offerStatus !== OFFER_STATES.PENDING) {
+      return res.status(409).json({
+        success: false,
+        message: `You have already ${registration.offerStatus} this offer`
+      });
+    }
+
+    // The answer is only written while the offer is still pending, so a response racing
+    // the expiry sweep or a second click cannot both land. Declining gives the seat up.
+    const offerStatus = RESPONSES[response];
+    const offerRespondedAt = new Date().toISOString();
+    const recorded = offerStatus === OFFER_STATES.ACCEPTED
+      ? await acceptOffer(registration, { respondedAt: offerRespondedAt })
+      : await closeOffer(registration, OFFER_STATES.DECLINED, { respondedAt: offerRespondedAt });
+
+    if (!recorded) {
+      return res.status(409).json({
+        success: false,
+        message: 'This offer was answered or expired in the meantime'
+      });
+    }
+
+    const changes = { offerStatus: { from: OFFER_STATES.PENDING, to: offerStatus } };
+    if (recorded.status) {
+      changes.status = { from: registration.status, to: recorded.status };
+    }
+
+    await recordAudit(toApplicantActor(registration), {
+      action: AUDIT_ACTIONS.OFFER_RESPOND,
+      registrationIds: [registration.id],
+      changes,
+      details: { committee: registration.offerCommittee, position: registration.offerPosition }
+    });
+
+    // A declined seat goes straight to the next waitlisted candidate
+    if (offerStatus === OFFER_STATES.DECLINED) {
+      await promoteFromWaitlist(
+        { committee: registration.offerCommittee, position: registration.offerPosition },
+        registrationEdition(registration),
+        { baseUrl: publicBaseUrl(req), reason: 'declined' }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: offerStatus === OFFER_STATES.ACCEPTED
+        ? 'Welcome to the Executive Board! Your acceptance has been recorded.'
+        : 'Your response has been recorded. Thank you for letting us know.',
+      data: toPublicOffer({ ...registration, offerStatus, offerRespondedAt })
+    });
+
+  } catch (error) {
+    console.error('Offer response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record your response'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const { getDocument, queryDocuments, COLLECTIONS } = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const {
+  ROLES,
+  requireRole,
+  canAccessRegistration,
+  filterRegistrationsForAdmin
+} = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { OFFER_STATES, sendOffer } = require('../utils/offers');
+const { selectEdition, inEdition } = require('../utils/editions');
+const { getReviewSettings, isBlinded, candidateCode } = require('../utils/blindReview');
+
+const router = express.Router();
+
+router.use(authenticateAdmin, selectEdition);
+
+// Get every offer sent in the edition, newest first
+router.get('/', requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const [registrations, reviewSettings] = await Promise.all([
+      queryDocuments(COLLECTIONS.REGISTRATIONS, [
+        { field: 'offerStatus', operator: 'in', value: Object.values(OFFER_STATES) }
+      ]),
+      getReviewSettings(req.edition.id)
+    ]);
+    const blinded = isBlinded(req.admin, reviewSettings);
+
+    const offers = filterRegistrationsForAdmin(req.admin, registrations.filter(inEdition(req.edition.id)))
+      .map(reg => ({
+        registrationId: reg.id,
+        name: blinded ? candidateCode(reg.id) : reg.name,
+        email: blinded ? null : reg.email,
+        committee: reg.offerCommittee,
+        position: reg.offerPosition,
+        status: reg.offerStatus,
+        sentAt: reg.offerSentAt,
+        expiresAt: reg.offerExpiresAt,
+        respondedAt: reg.offerRespondedAt || null
+      }))
+      .sort((a, b) => (a.sentAt < b.sentAt ? 1 : -1));
+
+    res.json({
+      success: true,
+      data: offers
+    });
+
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offers'
+    });
+  }
+});
+
+// Email a pending offer again with a fresh link and deadline
+router.post('/:id/resend', requireRole(ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, req.params.id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    if (registration.offerStatus !== OFFER_STATES.PENDING) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending offers can be resent'
+      });
+    }
+
+    const offer = await sendOffer(registration, {
+      baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`,
+      seat: { committee: registration.offerCommittee, position: registration.offerPosition }
+    });
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.OFFER_SEND,
+      registrationIds: [registration.id],
+      changes: { offerExpiresAt: { from: registration.offerExpiresAt, to: offer.offerExpiresAt } },
+      details: { resend: true, emailSent: offer.emailSent }
+    });
+
+    res.json({
+      success: true,
+      message: offer.emailSent
+        ? 'Offer resent with a new deadline'
+        : 'Offer renewed, but the email could not be sent',
+      data: {
+        offerStatus: offer.offerStatus,
+        offerExpiresAt: offer.offerExpiresAt,
+        emailSent: offer.emailSent
+      }
+    });
+
+  } catch (error) {
+    console.error('Resend offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend offer'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,418 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { updateDocument, COLLECTIONS } = require('../utils/repository');
+const {
+  SIGNED_URL_TTL_SECONDS,
+  deleteFromS3,
+  getSignedDownloadUrl,
+  getKeyFromUrl
+} = require('../utils/s3Uploader');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const { normalizeEmail, findExistingApplications } = require('../utils/duplicates');
+const { STATUS_LABELS, getRegistrationStatus } = require('../utils/statusPipeline');
+const { createTransport, renderTemplate, fromAddress } = require('../utils/mailer');
+const {
+  UPLOAD_FIELDS,
+  uploadRegistrationFiles,
+  findMissingField,
+  parsePreferences,
+  validatePreferences,
+  validateYear,
+  buildApplicationFields,
+  storeUploadedFiles
+} = require('../utils/registrationForm');
+const { getConferenceConfig } = require('../utils/conferenceConfig');
+const { getApplicationWindow, checkSubmissionWindow } = require('../utils/applicationWindow');
+const { getCurrentEdition, registrationEdition } = require('../utils/editions');
+const { getApplicationQuestions, parseAnswers, validateAnswers } = require('../utils/applicationQuestions');
+const {
+  requiresReferees,
+  parseReferees,
+  validateReferees,
+  requestRecommendations,
+  getRegistrationRecommendations
+} = require('../utils/recommendations');
+const {
+  PORTAL_LINK_TTL_MINUTES,
+  portalUrl,
+  createPortalLink,
+  redeemPortalLink,
+  createApplicantSession,
+  destroyApplicantSession,
+  setApplicantSessionCookie,
+  clearApplicantSessionCookie,
+  authenticateApplicant,
+  getEditDeadline,
+  isEditingOpen,
+  toApplicantActor
+} = require('../utils/applicantAuth');
+
+const router = express.Router();
+
+// Sign-in links are emailed and redeemed without a password, so keep both slow
+const signInLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many sign-in attempts, please try again later.'
+  }
+});
+
+// Fields an applicant may change; email identifies the application and stays fixed
+const EDITABLE_FIELDS = [
+  'name', 'phone', 'college', 'department', 'year',
+  'munsParticipated', 'munsWithAwards', 'organizingExperience', 'munsChaired'
+];
+
+// Stored preferences may be arrays or JSON strings from older submissions
+function preferenceInput(value) {
+  return Array.isArray(value) ? JSON.stringify(value) : value;
+}
+
+// What an applicant may see of their own registration
+async function toApplicantView(registration) {
+  const status = getRegistrationStatus(registration);
+  const deadline = await getEditDeadline(registrationEdition(registration));
+
+  const documents = await Promise.all(Object.entries(UPLOAD_FIELDS).map(async ([field, config]) => {
+    const key = registration[config.urlField] ? getKeyFromUrl(registration[config.urlField]) : null;
+    return {
+      field,
+      label: config.label,
+      uploaded: Boolean(key),
+      url: key ? await getSignedDownloadUrl(key) : null
+    };
+  }));
+
+  // Applicants see whether each referee has replied, not what they wrote
+  const referees = (await getRegistrationRecommendations(registration.id)).map(recommendation => ({
+    name: recommendation.refereeName,
+    organization: recommendation.refereeOrganization,
+    status: recommendation.status
+  }));
+
+  return {
+    id: registration.id,
+    name: registration.name,
+    email: registration.email,
+    phone: registration.phone,
+    college: registration.college,
+    department: registration.department,
+    year: registration.year,
+    munsParticipated: registration.munsParticipated,
+    munsWithAwards: registration.munsWithAwards,
+    organizingExperience: registration.organizingExperience,
+    munsChaired: registration.munsChaired,
+    committees: registration.committees,
+    positions: registration.positions,
+    answers: registration.answers || {},
+    submittedAt: registration.submittedAt,
+    updatedAt: registration.applicantUpdatedAt || null,
+    status,
+    statusLabel: STATUS_LABELS[status] || status,
+    documents,
+    referees,
+    documentLinksExpireAt: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString(),
+    editable: isEditingOpen(deadline),
+    editDeadline: deadline ? deadline.toISOString() : null
+  };
+}
+
+// Email a one-time sign-in link
+// Body: { email }. The reply never says whether the email matched an application.
+router.post('/request-link', signInLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Applicants sign in to their application for the current edition
+    const edition = await getCurrentEdition();
+    const [registration] = await findExistingApplications({ email, editionId: edition.id });
+
+    if (registration) {
+      try {
+        const token = await createPortalLink(registration);
+        const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+        const message = renderTemplate('portal_link', {
+          name: registration.name,
+          portalUrl: portalUrl(baseUrl, token),
+          expiresInMinutes: PORTAL_LINK_TTL_MINUTES
+        }, edition);
+
+        await createTransport().sendMail({
+          from: fromAddress(edition),
+          to: registration.email,
+          subject: message.subject,
+          html: message.html
+        });
+      } catch (emailError) {
+        console.error(`Failed to send portal link to ${registration.email}:`, emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an application exists for this email, a sign-in link is on its way.'
+    });
+
+  } catch (error) {
+    console.error('Request portal link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send sign-in link'
+    });
+  }
+});
+
+// Exchange a sign-in link token for an applicant session
+// Body: { token }
+router.post('/session', signInLimiter, async (req, res) => {
+  try {
+    const registration = await redeemPortalLink(req.body.token);
+
+    if (!registration) {
+      return res.status(401).json({
+        success: false,
+        message: 'This sign-in link is invalid, expired or already used. Please request a new one.'
+      });
+    }
+
+    const { token, expiresAt } = await createApplicantSession(registration);
+    setApplicantSessionCookie(res, token);
+
+    res.json({
+      success: true,
+      message: 'Signed in successfully',
+      data: { expiresAt }
+    });
+
+  } catch (error) {
+    console.error('Portal sign-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign in'
+    });
+  }
+});
+
+// Get the signed-in applicant's application
+router.get('/me', authenticateApplicant, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await toApplicantView(req.registration)
+    });
+
+  } catch (error) {
+    console.error('Get portal application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load your application'
+    });
+  }
+});
+
+// Edit the application and replace documents until the edit deadline
+// Multipart body: any of EDITABLE_FIELDS, committees, positions, answers, idCard, munCertificates, chairingResume
+router.put('/me', authenticateApplicant, uploadRegistrationFiles, async (req, res) => {
+  try {
+    const registration = req.registration;
+
+    if (!isEditingOpen(await getEditDeadline(registrationEdition(registration)))) {
+      return res.status(403).json({
+        success: false,
+        message: 'The deadline for editing applications has passed'
+      });
+    }
+
+    const input = { ...registration };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) input[field] = req.body[field];
+    });
+
+    // Validate required fields
+    const missingField = findMissingField(input);
+    if (missingField) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required field: ${missingField}`
+      });
+    }
+
+    const editionId = registrationEdition(registration);
+    const [config, questions] = await Promise.all([
+      getConferenceConfig(editionId),
+      getApplicationQuestions(editionId)
+    ]);
+
+    // Only a changed year is checked, so a retired option does not block other edits
+    if (String(input.year) !== String(registration.year)) {
+      const yearError = validateYear(input.year, config);
+      if (yearError) {
+        return res.status(400).json({
+          success: false,
+          message: yearError
+        });
+      }
+    }
+
+    const { committees, positions } = parsePreferences({
+      committees: req.body.committees !== undefined ? req.body.committees : preferenceInput(registration.committees),
+      positions: req.body.positions !== undefined ? req.body.positions : preferenceInput(registration.positions)
+    });
+    const preferenceError = validatePreferences(committees, positions, config);
+    if (preferenceError) {
+      return res.status(400).json({
+        success: false,
+        message: preferenceError
+      });
+    }
+
+    // Adding a position is applying for it, so it must be open like on the form.
+    // Positions already applied for stay even once their window has closed.
+    const previousPositions = parsePreferences({ positions: preferenceInput(registration.positions) }).positions;
+    const addedPositions = positions.filter(position => !previousPositions.includes(position));
+    if (addedPositions.length > 0) {
+      const windowError = checkSubmissionWindow(await getApplicationWindow(editionId), config, addedPositions);
+      if (windowError) {
+        return res.status(403).json({
+          success: false,
+          message: windowError
+        });
+      }
+    }
+
+    // Changed preferences can bring new questions into play and retire answered ones
+    const { error: answerError, answers } = validateAnswers(
+      questions,
+      req.body.answers !== undefined ? parseAnswers(req.body) : registration.answers || {},
+      committees,
+      positions
+    );
+    if (answerError) {
+      return res.status(400).json({
+        success: false,
+        message: answerError
+      });
+    }
+
+    // Adding a position that asks for a recommendation needs referees, as on the form.
+    // Applicants who named referees before are not asked again.
+    let referees = [];
+    const namedReferees = parseReferees(req.body);
+    if (requiresReferees(positions) && (requiresReferees(addedPositions) || namedReferees.length > 0) &&
+        (await getRegistrationRecommendations(registration.id)).length === 0) {
+      const refereeResult = validateReferees(namedReferees, { positions, applicantEmail: input.email });
+      if (refereeResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: refereeResult.error
+        });
+      }
+      referees = refereeResult.referees;
+    }
+
+    // A new phone number must not collide with another application to this edition
+    const phoneMatches = (await findExistingApplications({ phone: input.phone, editionId }))
+      .filter(match => match.id !== registration.id);
+    if (phoneMatches.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'An application with this phone number already exists'
+      });
+    }
+
+    const fields = buildApplicationFields(input, committees, positions);
+    // Applications from before questions existed only gain answers once there are some
+    if (registration.answers || Object.keys(answers).length > 0) {
+      fields.answers = answers;
+    }
+    // Applicants replacing a document hear which upload failed
+    let fileUrls;
+    try {
+      fileUrls = await storeUploadedFiles(req.files, { strict: true });
+    } catch (uploadError) {
+      return res.status(502).json({
+        success: false,
+        message: `${uploadError.message}. Please try again.`
+      });
+    }
+    const changes = diffFields(registration, { ...fields, ...fileUrls });
+
+    if (Object.keys(changes).length === 0 && referees.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes to save',
+        data: await toApplicantView(registration)
+      });
+    }
+
+    const updateData = {};
+    Object.keys(changes).forEach(field => {
+      updateData[field] = changes[field].to;
+    });
+    updateData.applicantUpdatedAt = new Date().toISOString();
+
+    await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, updateData);
+
+    // Replaced documents are removed once the registration points at the new ones
+    await Promise.all(Object.keys(fileUrls).map(async (field) => {
+      const key = registration[field] ? getKeyFromUrl(registration[field]) : null;
+      if (!key) return;
+      try {
+        await deleteFromS3(key);
+      } catch (error) {
+        console.error('Error deleting replaced file:', error);
+      }
+    }));
+
+    // Email each new referee their recommendation link; a failed email is logged and can be resent
+    await requestRecommendations({ ...registration, ...updateData }, referees, {
+      baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`
+    });
+
+    await recordAudit(toApplicantActor(registration), {
+      action: AUDIT_ACTIONS.APPLICANT_UPDATE,
+      registrationIds: [registration.id],
+      changes,
+      details: referees.length > 0 ? { refereesNamed: referees.length } : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Your application has been updated',
+      data: await toApplicantView({ ...registration, ...updateData })
+    });
+
+  } catch (error) {
+    console.error('Update portal application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update your application'
+    });
+  }
+});
+
+// Sign out of the portal
+router.post('/logout', async (req, res) => {
+  try {
+    await destroyApplicantSession(req);
+  } catch (error) {
+    console.error('Portal logout error:', error);
+  }
+
+  clearApplicantSessionCookie(res);
+  res.json({
+    success: true,
+    message: 'Signed out successfully'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const {
+  getCollection,
+  getDocument,
+  updateDocument,
+  COLLECTIONS
+} = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const { ROLES, requireRole, canAccessRegistration } = require('../utils/permissions');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const { registrationEdition } = require('../utils/editions');
+const { getReviewSettings, viewRegistrationAs } = require('../utils/blindReview');
+const {
+  validateCollege,
+  validateConflictNote,
+  declaredConflicts,
+  recuseFromScoring
+} = require('../utils/conflicts');
+
+// Mounted at /api/admin/profile - the signed-in admin's conflict-of-interest profile
+const router = express.Router();
+
+router.use(authenticateAdmin, requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD));
+
+// Withdraw the admin's scores on registrations they now have a conflict with, and log it
+async function withdrawConflictedScores(admin, registrations) {
+  const recused = await recuseFromScoring(admin, registrations);
+
+  if (recused.length > 0) {
+    await recordAudit(admin, {
+      action: AUDIT_ACTIONS.SCORE_RECUSE,
+      registrationIds: recused
+    });
+  }
+
+  return recused;
+}
+
+// The admin's college and declared conflicts, each labelled with the applicant
+// as the admin may see them
+async function describeProfile(admin) {
+  const reviewSettings = new Map();
+  const conflicts = [];
+
+  for (const conflict of declaredConflicts(admin)) {
+    const registration = await getDocument(COLLECTIONS.REGISTRATIONS, conflict.registrationId);
+    let applicant = null;
+
+    if (registration) {
+      const edition = registrationEdition(registration);
+      if (!reviewSettings.has(edition)) reviewSettings.set(edition, await getReviewSettings(edition));
+      const view = viewRegistrationAs(admin, reviewSettings.get(edition), registration);
+      applicant = view.identityHidden ? view.candidateCode : view.name;
+    }
+
+    conflicts.push({ ...conflict, applicant });
+  }
+
+  return { college: admin.college, conflicts };
+}
+
+// Get your profile
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await describeProfile(req.admin)
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile'
+    });
+  }
+});
+
+// Set your college; registrations from it are flagged as conflicts
+// Body: { college }
+router.put('/', async (req, res) => {
+  try {
+    const { error, college } = validateCollege(req.body.college);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await updateDocument(COLLECTIONS.ADMIN_USERS, req.admin.username, { college });
+
+    const admin = { ...req.admin, college };
+    const registrations = await getCollection(COLLECTIONS.REGISTRATIONS);
+    const recused = await withdrawConflictedScores(admin, registrations);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.PROFILE_UPDATE,
+      changes: diffFields(req.admin, { college })
+    });
+
+    res.json({
+      success: true,
+      message: recused.length > 0
+        ? `Profile updated. Your scores for ${recused.length} conflicted registration${recused.length === 1 ? '' : 's'} were withdrawn`
+        : 'Profile updated successfully',
+      data: await describeProfile(admin)
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+// Declare a conflict with an applicant you know
+// Body: { registrationId, note }
+router.post('/conflicts', async (req, res) => {
+  try {
+    const { registrationId } = req.body;
+    const registration = registrationId ? await getDocument(COLLECTIONS.REGISTRATIONS, String(registrationId)) : null;
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    const { error, note } = validateConflictNote(req.body.note);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const existing = declaredConflicts(req.admin);
+    if (existing.some(conflict => conflict.registrationId === registration.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already declared a conflict with this applicant'
+      });
+    }
+
+    const conflicts = [...existing, {
+      registrationId: registration.id,
+      note,
+      declaredAt: new Date().toISOString()
+    }];
+    await updateDocument(COLLECTIONS.ADMIN_USERS, req.admin.username, { conflicts });
+
+    const admin = { ...req.admin, conflicts };
+    await withdrawConflictedScores(admin, [registration]);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.CONFLICT_DECLARE,
+      registrationIds: [registration.id],
+      details: { note }
+    });
+
+    res.json({
+      success: true,
+      message: 'Conflict declared. You are recused from scoring this applicant',
+      data: await describeProfile(admin)
+    });
+
+  } catch (error) {
+    console.error('Declare conflict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to declare conflict'
+    });
+  }
+});
+
+// Withdraw a declared conflict. Scores withdrawn when it was declared are not restored.
+router.delete('/conflicts/:registrationId', async (req, res) => {
+  try {
+    const existing = declaredConflicts(req.admin);
+    const conflict = existing.find(entry => entry.registrationId === req.params.registrationId);
+
+    if (!conflict) {
+      return res.status(404).json({
+        success: false,
+        message: 'No conflict declared with this applicant'
+      });
+    }
+
+    const conflicts = existing.filter(entry => entry !== conflict);
+    await updateDocument(COLLECTIONS.ADMIN_USERS, req.admin.username, { conflicts });
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.CONFLICT_WITHDRAW,
+      registrationIds: [conflict.registrationId],
+      details: { note: conflict.note }
+    });
+
+    res.json({
+      success: true,
+      message: 'Conflict withdrawn',
+      data: await describeProfile({ ...req.admin, conflicts })
+    });
+
+  } catch (error) {
+    console.error('Withdraw conflict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw conflict'
+    });
+  }
+});
+
+module.exports = router;
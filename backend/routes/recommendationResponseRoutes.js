@@ -0,0 +1,136 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { getDocument, updateDocument, COLLECTIONS } = require('../utils/repository');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { editionForRegistration } = require('../utils/editions');
+const {
+  RECOMMENDATION_STATES,
+  ENDORSEMENTS,
+  findRecommendationByToken,
+  validateRecommendation,
+  toRefereeActor
+} = require('../utils/recommendations');
+
+const router = express.Router();
+
+// Recommendation links are public, so keep token guessing slow
+const recommendationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  }
+});
+
+router.use(recommendationLimiter);
+
+// Find the request behind a link along with the applicant it is for
+async function findRequest(token) {
+  const recommendation = await findRecommendationByToken(token);
+  if (!recommendation) return null;
+
+  const registration = await getDocument(COLLECTIONS.REGISTRATIONS, recommendation.registrationId);
+  return registration ? { recommendation, registration } : null;
+}
+
+// What a referee may see of the request
+async function toPublicRequest(recommendation, registration) {
+  const edition = await editionForRegistration(registration);
+  return {
+    refereeName: recommendation.refereeName,
+    applicantName: registration.name,
+    positions: registration.positions || [],
+    editionName: edition.name,
+    status: recommendation.status,
+    submittedAt: recommendation.submittedAt || null,
+    endorsements: ENDORSEMENTS
+  };
+}
+
+// Get the recommendation request for a link
+router.get('/', async (req, res) => {
+  try {
+    const request = await findRequest(req.query.token);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'This recommendation link is invalid or has been replaced by a newer one'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await toPublicRequest(request.recommendation, request.registration)
+    });
+
+  } catch (error) {
+    console.error('Get recommendation request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load the recommendation request'
+    });
+  }
+});
+
+// Submit a recommendation
+// Body: { token, relationship, endorsement, recommendation }
+router.post('/submit', async (req, res) => {
+  try {
+    const request = await findRequest(req.body.token);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'This recommendation link is invalid or has been replaced by a newer one'
+      });
+    }
+
+    const { recommendation, registration } = request;
+
+    if (recommendation.status === RECOMMENDATION_STATES.SUBMITTED) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already submitted this recommendation. Thank you!'
+      });
+    }
+
+    const { error, recommendation: fields } = validateRecommendation(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const updateData = {
+      ...fields,
+      status: RECOMMENDATION_STATES.SUBMITTED,
+      submittedAt: new Date().toISOString()
+    };
+    await updateDocument(COLLECTIONS.RECOMMENDATIONS, recommendation.id, updateData);
+
+    await recordAudit(toRefereeActor(recommendation), {
+      action: AUDIT_ACTIONS.RECOMMENDATION_SUBMIT,
+      registrationIds: [registration.id],
+      changes: { recommendationStatus: { from: RECOMMENDATION_STATES.REQUESTED, to: RECOMMENDATION_STATES.SUBMITTED } },
+      details: { recommendationId: recommendation.id, endorsement: fields.endorsement }
+    });
+
+    res.json({
+      success: true,
+      message: 'Thank you! Your recommendation has been sent to the selection panel.',
+      data: await toPublicRequest({ ...recommendation, ...updateData }, registration)
+    });
+
+  } catch (error) {
+    console.error('Submit recommendation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit your recommendation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const { getCollection, getDocument, queryDocuments, COLLECTIONS } = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const {
+  ROLES,
+  requireRole,
+  canAccessRegistration,
+  filterRegistrationsForAdmin
+} = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { selectEdition, inEdition, registrationEdition } = require('../utils/editions');
+const { getReviewSettings, isBlinded, candidateCode, redactRecommendation } = require('../utils/blindReview');
+const {
+  RECOMMENDATION_STATES,
+  ENDORSEMENTS,
+  emailReferee,
+  checkManualReminder,
+  toRecommendationView
+} = require('../utils/recommendations');
+
+const router = express.Router();
+
+router.use(authenticateAdmin, selectEdition);
+
+// Get the edition's referee recommendations, optionally for one registration
+// Query: ?registrationId=
+router.get('/', requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { registrationId } = req.query;
+    const [recommendations, registrations, reviewSettings] = await Promise.all([
+      queryDocuments(COLLECTIONS.RECOMMENDATIONS, [
+        { field: 'edition', operator: '==', value: req.edition.id }
+      ]),
+      getCollection(COLLECTIONS.REGISTRATIONS),
+      getReviewSettings(req.edition.id)
+    ]);
+    const blinded = isBlinded(req.admin, reviewSettings);
+
+    // Only recommendations for registrations the admin can see
+    const visible = new Map(filterRegistrationsForAdmin(req.admin, registrations.filter(inEdition(req.edition.id)))
+      .map(reg => [reg.id, reg]));
+
+    const data = recommendations
+      .filter(recommendation => visible.has(recommendation.registrationId))
+      .filter(recommendation => !registrationId || recommendation.registrationId === registrationId)
+      .map(recommendation => ({
+        ...(blinded ? redactRecommendation(toRecommendationView(recommendation)) : toRecommendationView(recommendation)),
+        endorsementLabel: ENDORSEMENTS[recommendation.endorsement] || null,
+        applicantName: blinded
+          ? candidateCode(recommendation.registrationId)
+          : visible.get(recommendation.registrationId).name
+      }))
+      .sort((a, b) => (a.requestedAt < b.requestedAt ? -1 : 1));
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recommendations'
+    });
+  }
+});
+
+// Email a referee who has not replied again, with a fresh link
+router.post('/:id/remind', requireRole(ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const recommendation = await getDocument(COLLECTIONS.RECOMMENDATIONS, req.params.id);
+    const registration = recommendation && await getDocument(COLLECTIONS.REGISTRATIONS, recommendation.registrationId);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recommendation request not found'
+      });
+    }
+
+    if (!canAccessRegistration(req.admin, registration)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This registration is outside your committees'
+      });
+    }
+
+    if (recommendation.status !== RECOMMENDATION_STATES.REQUESTED) {
+      return res.status(409).json({
+        success: false,
+        message: 'This referee has already submitted their recommendation'
+      });
+    }
+
+    // Referees are not emailed more often than the automatic reminders would
+    const reminderError = checkManualReminder(recommendation);
+    if (reminderError) {
+      return res.status(429).json({
+        success: false,
+        message: reminderError
+      });
+    }
+
+    const emailSent = await emailReferee(recommendation, registration, {
+      baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`,
+      reminder: true
+    });
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.RECOMMENDATION_REMIND,
+      registrationIds: [registration.id],
+      details: { recommendationId: recommendation.id, refereeEmail: recommendation.refereeEmail, emailSent }
+    });
+
+    const blinded = isBlinded(req.admin, await getReviewSettings(registrationEdition(registration)));
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? `Reminder sent to ${blinded ? 'the referee' : recommendation.refereeName}`
+        : 'The reminder email could not be sent',
+      data: { emailSent }
+    });
+
+  } catch (error) {
+    console.error('Remind referee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remind referee'
+    });
+  }
+});
+
+module.exports = router;
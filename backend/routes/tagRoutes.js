@@ -0,0 +1,167 @@
+const express = require('express');
+const { getCollection, getDocument, updateDocument, deleteDocument, COLLECTIONS } = require('../utils/repository');
+const { authenticateAdmin } = require('../utils/auth');
+const { ROLES, requireRole, filterRegistrationsForAdmin } = require('../utils/permissions');
+const { AUDIT_ACTIONS, diffFields, recordAudit } = require('../utils/audit');
+const { selectEdition, inEdition } = require('../utils/editions');
+const {
+  TAG_COLORS,
+  getEditionTags,
+  validateTag,
+  createTag,
+  registrationTagIds,
+  removeTagFromRegistrations
+} = require('../utils/tags');
+
+const router = express.Router();
+
+router.use(authenticateAdmin, selectEdition);
+
+// Load one of the edition's tags, or answer 404
+async function loadTag(req, res) {
+  const tag = await getDocument(COLLECTIONS.TAGS, req.params.tagId);
+
+  if (!tag || tag.edition !== req.edition.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Tag not found'
+    });
+    return null;
+  }
+
+  return tag;
+}
+
+// Get the edition's tags with how many registrations the admin can see carry each
+router.get('/', requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const [tags, registrations] = await Promise.all([
+      getEditionTags(req.edition.id),
+      getCollection(COLLECTIONS.REGISTRATIONS)
+    ]);
+    const visible = filterRegistrationsForAdmin(req.admin, registrations.filter(inEdition(req.edition.id)));
+
+    res.json({
+      success: true,
+      data: tags.map(tag => ({
+        ...tag,
+        count: visible.filter(reg => registrationTagIds(reg).includes(tag.id)).length
+      })),
+      colors: TAG_COLORS
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags'
+    });
+  }
+});
+
+// Create a tag
+// Body: { name, color }
+router.post('/', requireRole(ROLES.REVIEWER, ROLES.COMMITTEE_HEAD), async (req, res) => {
+  try {
+    const { error, tag } = validateTag(req.body, await getEditionTags(req.edition.id));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const created = await createTag(req.edition.id, tag, req.admin);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.TAG_CREATE,
+      details: { edition: req.edition.id, tagId: created.id, name: created.name, color: created.color }
+    });
+
+    res.json({
+      success: true,
+      message: `Tag "${created.name}" created`,
+      data: created
+    });
+
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tag'
+    });
+  }
+});
+
+// Rename or recolor a tag
+// Body: { name, color }
+router.put('/:tagId', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const existing = await loadTag(req, res);
+    if (!existing) return;
+
+    const { error, tag } = validateTag(
+      { name: existing.name, color: existing.color, ...req.body },
+      await getEditionTags(req.edition.id),
+      existing.id
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await updateDocument(COLLECTIONS.TAGS, existing.id, tag);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.TAG_UPDATE,
+      changes: diffFields(existing, tag),
+      details: { edition: req.edition.id, tagId: existing.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag updated',
+      data: { ...existing, ...tag }
+    });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tag'
+    });
+  }
+});
+
+// Delete a tag and remove it from every registration
+router.delete('/:tagId', requireRole(ROLES.SUPER_ADMIN), async (req, res) => {
+  try {
+    const tag = await loadTag(req, res);
+    if (!tag) return;
+
+    const untagged = await removeTagFromRegistrations(tag.id);
+    await deleteDocument(COLLECTIONS.TAGS, tag.id);
+
+    await recordAudit(req.admin, {
+      action: AUDIT_ACTIONS.TAG_DELETE,
+      registrationIds: untagged.map(reg => reg.id),
+      details: { edition: req.edition.id, tagId: tag.id, name: tag.name }
+    });
+
+    res.json({
+      success: true,
+      message: `Tag "${tag.name}" deleted from ${untagged.length} registration${untagged.length === 1 ? '' : 's'}`
+    });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// Normalize contact details on registrations stored before duplicate detection
+// (lowercase email, phoneNormalized) so duplicate checks can find them
+// Usage: npm run backfill-contacts [-- --dry-run]
+require('dotenv').config();
+
+const { getCollection, updateDocument, COLLECTIONS } = require('../utils/repository');
+const { normalizeEmail, normalizePhone } = require('../utils/duplicates');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const registrations = await getCollection(COLLECTIONS.REGISTRATIONS);
+    let updated = 0;
+
+    for (const registration of registrations) {
+        const changes = {};
+        const email = normalizeEmail(registration.email);
+        const phoneNormalized = normalizePhone(registration.phone);
+
+        if (registration.email && registration.email !== email) changes.email = email;
+        if (registration.phoneNormalized !== phoneNormalized) changes.phoneNormalized = phoneNormalized;
+        if (Object.keys(changes).length === 0) continue;
+
+        if (dryRun) {
+            console.log(`Would update ${registration.id}:`, changes);
+        } else {
+            await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, changes);
+        }
+        updated++;
+    }
+
+    console.log(`${dryRun ? 'Dry run complete' : '✅ Backfill complete'}. Registrations: ${updated}`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,62 @@
+// File data stored before editions existed under the first edition: stamp
+// registrations and interview slots, and move the single conference, application
+// window, rubric and allocation documents to that edition's IDs
+// Usage: npm run backfill-editions [-- --dry-run]
+require('dotenv').config();
+
+const { getCollection, getDocument, setDocument, updateDocument, COLLECTIONS } = require('../utils/repository');
+const { DEFAULT_EDITION, editionSettingsId } = require('../utils/editions');
+const { CONFERENCE_SETTINGS_ID } = require('../utils/conferenceConfig');
+const { WINDOW_SETTINGS_ID } = require('../utils/applicationWindow');
+const { RUBRIC_SETTINGS_ID } = require('../utils/scoring');
+
+// [collection, legacy document ID, edition document ID]
+const LEGACY_DOCUMENTS = [
+    [COLLECTIONS.SETTINGS, CONFERENCE_SETTINGS_ID, editionSettingsId(CONFERENCE_SETTINGS_ID, DEFAULT_EDITION.id)],
+    [COLLECTIONS.SETTINGS, WINDOW_SETTINGS_ID, editionSettingsId(WINDOW_SETTINGS_ID, DEFAULT_EDITION.id)],
+    [COLLECTIONS.SETTINGS, RUBRIC_SETTINGS_ID, editionSettingsId(RUBRIC_SETTINGS_ID, DEFAULT_EDITION.id)],
+    [COLLECTIONS.ALLOCATIONS, 'current', DEFAULT_EDITION.id]
+];
+
+async function stampEdition(collectionName, dryRun) {
+    const documents = await getCollection(collectionName);
+    const unstamped = documents.filter(document => !document.edition);
+
+    for (const document of unstamped) {
+        if (dryRun) {
+            console.log(`Would file ${collectionName}/${document.id} under ${DEFAULT_EDITION.id}`);
+        } else {
+            await updateDocument(collectionName, document.id, { edition: DEFAULT_EDITION.id });
+        }
+    }
+    return unstamped.length;
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const registrations = await stampEdition(COLLECTIONS.REGISTRATIONS, dryRun);
+    const slots = await stampEdition(COLLECTIONS.INTERVIEW_SLOTS, dryRun);
+    let copied = 0;
+
+    for (const [collectionName, legacyId, editionId] of LEGACY_DOCUMENTS) {
+        const legacy = await getDocument(collectionName, legacyId);
+        // Never overwrite settings saved since the upgrade
+        if (!legacy || await getDocument(collectionName, editionId)) continue;
+
+        const { id, ...fields } = legacy;
+        if (dryRun) {
+            console.log(`Would copy ${collectionName}/${id} to ${collectionName}/${editionId}`);
+        } else {
+            await setDocument(collectionName, editionId, fields);
+        }
+        copied++;
+    }
+
+    console.log(`${dryRun ? 'Dry run complete' : '✅ Backfill complete'}. Registrations: ${registrations}, interview slots: ${slots}, settings: ${copied}`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+});
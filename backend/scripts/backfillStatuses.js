@@ -0,0 +1,40 @@
+// Give registrations stored before the status pipeline their initial status, and store
+// years saved as numbers as the configured string value, so the status and year filters
+// on the registrations table, which run in the datastore, find them
+// Usage: npm run backfill-statuses [-- --dry-run]
+require('dotenv').config();
+
+const { getCollection, updateDocument, COLLECTIONS } = require('../utils/repository');
+const { initialStatusFields } = require('../utils/statusPipeline');
+
+// The fields a registration is missing for the datastore filters, or null
+function backfillFields(registration) {
+    const fields = {
+        ...(!registration.status ? initialStatusFields(registration.submittedAt) : {}),
+        ...(typeof registration.year === 'number' ? { year: String(registration.year) } : {})
+    };
+    return Object.keys(fields).length > 0 ? fields : null;
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const registrations = await getCollection(COLLECTIONS.REGISTRATIONS);
+    const unstamped = registrations.filter(registration => backfillFields(registration));
+
+    for (const registration of unstamped) {
+        const fields = backfillFields(registration);
+        if (dryRun) {
+            console.log(`Would set ${Object.keys(fields).join(', ')} on ${registration.id}`);
+        } else {
+            await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, fields);
+        }
+    }
+
+    console.log(`${dryRun ? 'Dry run complete' : '✅ Backfill complete'}. Registrations: ${unstamped.length}`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+});
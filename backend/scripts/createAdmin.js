@@ -0,0 +1,73 @@
+// Create or reset an admin user
+// Usage: npm run create-admin -- <username> <password> [display name] [--role=<role>] [--committees=UNSC,DISEC] [--email=<address>] [--college=<name>]
+require('dotenv').config();
+
+const { getDocument, setDocument, updateDocument, COLLECTIONS } = require('../utils/repository');
+const { normalizeUsername, hashPassword } = require('../utils/auth');
+const { ROLES, isValidRole } = require('../utils/permissions');
+
+const USAGE = 'Usage: npm run create-admin -- <username> <password> [display name] [--role=<role>] [--committees=UNSC,DISEC] [--email=<address>] [--college=<name>]';
+
+async function main() {
+    const args = process.argv.slice(2);
+    const flags = {};
+    const positional = [];
+
+    args.forEach(arg => {
+        const match = arg.match(/^--([^=]+)=(.*)$/);
+        if (match) {
+            flags[match[1]] = match[2];
+        } else {
+            positional.push(arg);
+        }
+    });
+
+    const [rawUsername, password, ...nameParts] = positional;
+    const username = normalizeUsername(rawUsername);
+    const role = flags.role || ROLES.SUPER_ADMIN;
+    const committees = flags.committees ? flags.committees.split(',').map(c => c.trim()).filter(Boolean) : [];
+
+    if (!username || !password) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (password.length < 8) {
+        console.error('Password must be at least 8 characters long');
+        process.exit(1);
+    }
+
+    if (!isValidRole(role)) {
+        console.error(`Role must be one of: ${Object.values(ROLES).join(', ')}`);
+        process.exit(1);
+    }
+
+    if (role === ROLES.COMMITTEE_HEAD && committees.length === 0) {
+        console.error('Committee heads must be given --committees');
+        process.exit(1);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const name = nameParts.join(' ') || username;
+    const userData = { passwordHash, name, role, committees, active: true };
+    // Used to notify the admin of @mentions in comments
+    if (flags.email) userData.email = flags.email.trim().toLowerCase();
+    // Applicants from the same college are flagged as conflicts of interest
+    if (flags.college) userData.college = flags.college.trim();
+    const existing = await getDocument(COLLECTIONS.ADMIN_USERS, username);
+
+    if (existing) {
+        await updateDocument(COLLECTIONS.ADMIN_USERS, username, userData);
+        console.log(`✅ Updated admin user: ${username} (${role})`);
+    } else {
+        await setDocument(COLLECTIONS.ADMIN_USERS, username, userData);
+        console.log(`✅ Created admin user: ${username} (${role})`);
+    }
+
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to create admin user:', error);
+    process.exit(1);
+});
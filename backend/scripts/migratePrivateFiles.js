@@ -0,0 +1,43 @@
+// Revoke public-read on documents uploaded before storage became private
+// Usage: npm run migrate-private-files [-- --dry-run]
+require('dotenv').config();
+
+const { getCollection, COLLECTIONS } = require('../utils/repository');
+const { REGISTRATION_FILE_FIELDS, makeObjectPrivate, getKeyFromUrl } = require('../utils/s3Uploader');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const registrations = await getCollection(COLLECTIONS.REGISTRATIONS);
+    const results = { updated: 0, failed: 0, errors: [] };
+
+    for (const registration of registrations) {
+        for (const field of REGISTRATION_FILE_FIELDS) {
+            const key = registration[field] ? getKeyFromUrl(registration[field]) : null;
+            if (!key) continue;
+
+            if (dryRun) {
+                console.log(`Would make private: ${key}`);
+                results.updated++;
+                continue;
+            }
+
+            try {
+                await makeObjectPrivate(key);
+                console.log(`🔒 Made private: ${key}`);
+                results.updated++;
+            } catch (error) {
+                results.failed++;
+                results.errors.push(`${registration.id}/${field}: ${error.message}`);
+            }
+        }
+    }
+
+    console.log(`${dryRun ? 'Dry run complete' : '✅ Migration complete'}. Files: ${results.updated}, Failed: ${results.failed}`);
+    results.errors.forEach(error => console.error(`❌ ${error}`));
+    process.exit(results.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
@@ -9,6 +9,25 @@ require('dotenv').config();
 const formRoutes = require('./routes/formRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const mailerRoutes = require('./routes/mailerRoutes');
+const authRoutes = require('./routes/authRoutes');
+const adminUserRoutes = require('./routes/adminUserRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const allocationRoutes = require('./routes/allocationRoutes');
+const interviewRoutes = require('./routes/interviewRoutes');
+const bookingRoutes = require('./routes/bookingRoutes');
+const portalRoutes = require('./routes/portalRoutes');
+const offerRoutes = require('./routes/offerRoutes');
+const offerResponseRoutes = require('./routes/offerResponseRoutes');
+const editionRoutes = require('./routes/editionRoutes');
+const recommendationRoutes = require('./routes/recommendationRoutes');
+const recommendationResponseRoutes = require('./routes/recommendationResponseRoutes');
+const commentRoutes = require('./routes/commentRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const profileRoutes = require('./routes/profileRoutes');
+const { expireOffers } = require('./utils/offers');
+const { sendRecommendationReminders } = require('./utils/recommendations');
+const { getSessionFromRequest } = require('./utils/auth');
+const storage = require('./utils/storage');
 
 const app = express();
 
@@ -22,7 +41,8 @@ app.use(helmet({
             scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net", "https://cdnjs.cloudflare.com"],
             imgSrc: ["'self'", "data:", "https:"],
             connectSrc: ["'self'"],
-            frameSrc: ["'none'"],
+            // Registration PDFs are shown inline in the admin dashboard
+            frameSrc: ["'self'", ...(storage.contentOrigin ? [storage.contentOrigin] : [])],
             objectSrc: ["'none'"]
         }
     }
@@ -46,11 +66,31 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Keep the dashboard markup behind the /admin session check
+app.get('/admin.html', (req, res) => {
+    res.redirect('/admin');
+});
+
 // Serve static files from frontend directory
 app.use(express.static(path.join(__dirname, '../frontend')));
 
 // API routes
 app.use('/api/submit', formRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/admin/users', adminUserRoutes);
+app.use('/api/admin/allocation', allocationRoutes);
+app.use('/api/admin/interviews', interviewRoutes);
+app.use('/api/interviews', bookingRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/admin/offers', offerRoutes);
+app.use('/api/offers', offerResponseRoutes);
+app.use('/api/admin/editions', editionRoutes);
+app.use('/api/admin/recommendations', recommendationRoutes);
+app.use('/api/recommendations', recommendationResponseRoutes);
+app.use('/api/admin/registrations/:id/comments', commentRoutes);
+app.use('/api/admin/tags', tagRoutes);
+app.use('/api/admin/profile', profileRoutes);
+app.use('/api/files', fileRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin', mailerRoutes);
 
@@ -64,9 +104,42 @@ app.get('/form', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/form.html'));
 });
 
+// Route for serving the interview booking page
+app.get('/interview', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/interview.html'));
+});
+
+// Route for serving the offer response page
+app.get('/offer', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/offer.html'));
+});
+
+// Route for serving the referee recommendation page
+app.get('/recommend', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/recommend.html'));
+});
+
+// Route for serving the applicant portal
+app.get('/portal', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/portal.html'));
+});
+
 // Route for serving the admin dashboard
-app.get('/admin', (req, res) => {
-    res.sendFile(path.join(__dirname, '../frontend/admin.html'));
+app.get('/admin', async (req, res, next) => {
+    try {
+        const session = await getSessionFromRequest(req);
+        if (!session) {
+            return res.redirect('/admin/login');
+        }
+        res.sendFile(path.join(__dirname, '../frontend/admin.html'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Route for serving the admin login screen
+app.get('/admin/login', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/login.html'));
 });
 
 // Health check endpoint
@@ -103,12 +176,48 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
+// Lapse overdue offers and pass their seats to the waitlist
+const OFFER_SWEEP_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+function sweepExpiredOffers() {
+    expireOffers()
+        .then(({ expired, promoted }) => {
+            if (expired > 0) {
+                console.log(`⏰ Expired ${expired} offer(s), promoted ${promoted.length} from the waitlist`);
+            }
+        })
+        .catch(error => console.error('Offer expiry sweep error:', error));
+}
+
+// Remind referees who have not replied yet
+const RECOMMENDATION_REMINDER_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+function sweepRecommendationReminders() {
+    sendRecommendationReminders()
+        .then(({ reminded, failed }) => {
+            if (reminded > 0 || failed > 0) {
+                console.log(`📨 Reminded ${reminded} referee(s), ${failed} reminder(s) failed`);
+            }
+        })
+        .catch(error => console.error('Recommendation reminder sweep error:', error));
+}
+
 app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📱 Landing page: http://localhost:${PORT}`);
     console.log(`📝 Application form: http://localhost:${PORT}/form`);
+    console.log(`📅 Interview booking: http://localhost:${PORT}/interview`);
+    console.log(`👤 Applicant portal: http://localhost:${PORT}/portal`);
+    console.log(`✉️ Offer responses: http://localhost:${PORT}/offer`);
+    console.log(`📝 Referee recommendations: http://localhost:${PORT}/recommend`);
     console.log(`🔐 Admin dashboard: http://localhost:${PORT}/admin`);
     console.log(`💚 Health check: http://localhost:${PORT}/health`);
+
+    sweepExpiredOffers();
+    setInterval(sweepExpiredOffers, OFFER_SWEEP_INTERVAL).unref();
+
+    sweepRecommendationReminders();
+    setInterval(sweepRecommendationReminders, RECOMMENDATION_REMINDER_INTERVAL).unref();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const { adminSession, startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setDocument, getDocument, COLLECTIONS } = require('../utils/repository');
+const adminRoutes = require('../routes/adminRoutes');
+
+let app;
+let token;
+
+before(async () => {
+    app = await startApp({ '/api/admin': adminRoutes });
+    token = await adminSession('drawer-admin');
+});
+
+after(() => app.close());
+
+async function seedRegistration(id, fields = {}) {
+    await setDocument(COLLECTIONS.REGISTRATIONS, id, {
+        name: 'Asha Rao',
+        email: 'asha@example.com',
+        edition: '2025',
+        status: 'submitted',
+        year: '2',
+        committees: ['UNSC'],
+        positions: ['Chairperson'],
+        ...fields
+    });
+}
+
+// The drawer's edit form sends every field as a string
+const drawerSave = (id, fields) => app.request('PUT', `/api/admin/registrations/${id}`, {
+    token,
+    body: { name: 'Asha Rao', email: 'asha@example.com', munsParticipated: '4', ...fields }
+});
+
+test('drawer save stores the year as the configured option value', async () => {
+    await seedRegistration('drawer-year');
+
+    const response = await drawerSave('drawer-year', { year: '3' });
+
+    assert.equal(response.status, 200);
+    const stored = await getDocument(COLLECTIONS.REGISTRATIONS, 'drawer-year');
+    assert.equal(stored.year, '3');
+    assert.equal(stored.munsParticipated, 4);
+});
+
+test('drawer save rejects a year that is not configured', async () => {
+    await seedRegistration('drawer-bad-year');
+
+    const response = await drawerSave('drawer-bad-year', { year: '9' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.field, 'year');
+    assert.equal((await getDocument(COLLECTIONS.REGISTRATIONS, 'drawer-bad-year')).year, '2');
+});
+
+test('drawer save restores a year stored as a number to its string value', async () => {
+    await seedRegistration('drawer-numeric-year', { year: 2 });
+
+    const response = await drawerSave('drawer-numeric-year', { year: '2' });
+
+    assert.equal(response.status, 200);
+    assert.equal((await getDocument(COLLECTIONS.REGISTRATIONS, 'drawer-numeric-year')).year, '2');
+});
+
+test('the year filter finds a registration after a drawer save changes its year', async () => {
+    await seedRegistration('drawer-filtered', { year: '1', submittedAt: '2025-01-01T00:00:00.000Z' });
+    await drawerSave('drawer-filtered', { year: '5' });
+
+    const response = await app.request('GET', '/api/admin/registrations?year=5', { token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.map(reg => reg.id), ['drawer-filtered']);
+});
+
+test('drawer save ignores fields outside the edit form', async () => {
+    await seedRegistration('drawer-protected', { offerStatus: 'pending', allocatedCommittee: 'UNSC' });
+
+    const response = await drawerSave('drawer-protected', {
+        college: 'PSG Tech',
+        status: 'selected',
+        offerStatus: 'accepted',
+        allocatedCommittee: 'DISEC',
+        allocatedPosition: 'Director',
+        portalTokenHash: 'forged',
+        scores: { experience: 10 }
+    });
+
+    assert.equal(response.status, 200);
+    const stored = await getDocument(COLLECTIONS.REGISTRATIONS, 'drawer-protected');
+    assert.equal(stored.college, 'PSG Tech');
+    assert.equal(stored.status, 'submitted');
+    assert.equal(stored.offerStatus, 'pending');
+    assert.equal(stored.allocatedCommittee, 'UNSC');
+    assert.equal(stored.allocatedPosition, undefined);
+    assert.equal(stored.portalTokenHash, undefined);
+    assert.equal(stored.scores, undefined);
+});
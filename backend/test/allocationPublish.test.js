@@ -0,0 +1,67 @@
+const { adminSession, startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setDocument, getDocument, COLLECTIONS } = require('../utils/repository');
+const allocationRoutes = require('../routes/allocationRoutes');
+
+const EARLIER_PUBLISH = '2025-02-01T00:00:00.000Z';
+
+let app;
+let token;
+
+before(async () => {
+    app = await startApp({ '/api/admin/allocation': allocationRoutes });
+    token = await adminSession('allocation-admin');
+});
+
+after(() => app.close());
+
+function seedRegistration(id, fields = {}) {
+    return setDocument(COLLECTIONS.REGISTRATIONS, id, {
+        name: id,
+        edition: '2025',
+        status: 'submitted',
+        committees: ['UNSC', 'DISEC'],
+        positions: ['Chairperson', 'Director'],
+        ...fields
+    });
+}
+
+test('publishing again keeps seats filled from the waitlist and updates the allocation\'s own', async () => {
+    await seedRegistration('publish-assigned');
+    await seedRegistration('publish-dropped', {
+        allocatedCommittee: 'DISEC',
+        allocatedPosition: 'Director',
+        allocationPublishedAt: EARLIER_PUBLISH
+    });
+    await seedRegistration('publish-promoted', {
+        status: 'selected',
+        allocatedCommittee: 'UNSC',
+        allocatedPosition: 'Director',
+        allocationPublishedAt: null
+    });
+    await setDocument(COLLECTIONS.ALLOCATIONS, '2025', {
+        state: 'draft',
+        assignments: [{ committee: 'UNSC', position: 'Chairperson', registrationId: 'publish-assigned', name: 'publish-assigned', score: 80 }],
+        unassigned: [{ registrationId: 'publish-promoted', name: 'publish-promoted', score: 40, reason: 'No seat left' }],
+        conflicts: []
+    });
+
+    const response = await app.request('POST', '/api/admin/allocation/publish', { token });
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.message, /kept 1 seats filled from the waitlist/);
+
+    const assigned = await getDocument(COLLECTIONS.REGISTRATIONS, 'publish-assigned');
+    assert.equal(assigned.allocatedCommittee, 'UNSC');
+    assert.equal(assigned.allocatedPosition, 'Chairperson');
+    assert.ok(assigned.allocationPublishedAt);
+
+    const dropped = await getDocument(COLLECTIONS.REGISTRATIONS, 'publish-dropped');
+    assert.equal(dropped.allocatedCommittee, null);
+    assert.equal(dropped.allocationPublishedAt, null);
+
+    const promoted = await getDocument(COLLECTIONS.REGISTRATIONS, 'publish-promoted');
+    assert.equal(promoted.allocatedCommittee, 'UNSC');
+    assert.equal(promoted.allocatedPosition, 'Director');
+});
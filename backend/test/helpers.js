@@ -0,0 +1,65 @@
+// Shared setup for route tests: a throwaway local datastore and file store, an
+// Express app with the routers under test, and sessions for seeded admins.
+// Require this before any module that touches the datastore.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATASTORE_DRIVER = 'local';
+process.env.DATASTORE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kmun-test-data-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'kmun-test-uploads-'));
+
+process.on('exit', () => {
+    fs.rmSync(process.env.DATASTORE_LOCAL_DIR, { recursive: true, force: true });
+    fs.rmSync(process.env.STORAGE_LOCAL_DIR, { recursive: true, force: true });
+});
+
+const express = require('express');
+const { setDocument, COLLECTIONS } = require('../utils/repository');
+const { createSession } = require('../utils/auth');
+
+// The datastore drivers log every call
+console.log = () => {};
+
+// Start an app with { mountPath: router } on a free port. Returns { request(method, url, options), close() }.
+async function startApp(routers) {
+    const app = express();
+    app.use(express.json());
+    Object.entries(routers).forEach(([mountPath, router]) => app.use(mountPath, router));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        async request(method, url, { token, body, headers = {} } = {}) {
+            const response = await fetch(`${baseUrl}${url}`, {
+                method,
+                headers: {
+                    ...(token ? { authorization: `Bearer ${token}` } : {}),
+                    ...(body !== undefined && !(body instanceof FormData) ? { 'content-type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+            });
+            // Exports such as CSV come back as text
+            const isJson = (response.headers.get('content-type') || '').includes('application/json');
+            return { status: response.status, body: isJson ? await response.json() : await response.text() };
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Seed an admin user and return a session token for them
+async function adminSession(username, { role = 'super-admin', committees = [] } = {}) {
+    await setDocument(COLLECTIONS.ADMIN_USERS, username, { role, committees, passwordHash: 'unused', active: true });
+    const { token } = await createSession({ id: username });
+    return token;
+}
+
+module.exports = {
+    startApp,
+    adminSession
+};
@@ -0,0 +1,71 @@
+const { startApp } = require('./helpers');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { setDocument, getDocument, COLLECTIONS } = require('../utils/repository');
+const { hashBookingToken } = require('../utils/interviews');
+const bookingRoutes = require('../routes/bookingRoutes');
+
+const TOMORROW = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+let app;
+
+before(async () => {
+    mock.method(nodemailer, 'createTransport', () => ({ sendMail: async () => ({}) }));
+    app = await startApp({ '/api/interviews': bookingRoutes });
+});
+
+after(() => app.close());
+
+function seedSlot(id, fields = {}) {
+    return setDocument(COLLECTIONS.INTERVIEW_SLOTS, id, {
+        edition: '2025',
+        committee: 'UNSC',
+        startsAt: TOMORROW.toISOString(),
+        endsAt: new Date(TOMORROW.getTime() + 30 * 60 * 1000).toISOString(),
+        capacity: 1,
+        bookedRegistrationIds: [],
+        ...fields
+    });
+}
+
+function seedApplicant(id, fields = {}) {
+    return setDocument(COLLECTIONS.REGISTRATIONS, id, {
+        name: id,
+        email: `${id}@example.com`,
+        edition: '2025',
+        status: 'shortlisted',
+        committees: ['UNSC'],
+        positions: ['Chairperson'],
+        interviewTokenHash: hashBookingToken(`${id}-token`),
+        ...fields
+    });
+}
+
+const book = (id, slotId) => app.request('POST', '/api/interviews/booking', {
+    body: { token: `${id}-token`, slotId }
+});
+
+test('applicants racing for the last seat cannot overbook it', async () => {
+    const applicants = ['race-a', 'race-b', 'race-c', 'race-d'];
+    await seedSlot('race-slot');
+    await Promise.all(applicants.map(id => seedApplicant(id)));
+
+    const responses = await Promise.all(applicants.map(id => book(id, 'race-slot')));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 409, 409, 409]);
+    assert.equal((await getDocument(COLLECTIONS.INTERVIEW_SLOTS, 'race-slot')).bookedRegistrationIds.length, 1);
+});
+
+test('rescheduling frees the previous slot and keeps its other bookings', async () => {
+    await seedSlot('move-from', { capacity: 2, bookedRegistrationIds: ['move-applicant', 'move-other'] });
+    await seedSlot('move-to');
+    await seedApplicant('move-applicant', { status: 'interview', interviewSlotId: 'move-from' });
+
+    const response = await book('move-applicant', 'move-to');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await getDocument(COLLECTIONS.INTERVIEW_SLOTS, 'move-from')).bookedRegistrationIds, ['move-other']);
+    assert.deepEqual((await getDocument(COLLECTIONS.INTERVIEW_SLOTS, 'move-to')).bookedRegistrationIds, ['move-applicant']);
+    assert.equal((await getDocument(COLLECTIONS.REGISTRATIONS, 'move-applicant')).interviewSlotId, 'move-to');
+});
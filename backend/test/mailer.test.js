@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('../utils/mailer');
+
+const edition = { id: '2025', name: 'KMUN\'25' };
+
+test('names are escaped in the body of a recommendation request', () => {
+    const email = renderTemplate('recommendation_request', {
+        refereeName: '<b>Dr. Rao</b>',
+        applicantName: 'Asha <img src=x onerror=alert(1)>',
+        positions: 'Chairperson',
+        recommendationUrl: 'https://example.com/recommend?token=a&b'
+    }, edition);
+
+    assert.ok(email.html.includes('&lt;b&gt;Dr. Rao&lt;/b&gt;'));
+    assert.ok(email.html.includes('Asha &lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(!email.html.includes('<img'));
+    assert.ok(email.html.includes('https://example.com/recommend?token=a&amp;b'));
+});
+
+test('subjects are plain text and stay unescaped', () => {
+    const email = renderTemplate('custom', { subject: 'Q&A session', message: '' }, edition);
+
+    assert.equal(email.subject, 'Q&A session');
+});
+
+test('an admin\'s own message and an escaped comment are kept as HTML', () => {
+    const custom = renderTemplate('custom', { subject: 'Hello', message: '<p>See you <strong>soon</strong></p>' }, edition);
+    const mention = renderTemplate('comment_mention', {
+        adminName: 'Meera',
+        authorName: 'Kiran',
+        applicantName: 'Asha',
+        comment: 'first line<br>second &lt;line&gt;',
+        dashboardUrl: 'https://example.com/admin'
+    }, edition);
+
+    assert.ok(custom.html.includes('<p>See you <strong>soon</strong></p>'));
+    assert.ok(mention.html.includes('first line<br>second &lt;line&gt;'));
+});
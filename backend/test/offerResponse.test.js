@@ -0,0 +1,98 @@
+const { startApp } = require('./helpers');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { setDocument, getDocument, getCollection, COLLECTIONS } = require('../utils/repository');
+const { hashOfferToken, expireOffers } = require('../utils/offers');
+const offerResponseRoutes = require('../routes/offerResponseRoutes');
+
+const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+let app;
+
+before(async () => {
+    mock.method(nodemailer, 'createTransport', () => ({ sendMail: async () => ({}) }));
+    app = await startApp({ '/api/offers': offerResponseRoutes });
+});
+
+after(() => app.close());
+
+function seedRegistration(id, fields = {}) {
+    return setDocument(COLLECTIONS.REGISTRATIONS, id, {
+        name: id,
+        email: `${id}@example.com`,
+        edition: '2025',
+        committees: ['UNSC'],
+        positions: ['Chairperson'],
+        ...fields
+    });
+}
+
+// A selected applicant holding a seat with a pending offer for it
+function seedOffer(id, seat, token, expiresAt = hoursFromNow(24)) {
+    return seedRegistration(id, {
+        status: 'selected',
+        allocatedCommittee: seat.committee,
+        allocatedPosition: seat.position,
+        allocationPublishedAt: '2025-02-01T00:00:00.000Z',
+        offerStatus: 'pending',
+        offerCommittee: seat.committee,
+        offerPosition: seat.position,
+        offerTokenHash: hashOfferToken(token),
+        offerExpiresAt: expiresAt
+    });
+}
+
+async function seatHolders(seat) {
+    return (await getCollection(COLLECTIONS.REGISTRATIONS))
+        .filter(reg => reg.allocatedCommittee === seat.committee && reg.allocatedPosition === seat.position)
+        .map(reg => reg.id);
+}
+
+test('a declined seat is held by exactly one applicant, even when the decline is sent twice', async () => {
+    const seat = { committee: 'UNSC', position: 'Chairperson' };
+    await seedOffer('decline-holder', seat, 'decline-token');
+    await seedRegistration('decline-first', { status: 'waitlisted', submittedAt: '2025-01-01T00:00:00.000Z' });
+    await seedRegistration('decline-second', { status: 'waitlisted', submittedAt: '2025-01-02T00:00:00.000Z' });
+
+    const responses = await Promise.all([1, 2].map(() => app.request('POST', '/api/offers/respond', {
+        body: { token: 'decline-token', response: 'decline' }
+    })));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+    assert.deepEqual(await seatHolders(seat), ['decline-first']);
+
+    const decliner = await getDocument(COLLECTIONS.REGISTRATIONS, 'decline-holder');
+    assert.equal(decliner.status, 'declined');
+    assert.equal(decliner.offerStatus, 'declined');
+    assert.equal((await getDocument(COLLECTIONS.REGISTRATIONS, 'decline-first')).status, 'selected');
+    assert.equal((await getDocument(COLLECTIONS.REGISTRATIONS, 'decline-second')).status, 'waitlisted');
+});
+
+test('an expired offer passes its seat on once when sweeps overlap', async () => {
+    const seat = { committee: 'DISEC', position: 'Director' };
+    await seedOffer('expire-holder', seat, 'expire-token', hoursFromNow(-1));
+    await seedRegistration('expire-first', {
+        status: 'waitlisted',
+        committees: ['DISEC'],
+        positions: ['Director'],
+        submittedAt: '2025-01-01T00:00:00.000Z'
+    });
+    await seedRegistration('expire-second', {
+        status: 'waitlisted',
+        committees: ['DISEC'],
+        positions: ['Director'],
+        submittedAt: '2025-01-02T00:00:00.000Z'
+    });
+
+    const [sweep, lapsedLink] = await Promise.all([
+        expireOffers(),
+        app.request('GET', '/api/offers?token=expire-token')
+    ]);
+
+    assert.equal(lapsedLink.body.data.status, 'expired');
+    assert.ok(sweep.expired <= 1);
+    assert.deepEqual(await seatHolders(seat), ['expire-first']);
+    assert.equal((await getDocument(COLLECTIONS.REGISTRATIONS, 'expire-holder')).status, 'declined');
+    assert.equal((await getDocument(COLLECTIONS.REGISTRATIONS, 'expire-second')).status, 'waitlisted');
+});
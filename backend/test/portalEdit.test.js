@@ -0,0 +1,129 @@
+const { startApp } = require('./helpers');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { setDocument, getDocument, COLLECTIONS } = require('../utils/repository');
+const { getRegistrationRecommendations } = require('../utils/recommendations');
+const { createApplicantSession } = require('../utils/applicantAuth');
+const { saveApplicationWindow } = require('../utils/applicationWindow');
+const portalRoutes = require('../routes/portalRoutes');
+
+const PAST = '2020-01-01T00:00:00.000Z';
+
+let app;
+let applicants = 0;
+
+before(async () => {
+    mock.method(nodemailer, 'createTransport', () => ({ sendMail: async () => ({}) }));
+    app = await startApp({ '/api/portal': portalRoutes });
+    // Directors closed early; the rest of the form stays open
+    await saveApplicationWindow('2025', { opensAt: null, closesAt: null, positions: { Director: { opensAt: null, closesAt: PAST } } });
+});
+
+after(() => app.close());
+
+async function applicantSession(id, positions, edition = '2025') {
+    // Each applicant needs their own phone number
+    applicants += 1;
+    await setDocument(COLLECTIONS.REGISTRATIONS, id, {
+        name: 'Ravi Menon',
+        email: `${id}@example.com`,
+        phone: `+91 98765 ${String(applicants).padStart(5, '0')}`,
+        college: 'KMC',
+        department: 'Medicine',
+        year: '2',
+        edition,
+        status: 'submitted',
+        committees: ['UNSC'],
+        positions
+    });
+    const { token } = await createApplicantSession({ id });
+    return token;
+}
+
+function editPositions(token, positions, referees) {
+    const body = new FormData();
+    body.append('committees', JSON.stringify(['UNSC']));
+    body.append('positions', JSON.stringify(positions));
+    if (referees) body.append('referees', JSON.stringify(referees));
+    return app.request('PUT', '/api/portal/me', { body, headers: { cookie: `kmun_applicant_session=${token}` } });
+}
+
+test('adding a position whose window has closed is rejected', async () => {
+    const token = await applicantSession('portal-add-closed', ['Chairperson']);
+
+    const response = await editPositions(token, ['Chairperson', 'Director']);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.message, 'Applications for Director are closed');
+    assert.deepEqual((await getDocument(COLLECTIONS.REGISTRATIONS, 'portal-add-closed')).positions, ['Chairperson']);
+});
+
+test('a closed position already applied for can be kept and reordered', async () => {
+    const token = await applicantSession('portal-keep-closed', ['Chairperson', 'Director']);
+
+    const response = await editPositions(token, ['Director', 'Chairperson']);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await getDocument(COLLECTIONS.REGISTRATIONS, 'portal-keep-closed')).positions, ['Director', 'Chairperson']);
+});
+
+test('adding an open position is accepted', async () => {
+    const token = await applicantSession('portal-add-open', ['Chairperson']);
+
+    const response = await editPositions(token, ['Chairperson', 'Vice-Chairperson']);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await getDocument(COLLECTIONS.REGISTRATIONS, 'portal-add-open')).positions, ['Chairperson', 'Vice-Chairperson']);
+});
+
+test('adding a position that asks for a recommendation needs a referee', async () => {
+    const token = await applicantSession('portal-add-referee-missing', ['Vice-Chairperson']);
+
+    const response = await editPositions(token, ['Vice-Chairperson', 'Chairperson']);
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /name a referee/);
+    assert.deepEqual((await getDocument(COLLECTIONS.REGISTRATIONS, 'portal-add-referee-missing')).positions, ['Vice-Chairperson']);
+});
+
+test('referees named with an added position are asked for a recommendation', async () => {
+    const token = await applicantSession('portal-add-referee', ['Vice-Chairperson']);
+
+    const response = await editPositions(token, ['Vice-Chairperson', 'Chairperson'], [
+        { name: 'Dr. Iyer', email: 'iyer@example.com', organization: 'Secretary-General, XYZ MUN 2024' }
+    ]);
+
+    assert.equal(response.status, 200);
+    const recommendations = await getRegistrationRecommendations('portal-add-referee');
+    assert.deepEqual(recommendations.map(recommendation => recommendation.refereeEmail), ['iyer@example.com']);
+    assert.equal(response.body.data.referees.length, 1);
+});
+
+test('the edition\'s edit deadline closes the portal to edits', async () => {
+    await saveApplicationWindow('deadline-passed', { opensAt: null, closesAt: null, positions: {}, editDeadline: PAST });
+    const token = await applicantSession('portal-deadline-passed', ['Chairperson'], 'deadline-passed');
+
+    const response = await editPositions(token, ['Chairperson', 'Vice-Chairperson']);
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.message, 'The deadline for editing applications has passed');
+});
+
+test('an edition without an edit deadline falls back to APPLICANT_EDIT_DEADLINE', async () => {
+    const token = await applicantSession('portal-deadline-env', ['Chairperson'], 'deadline-env');
+    process.env.APPLICANT_EDIT_DEADLINE = PAST;
+
+    try {
+        const closed = await app.request('GET', '/api/portal/me', { headers: { cookie: `kmun_applicant_session=${token}` } });
+        assert.equal(closed.body.data.editable, false);
+        assert.equal(closed.body.data.editDeadline, PAST);
+
+        // The edition's own deadline wins
+        await saveApplicationWindow('deadline-env', { opensAt: null, closesAt: null, positions: {}, editDeadline: '2999-01-01T00:00:00.000Z' });
+        const open = await app.request('GET', '/api/portal/me', { headers: { cookie: `kmun_applicant_session=${token}` } });
+        assert.equal(open.body.data.editable, true);
+    } finally {
+        delete process.env.APPLICANT_EDIT_DEADLINE;
+    }
+});
@@ -0,0 +1,59 @@
+const { adminSession, startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setDocument, COLLECTIONS } = require('../utils/repository');
+const { saveEdition } = require('../utils/editions');
+const { saveReviewSettings } = require('../utils/blindReview');
+const recommendationRoutes = require('../routes/recommendationRoutes');
+
+const EDITION = 'blind-referees';
+
+let app;
+
+before(async () => {
+    app = await startApp({ '/api/admin/recommendations': recommendationRoutes });
+    await saveEdition({ id: EDITION, name: 'Blind Referees', year: 2031 });
+    await saveReviewSettings(EDITION, { blindReview: true });
+    await setDocument(COLLECTIONS.REGISTRATIONS, 'blind-applicant', {
+        name: 'Asha Rao',
+        edition: EDITION,
+        status: 'submitted',
+        committees: ['UNSC'],
+        positions: ['Chairperson']
+    });
+    await setDocument(COLLECTIONS.RECOMMENDATIONS, 'blind-recommendation', {
+        registrationId: 'blind-applicant',
+        edition: EDITION,
+        refereeName: 'Dr. Iyer',
+        refereeEmail: 'iyer@example.com',
+        refereeOrganization: 'Secretary-General, XYZ MUN 2024',
+        status: 'requested',
+        requestedAt: '2025-01-01T00:00:00.000Z',
+        tokenHash: 'secret'
+    });
+});
+
+after(() => app.close());
+
+const listRecommendations = token => app.request('GET', `/api/admin/recommendations?edition=${EDITION}`, { token });
+
+test('blinded reviewers do not see who the referees are', async () => {
+    const response = await listRecommendations(await adminSession('blind-reviewer', { role: 'reviewer' }));
+
+    assert.equal(response.status, 200);
+    const [recommendation] = response.body.data;
+    assert.equal(recommendation.refereeName, null);
+    assert.equal(recommendation.refereeEmail, null);
+    assert.equal(recommendation.refereeOrganization, null);
+    assert.equal(recommendation.identityHidden, true);
+    assert.notEqual(recommendation.applicantName, 'Asha Rao');
+    assert.equal(recommendation.tokenHash, undefined);
+});
+
+test('super-admins still see the referees during blind review', async () => {
+    const response = await listRecommendations(await adminSession('blind-super-admin'));
+
+    const [recommendation] = response.body.data;
+    assert.equal(recommendation.refereeName, 'Dr. Iyer');
+    assert.equal(recommendation.identityHidden, undefined);
+});
@@ -0,0 +1,62 @@
+require('./helpers');
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { setDocument, getDocument, COLLECTIONS } = require('../utils/repository');
+const { RECOMMENDATION_STATES, checkManualReminder, emailReferee } = require('../utils/recommendations');
+
+const now = new Date('2025-03-10T12:00:00.000Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const pending = fields => ({ status: RECOMMENDATION_STATES.REQUESTED, requestedAt: hoursAgo(72), reminderCount: 0, ...fields });
+
+test('a referee emailed over a day ago can be reminded', () => {
+    assert.equal(checkManualReminder(pending({ lastEmailedAt: hoursAgo(25) }), now), null);
+});
+
+test('a referee emailed within the day cannot be reminded again yet', () => {
+    assert.match(checkManualReminder(pending({ lastEmailedAt: hoursAgo(2) }), now), /last 24 hours/);
+});
+
+test('manual reminders stop at the reminder limit', () => {
+    assert.match(checkManualReminder(pending({ lastEmailedAt: hoursAgo(100), reminderCount: 2 }), now), /already been reminded 2 times/);
+});
+
+test('a reminder that fails to send keeps the old link and is not counted', async () => {
+    const previous = pending({ tokenHash: 'old-hash', lastEmailedAt: hoursAgo(30), reminderCount: 1, refereeEmail: 'iyer@example.com' });
+    await setDocument(COLLECTIONS.RECOMMENDATIONS, 'remind-failed', previous);
+    const transport = mock.method(nodemailer, 'createTransport', () => ({
+        sendMail: async () => { throw new Error('SMTP unavailable'); }
+    }));
+    const consoleError = mock.method(console, 'error', () => {});
+
+    try {
+        const sent = await emailReferee({ ...previous, id: 'remind-failed' }, { name: 'Asha Rao', edition: '2025' }, { reminder: true });
+
+        assert.equal(sent, false);
+        const stored = await getDocument(COLLECTIONS.RECOMMENDATIONS, 'remind-failed');
+        assert.equal(stored.tokenHash, 'old-hash');
+        assert.equal(stored.lastEmailedAt, previous.lastEmailedAt);
+        assert.equal(stored.reminderCount, 1);
+    } finally {
+        transport.mock.restore();
+        consoleError.mock.restore();
+    }
+});
+
+test('a reminder that is sent replaces the link and counts', async () => {
+    const previous = pending({ tokenHash: 'old-hash', lastEmailedAt: hoursAgo(30), reminderCount: 1, refereeEmail: 'iyer@example.com' });
+    await setDocument(COLLECTIONS.RECOMMENDATIONS, 'remind-sent', previous);
+    const transport = mock.method(nodemailer, 'createTransport', () => ({ sendMail: async () => ({}) }));
+
+    try {
+        const sent = await emailReferee({ ...previous, id: 'remind-sent' }, { name: 'Asha Rao', edition: '2025' }, { reminder: true });
+
+        assert.equal(sent, true);
+        const stored = await getDocument(COLLECTIONS.RECOMMENDATIONS, 'remind-sent');
+        assert.notEqual(stored.tokenHash, 'old-hash');
+        assert.equal(stored.reminderCount, 2);
+    } finally {
+        transport.mock.restore();
+    }
+});
@@ -0,0 +1,63 @@
+const { adminSession, startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setDocument, COLLECTIONS } = require('../utils/repository');
+const { saveEdition } = require('../utils/editions');
+const { saveRubric } = require('../utils/scoring');
+const { saveApplicationQuestions } = require('../utils/applicationQuestions');
+const adminRoutes = require('../routes/adminRoutes');
+
+const EDITION = 'export-test';
+
+let app;
+let token;
+
+before(async () => {
+    app = await startApp({ '/api/admin': adminRoutes });
+    token = await adminSession('export-admin');
+    await saveEdition({ id: EDITION, name: 'Export Test', year: 2030 });
+    // Labels repeat across criteria and questions, and carry commas and quotes
+    await saveRubric(EDITION, [
+        { key: 'clarity_written', label: 'Clarity, "tone"', maxScore: 10, weight: 1 },
+        { key: 'clarity_spoken', label: 'Clarity, "tone"', maxScore: 10, weight: 1 }
+    ]);
+    await saveApplicationQuestions(EDITION, [
+        { key: 'why_unsc', label: 'Why, briefly?', type: 'short_text', required: false, committee: 'UNSC' },
+        { key: 'why_unsc_again', label: 'Why, briefly?', type: 'short_text', required: false, committee: 'UNSC' }
+    ]);
+    await setDocument(COLLECTIONS.REGISTRATIONS, 'export-one', {
+        name: 'Asha Rao',
+        edition: EDITION,
+        status: 'submitted',
+        committees: ['UNSC'],
+        positions: ['Chairperson'],
+        answers: { why_unsc: 'First answer', why_unsc_again: 'Second answer' },
+        submittedAt: '2025-01-01T00:00:00.000Z'
+    });
+});
+
+after(() => app.close());
+
+// Cells in one CSV line, counting a quoted cell with commas inside as one
+const countCells = line => line.match(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g).length - 1;
+
+test('export columns stay apart when criteria or questions share a label', async () => {
+    const response = await app.request('GET', `/api/admin/export?edition=${EDITION}&format=json`, { token });
+
+    assert.equal(response.status, 200);
+    const [row] = response.body.data;
+    assert.equal(row['Why, briefly? [why_unsc] (Committee UNSC)'], 'First answer');
+    assert.equal(row['Why, briefly? [why_unsc_again] (Committee UNSC)'], 'Second answer');
+    assert.ok('Clarity, "tone" [clarity_written] (avg /10)' in row);
+    assert.ok('Clarity, "tone" [clarity_spoken] (avg /10)' in row);
+});
+
+test('CSV header cells are escaped like values', async () => {
+    const response = await app.request('GET', `/api/admin/export?edition=${EDITION}&format=csv`, { token });
+
+    assert.equal(response.status, 200);
+    const [header, row] = response.body.split('\n');
+    assert.ok(header.includes(',"Clarity, ""tone"" [clarity_written] (avg /10)",'));
+    assert.ok(header.includes(',"Why, briefly? [why_unsc] (Committee UNSC)",'));
+    assert.equal(countCells(header), countCells(row));
+});
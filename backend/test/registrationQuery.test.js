@@ -0,0 +1,39 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setDocument, COLLECTIONS } = require('../utils/repository');
+const { buildRegistrationQuery, readRegistrationPage } = require('../utils/registrationQuery');
+
+const superAdmin = { username: 'root', role: 'super-admin' };
+
+test('the year filter queries the configured string value', () => {
+    const { conditions } = buildRegistrationQuery(superAdmin, '2025', { year: 2 });
+
+    assert.deepEqual(conditions.find(condition => condition.field === 'year'), { field: 'year', operator: '==', value: '2' });
+});
+
+test('the year filter matches years stored as strings or numbers', () => {
+    const { matches } = buildRegistrationQuery(superAdmin, '2025', { year: '2' });
+
+    assert.equal(matches({ id: 'a', edition: '2025', year: '2' }), true);
+    assert.equal(matches({ id: 'b', edition: '2025', year: 2 }), true);
+    assert.equal(matches({ id: 'c', edition: '2025', year: '3' }), false);
+    assert.equal(matches({ id: 'd', edition: '2025', year: 3 }), false);
+});
+
+test('a year page read from the datastore finds registrations by their string year', async () => {
+    await setDocument(COLLECTIONS.REGISTRATIONS, 'year-a', { edition: 'query-test', status: 'submitted', year: '4', submittedAt: '2025-01-01T00:00:00.000Z' });
+    await setDocument(COLLECTIONS.REGISTRATIONS, 'year-b', { edition: 'query-test', status: 'submitted', year: '5', submittedAt: '2025-01-02T00:00:00.000Z' });
+
+    const { conditions } = buildRegistrationQuery(superAdmin, 'query-test', { year: '4' });
+    const page = await readRegistrationPage({
+        conditions,
+        sortBy: 'submittedAt',
+        sortOrder: 'desc',
+        after: null,
+        pageSize: 10,
+        select: async batch => batch
+    });
+
+    assert.deepEqual(page.registrations.map(reg => reg.id), ['year-a']);
+});
@@ -0,0 +1,37 @@
+const { adminSession, startApp } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { saveEdition } = require('../utils/editions');
+const { getRubric } = require('../utils/scoring');
+const adminRoutes = require('../routes/adminRoutes');
+
+let app;
+let token;
+
+before(async () => {
+    app = await startApp({ '/api/admin': adminRoutes });
+    token = await adminSession('rubric-admin');
+    await saveEdition({ id: '2026', name: "KMUN'26", year: 2026 });
+});
+
+after(() => app.close());
+
+test('saving a rubric changes only the selected edition', async () => {
+    const criteria = [{ key: 'research', label: 'Research', maxScore: 5, weight: 2 }];
+
+    const response = await app.request('PUT', '/api/admin/rubric', {
+        token,
+        headers: { 'X-Edition': '2026' },
+        body: { criteria }
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await getRubric('2026')).map(criterion => criterion.key), ['research']);
+    assert.deepEqual(
+        (await getRubric('2025')).map(criterion => criterion.key),
+        ['experience', 'communication', 'committee_knowledge']
+    );
+
+    const current = await app.request('GET', '/api/admin/rubric', { token });
+    assert.equal(current.body.data.length, 3);
+});
@@ -0,0 +1,344 @@
+// Committee/position allocation engine
+// Applicants propose to (committee, position) slots in preference order and each slot
+// keeps its highest-scoring proposers (applicant-proposing deferred acceptance).
+const { committeeCodes } = require('./conferenceConfig');
+
+const ALLOCATION_STATES = {
+    DRAFT: 'draft',
+    PUBLISHED: 'published'
+};
+
+// One of each configured position per configured committee
+function defaultCapacities(config) {
+    return alignCapacities({}, config);
+}
+
+// Lay capacities out in configuration order. Seats already set are kept,
+// new committees and positions get one seat and removed ones are dropped.
+function alignCapacities(capacities, config) {
+    const aligned = {};
+    committeeCodes(config).forEach(committee => {
+        aligned[committee] = {};
+        config.positions.forEach(position => {
+            const count = capacities[committee] && capacities[committee][position];
+            aligned[committee][position] = Number.isInteger(count) ? count : 1;
+        });
+    });
+    return aligned;
+}
+
+// Validate a { committee: { position: count } } map, returning an error message or null
+function validateCapacities(capacities, config) {
+    if (!capacities || typeof capacities !== 'object') {
+        return 'Capacities are required';
+    }
+
+    for (const [committee, positions] of Object.entries(capacities)) {
+        if (!committeeCodes(config).includes(committee)) {
+            return `Unknown committee: ${committee}`;
+        }
+        if (!positions || typeof positions !== 'object') {
+            return `Capacities for ${committee} must map positions to counts`;
+        }
+        for (const [position, count] of Object.entries(positions)) {
+            if (!config.positions.includes(position)) {
+                return `Unknown position: ${position}`;
+            }
+            if (!Number.isInteger(count) || count < 0) {
+                return `Capacity for ${committee} ${position} must be a non-negative whole number`;
+            }
+        }
+    }
+
+    return null;
+}
+
+function getCapacity(capacities, committee, position) {
+    return (capacities[committee] && capacities[committee][position]) || 0;
+}
+
+function slotKey(committee, position) {
+    return `${committee}::${position}`;
+}
+
+function toArray(value) {
+    return Array.isArray(value) ? value : JSON.parse(value || '[]');
+}
+
+// Ordered slots an applicant would accept: committees in preference order,
+// then positions in preference order within each committee
+function applicantPreferences(registration) {
+    const preferences = [];
+    toArray(registration.committees).forEach(committee => {
+        toArray(registration.positions).forEach(position => {
+            preferences.push({ committee, position });
+        });
+    });
+    return preferences;
+}
+
+// Higher score first, then earlier submission, then ID so results are deterministic
+function compareApplicants(a, b) {
+    const scoreA = a.score === null ? -1 : a.score;
+    const scoreB = b.score === null ? -1 : b.score;
+    if (scoreA !== scoreB) return scoreB - scoreA;
+    if ((a.submittedAt || '') !== (b.submittedAt || '')) {
+        return (a.submittedAt || '') < (b.submittedAt || '') ? -1 : 1;
+    }
+    return a.id < b.id ? -1 : 1;
+}
+
+// Fill counts and open seats for every slot with capacity
+function summarizeSlots(capacities, assignments) {
+    const filled = new Map();
+    assignments.forEach(assignment => {
+        const key = slotKey(assignment.committee, assignment.position);
+        filled.set(key, (filled.get(key) || 0) + 1);
+    });
+
+    const unfilledSlots = [];
+    Object.entries(capacities).forEach(([committee, positions]) => {
+        Object.entries(positions).forEach(([position, capacity]) => {
+            const count = filled.get(slotKey(committee, position)) || 0;
+            if (count < capacity) {
+                unfilledSlots.push({ committee, position, capacity, filled: count, open: capacity - count });
+            }
+        });
+    });
+
+    return unfilledSlots;
+}
+
+// Applicants left without a seat, with the reason why
+function describeUnassigned(applicants, assignedIds, capacities) {
+    return applicants
+        .filter(applicant => !assignedIds.has(applicant.id))
+        .map(applicant => {
+            const preferences = applicantPreferences(applicant);
+            let reason = 'outranked';
+            if (preferences.length === 0) {
+                reason = 'no_preferences';
+            } else if (!preferences.some(pref => getCapacity(capacities, pref.committee, pref.position) > 0)) {
+                reason = 'no_seats';
+            }
+            return { registrationId: applicant.id, name: applicant.name, score: applicant.score, reason };
+        });
+}
+
+/**
+ * Propose an allocation.
+ *
+ * applicants: [{ id, name, submittedAt, committees, positions, score }] (score may be null)
+ * capacities: { committee: { position: count } }
+ * locks: [{ committee, position, registrationId }] kept as-is before matching
+ *
+ * Returns { assignments, unassigned, unfilledSlots, conflicts }.
+ */
+function runAllocation({ applicants, capacities, locks = [] }) {
+    const byId = new Map(applicants.map(applicant => [applicant.id, applicant]));
+    const remaining = new Map();
+    const conflicts = [];
+    const assignments = [];
+    const lockedIds = new Set();
+
+    Object.entries(capacities).forEach(([committee, positions]) => {
+        Object.entries(positions).forEach(([position, capacity]) => {
+            remaining.set(slotKey(committee, position), capacity);
+        });
+    });
+
+    // Locked seats are taken first and never reconsidered
+    locks.forEach(lock => {
+        const applicant = byId.get(lock.registrationId);
+        const key = slotKey(lock.committee, lock.position);
+
+        if (!applicant) {
+            conflicts.push({
+                type: 'locked_applicant_unavailable',
+                committee: lock.committee,
+                position: lock.position,
+                registrationIds: [lock.registrationId],
+                message: 'Locked applicant is no longer eligible and was dropped'
+            });
+            return;
+        }
+
+        if (lockedIds.has(applicant.id)) {
+            conflicts.push({
+                type: 'locked_twice',
+                committee: lock.committee,
+                position: lock.position,
+                registrationIds: [applicant.id],
+                message: `${applicant.name} is locked into more than one seat`
+            });
+            return;
+        }
+
+        if (!remaining.get(key)) {
+            conflicts.push({
+                type: 'over_capacity',
+                committee: lock.committee,
+                position: lock.position,
+                registrationIds: [applicant.id],
+                message: `No capacity left for locked seat ${lock.committee} ${lock.position}`
+            });
+            return;
+        }
+
+        remaining.set(key, remaining.get(key) - 1);
+        lockedIds.add(applicant.id);
+        assignments.push({
+            committee: lock.committee,
+            position: lock.position,
+            registrationId: applicant.id,
+            name: applicant.name,
+            score: applicant.score,
+            preferenceRank: applicantPreferences(applicant)
+                .findIndex(pref => pref.committee === lock.committee && pref.position === lock.position) + 1 || null,
+            locked: true
+        });
+    });
+
+    // Deferred acceptance over the remaining seats
+    const preferences = new Map();
+    const nextChoice = new Map();
+    const held = new Map(); // slot key -> applicants currently holding a seat
+    const turnedAway = new Map(); // slot key -> applicants the slot rejected
+    const queue = [];
+
+    applicants.forEach(applicant => {
+        if (lockedIds.has(applicant.id)) return;
+        preferences.set(applicant.id, applicantPreferences(applicant)
+            .filter(pref => remaining.get(slotKey(pref.committee, pref.position)) > 0));
+        nextChoice.set(applicant.id, 0);
+        queue.push(applicant);
+    });
+
+    while (queue.length > 0) {
+        const applicant = queue.shift();
+        const choices = preferences.get(applicant.id);
+        const index = nextChoice.get(applicant.id);
+
+        if (index >= choices.length) continue;
+        nextChoice.set(applicant.id, index + 1);
+
+        const key = slotKey(choices[index].committee, choices[index].position);
+        const holders = [...(held.get(key) || []), applicant].sort(compareApplicants);
+        const capacity = remaining.get(key);
+
+        held.set(key, holders.slice(0, capacity));
+        holders.slice(capacity).forEach(rejected => {
+            if (!turnedAway.has(key)) turnedAway.set(key, []);
+            turnedAway.get(key).push(rejected);
+            queue.push(rejected);
+        });
+    }
+
+    held.forEach((holders, key) => {
+        const [committee, position] = key.split('::');
+        holders.forEach(applicant => {
+            assignments.push({
+                committee,
+                position,
+                registrationId: applicant.id,
+                name: applicant.name,
+                score: applicant.score,
+                preferenceRank: applicantPreferences(applicant)
+                    .findIndex(pref => pref.committee === committee && pref.position === position) + 1,
+                locked: false
+            });
+        });
+    });
+
+    const assignedIds = new Set(assignments.map(assignment => assignment.registrationId));
+
+    // Equal scores on either side of a slot's cut-off were decided by submission time
+    held.forEach((holders, key) => {
+        const [committee, position] = key.split('::');
+        const cutoff = holders[holders.length - 1];
+        if (!cutoff || cutoff.score === null) return;
+
+        const tied = (turnedAway.get(key) || []).filter(applicant => applicant.score === cutoff.score);
+        if (tied.length > 0) {
+            conflicts.push({
+                type: 'tie',
+                committee,
+                position,
+                registrationIds: [cutoff.id, ...tied.map(applicant => applicant.id)],
+                message: `Tie at ${cutoff.score}% for ${committee} ${position}; broken by submission time`
+            });
+        }
+    });
+
+    assignments
+        .filter(assignment => assignment.score === null)
+        .forEach(assignment => {
+            conflicts.push({
+                type: 'unscored',
+                committee: assignment.committee,
+                position: assignment.position,
+                registrationIds: [assignment.registrationId],
+                message: `${assignment.name} was placed without any reviewer scores`
+            });
+        });
+
+    // Assignments follow the capacity table's committee and position order
+    const committeeOrder = Object.keys(capacities);
+    const positionOrder = [...new Set(Object.values(capacities).flatMap(positions => Object.keys(positions)))];
+
+    return {
+        assignments: assignments.sort((a, b) =>
+            committeeOrder.indexOf(a.committee) - committeeOrder.indexOf(b.committee) ||
+            positionOrder.indexOf(a.position) - positionOrder.indexOf(b.position)
+        ),
+        unassigned: describeUnassigned(applicants, assignedIds, capacities),
+        unfilledSlots: summarizeSlots(capacities, assignments),
+        conflicts
+    };
+}
+
+// Validate a hand-edited assignment list against capacities and eligible applicants.
+// Returns an error message or null.
+function validateAssignments(assignments, capacities, applicantIds) {
+    if (!Array.isArray(assignments)) {
+        return 'Assignments must be an array';
+    }
+
+    const seen = new Set();
+    const filled = new Map();
+
+    for (const assignment of assignments) {
+        const { committee, position, registrationId } = assignment || {};
+        if (!getCapacity(capacities, committee, position)) {
+            return `${committee} ${position} has no seats`;
+        }
+        if (!applicantIds.has(registrationId)) {
+            return `Registration ${registrationId} is not eligible for allocation`;
+        }
+        if (seen.has(registrationId)) {
+            return `Registration ${registrationId} is assigned more than once`;
+        }
+        seen.add(registrationId);
+
+        const key = slotKey(committee, position);
+        filled.set(key, (filled.get(key) || 0) + 1);
+        if (filled.get(key) > getCapacity(capacities, committee, position)) {
+            return `Too many applicants assigned to ${committee} ${position}`;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    ALLOCATION_STATES,
+    defaultCapacities,
+    alignCapacities,
+    validateCapacities,
+    applicantPreferences,
+    compareApplicants,
+    summarizeSlots,
+    describeUnassigned,
+    runAllocation,
+    validateAssignments
+};
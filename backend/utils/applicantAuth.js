@@ -0,0 +1,161 @@
+// Passwordless applicant sign-in: emailed one-time links and short applicant sessions
+const crypto = require('crypto');
+const {
+    getDocument,
+    setDocument,
+    updateDocument,
+    deleteDocument,
+    queryDocuments,
+    COLLECTIONS
+} = require('./repository');
+const { hashToken, parseCookies } = require('./auth');
+const { getApplicationWindow } = require('./applicationWindow');
+
+const APPLICANT_SESSION_COOKIE = 'kmun_applicant_session';
+const PORTAL_LINK_TTL_MINUTES = parseInt(process.env.PORTAL_LINK_TTL_MINUTES) || 30;
+const APPLICANT_SESSION_TTL_MS = (parseInt(process.env.APPLICANT_SESSION_TTL_HOURS) || 2) * 60 * 60 * 1000;
+
+function portalUrl(baseUrl, token) {
+    return `${baseUrl.replace(/\/$/, '')}/portal?token=${encodeURIComponent(token)}`;
+}
+
+// Issue a sign-in link token for a registration, replacing any earlier one
+async function createPortalLink(registration) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, {
+        portalTokenHash: hashToken(token),
+        portalTokenExpiresAt: new Date(Date.now() + PORTAL_LINK_TTL_MINUTES * 60 * 1000).toISOString()
+    });
+
+    return token;
+}
+
+// Consume a sign-in link token. Returns the registration, or null if the
+// link is unknown, already used or expired.
+async function redeemPortalLink(token) {
+    if (!token) return null;
+
+    const [registration] = await queryDocuments(COLLECTIONS.REGISTRATIONS, [
+        { field: 'portalTokenHash', operator: '==', value: hashToken(String(token)) }
+    ]);
+    if (!registration) return null;
+
+    // Links work once, whether or not they are still fresh
+    await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, {
+        portalTokenHash: null,
+        portalTokenExpiresAt: null
+    });
+
+    if (new Date(registration.portalTokenExpiresAt) <= new Date()) return null;
+    return registration;
+}
+
+async function createApplicantSession(registration) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + APPLICANT_SESSION_TTL_MS).toISOString();
+
+    await setDocument(COLLECTIONS.APPLICANT_SESSIONS, hashToken(token), {
+        registrationId: registration.id,
+        expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+// Resolve the registration behind the request, or null when there is no valid session
+async function getApplicantFromRequest(req) {
+    const token = parseCookies(req)[APPLICANT_SESSION_COOKIE];
+    if (!token) return null;
+
+    const sessionId = hashToken(token);
+    const session = await getDocument(COLLECTIONS.APPLICANT_SESSIONS, sessionId);
+    if (!session) return null;
+
+    if (new Date(session.expiresAt) <= new Date()) {
+        await deleteDocument(COLLECTIONS.APPLICANT_SESSIONS, sessionId).catch(() => {});
+        return null;
+    }
+
+    return getDocument(COLLECTIONS.REGISTRATIONS, session.registrationId);
+}
+
+async function destroyApplicantSession(req) {
+    const token = parseCookies(req)[APPLICANT_SESSION_COOKIE];
+    if (!token) return;
+    await deleteDocument(COLLECTIONS.APPLICANT_SESSIONS, hashToken(token));
+}
+
+function setApplicantSessionCookie(res, token) {
+    res.cookie(APPLICANT_SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: APPLICANT_SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+function clearApplicantSessionCookie(res) {
+    res.clearCookie(APPLICANT_SESSION_COOKIE, { path: '/' });
+}
+
+// Middleware for applicant authentication; sets req.registration
+async function authenticateApplicant(req, res, next) {
+    try {
+        const registration = await getApplicantFromRequest(req);
+
+        if (!registration) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please sign in with the link we emailed you'
+            });
+        }
+
+        req.registration = registration;
+        next();
+    } catch (error) {
+        console.error('Applicant authentication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify session'
+        });
+    }
+}
+
+// Applicants may edit until their edition's edit deadline. Editions without one fall back
+// to APPLICANT_EDIT_DEADLINE (ISO date-time); neither set means no deadline.
+async function getEditDeadline(editionId) {
+    const { editDeadline } = await getApplicationWindow(editionId);
+    const value = editDeadline || process.env.APPLICANT_EDIT_DEADLINE;
+    const deadline = value ? new Date(value) : null;
+    return deadline && !isNaN(deadline.getTime()) ? deadline : null;
+}
+
+function isEditingOpen(deadline, now = new Date()) {
+    return !deadline || now < deadline;
+}
+
+// How applicant edits appear in the audit log
+function toApplicantActor(registration) {
+    return {
+        username: registration.email,
+        name: registration.name,
+        role: 'applicant'
+    };
+}
+
+module.exports = {
+    PORTAL_LINK_TTL_MINUTES,
+    portalUrl,
+    createPortalLink,
+    redeemPortalLink,
+    createApplicantSession,
+    destroyApplicantSession,
+    setApplicantSessionCookie,
+    clearApplicantSessionCookie,
+    authenticateApplicant,
+    getEditDeadline,
+    isEditingOpen,
+    toApplicantActor
+};
@@ -0,0 +1,177 @@
+// Admin-defined application questions, each attached to one committee or one
+// EB position and asked only of applicants who pick it, per edition
+const { getDocument, setDocument, COLLECTIONS } = require('./repository');
+const { editionSettingsId } = require('./editions');
+const { committeeCodes } = require('./conferenceConfig');
+
+const QUESTIONS_SETTINGS_ID = 'questions';
+
+const QUESTION_TYPES = ['short_text', 'long_text', 'choice', 'url'];
+
+// Longest answer accepted for each text type
+const ANSWER_LIMITS = {
+    short_text: 200,
+    long_text: 3000,
+    url: 500
+};
+
+async function getApplicationQuestions(editionId) {
+    const settings = await getDocument(COLLECTIONS.SETTINGS, editionSettingsId(QUESTIONS_SETTINGS_ID, editionId));
+    return settings && Array.isArray(settings.questions) ? settings.questions : [];
+}
+
+async function saveApplicationQuestions(editionId, questions) {
+    await setDocument(COLLECTIONS.SETTINGS, editionSettingsId(QUESTIONS_SETTINGS_ID, editionId), { questions });
+}
+
+// Validate questions against the edition's committees and positions,
+// returning an error message or null
+function validateApplicationQuestions(questions, config) {
+    if (!Array.isArray(questions)) {
+        return 'Questions must be a list';
+    }
+
+    const keys = new Set();
+    for (const question of questions) {
+        if (!question || !/^[a-z0-9_]+$/.test(question.key || '')) {
+            return 'Each question needs a key of lowercase letters, digits or underscores';
+        }
+        if (keys.has(question.key)) {
+            return `Duplicate question key: ${question.key}`;
+        }
+        keys.add(question.key);
+
+        if (!String(question.label || '').trim()) {
+            return `Question ${question.key} needs a label`;
+        }
+        if (!QUESTION_TYPES.includes(question.type)) {
+            return `Question ${question.key} needs a type of ${QUESTION_TYPES.join(', ')}`;
+        }
+        if (question.type === 'choice') {
+            const options = Array.isArray(question.options)
+                ? question.options.map(option => String(option).trim()).filter(Boolean)
+                : [];
+            if (options.length < 2) {
+                return `Question ${question.key} needs at least two options`;
+            }
+            if (new Set(options).size !== options.length) {
+                return `Question ${question.key} lists an option twice`;
+            }
+        }
+
+        if (!!question.committee === !!question.position) {
+            return `Question ${question.key} must be attached to one committee or one position`;
+        }
+        if (question.committee && !committeeCodes(config).includes(question.committee)) {
+            return `Question ${question.key} is attached to an unknown committee: ${question.committee}`;
+        }
+        if (question.position && !config.positions.includes(question.position)) {
+            return `Question ${question.key} is attached to an unknown position: ${question.position}`;
+        }
+    }
+
+    return null;
+}
+
+function normalizeApplicationQuestions(questions) {
+    return questions.map(question => {
+        const normalized = {
+            key: question.key,
+            label: String(question.label).trim(),
+            type: question.type,
+            required: Boolean(question.required)
+        };
+        if (question.type === 'choice') {
+            normalized.options = question.options.map(option => String(option).trim()).filter(Boolean);
+        }
+        if (question.committee) {
+            normalized.committee = question.committee;
+        } else {
+            normalized.position = question.position;
+        }
+        return normalized;
+    });
+}
+
+// The questions asked of an applicant with these preferences
+function questionsFor(questions, committees = [], positions = []) {
+    return questions.filter(question => question.committee
+        ? committees.includes(question.committee)
+        : positions.includes(question.position));
+}
+
+// Answers arrive as a JSON object of question key -> answer
+function parseAnswers(body) {
+    if (!body.answers) return {};
+    if (typeof body.answers === 'object') return body.answers;
+
+    try {
+        const answers = JSON.parse(body.answers);
+        return answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+    } catch (error) {
+        console.error('Error parsing answers:', error);
+        return {};
+    }
+}
+
+function isValidUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Validate answers to the questions that apply to these preferences.
+// Returns { error } or { answers } holding only those questions' trimmed answers;
+// answers to questions for unpicked committees or positions are dropped.
+function validateAnswers(questions, answers, committees, positions) {
+    const validated = {};
+
+    for (const question of questionsFor(questions, committees, positions)) {
+        const value = answers[question.key] === undefined || answers[question.key] === null
+            ? ''
+            : String(answers[question.key]).trim();
+
+        if (!value) {
+            if (question.required) {
+                return { error: `Please answer: ${question.label}` };
+            }
+            continue;
+        }
+
+        if (question.type === 'choice' && !question.options.includes(value)) {
+            return { error: `Please pick one of the listed options for: ${question.label}` };
+        }
+        if (question.type === 'url' && !isValidUrl(value)) {
+            return { error: `Please enter a valid http(s) link for: ${question.label}` };
+        }
+        if (ANSWER_LIMITS[question.type] && value.length > ANSWER_LIMITS[question.type]) {
+            return { error: `Please keep your answer to "${question.label}" under ${ANSWER_LIMITS[question.type]} characters` };
+        }
+
+        validated[question.key] = value;
+    }
+
+    return { answers: validated };
+}
+
+// "Committee UNSC" / "Position Chairperson" for tables and exports
+function describeQuestionTarget(question) {
+    return question.committee ? `Committee ${question.committee}` : `Position ${question.position}`;
+}
+
+module.exports = {
+    QUESTIONS_SETTINGS_ID,
+    QUESTION_TYPES,
+    ANSWER_LIMITS,
+    getApplicationQuestions,
+    saveApplicationQuestions,
+    validateApplicationQuestions,
+    normalizeApplicationQuestions,
+    questionsFor,
+    parseAnswers,
+    validateAnswers,
+    describeQuestionTarget
+};
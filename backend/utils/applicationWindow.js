@@ -0,0 +1,182 @@
+// When applications are accepted: an overall window with optional per-position overrides,
+// and until when applicants may edit what they submitted, per edition
+const { getDocument, setDocument, COLLECTIONS } = require('./repository');
+const { editionSettingsId } = require('./editions');
+
+const WINDOW_SETTINGS_ID = 'application_window';
+
+const WINDOW_STATES = {
+    UPCOMING: 'upcoming',
+    OPEN: 'open',
+    CLOSED: 'closed'
+};
+
+// No times set means applications are always open
+const EMPTY_WINDOW = { opensAt: null, closesAt: null, positions: {}, editDeadline: null };
+
+async function getApplicationWindow(editionId) {
+    const settings = await getDocument(COLLECTIONS.SETTINGS, editionSettingsId(WINDOW_SETTINGS_ID, editionId));
+    if (!settings) return EMPTY_WINDOW;
+
+    return {
+        opensAt: settings.opensAt || null,
+        closesAt: settings.closesAt || null,
+        positions: settings.positions || {},
+        editDeadline: settings.editDeadline || null
+    };
+}
+
+async function saveApplicationWindow(editionId, window) {
+    await setDocument(COLLECTIONS.SETTINGS, editionSettingsId(WINDOW_SETTINGS_ID, editionId), window);
+}
+
+function isValidTime(value) {
+    return value === null || value === undefined || value === '' || !isNaN(new Date(value).getTime());
+}
+
+function toIsoOrNull(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// Validate { opensAt, closesAt } bounds, returning an error message or null
+function validateBounds({ opensAt, closesAt }, label) {
+    if (!isValidTime(opensAt) || !isValidTime(closesAt)) {
+        return `${label} needs valid opening and closing times`;
+    }
+    if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+        return `${label} must close after it opens`;
+    }
+    return null;
+}
+
+// Validate an application window against the conference's positions,
+// returning an error message or null
+function validateApplicationWindow(window, config) {
+    if (!window || typeof window !== 'object') {
+        return 'Application window is required';
+    }
+
+    const overallError = validateBounds(window, 'The application window');
+    if (overallError) return overallError;
+
+    if (!isValidTime(window.editDeadline)) {
+        return 'The edit deadline needs a valid time';
+    }
+
+    const positions = window.positions || {};
+    if (typeof positions !== 'object' || Array.isArray(positions)) {
+        return 'Positions must map each position to { opensAt, closesAt }';
+    }
+
+    for (const [position, bounds] of Object.entries(positions)) {
+        if (!config.positions.includes(position)) {
+            return `Unknown position: ${position}`;
+        }
+        const positionError = validateBounds(bounds || {}, position);
+        if (positionError) return positionError;
+    }
+
+    return null;
+}
+
+// Store times as ISO strings and drop position overrides that set nothing
+function normalizeApplicationWindow(window) {
+    const positions = {};
+    Object.entries(window.positions || {}).forEach(([position, bounds]) => {
+        const opensAt = toIsoOrNull(bounds && bounds.opensAt);
+        const closesAt = toIsoOrNull(bounds && bounds.closesAt);
+        if (opensAt || closesAt) {
+            positions[position] = { opensAt, closesAt };
+        }
+    });
+
+    return {
+        opensAt: toIsoOrNull(window.opensAt),
+        closesAt: toIsoOrNull(window.closesAt),
+        positions,
+        editDeadline: toIsoOrNull(window.editDeadline)
+    };
+}
+
+function windowState({ opensAt, closesAt }, now = new Date()) {
+    if (opensAt && now < new Date(opensAt)) return WINDOW_STATES.UPCOMING;
+    if (closesAt && now >= new Date(closesAt)) return WINDOW_STATES.CLOSED;
+    return WINDOW_STATES.OPEN;
+}
+
+// A position's own times win; anything it leaves unset falls back to the overall window
+function positionWindow(window, position) {
+    const override = window.positions[position] || {};
+    return {
+        opensAt: override.opensAt || window.opensAt,
+        closesAt: override.closesAt || window.closesAt
+    };
+}
+
+/**
+ * Public view of the window at `now`.
+ * Applications are open while any position is open; `closesAt` is then the
+ * last closing time among open positions (null if one never closes) and,
+ * before opening, `opensAt` is the first position to open.
+ */
+function describeApplicationWindow(window, config, now = new Date()) {
+    const positions = config.positions.map(position => {
+        const bounds = positionWindow(window, position);
+        return { position, ...bounds, state: windowState(bounds, now) };
+    });
+
+    const open = positions.filter(p => p.state === WINDOW_STATES.OPEN);
+    const upcoming = positions.filter(p => p.state === WINDOW_STATES.UPCOMING);
+
+    let state = WINDOW_STATES.CLOSED;
+    if (open.length > 0) state = WINDOW_STATES.OPEN;
+    else if (upcoming.length > 0) state = WINDOW_STATES.UPCOMING;
+
+    const latest = times => times.reduce((max, time) => (time > max ? time : max));
+    const earliest = times => times.reduce((min, time) => (time < min ? time : min));
+
+    return {
+        state,
+        opensAt: upcoming.length > 0 ? earliest(upcoming.map(p => p.opensAt)) : window.opensAt,
+        closesAt: open.length > 0
+            ? (open.every(p => p.closesAt) ? latest(open.map(p => p.closesAt)) : null)
+            : window.closesAt,
+        positions,
+        serverTime: now.toISOString()
+    };
+}
+
+// Why a submission for these positions is not accepted right now, or null
+function checkSubmissionWindow(window, config, positions, now = new Date()) {
+    const description = describeApplicationWindow(window, config, now);
+
+    if (description.state === WINDOW_STATES.UPCOMING) {
+        return 'Applications are not open yet';
+    }
+    if (description.state === WINDOW_STATES.CLOSED) {
+        return 'Applications are closed';
+    }
+
+    for (const position of positions || []) {
+        const state = windowState(positionWindow(window, position), now);
+        if (state === WINDOW_STATES.UPCOMING) {
+            return `Applications for ${position} are not open yet`;
+        }
+        if (state === WINDOW_STATES.CLOSED) {
+            return `Applications for ${position} are closed`;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    WINDOW_SETTINGS_ID,
+    WINDOW_STATES,
+    getApplicationWindow,
+    saveApplicationWindow,
+    validateApplicationWindow,
+    normalizeApplicationWindow,
+    describeApplicationWindow,
+    checkSubmissionWindow
+};
@@ -0,0 +1,109 @@
+const { addDocument, COLLECTIONS } = require('./repository');
+
+// Audit log action names
+const AUDIT_ACTIONS = {
+    REGISTRATION_UPDATE: 'registration.update',
+    REGISTRATION_DELETE: 'registration.delete',
+    APPLICANT_UPDATE: 'registration.applicant_update',
+    STATUS_CHANGE: 'registration.status_change',
+    BULK_UPDATE: 'registration.bulk_update',
+    BULK_DELETE: 'registration.bulk_delete',
+    BULK_STATUS_CHANGE: 'registration.bulk_status_change',
+    BULK_TAG: 'registration.bulk_tag',
+    SCORE_SUBMIT: 'registration.score',
+    SCORE_RECUSE: 'registration.score_recuse',
+    CONFLICT_VIEW: 'registration.conflict_view',
+    RUBRIC_UPDATE: 'settings.rubric_update',
+    APPLICATION_WINDOW_UPDATE: 'settings.application_window_update',
+    CONFERENCE_UPDATE: 'settings.conference_update',
+    QUESTIONS_UPDATE: 'settings.questions_update',
+    REVIEW_SETTINGS_UPDATE: 'settings.review_update',
+    IDENTITIES_REVEAL: 'settings.identities_reveal',
+    EDITION_CREATE: 'settings.edition_create',
+    EDITION_ACTIVATE: 'settings.edition_activate',
+    ALLOCATION_RUN: 'allocation.run',
+    ALLOCATION_UPDATE: 'allocation.update',
+    ALLOCATION_PUBLISH: 'allocation.publish',
+    MAIL_SEND: 'mail.send',
+    MAIL_WELCOME: 'mail.welcome',
+    MAIL_INTERVIEW_INVITE: 'mail.interview_invite',
+    INTERVIEW_SLOT_CREATE: 'interview.slot_create',
+    INTERVIEW_SLOT_DELETE: 'interview.slot_delete',
+    INTERVIEW_BOOK: 'interview.book',
+    OFFER_SEND: 'offer.send',
+    OFFER_RESPOND: 'offer.respond',
+    OFFER_EXPIRE: 'offer.expire',
+    WAITLIST_PROMOTE: 'offer.waitlist_promote',
+    RECOMMENDATION_REMIND: 'recommendation.remind',
+    RECOMMENDATION_SUBMIT: 'recommendation.submit',
+    COMMENT_ADD: 'comment.add',
+    COMMENT_UPDATE: 'comment.update',
+    COMMENT_DELETE: 'comment.delete',
+    TAG_CREATE: 'tag.create',
+    TAG_UPDATE: 'tag.update',
+    TAG_DELETE: 'tag.delete',
+    PROFILE_UPDATE: 'profile.update',
+    CONFLICT_DECLARE: 'profile.conflict_declare',
+    CONFLICT_WITHDRAW: 'profile.conflict_withdraw'
+};
+
+// Bookkeeping fields that never show up in a diff
+const IGNORED_DIFF_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Field-level diff of the keys in `after`, as { field: { from, to } }
+function diffFields(before = {}, after = {}) {
+    const changes = {};
+
+    Object.keys(after).forEach(field => {
+        if (IGNORED_DIFF_FIELDS.includes(field)) return;
+
+        const from = before[field] === undefined ? null : before[field];
+        const to = after[field] === undefined ? null : after[field];
+
+        if (!isSameValue(from, to)) {
+            changes[field] = { from, to };
+        }
+    });
+
+    return changes;
+}
+
+// Diff describing a deleted document: every field goes to null
+function deletionDiff(before = {}) {
+    const emptied = {};
+    Object.keys(before).forEach(field => {
+        emptied[field] = null;
+    });
+    return diffFields(before, emptied);
+}
+
+// Persist an audit entry. Failures are logged rather than thrown so an
+// audit outage never undoes a mutation that already happened.
+async function recordAudit(admin, entry) {
+    try {
+        await addDocument(COLLECTIONS.AUDIT_LOGS, {
+            actor: admin ? admin.username : 'system',
+            actorName: admin ? admin.name : 'System',
+            actorRole: admin ? admin.role : null,
+            action: entry.action,
+            registrationIds: entry.registrationIds || [],
+            changes: entry.changes || {},
+            recipientCount: entry.recipientCount !== undefined ? entry.recipientCount : null,
+            details: entry.details || null,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('❌ Failed to record audit entry:', entry.action, error);
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    diffFields,
+    deletionDiff,
+    recordAudit
+};
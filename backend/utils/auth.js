@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { getDocument, setDocument, deleteDocument, COLLECTIONS } = require('./repository');
+const { ROLES, normalizeRole } = require('./permissions');
+
+const SESSION_COOKIE = 'kmun_admin_session';
+const SESSION_TTL_MS = (parseInt(process.env.ADMIN_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+// Admin users are stored under their lowercased username
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// Hash a password as "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derivedKey) => {
+            if (error) return reject(error);
+            resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, storedHash) {
+    return new Promise((resolve, reject) => {
+        const [scheme, salt, hash] = String(storedHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derivedKey) => {
+            if (error) return reject(error);
+            const expected = Buffer.from(hash, 'hex');
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+// Sessions are keyed by the SHA-256 of the token so a leaked database
+// does not hand out usable session tokens
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers.cookie;
+    if (!header) return cookies;
+
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+function getTokenFromRequest(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
+    }
+    return parseCookies(req)[SESSION_COOKIE] || null;
+}
+
+// Strip credentials before an admin user leaves the server
+function toPublicAdmin(user) {
+    const role = normalizeRole(user.role);
+    return {
+        username: user.id,
+        name: user.name || user.id,
+        role,
+        committees: role === ROLES.COMMITTEE_HEAD && Array.isArray(user.committees) ? user.committees : [],
+        // Conflict-of-interest profile
+        college: user.college || null,
+        conflicts: Array.isArray(user.conflicts) ? user.conflicts : []
+    };
+}
+
+async function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+
+    await setDocument(COLLECTIONS.ADMIN_SESSIONS, hashToken(token), {
+        username: user.id,
+        expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+// Resolve the admin behind the request, or null when there is no valid session
+async function getSessionFromRequest(req) {
+    const token = getTokenFromRequest(req);
+    if (!token) return null;
+
+    const sessionId = hashToken(token);
+    const session = await getDocument(COLLECTIONS.ADMIN_SESSIONS, sessionId);
+    if (!session) return null;
+
+    if (new Date(session.expiresAt) <= new Date()) {
+        await deleteDocument(COLLECTIONS.ADMIN_SESSIONS, sessionId).catch(() => {});
+        return null;
+    }
+
+    const user = await getDocument(COLLECTIONS.ADMIN_USERS, session.username);
+    if (!user || user.active === false) return null;
+
+    return { sessionId, user };
+}
+
+async function destroySession(req) {
+    const token = getTokenFromRequest(req);
+    if (!token) return;
+    await deleteDocument(COLLECTIONS.ADMIN_SESSIONS, hashToken(token));
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Middleware for admin authentication
+async function authenticateAdmin(req, res, next) {
+    try {
+        const session = await getSessionFromRequest(req);
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        req.admin = toPublicAdmin(session.user);
+        req.sessionId = session.sessionId;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify session'
+        });
+    }
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    normalizeUsername,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    parseCookies,
+    toPublicAdmin,
+    createSession,
+    getSessionFromRequest,
+    destroySession,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticateAdmin
+};
@@ -0,0 +1,114 @@
+// Blind review: while it is on, reviewers and committee heads see applicants
+// under a candidate code with their identifying details and documents withheld.
+// Super-admins close scoring and then reveal identities, per edition
+const crypto = require('crypto');
+const { getDocument, setDocument, COLLECTIONS } = require('./repository');
+const { editionSettingsId } = require('./editions');
+const { ROLES } = require('./permissions');
+const { REGISTRATION_FILE_FIELDS } = require('./s3Uploader');
+
+const REVIEW_SETTINGS_ID = 'review';
+
+const DEFAULT_REVIEW_SETTINGS = {
+    blindReview: false,
+    scoringClosedAt: null,
+    identitiesRevealedAt: null
+};
+
+// Fields withheld from blinded admins, besides the uploaded documents
+const IDENTIFYING_FIELDS = ['name', 'email', 'phone', 'college', 'emailNormalized', 'phoneNormalized'];
+
+// Referees often come from the applicant's college or past MUNs, so they give the applicant away too
+const REFEREE_FIELDS = ['refereeName', 'refereeEmail', 'refereeOrganization'];
+
+const BLIND_REVIEW_MESSAGE = 'Applicant identities are hidden during blind review';
+
+async function getReviewSettings(editionId) {
+    const settings = await getDocument(COLLECTIONS.SETTINGS, editionSettingsId(REVIEW_SETTINGS_ID, editionId));
+    if (!settings) return DEFAULT_REVIEW_SETTINGS;
+
+    return {
+        blindReview: Boolean(settings.blindReview),
+        scoringClosedAt: settings.scoringClosedAt || null,
+        identitiesRevealedAt: settings.identitiesRevealedAt || null
+    };
+}
+
+async function saveReviewSettings(editionId, settings) {
+    await setDocument(COLLECTIONS.SETTINGS, editionSettingsId(REVIEW_SETTINGS_ID, editionId), settings);
+}
+
+// Super-admins are never blinded; they run the review and reveal identities
+function isBlinded(admin, settings) {
+    return Boolean(settings.blindReview && !settings.identitiesRevealedAt && admin && admin.role !== ROLES.SUPER_ADMIN);
+}
+
+// A stable code for an applicant, e.g. "C-3F9A1B"
+function candidateCode(registrationId) {
+    return `C-${crypto.createHash('sha256').update(String(registrationId)).digest('hex').slice(0, 6).toUpperCase()}`;
+}
+
+// A registration as a blinded admin sees it
+function redactRegistration(registration) {
+    const redacted = { ...registration, candidateCode: candidateCode(registration.id), identityHidden: true };
+
+    [...IDENTIFYING_FIELDS, ...REGISTRATION_FILE_FIELDS].forEach(field => {
+        if (redacted[field] !== undefined) redacted[field] = null;
+    });
+
+    // Duplicate flags name the other applicant
+    if (Array.isArray(redacted.possibleDuplicates)) {
+        redacted.possibleDuplicates = redacted.possibleDuplicates.map(duplicate => ({
+            ...duplicate,
+            name: candidateCode(duplicate.id)
+        }));
+    }
+
+    return redacted;
+}
+
+// Redact a registration only when the admin is blinded
+function viewRegistrationAs(admin, settings, registration) {
+    return isBlinded(admin, settings)
+        ? redactRegistration(registration)
+        : { ...registration, candidateCode: candidateCode(registration.id) };
+}
+
+// Whether an update would change a field blinded admins cannot see
+function touchesIdentifyingFields(updateData) {
+    return [...IDENTIFYING_FIELDS, ...REGISTRATION_FILE_FIELDS].some(field => updateData[field] !== undefined);
+}
+
+// { blindReview, scoringClosed, identitiesRevealed, blinded } for the dashboard
+// A referee recommendation as a blinded admin sees it
+function redactRecommendation(recommendation) {
+    const redacted = { ...recommendation, identityHidden: true };
+    REFEREE_FIELDS.forEach(field => {
+        redacted[field] = null;
+    });
+    return redacted;
+}
+
+function describeReviewSettings(admin, settings) {
+    return {
+        ...settings,
+        scoringClosed: Boolean(settings.scoringClosedAt),
+        identitiesRevealed: Boolean(settings.identitiesRevealedAt),
+        blinded: isBlinded(admin, settings)
+    };
+}
+
+module.exports = {
+    REVIEW_SETTINGS_ID,
+    IDENTIFYING_FIELDS,
+    BLIND_REVIEW_MESSAGE,
+    getReviewSettings,
+    saveReviewSettings,
+    isBlinded,
+    candidateCode,
+    redactRegistration,
+    redactRecommendation,
+    viewRegistrationAs,
+    touchesIdentifyingFields,
+    describeReviewSettings
+};
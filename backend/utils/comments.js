@@ -0,0 +1,135 @@
+// Internal comment threads on registrations. Admins discuss a candidate and
+// @mention each other; mentioned admins are emailed a notification
+const {
+    getCollection,
+    deleteDocument,
+    queryDocuments,
+    COLLECTIONS
+} = require('./repository');
+const { toPublicAdmin } = require('./auth');
+const { ROLES, canAccessRegistration } = require('./permissions');
+const { createTransport, renderTemplate, fromAddress, escapeHtml } = require('./mailer');
+const { editionForRegistration, registrationEdition } = require('./editions');
+const { getReviewSettings, isBlinded, candidateCode } = require('./blindReview');
+
+const COMMENT_MAX_LENGTH = 2000;
+
+// @username, where usernames may contain letters, digits, dots, dashes and underscores
+const MENTION_PATTERN = /(^|[^\w.@])@([a-z0-9._-]+)/gi;
+
+// Returns { error } or { body }
+function validateCommentBody(input) {
+    const body = String(input || '').trim();
+
+    if (!body) {
+        return { error: 'Comment cannot be empty' };
+    }
+    if (body.length > COMMENT_MAX_LENGTH) {
+        return { error: `Please keep comments under ${COMMENT_MAX_LENGTH} characters` };
+    }
+
+    return { body };
+}
+
+// Active admins who can open this registration, and so can be mentioned on it
+async function getMentionableAdmins(registration) {
+    const users = await getCollection(COLLECTIONS.ADMIN_USERS);
+    return users
+        .filter(user => user.active !== false)
+        .map(user => ({ ...toPublicAdmin(user), email: user.email || null }))
+        .filter(admin => admin.role !== ROLES.MAILER && canAccessRegistration(admin, registration))
+        .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// Usernames mentioned in a comment, limited to the given admins
+function extractMentions(body, admins) {
+    const usernames = new Set(admins.map(admin => admin.username));
+    const mentions = new Set();
+
+    for (const match of body.matchAll(MENTION_PATTERN)) {
+        // A mention at the end of a sentence drags the full stop along
+        const username = match[2].toLowerCase().replace(/[._-]+$/, '');
+        if (usernames.has(username)) mentions.add(username);
+    }
+
+    return [...mentions];
+}
+
+function defaultBaseUrl() {
+    return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Email each mentioned admin (other than the author) about a comment.
+ * Admins without an email address are skipped. Returns the usernames notified.
+ */
+async function notifyMentions(comment, registration, admins, { author, baseUrl = defaultBaseUrl() } = {}) {
+    const recipients = admins.filter(admin => comment.mentions.includes(admin.username) && admin.username !== author.username);
+    if (recipients.length === 0) return [];
+
+    const edition = await editionForRegistration(registration);
+    const reviewSettings = await getReviewSettings(registrationEdition(registration));
+    const notified = [];
+
+    for (const admin of recipients) {
+        if (!admin.email) {
+            console.log(`⚠️ ${admin.username} was mentioned but has no email address`);
+            continue;
+        }
+
+        try {
+            const email = renderTemplate('comment_mention', {
+                adminName: admin.name,
+                authorName: author.name,
+                // Blind review hides the applicant from reviewers' inboxes too
+                applicantName: isBlinded(admin, reviewSettings) ? candidateCode(registration.id) : registration.name,
+                comment: escapeHtml(comment.body).replace(/\n/g, '<br>'),
+                dashboardUrl: `${baseUrl.replace(/\/$/, '')}/admin`
+            }, edition);
+
+            await createTransport().sendMail({
+                from: fromAddress(edition),
+                to: admin.email,
+                subject: email.subject,
+                html: email.html
+            });
+            notified.push(admin.username);
+        } catch (emailError) {
+            console.error(`Failed to notify ${admin.username} of a mention:`, emailError);
+        }
+    }
+
+    return notified;
+}
+
+async function getRegistrationComments(registrationId) {
+    const comments = await queryDocuments(COLLECTIONS.COMMENTS, [
+        { field: 'registrationId', operator: '==', value: registrationId }
+    ]);
+    return comments.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+async function deleteRegistrationComments(registrationId) {
+    const comments = await getRegistrationComments(registrationId);
+    await Promise.all(comments.map(comment => deleteDocument(COLLECTIONS.COMMENTS, comment.id)));
+}
+
+// registrationId -> number of comments, for the registrations table
+function countCommentsByRegistration(comments) {
+    const counts = new Map();
+    comments.forEach(comment => {
+        counts.set(comment.registrationId, (counts.get(comment.registrationId) || 0) + 1);
+    });
+    return counts;
+}
+
+module.exports = {
+    COMMENT_MAX_LENGTH,
+    validateCommentBody,
+    getMentionableAdmins,
+    extractMentions,
+    notifyMentions,
+    getRegistrationComments,
+    deleteRegistrationComments,
+    countCommentsByRegistration
+};
@@ -0,0 +1,124 @@
+// Conference configuration: committees, EB positions and year-of-study options, per edition
+const { getDocument, setDocument, COLLECTIONS } = require('./repository');
+const { editionSettingsId } = require('./editions');
+
+const CONFERENCE_SETTINGS_ID = 'conference';
+
+// Used until an admin saves their own configuration
+const DEFAULT_CONFERENCE_CONFIG = {
+    committees: [
+        { code: 'UNSC', name: 'United Nations Security Council', description: 'Address global security challenges and maintain international peace.', icon: 'fa-shield-alt' },
+        { code: 'UNODC', name: 'United Nations Office on Drugs and Crime', description: 'Tackle transnational organized crime and drug trafficking.', icon: 'fa-balance-scale' },
+        { code: 'LOK SABHA', name: 'Indian Parliament', description: 'Experience Indian parliamentary democracy and legislative processes.', icon: 'fa-landmark' },
+        { code: 'CCC', name: 'Crisis Control Committee', description: 'Handle dynamic crisis scenarios and emergency response.', icon: 'fa-exclamation-triangle' },
+        { code: 'IPC', name: 'International Press Corps', description: 'Report on committee proceedings and shape public opinion.', icon: 'fa-newspaper' },
+        { code: 'DISEC', name: 'Disarmament and International Security', description: 'Address disarmament challenges and international security issues.', icon: 'fa-peace' }
+    ],
+    positions: ['Chairperson', 'Vice-Chairperson', 'Director'],
+    years: [
+        { value: '1', label: '1st Year' },
+        { value: '2', label: '2nd Year' },
+        { value: '3', label: '3rd Year' },
+        { value: '4', label: '4th Year' },
+        { value: '5', label: '5th Year' }
+    ]
+};
+
+async function getConferenceConfig(editionId) {
+    const settings = await getDocument(COLLECTIONS.SETTINGS, editionSettingsId(CONFERENCE_SETTINGS_ID, editionId));
+    if (!settings) return DEFAULT_CONFERENCE_CONFIG;
+
+    return {
+        committees: settings.committees || DEFAULT_CONFERENCE_CONFIG.committees,
+        positions: settings.positions || DEFAULT_CONFERENCE_CONFIG.positions,
+        years: settings.years || DEFAULT_CONFERENCE_CONFIG.years
+    };
+}
+
+async function saveConferenceConfig(editionId, config) {
+    await setDocument(COLLECTIONS.SETTINGS, editionSettingsId(CONFERENCE_SETTINGS_ID, editionId), config);
+}
+
+// First value listed twice, or undefined
+function findDuplicate(values) {
+    return values.find((value, index) => values.indexOf(value) !== index);
+}
+
+// Validate a conference configuration, returning an error message or null
+function validateConferenceConfig(config) {
+    if (!config || typeof config !== 'object') {
+        return 'Configuration is required';
+    }
+
+    const { committees, positions, years } = config;
+
+    if (!Array.isArray(committees) || committees.length === 0) {
+        return 'At least one committee is required';
+    }
+    if (committees.some(committee => !committee || !String(committee.code || '').trim() || !String(committee.name || '').trim())) {
+        return 'Each committee needs a code and a name';
+    }
+    const duplicateCommittee = findDuplicate(committees.map(committee => String(committee.code).trim()));
+    if (duplicateCommittee) {
+        return `Duplicate committee: ${duplicateCommittee}`;
+    }
+
+    if (!Array.isArray(positions) || positions.length === 0) {
+        return 'At least one position is required';
+    }
+    if (positions.some(position => typeof position !== 'string' || !position.trim())) {
+        return 'Positions must be non-empty names';
+    }
+    const duplicatePosition = findDuplicate(positions.map(position => position.trim()));
+    if (duplicatePosition) {
+        return `Duplicate position: ${duplicatePosition}`;
+    }
+
+    if (!Array.isArray(years) || years.length === 0) {
+        return 'At least one year option is required';
+    }
+    if (years.some(year => !year || !String(year.value || '').trim() || !String(year.label || '').trim())) {
+        return 'Each year option needs a value and a label';
+    }
+    const duplicateYear = findDuplicate(years.map(year => String(year.value).trim()));
+    if (duplicateYear) {
+        return `Duplicate year option: ${duplicateYear}`;
+    }
+
+    return null;
+}
+
+function normalizeConferenceConfig(config) {
+    return {
+        committees: config.committees.map(committee => ({
+            code: String(committee.code).trim(),
+            name: String(committee.name).trim(),
+            description: committee.description ? String(committee.description).trim() : '',
+            icon: committee.icon ? String(committee.icon).trim() : 'fa-users'
+        })),
+        positions: config.positions.map(position => position.trim()),
+        years: config.years.map(year => ({
+            value: String(year.value).trim(),
+            label: String(year.label).trim()
+        }))
+    };
+}
+
+function committeeCodes(config) {
+    return config.committees.map(committee => committee.code);
+}
+
+function yearValues(config) {
+    return config.years.map(year => year.value);
+}
+
+module.exports = {
+    CONFERENCE_SETTINGS_ID,
+    DEFAULT_CONFERENCE_CONFIG,
+    getConferenceConfig,
+    saveConferenceConfig,
+    validateConferenceConfig,
+    normalizeConferenceConfig,
+    committeeCodes,
+    yearValues
+};
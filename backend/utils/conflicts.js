@@ -0,0 +1,103 @@
+// Conflicts of interest. Admins keep a profile with their college and the
+// applicants they know; matching registrations are flagged and the admin is
+// recused from scoring them
+const {
+    deleteDocument,
+    queryDocuments,
+    COLLECTIONS
+} = require('./repository');
+
+const CONFLICT_REASONS = {
+    SAME_COLLEGE: 'same_college',
+    DECLARED: 'declared'
+};
+
+const COLLEGE_MAX_LENGTH = 200;
+const CONFLICT_NOTE_MAX_LENGTH = 500;
+
+const RECUSED_MESSAGE = 'You have a conflict of interest with this applicant and are recused from scoring them';
+
+// "PSG College of Technology, Coimbatore" and "psg college of technology coimbatore" match
+function normalizeCollege(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Returns { error } or { college }, where an empty college clears it
+function validateCollege(value) {
+    const college = String(value || '').trim().replace(/\s+/g, ' ');
+
+    if (college.length > COLLEGE_MAX_LENGTH) {
+        return { error: `College must be at most ${COLLEGE_MAX_LENGTH} characters` };
+    }
+
+    return { college: college || null };
+}
+
+// Returns { error } or { note }
+function validateConflictNote(value) {
+    const note = String(value || '').trim();
+
+    if (note.length > CONFLICT_NOTE_MAX_LENGTH) {
+        return { error: `Please keep the note under ${CONFLICT_NOTE_MAX_LENGTH} characters` };
+    }
+
+    return { note };
+}
+
+function declaredConflicts(admin) {
+    return admin && Array.isArray(admin.conflicts) ? admin.conflicts : [];
+}
+
+/**
+ * The admin's conflict with a registration, or null when there is none.
+ * Conflicts are { reasons, note }, where the note comes from a declaration.
+ */
+function findConflict(admin, registration) {
+    if (!admin || !registration) return null;
+
+    const reasons = [];
+    const adminCollege = normalizeCollege(admin.college);
+    if (adminCollege && adminCollege === normalizeCollege(registration.college)) {
+        reasons.push(CONFLICT_REASONS.SAME_COLLEGE);
+    }
+
+    const declared = declaredConflicts(admin).find(conflict => conflict.registrationId === registration.id);
+    if (declared) {
+        reasons.push(CONFLICT_REASONS.DECLARED);
+    }
+
+    if (reasons.length === 0) return null;
+    return { reasons, note: declared ? declared.note || '' : '' };
+}
+
+/**
+ * Withdraw the admin's score sheets on registrations they now have a conflict
+ * with. Returns the IDs of the registrations whose sheets were withdrawn.
+ */
+async function recuseFromScoring(admin, registrations) {
+    const sheets = await queryDocuments(COLLECTIONS.SCORES, [
+        { field: 'reviewer', operator: '==', value: admin.username }
+    ]);
+    const withdrawn = sheets.filter(sheet => {
+        const registration = registrations.find(reg => reg.id === sheet.registrationId);
+        return registration && findConflict(admin, registration);
+    });
+
+    await Promise.all(withdrawn.map(sheet => deleteDocument(COLLECTIONS.SCORES, sheet.id)));
+    return withdrawn.map(sheet => sheet.registrationId);
+}
+
+module.exports = {
+    CONFLICT_REASONS,
+    COLLEGE_MAX_LENGTH,
+    RECUSED_MESSAGE,
+    normalizeCollege,
+    validateCollege,
+    validateConflictNote,
+    declaredConflicts,
+    findConflict,
+    recuseFromScoring
+};
@@ -0,0 +1,168 @@
+const { initializeApp } = require('firebase/app');
+const { 
+  getFirestore, 
+  collection, 
+  addDoc, 
+  getDocs, 
+  doc, 
+  getDoc, 
+  setDoc,
+  updateDoc, 
+  deleteDoc,
+  runTransaction,
+  query,
+  orderBy,
+  where,
+  documentId,
+  startAfter,
+  limit,
+  serverTimestamp,
+  Timestamp
+} = require('firebase/firestore');
+
+// Firebase configuration
+const firebaseConfig = {
+  apiKey: process.env.FIREBASE_API_KEY,
+  authDomain: process.env.FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.FIREBASE_APP_ID
+};
+
+// Initialize Firebase
+const app = initializeApp(firebaseConfig);
+const db = getFirestore(app);
+
+// Documents leave the driver with plain values: the createdAt and updatedAt
+// server timestamps become ISO strings, as the local driver stores them
+function toDocument(docSnap) {
+    const data = docSnap.data();
+    Object.keys(data).forEach(field => {
+        if (data[field] instanceof Timestamp) data[field] = data[field].toDate().toISOString();
+    });
+    return { id: docSnap.id, ...data };
+}
+
+async function add(collectionName, data) {
+    const docRef = await addDoc(collection(db, collectionName), {
+        ...data,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return docRef.id;
+}
+
+async function list(collectionName, orderByField = null, orderDirection = 'desc') {
+    let q = collection(db, collectionName);
+    
+    if (orderByField) {
+        q = query(q, orderBy(orderByField, orderDirection));
+    }
+    
+    const snapshot = await getDocs(q);
+    const documents = [];
+    
+    snapshot.forEach((doc) => {
+        documents.push(toDocument(doc));
+    });
+    
+    return documents;
+}
+
+// conditions: [{ field, operator, value }] using Firestore where() operators
+async function find(collectionName, conditions = []) {
+    const constraints = conditions.map(({ field, operator, value }) => where(field, operator, value));
+    const snapshot = await getDocs(query(collection(db, collectionName), ...constraints));
+    const documents = [];
+    
+    snapshot.forEach((doc) => {
+        documents.push(toDocument(doc));
+    });
+    
+    return documents;
+}
+
+// One page of a query in a stable order: by orderByField, then document ID.
+// after is the [value, id] of the last document on the previous page.
+async function page(collectionName, { conditions = [], orderByField, orderDirection = 'desc', after = null, pageSize }) {
+    const constraints = [
+        ...conditions.map(({ field, operator, value }) => where(field, operator, value)),
+        orderBy(orderByField, orderDirection),
+        orderBy(documentId(), orderDirection)
+    ];
+    if (after) constraints.push(startAfter(...after));
+    constraints.push(limit(pageSize));
+
+    const snapshot = await getDocs(query(collection(db, collectionName), ...constraints));
+    const documents = [];
+    
+    snapshot.forEach((doc) => {
+        documents.push(toDocument(doc));
+    });
+    
+    return documents;
+}
+
+async function get(collectionName, docId) {
+    const docSnap = await getDoc(doc(db, collectionName, docId));
+    
+    if (!docSnap.exists()) {
+        return null;
+    }
+    
+    return toDocument(docSnap);
+}
+
+async function set(collectionName, docId, data) {
+    await setDoc(doc(db, collectionName, docId), {
+        ...data,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+}
+
+async function update(collectionName, docId, data) {
+    await updateDoc(doc(db, collectionName, docId), {
+        ...data,
+        updatedAt: serverTimestamp()
+    });
+}
+
+// Read and write in one transaction. buildUpdate sees the current document (or null)
+// and returns the fields to write, or null to leave it alone. Firestore reruns it
+// if the document changes before the commit, so it must not have side effects.
+async function updateIf(collectionName, docId, buildUpdate) {
+    const docRef = doc(db, collectionName, docId);
+
+    return runTransaction(db, async (transaction) => {
+        const docSnap = await transaction.get(docRef);
+        const data = buildUpdate(docSnap.exists() ? toDocument(docSnap) : null);
+
+        if (data) {
+            transaction.update(docRef, {
+                ...data,
+                updatedAt: serverTimestamp()
+            });
+        }
+        return data;
+    });
+}
+
+async function remove(collectionName, docId) {
+    await deleteDoc(doc(db, collectionName, docId));
+}
+
+module.exports = {
+    name: 'firestore',
+    db,
+    add,
+    list,
+    find,
+    page,
+    get,
+    set,
+    update,
+    updateIf,
+    remove
+};
@@ -0,0 +1,14 @@
+// Datastore driver selection: DATASTORE_DRIVER=firestore (default) or local
+const drivers = {
+    firestore: () => require('./firestoreDriver'),
+    local: () => require('./localDriver')
+};
+
+const driverName = (process.env.DATASTORE_DRIVER || 'firestore').toLowerCase();
+
+if (!drivers[driverName]) {
+    throw new Error(`Unsupported datastore driver: ${driverName}. Use one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+// Only the selected driver is loaded, so the local driver needs no Firebase project
+module.exports = drivers[driverName]();
@@ -0,0 +1,221 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Embedded JSON-file datastore for local development and automated tests.
+// Each collection is one JSON file under DATASTORE_LOCAL_DIR, held in memory
+// after the first read and rewritten atomically on every change.
+const dataDir = path.resolve(process.env.DATASTORE_LOCAL_DIR || path.join(__dirname, '../../data'));
+
+const collections = new Map();
+let writeQueue = Promise.resolve();
+
+function collectionFile(collectionName) {
+    if (!/^[\w-]+$/.test(collectionName)) {
+        throw new Error(`Invalid collection name: ${collectionName}`);
+    }
+    return path.join(dataDir, `${collectionName}.json`);
+}
+
+// Calls racing the first read share it, so they all work on the same documents
+function loadCollection(collectionName) {
+    if (!collections.has(collectionName)) {
+        const loading = readCollection(collectionName);
+        collections.set(collectionName, loading);
+        loading.catch(() => collections.delete(collectionName));
+    }
+    return collections.get(collectionName);
+}
+
+async function readCollection(collectionName) {
+    try {
+        return JSON.parse(await fs.readFile(collectionFile(collectionName), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return {};
+    }
+}
+
+// Writes are serialized so concurrent requests cannot interleave file contents
+function persistCollection(collectionName) {
+    const write = async () => {
+        const file = collectionFile(collectionName);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.mkdir(dataDir, { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify(await collections.get(collectionName), null, 2));
+        await fs.rename(tempFile, file);
+    };
+
+    writeQueue = writeQueue.then(write, write);
+    return writeQueue;
+}
+
+// Hand out copies so callers cannot mutate the cached documents
+function toDocument(docId, data) {
+    return {
+        id: docId,
+        ...JSON.parse(JSON.stringify(data))
+    };
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    return a < b ? -1 : 1;
+}
+
+// Evaluate one Firestore-style where() condition against a document
+function matchesCondition(document, { field, operator, value }) {
+    const fieldValue = document[field];
+
+    switch (operator) {
+        case '==':
+            return fieldValue === value;
+        case '!=':
+            return fieldValue !== undefined && fieldValue !== value;
+        case '<':
+            return fieldValue !== undefined && fieldValue < value;
+        case '<=':
+            return fieldValue !== undefined && fieldValue <= value;
+        case '>':
+            return fieldValue !== undefined && fieldValue > value;
+        case '>=':
+            return fieldValue !== undefined && fieldValue >= value;
+        case 'in':
+            return Array.isArray(value) && value.includes(fieldValue);
+        case 'not-in':
+            return fieldValue !== undefined && Array.isArray(value) && !value.includes(fieldValue);
+        case 'array-contains':
+            return Array.isArray(fieldValue) && fieldValue.includes(value);
+        case 'array-contains-any':
+            return Array.isArray(fieldValue) && Array.isArray(value) && value.some(item => fieldValue.includes(item));
+        default:
+            throw new Error(`Unsupported query operator: ${operator}`);
+    }
+}
+
+function generateId() {
+    return crypto.randomBytes(10).toString('hex');
+}
+
+async function add(collectionName, data) {
+    const documents = await loadCollection(collectionName);
+    const docId = generateId();
+    const now = new Date().toISOString();
+
+    documents[docId] = { ...data, createdAt: now, updatedAt: now };
+    await persistCollection(collectionName);
+    return docId;
+}
+
+async function list(collectionName, orderByField = null, orderDirection = 'desc') {
+    const documents = await loadCollection(collectionName);
+    const results = Object.entries(documents).map(([docId, data]) => toDocument(docId, data));
+
+    if (orderByField) {
+        const direction = orderDirection === 'asc' ? 1 : -1;
+        results.sort((a, b) => {
+            const aValue = a[orderByField];
+            const bValue = b[orderByField];
+            // Documents without the field always sort last
+            if (aValue === undefined || aValue === null || bValue === undefined || bValue === null) {
+                return compareValues(aValue, bValue);
+            }
+            return compareValues(aValue, bValue) * direction;
+        });
+    }
+
+    return results;
+}
+
+async function find(collectionName, conditions = []) {
+    const documents = await loadCollection(collectionName);
+
+    return Object.entries(documents)
+        .filter(([, data]) => conditions.every(condition => matchesCondition(data, condition)))
+        .map(([docId, data]) => toDocument(docId, data));
+}
+
+// Same ordering as the Firestore driver: by orderByField, then document ID, both in
+// orderDirection. Like Firestore, documents without the field are left out.
+async function page(collectionName, { conditions = [], orderByField, orderDirection = 'desc', after = null, pageSize }) {
+    const direction = orderDirection === 'asc' ? 1 : -1;
+    const compareKeys = ([aValue, aId], [bValue, bId]) =>
+        (compareValues(aValue, bValue) || compareValues(aId, bId)) * direction;
+
+    const results = (await find(collectionName, conditions))
+        .filter(document => document[orderByField] !== undefined)
+        .sort((a, b) => compareKeys([a[orderByField], a.id], [b[orderByField], b.id]));
+
+    const start = after
+        ? results.findIndex(document => compareKeys([document[orderByField], document.id], after) > 0)
+        : 0;
+
+    return start === -1 ? [] : results.slice(start, start + pageSize);
+}
+
+async function get(collectionName, docId) {
+    const documents = await loadCollection(collectionName);
+    return documents[docId] ? toDocument(docId, documents[docId]) : null;
+}
+
+async function set(collectionName, docId, data) {
+    const documents = await loadCollection(collectionName);
+    const now = new Date().toISOString();
+
+    documents[docId] = { ...data, createdAt: now, updatedAt: now };
+    await persistCollection(collectionName);
+}
+
+async function update(collectionName, docId, data) {
+    const documents = await loadCollection(collectionName);
+
+    // Match Firestore, which refuses to update a missing document
+    if (!documents[docId]) {
+        const error = new Error(`No document to update: ${collectionName}/${docId}`);
+        error.code = 'not-found';
+        throw error;
+    }
+
+    documents[docId] = { ...documents[docId], ...data, updatedAt: new Date().toISOString() };
+    await persistCollection(collectionName);
+}
+
+// Check and write with nothing in between: buildUpdate sees the current document
+// (or null) and returns the fields to write, or null to leave it alone
+async function updateIf(collectionName, docId, buildUpdate) {
+    const documents = await loadCollection(collectionName);
+    const current = documents[docId] ? toDocument(docId, documents[docId]) : null;
+    const data = buildUpdate(current);
+
+    if (!data) return null;
+    if (!current) {
+        const error = new Error(`No document to update: ${collectionName}/${docId}`);
+        error.code = 'not-found';
+        throw error;
+    }
+
+    documents[docId] = { ...documents[docId], ...data, updatedAt: new Date().toISOString() };
+    await persistCollection(collectionName);
+    return data;
+}
+
+async function remove(collectionName, docId) {
+    const documents = await loadCollection(collectionName);
+    delete documents[docId];
+    await persistCollection(collectionName);
+}
+
+module.exports = {
+    name: 'local',
+    add,
+    list,
+    find,
+    page,
+    get,
+    set,
+    update,
+    updateIf,
+    remove
+};
@@ -0,0 +1,211 @@
+// Duplicate application detection, and returning applicants from earlier editions
+const { queryDocuments, queryDocumentsIn, COLLECTIONS } = require('./repository');
+const { getRegistrationStatus } = require('./statusPipeline');
+const { registrationEdition, inEdition } = require('./editions');
+
+// Similarity needed for two names/colleges to count as "the same person"
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const COLLEGE_SIMILARITY_THRESHOLD = 0.8;
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Digits only, keeping the last 10 so "+91 98765-43210" and "09876543210" match
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+function normalizeText(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+
+    return previous[b.length];
+}
+
+// 0..1 similarity of two strings after normalization (word order ignored)
+function similarity(a, b) {
+    const left = normalizeText(a);
+    const right = normalizeText(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+// Existing registrations with the same email (case-insensitive) or phone number,
+// limited to one edition when editionId is given
+async function findExistingApplications({ email, phone, editionId }) {
+    const matches = new Map();
+    const normalizedEmail = normalizeEmail(email);
+    const normalizedPhone = normalizePhone(phone);
+
+    if (normalizedEmail) {
+        const byEmail = await queryDocuments(COLLECTIONS.REGISTRATIONS, [
+            { field: 'email', operator: '==', value: normalizedEmail }
+        ]);
+        byEmail.forEach(reg => matches.set(reg.id, { ...reg, duplicateReason: 'email' }));
+    }
+
+    if (normalizedPhone) {
+        const byPhone = await queryDocuments(COLLECTIONS.REGISTRATIONS, [
+            { field: 'phoneNormalized', operator: '==', value: normalizedPhone }
+        ]);
+        byPhone.forEach(reg => {
+            if (!matches.has(reg.id)) matches.set(reg.id, { ...reg, duplicateReason: 'phone' });
+        });
+    }
+
+    const existing = Array.from(matches.values());
+    return editionId ? existing.filter(inEdition(editionId)) : existing;
+}
+
+// Every registration, in any edition, sharing an email or phone number with one
+// of the given registrations (the given registrations included)
+async function findContactMatches(registrations) {
+    const [byEmail, byPhone] = await Promise.all([
+        queryDocumentsIn(COLLECTIONS.REGISTRATIONS, 'email', registrations.map(reg => normalizeEmail(reg.email))),
+        queryDocumentsIn(COLLECTIONS.REGISTRATIONS, 'phoneNormalized',
+            registrations.map(reg => reg.phoneNormalized || normalizePhone(reg.phone)))
+    ]);
+
+    const matches = new Map();
+    [...byEmail, ...byPhone].forEach(reg => matches.set(reg.id, reg));
+    return Array.from(matches.values());
+}
+
+// Flag likely duplicates within a list of registrations.
+// Returns a map of registration ID -> [{ id, name, reasons }] for every flagged registration.
+// Comparing names means comparing every pair, so pass similarNames: false to check
+// email and phone only when the list is not the whole edition.
+function findNearDuplicates(registrations, { similarNames = true } = {}) {
+    const flags = new Map();
+
+    const addFlag = (reg, other, reason) => {
+        if (!flags.has(reg.id)) flags.set(reg.id, []);
+        const existing = flags.get(reg.id).find(flag => flag.id === other.id);
+        if (existing) {
+            if (!existing.reasons.includes(reason)) existing.reasons.push(reason);
+        } else {
+            flags.get(reg.id).push({ id: other.id, name: other.name, reasons: [reason] });
+        }
+    };
+
+    const flagPair = (a, b, reason) => {
+        addFlag(a, b, reason);
+        addFlag(b, a, reason);
+    };
+
+    // Exact matches on email/phone are grouped through lookup tables
+    const groupBy = (keyFn, reason) => {
+        const groups = new Map();
+        registrations.forEach(reg => {
+            const key = keyFn(reg);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(reg);
+        });
+        groups.forEach(group => {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    flagPair(group[i], group[j], reason);
+                }
+            }
+        });
+    };
+
+    groupBy(reg => normalizeEmail(reg.email), 'same email');
+    groupBy(reg => reg.phoneNormalized || normalizePhone(reg.phone), 'same phone');
+
+    // Similar name at a similar college
+    if (!similarNames) return flags;
+    for (let i = 0; i < registrations.length; i++) {
+        for (let j = i + 1; j < registrations.length; j++) {
+            const a = registrations[i];
+            const b = registrations[j];
+            if (similarity(a.name, b.name) >= NAME_SIMILARITY_THRESHOLD &&
+                similarity(a.college, b.college) >= COLLEGE_SIMILARITY_THRESHOLD) {
+                flagPair(a, b, 'similar name and college');
+            }
+        }
+    }
+
+    return flags;
+}
+
+// Lookup keys for a registration's email and phone number
+function contactKeys(reg) {
+    const email = normalizeEmail(reg.email);
+    const phone = reg.phoneNormalized || normalizePhone(reg.phone);
+    return [email && `email:${email}`, phone && `phone:${phone}`].filter(Boolean);
+}
+
+// Match registrations against earlier applications to other editions by email or phone.
+// Returns a map of registration ID -> [{ edition, registrationId, status, ... }], oldest first.
+function findReturningApplicants(registrations, allRegistrations) {
+    const byContact = new Map();
+    allRegistrations.forEach(reg => {
+        contactKeys(reg).forEach(key => {
+            if (!byContact.has(key)) byContact.set(key, []);
+            byContact.get(key).push(reg);
+        });
+    });
+
+    const returning = new Map();
+    registrations.forEach(reg => {
+        const edition = registrationEdition(reg);
+        const earlier = new Map();
+        contactKeys(reg).forEach(key => {
+            (byContact.get(key) || [])
+                .filter(other => registrationEdition(other) !== edition && other.submittedAt < reg.submittedAt)
+                .forEach(other => earlier.set(other.id, other));
+        });
+
+        if (earlier.size === 0) return;
+        returning.set(reg.id, Array.from(earlier.values())
+            .sort((a, b) => (a.submittedAt < b.submittedAt ? -1 : 1))
+            .map(other => ({
+                edition: registrationEdition(other),
+                registrationId: other.id,
+                status: getRegistrationStatus(other),
+                allocatedCommittee: other.allocatedCommittee || null,
+                allocatedPosition: other.allocatedPosition || null,
+                submittedAt: other.submittedAt
+            })));
+    });
+
+    return returning;
+}
+
+module.exports = {
+    normalizeEmail,
+    normalizePhone,
+    similarity,
+    findExistingApplications,
+    findContactMatches,
+    findNearDuplicates,
+    findReturningApplicants
+};
@@ -0,0 +1,145 @@
+// Conference editions: each year's recruitment runs as its own edition with
+// its own registrations, configuration, application window and allocation
+const { getCollection, getDocument, setDocument, COLLECTIONS } = require('./repository');
+
+const CURRENT_EDITION_SETTINGS_ID = 'edition';
+
+// Admin requests pick an edition with this header (or ?edition=)
+const EDITION_HEADER = 'X-Edition';
+
+// Registrations and settings stored before editions existed belong to this one
+const DEFAULT_EDITION = { id: '2025', name: 'KMUN\'25', year: 2025 };
+
+const EDITION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function toEdition(doc) {
+    return { id: doc.id, name: doc.name, year: doc.year };
+}
+
+// Every edition, newest first. The default edition is always listed.
+async function listEditions() {
+    const editions = (await getCollection(COLLECTIONS.EDITIONS)).map(toEdition);
+    if (!editions.some(edition => edition.id === DEFAULT_EDITION.id)) {
+        editions.push(DEFAULT_EDITION);
+    }
+    return editions.sort((a, b) => b.year - a.year || a.id.localeCompare(b.id));
+}
+
+async function getEdition(editionId) {
+    if (!editionId) return null;
+    const doc = await getDocument(COLLECTIONS.EDITIONS, String(editionId));
+    if (doc) return toEdition(doc);
+    return editionId === DEFAULT_EDITION.id ? DEFAULT_EDITION : null;
+}
+
+// The edition new applications are filed under
+async function getCurrentEdition() {
+    const settings = await getDocument(COLLECTIONS.SETTINGS, CURRENT_EDITION_SETTINGS_ID);
+    const edition = settings && await getEdition(settings.currentEditionId);
+    return edition || DEFAULT_EDITION;
+}
+
+async function setCurrentEdition(editionId) {
+    await setDocument(COLLECTIONS.SETTINGS, CURRENT_EDITION_SETTINGS_ID, { currentEditionId: editionId });
+}
+
+async function saveEdition(edition) {
+    await setDocument(COLLECTIONS.EDITIONS, edition.id, {
+        name: edition.name,
+        year: edition.year,
+        createdAt: new Date().toISOString()
+    });
+}
+
+// Validate a new edition, returning an error message or null
+function validateEdition(edition, existingEditions = []) {
+    if (!edition || typeof edition !== 'object') {
+        return 'Edition is required';
+    }
+
+    const id = String(edition.id || '').trim().toLowerCase();
+    if (!EDITION_ID_PATTERN.test(id)) {
+        return 'Edition ID may only use lowercase letters, numbers and dashes';
+    }
+    if (existingEditions.some(existing => existing.id === id)) {
+        return `Edition ${id} already exists`;
+    }
+    if (!String(edition.name || '').trim()) {
+        return 'Edition name is required';
+    }
+
+    const year = Number(edition.year);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+        return 'Edition year must be a valid year';
+    }
+
+    return null;
+}
+
+function normalizeEdition(edition) {
+    return {
+        id: String(edition.id).trim().toLowerCase(),
+        name: String(edition.name).trim(),
+        year: Number(edition.year)
+    };
+}
+
+// Registrations and interview slots without an edition predate editions
+function registrationEdition(registration) {
+    return registration.edition || DEFAULT_EDITION.id;
+}
+
+function inEdition(editionId) {
+    return registration => registrationEdition(registration) === editionId;
+}
+
+async function editionForRegistration(registration) {
+    return (await getEdition(registrationEdition(registration))) || DEFAULT_EDITION;
+}
+
+// Settings documents are stored once per edition
+function editionSettingsId(baseId, editionId) {
+    return `${baseId}_${editionId}`;
+}
+
+// Middleware: resolve the edition an admin request works on into req.edition,
+// defaulting to the current edition
+async function selectEdition(req, res, next) {
+    try {
+        const requested = req.get(EDITION_HEADER) || req.query.edition;
+        const edition = requested ? await getEdition(requested) : await getCurrentEdition();
+
+        if (!edition) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown edition: ${requested}`
+            });
+        }
+
+        req.edition = edition;
+        next();
+    } catch (error) {
+        console.error('Select edition error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load edition'
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_EDITION,
+    EDITION_HEADER,
+    listEditions,
+    getEdition,
+    getCurrentEdition,
+    setCurrentEdition,
+    saveEdition,
+    validateEdition,
+    normalizeEdition,
+    registrationEdition,
+    inEdition,
+    editionForRegistration,
+    editionSettingsId,
+    selectEdition
+};
@@ -0,0 +1,120 @@
+// Interview slots, booking tokens and calendar invites
+const crypto = require('crypto');
+const { STATUSES } = require('./statusPipeline');
+
+// Registrations that may receive a booking link and book a slot
+const INTERVIEW_ELIGIBLE_STATUSES = [STATUSES.SHORTLISTED, STATUSES.INTERVIEW];
+
+const INTERVIEW_TIMEZONE = process.env.INTERVIEW_TIMEZONE || 'Asia/Kolkata';
+
+// Booking links carry a random token; only its SHA-256 is stored
+function createBookingToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashBookingToken(token) };
+}
+
+function hashBookingToken(token) {
+    return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function bookingUrl(baseUrl, token) {
+    return `${baseUrl.replace(/\/$/, '')}/interview?token=${encodeURIComponent(token)}`;
+}
+
+// Validate slot input against the configured committees, returning an error message or null
+function validateSlot({ committee, startsAt, endsAt, capacity }, committees) {
+    if (!committee) {
+        return 'Committee is required';
+    }
+    if (!committees.includes(committee)) {
+        return `Unknown committee: ${committee}`;
+    }
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return 'Valid start and end times are required';
+    }
+    if (end <= start) {
+        return 'Slot must end after it starts';
+    }
+
+    if (capacity !== undefined && (!Number.isInteger(Number(capacity)) || Number(capacity) < 1)) {
+        return 'Capacity must be a whole number of at least 1';
+    }
+
+    return null;
+}
+
+function getBookedIds(slot) {
+    return Array.isArray(slot.bookedRegistrationIds) ? slot.bookedRegistrationIds : [];
+}
+
+// Future slots with a free seat (or already holding this registration)
+function isSlotBookable(slot, registrationId, now = new Date()) {
+    const booked = getBookedIds(slot);
+    if (booked.includes(registrationId)) return true;
+    return new Date(slot.startsAt) > now && booked.length < (slot.capacity || 1);
+}
+
+function formatSlotTime(slot) {
+    const options = { timeZone: INTERVIEW_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' };
+    const start = new Date(slot.startsAt).toLocaleString('en-IN', options);
+    const end = new Date(slot.endsAt).toLocaleTimeString('en-IN', { timeZone: INTERVIEW_TIMEZONE, timeStyle: 'short' });
+    return `${start} - ${end}`;
+}
+
+function toIcsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Build an iCalendar (.ics) invite for a booked slot.
+ * Rescheduling reuses the registration's UID with a higher sequence so
+ * calendar clients move the existing event instead of adding another.
+ */
+function buildInterviewInvite({ registration, slot, edition, sequence = 0, organizerEmail }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//KMUN//EB Recruitment//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:REQUEST',
+        'BEGIN:VEVENT',
+        `UID:interview-${registration.id}@kmun`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${toIcsDate(new Date())}`,
+        `DTSTART:${toIcsDate(slot.startsAt)}`,
+        `DTEND:${toIcsDate(slot.endsAt)}`,
+        `SUMMARY:${escapeIcsText(`${edition.name} EB Interview - ${slot.committee}`)}`,
+        `DESCRIPTION:${escapeIcsText(`Interview with ${slot.panel || 'the selection panel'} for ${slot.committee}.`)}`,
+        `LOCATION:${escapeIcsText(slot.location || 'To be announced')}`,
+        organizerEmail ? `ORGANIZER;CN="${edition.name.replace(/"/g, '')} Team":mailto:${organizerEmail}` : null,
+        `ATTENDEE;CN="${String(registration.name || '').replace(/"/g, '')}";RSVP=TRUE:mailto:${registration.email}`,
+        'STATUS:CONFIRMED',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    INTERVIEW_ELIGIBLE_STATUSES,
+    createBookingToken,
+    hashBookingToken,
+    bookingUrl,
+    validateSlot,
+    getBookedIds,
+    isSlotBookable,
+    formatSlotTime,
+    buildInterviewInvite
+};
@@ -0,0 +1,314 @@
+// Shared email templates and SMTP transports
+const nodemailer = require('nodemailer');
+
+// Email templates. {{editionName}} is filled in with the edition's name (e.g. KMUN'25).
+const emailTemplates = {
+    welcome: {
+        subject: 'Welcome to {{editionName}} Executive Board Recruitment',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Recruitment</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Welcome {{name}}!</h2>
+              <p style="line-height: 1.6; color: #333;">Thank you for your interest in joining the {{editionName}} Executive Board. We have received your application and our team will review it carefully.</p>
+              <p style="line-height: 1.6; color: #333;">We will get back to you soon with updates on your application status.</p>
+              <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <h3 style="color: #172d9d; margin-top: 0;">Application Summary:</h3>
+                <ul style="color: #666;">
+                  <li>Committee Preferences: {{committees}}</li>
+                  <li>Position Preferences: {{positions}}</li>
+                  <li>Submitted: {{submittedAt}}</li>
+                </ul>
+              </div>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    status_update: {
+        subject: '{{editionName}} Application Status Update',
+        // Written by the admin sending the email
+        htmlVariables: ['message'],
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Application Status Update</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Hello {{name}},</h2>
+              <p style="line-height: 1.6; color: #333;">We have an update regarding your {{editionName}} Executive Board application.</p>
+              <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p style="font-size: 16px; color: #172d9d; font-weight: bold; margin: 0;">{{message}}</p>
+              </div>
+              <p style="line-height: 1.6; color: #333;">If you have any questions, please don't hesitate to contact us.</p>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    interview_invitation: {
+        subject: '{{editionName}} Interview - Book Your Slot',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Interviews</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Congratulations {{name}}!</h2>
+              <p style="line-height: 1.6; color: #333;">You have been shortlisted for an interview for the {{editionName}} Executive Board. Please pick a slot that suits you.</p>
+              <p style="text-align: center; margin: 30px 0;">
+                <a href="{{bookingUrl}}" style="background: #172d9d; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Book your interview</a>
+              </p>
+              <p style="line-height: 1.6; color: #666; font-size: 14px;">You can use the same link to reschedule. Please do not share it.</p>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    interview_confirmation: {
+        subject: '{{editionName}} Interview Confirmed - {{slotTime}}',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Interviews</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Hello {{name}},</h2>
+              <p style="line-height: 1.6; color: #333;">Your interview is booked. A calendar invite is attached.</p>
+              <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <ul style="color: #666;">
+                  <li>When: {{slotTime}}</li>
+                  <li>Committee: {{committee}}</li>
+                  <li>Panel: {{panel}}</li>
+                  <li>Where: {{location}}</li>
+                </ul>
+              </div>
+              <p style="line-height: 1.6; color: #333;">Need a different time? <a href="{{bookingUrl}}">Reschedule here</a>.</p>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    offer: {
+        subject: '{{editionName}} Executive Board Offer - {{position}}, {{committee}}',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Offer</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Congratulations {{name}}!</h2>
+              <p style="line-height: 1.6; color: #333;">We are delighted to offer you the position of <strong>{{position}}</strong> in <strong>{{committee}}</strong> on the {{editionName}} Executive Board.</p>
+              <p style="line-height: 1.6; color: #333;">Please accept or decline by <strong>{{expiresAt}}</strong>. After that the offer lapses and the seat goes to the next candidate.</p>
+              <p style="text-align: center; margin: 30px 0;">
+                <a href="{{acceptUrl}}" style="background: #172d9d; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; margin-right: 12px;">Accept offer</a>
+                <a href="{{declineUrl}}" style="background: #ffffff; color: #172d9d; border: 1px solid #172d9d; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Decline</a>
+              </p>
+              <p style="line-height: 1.6; color: #666; font-size: 14px;">These links are personal. Please do not share them.</p>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    portal_link: {
+        subject: '{{editionName}} - Your Application Portal Link',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Applicant Portal</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Hello {{name}},</h2>
+              <p style="line-height: 1.6; color: #333;">Use the button below to sign in and view or update your application.</p>
+              <p style="text-align: center; margin: 30px 0;">
+                <a href="{{portalUrl}}" style="background: #172d9d; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Open my application</a>
+              </p>
+              <p style="line-height: 1.6; color: #666; font-size: 14px;">This link works once and expires in {{expiresInMinutes}} minutes. If you did not ask for it, you can ignore this email.</p>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    recommendation_request: {
+        subject: '{{editionName}} - Recommendation for {{applicantName}}',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Referee Recommendation</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Hello {{refereeName}},</h2>
+              <p style="line-height: 1.6; color: #333;"><strong>{{applicantName}}</strong> has applied to the {{editionName}} Executive Board for {{positions}} and named you as a referee from a previous MUN secretariat.</p>
+              <p style="line-height: 1.6; color: #333;">We would be grateful for a short recommendation. It takes about five minutes and is only shared with our selection panel.</p>
+              <p style="text-align: center; margin: 30px 0;">
+                <a href="{{recommendationUrl}}" style="background: #172d9d; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Write a recommendation</a>
+              </p>
+              <p style="line-height: 1.6; color: #666; font-size: 14px;">This link is personal to you and replaces any earlier one. If you do not know the applicant, you can ignore this email.</p>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    recommendation_reminder: {
+        subject: 'Reminder: {{editionName}} recommendation for {{applicantName}}',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Referee Recommendation</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Hello {{refereeName}},</h2>
+              <p style="line-height: 1.6; color: #333;">A quick reminder that <strong>{{applicantName}}</strong> named you as a referee for their {{editionName}} Executive Board application ({{positions}}). We have not received your recommendation yet.</p>
+              <p style="text-align: center; margin: 30px 0;">
+                <a href="{{recommendationUrl}}" style="background: #172d9d; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Write a recommendation</a>
+              </p>
+              <p style="line-height: 1.6; color: #666; font-size: 14px;">This link is personal to you and replaces any earlier one. If you do not know the applicant, you can ignore this email.</p>
+              <p style="line-height: 1.6; color: #333;">Best regards,<br>{{editionName}} Organizing Team</p>
+            </div>
+          </div>
+        `
+    },
+
+    comment_mention: {
+        subject: '{{authorName}} mentioned you on {{applicantName}}',
+        // Escaped by the comment thread, with line breaks kept
+        htmlVariables: ['comment'],
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Registration Comments</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              <h2 style="color: #172d9d; margin-bottom: 20px;">Hello {{adminName}},</h2>
+              <p style="line-height: 1.6; color: #333;">{{authorName}} mentioned you in a comment on <strong>{{applicantName}}</strong>'s application:</p>
+              <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0; color: #333; line-height: 1.6;">{{comment}}</div>
+              <p style="text-align: center; margin: 30px 0;">
+                <a href="{{dashboardUrl}}" style="background: #172d9d; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Open the dashboard</a>
+              </p>
+            </div>
+          </div>
+        `
+    },
+
+    custom: {
+        subject: '{{subject}}',
+        htmlVariables: ['message'],
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
+              <h1 style="margin: 0; font-size: 28px;">{{editionName}}</h1>
+              <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Recruitment</p>
+            </div>
+            <div style="padding: 30px; background: #ffffff;">
+              {{message}}
+            </div>
+          </div>
+        `
+    }
+};
+
+// SMTP configurations
+const smtpConfigs = {
+    gmail: {
+        host: process.env.SMTP_HOST_GMAIL,
+        port: process.env.SMTP_PORT_GMAIL,
+        secure: false,
+        auth: {
+            user: process.env.SMTP_USER_GMAIL,
+            pass: process.env.SMTP_PASS_GMAIL
+        }
+    },
+    outlook: {
+        host: process.env.SMTP_HOST_OUTLOOK,
+        port: process.env.SMTP_PORT_OUTLOOK,
+        secure: false,
+        auth: {
+            user: process.env.SMTP_USER_OUTLOOK,
+            pass: process.env.SMTP_PASS_OUTLOOK
+        }
+    }
+};
+
+// Create transporter
+function createTransport(provider = 'gmail') {
+    const config = smtpConfigs[provider];
+    if (!config) {
+        throw new Error(`Unsupported email provider: ${provider}`);
+    } 
+    return nodemailer.createTransport(config);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Template replacement function. With escape set, values are HTML-escaped except
+// the htmlVariables, which callers already pass as HTML.
+function replaceTemplateVariables(template, variables, { escape = false, htmlVariables = [] } = {}) {
+    let result = template;
+    for (const [key, value] of Object.entries(variables)) {
+        const regex = new RegExp(`{{${key}}}`, 'g');
+        const replacement = escape && !htmlVariables.includes(key) ? escapeHtml(value || '') : String(value || '');
+        result = result.replace(regex, () => replacement);
+    }
+    return result;
+}
+
+// Render a named template with the given variables, branded for an edition.
+// Subjects are plain text; names and other values are escaped in the HTML body.
+function renderTemplate(templateName, variables, edition) {
+    const template = emailTemplates[templateName] || emailTemplates.custom;
+    const brandedVariables = { ...variables, editionName: edition.name };
+    return {
+        subject: replaceTemplateVariables(template.subject, brandedVariables),
+        html: replaceTemplateVariables(template.html, brandedVariables, {
+            escape: true,
+            htmlVariables: template.htmlVariables
+        })
+    };
+}
+
+// Times in emails are shown in the conference's timezone
+const EMAIL_TIMEZONE = process.env.INTERVIEW_TIMEZONE || 'Asia/Kolkata';
+
+function formatEmailTime(value) {
+    return new Date(value).toLocaleString('en-IN', { timeZone: EMAIL_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function fromAddress(edition) {
+    return `"${edition.name} Team" <${process.env.SMTP_USER}>`;
+}
+
+module.exports = {
+    emailTemplates,
+    smtpConfigs,
+    createTransport,
+    escapeHtml,
+    replaceTemplateVariables,
+    renderTemplate,
+    formatEmailTime,
+    fromAddress
+};
@@ -0,0 +1,261 @@
+// Selection offers: emailed accept/decline links with an expiry, and waitlist promotion
+const crypto = require('crypto');
+const { getCollection, updateDocument, updateDocumentIf, queryDocuments, COLLECTIONS } = require('./repository');
+const { STATUSES, getRegistrationStatus, buildTransition } = require('./statusPipeline');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { createTransport, renderTemplate, formatEmailTime, fromAddress } = require('./mailer');
+const { getRubric, aggregateScores, groupSheetsByRegistration } = require('./scoring');
+const { applicantPreferences, compareApplicants } = require('./allocation');
+const { registrationEdition, inEdition, editionForRegistration } = require('./editions');
+
+const OFFER_STATES = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    EXPIRED: 'expired'
+};
+
+const OFFER_TTL_HOURS = parseInt(process.env.OFFER_TTL_HOURS) || 72;
+
+// Offer links carry a random token; only its SHA-256 is stored
+function createOfferToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashOfferToken(token) };
+}
+
+function hashOfferToken(token) {
+    return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function offerUrl(baseUrl, token, response) {
+    return `${baseUrl.replace(/\/$/, '')}/offer?token=${encodeURIComponent(token)}&response=${response}`;
+}
+
+// Links sent outside a request (expiry sweeps) need a configured base URL
+function defaultBaseUrl() {
+    return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+// The seat an offer is for: the published allocation, otherwise the applicant's first preference
+function offerSeat(registration) {
+    if (registration.allocatedCommittee && registration.allocatedPosition) {
+        return { committee: registration.allocatedCommittee, position: registration.allocatedPosition };
+    }
+    return applicantPreferences(registration)[0] || null;
+}
+
+function isOfferExpired(registration, now = new Date()) {
+    return registration.offerStatus === OFFER_STATES.PENDING && new Date(registration.offerExpiresAt) <= now;
+}
+
+// Whether current still holds the same pending offer as registration (not answered, expired or replaced)
+function isSameOpenOffer(current, registration) {
+    return Boolean(current) &&
+        current.offerStatus === OFFER_STATES.PENDING &&
+        current.offerTokenHash === registration.offerTokenHash;
+}
+
+/**
+ * Issue (or reissue) an offer and email it.
+ * A new token replaces any earlier link. The offer stands even if the email
+ * fails, so admins can resend it.
+ */
+async function sendOffer(registration, { baseUrl = defaultBaseUrl(), seat = offerSeat(registration) } = {}) {
+    const { token, tokenHash } = createOfferToken();
+    const sentAt = new Date();
+    const offerFields = {
+        offerStatus: OFFER_STATES.PENDING,
+        offerCommittee: seat ? seat.committee : null,
+        offerPosition: seat ? seat.position : null,
+        offerTokenHash: tokenHash,
+        offerSentAt: sentAt.toISOString(),
+        offerExpiresAt: new Date(sentAt.getTime() + OFFER_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+        offerRespondedAt: null
+    };
+
+    await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, offerFields);
+
+    let emailSent = false;
+    try {
+        const edition = await editionForRegistration(registration);
+        const email = renderTemplate('offer', {
+            name: registration.name,
+            committee: offerFields.offerCommittee || 'the Executive Board',
+            position: offerFields.offerPosition || 'Executive Board member',
+            expiresAt: formatEmailTime(offerFields.offerExpiresAt),
+            acceptUrl: offerUrl(baseUrl, token, 'accept'),
+            declineUrl: offerUrl(baseUrl, token, 'decline')
+        }, edition);
+
+        await createTransport().sendMail({
+            from: fromAddress(edition),
+            to: registration.email,
+            subject: email.subject,
+            html: email.html
+        });
+        emailSent = true;
+    } catch (emailError) {
+        console.error(`Failed to send offer to ${registration.email}:`, emailError);
+    }
+
+    return { ...offerFields, emailSent };
+}
+
+// Waitlisted applicants in an edition who could take this seat, best score first
+async function rankWaitlist(seat, editionId) {
+    const [registrations, rubric, scoreSheets] = await Promise.all([
+        getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc'),
+        getRubric(editionId),
+        getCollection(COLLECTIONS.SCORES)
+    ]);
+    const sheetsByRegistration = groupSheetsByRegistration(scoreSheets);
+
+    const wantsSeat = reg => (reg.allocatedCommittee
+        ? reg.allocatedCommittee === seat.committee && reg.allocatedPosition === seat.position
+        : applicantPreferences(reg).some(pref => pref.committee === seat.committee && pref.position === seat.position));
+
+    return registrations
+        .filter(inEdition(editionId))
+        .filter(reg => getRegistrationStatus(reg) === STATUSES.WAITLISTED)
+        .filter(wantsSeat)
+        .map(reg => ({
+            id: reg.id,
+            submittedAt: reg.submittedAt,
+            score: aggregateScores(rubric, sheetsByRegistration.get(reg.id)).normalizedScore,
+            registration: reg
+        }))
+        .sort(compareApplicants);
+}
+
+// Select the next waitlisted applicant in the edition for a seat and send them the offer.
+// Returns { registrationId, name, emailSent } or null when nobody is waiting.
+async function promoteFromWaitlist(seat, editionId, { baseUrl = defaultBaseUrl(), reason } = {}) {
+    if (!seat || !seat.committee || !seat.position) return null;
+
+    const note = `Promoted from the waitlist for ${seat.committee} ${seat.position}`;
+    for (const { registration } of await rankWaitlist(seat, editionId)) {
+        // Skip anyone another seat promoted since the ranking. Without a publish time the
+        // seat is not the allocation's, so publishing again leaves it alone.
+        const promoted = await updateDocumentIf(COLLECTIONS.REGISTRATIONS, registration.id, current => {
+            if (!current || getRegistrationStatus(current) !== STATUSES.WAITLISTED) return null;
+            const { error, updateData } = buildTransition(current, STATUSES.SELECTED, { note });
+            return error ? null : {
+                ...updateData,
+                allocatedCommittee: seat.committee,
+                allocatedPosition: seat.position,
+                allocationPublishedAt: null
+            };
+        });
+        if (!promoted) continue;
+
+        const offer = await sendOffer({ ...registration, ...promoted }, { baseUrl, seat });
+
+        await recordAudit(null, {
+            action: AUDIT_ACTIONS.WAITLIST_PROMOTE,
+            registrationIds: [registration.id],
+            changes: {
+                status: { from: STATUSES.WAITLISTED, to: STATUSES.SELECTED },
+                allocation: {
+                    from: { committee: registration.allocatedCommittee || null, position: registration.allocatedPosition || null },
+                    to: seat
+                }
+            },
+            details: { ...seat, reason, emailSent: offer.emailSent }
+        });
+
+        return { registrationId: registration.id, name: registration.name, emailSent: offer.emailSent };
+    }
+
+    return null;
+}
+
+/**
+ * Close a pending offer as declined or expired, and give up its seat in the same write:
+ * the applicant leaves selected and their allocation is cleared.
+ * The write only lands while the offer is still pending, so when a decline, the expiry
+ * sweep and a lapsed link race, exactly one of them closes it. Returns the fields
+ * written, or null when the offer was already answered, expired or replaced.
+ */
+async function closeOffer(registration, offerStatus, { respondedAt = null } = {}) {
+    const note = offerStatus === OFFER_STATES.DECLINED ? 'Declined the offer' : 'The offer expired';
+
+    return updateDocumentIf(COLLECTIONS.REGISTRATIONS, registration.id, current => {
+        if (!isSameOpenOffer(current, registration)) return null;
+        // Past the deadline the offer can only lapse
+        if (offerStatus === OFFER_STATES.DECLINED && isOfferExpired(current)) return null;
+        const { updateData } = buildTransition(current, STATUSES.DECLINED, { note, offer: true });
+        return {
+            ...updateData,
+            offerStatus,
+            ...(respondedAt ? { offerRespondedAt: respondedAt } : {}),
+            allocatedCommittee: null,
+            allocatedPosition: null,
+            allocationPublishedAt: null
+        };
+    });
+}
+
+// Record an acceptance, as long as the offer is still pending and within its deadline.
+// Returns the fields written, or null when the offer was closed first.
+async function acceptOffer(registration, { respondedAt = new Date().toISOString() } = {}) {
+    return updateDocumentIf(COLLECTIONS.REGISTRATIONS, registration.id, current => (
+        isSameOpenOffer(current, registration) && !isOfferExpired(current)
+            ? { offerStatus: OFFER_STATES.ACCEPTED, offerRespondedAt: respondedAt }
+            : null
+    ));
+}
+
+// Lapse one pending offer and pass its seat on.
+// Returns { promoted } (null when nobody was waiting), or null when the offer was closed first.
+async function expireOffer(registration, { baseUrl = defaultBaseUrl() } = {}) {
+    const closed = await closeOffer(registration, OFFER_STATES.EXPIRED);
+    if (!closed) return null;
+
+    await recordAudit(null, {
+        action: AUDIT_ACTIONS.OFFER_EXPIRE,
+        registrationIds: [registration.id],
+        changes: {
+            offerStatus: { from: OFFER_STATES.PENDING, to: OFFER_STATES.EXPIRED },
+            ...(closed.status ? { status: { from: getRegistrationStatus(registration), to: closed.status } } : {})
+        },
+        details: { committee: registration.offerCommittee, position: registration.offerPosition }
+    });
+
+    const promoted = await promoteFromWaitlist(
+        { committee: registration.offerCommittee, position: registration.offerPosition },
+        registrationEdition(registration),
+        { baseUrl, reason: 'expired' }
+    );
+    return { promoted };
+}
+
+// Expire every pending offer past its deadline. Returns { expired, promoted }.
+async function expireOffers({ baseUrl = defaultBaseUrl(), now = new Date() } = {}) {
+    const pending = await queryDocuments(COLLECTIONS.REGISTRATIONS, [
+        { field: 'offerStatus', operator: '==', value: OFFER_STATES.PENDING }
+    ]);
+    const results = { expired: 0, promoted: [] };
+
+    for (const registration of pending.filter(reg => isOfferExpired(reg, now))) {
+        const expired = await expireOffer(registration, { baseUrl });
+        if (!expired) continue;
+        results.expired++;
+        if (expired.promoted) results.promoted.push(expired.promoted);
+    }
+
+    return results;
+}
+
+module.exports = {
+    OFFER_STATES,
+    OFFER_TTL_HOURS,
+    hashOfferToken,
+    offerSeat,
+    isOfferExpired,
+    sendOffer,
+    promoteFromWaitlist,
+    closeOffer,
+    acceptOffer,
+    expireOffer,
+    expireOffers
+};
@@ -0,0 +1,73 @@
+// Admin roles
+const ROLES = {
+    SUPER_ADMIN: 'super-admin',
+    REVIEWER: 'reviewer',
+    MAILER: 'mailer',
+    COMMITTEE_HEAD: 'committee-head'
+};
+
+// Users created before roles existed get the least privileged role
+const DEFAULT_ROLE = ROLES.REVIEWER;
+
+function isValidRole(role) {
+    return Object.values(ROLES).includes(role);
+}
+
+function normalizeRole(role) {
+    return isValidRole(role) ? role : DEFAULT_ROLE;
+}
+
+// Committees an admin is limited to, or null when they can see every committee
+function getScopedCommittees(admin) {
+    if (!admin || admin.role !== ROLES.COMMITTEE_HEAD) return null;
+    return Array.isArray(admin.committees) ? admin.committees : [];
+}
+
+function getRegistrationCommittees(registration) {
+    if (!registration || !registration.committees) return [];
+    if (Array.isArray(registration.committees)) return registration.committees;
+    try {
+        return JSON.parse(registration.committees);
+    } catch (error) {
+        return [registration.committees];
+    }
+}
+
+function canAccessRegistration(admin, registration) {
+    const scope = getScopedCommittees(admin);
+    if (!scope) return true;
+    return getRegistrationCommittees(registration).some(committee => scope.includes(committee));
+}
+
+function filterRegistrationsForAdmin(admin, registrations) {
+    if (!getScopedCommittees(admin)) return registrations;
+    return registrations.filter(reg => canAccessRegistration(admin, reg));
+}
+
+// Middleware restricting a route to the given roles; super-admins always pass
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const role = req.admin && req.admin.role;
+
+        if (role === ROLES.SUPER_ADMIN || roles.includes(role)) {
+            return next();
+        }
+
+        res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action'
+        });
+    };
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    isValidRole,
+    normalizeRole,
+    getScopedCommittees,
+    getRegistrationCommittees,
+    canAccessRegistration,
+    filterRegistrationsForAdmin,
+    requireRole
+};
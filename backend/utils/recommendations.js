@@ -0,0 +1,326 @@
+// Referee recommendations: applicants for some positions name referees from a
+// previous MUN secretariat, who are emailed a personal link to a recommendation
+// form and reminded until they reply
+const crypto = require('crypto');
+const {
+    getCollection,
+    addDocument,
+    updateDocument,
+    deleteDocument,
+    queryDocuments,
+    COLLECTIONS
+} = require('./repository');
+const { hashToken } = require('./auth');
+const { normalizeEmail } = require('./duplicates');
+const { createTransport, renderTemplate, fromAddress } = require('./mailer');
+const { registrationEdition, editionForRegistration } = require('./editions');
+
+const RECOMMENDATION_STATES = {
+    REQUESTED: 'requested',
+    SUBMITTED: 'submitted'
+};
+
+// Applicants for these positions must name at least one referee
+const REFEREE_POSITIONS = (process.env.REFEREE_POSITIONS || 'Chairperson')
+    .split(',')
+    .map(position => position.trim())
+    .filter(Boolean);
+
+const MAX_REFEREES = 2;
+
+// Referees who have not replied are reminded every few days, a limited number of times
+const REMINDER_INTERVAL_DAYS = parseInt(process.env.RECOMMENDATION_REMINDER_DAYS) || 3;
+const MAX_REMINDERS = parseInt(process.env.RECOMMENDATION_MAX_REMINDERS) || 2;
+
+// Reminders sent from the dashboard count towards the same limit, and wait this long after the last email
+const MANUAL_REMINDER_GAP_HOURS = 24;
+
+// How strongly the referee endorses the applicant
+const ENDORSEMENTS = {
+    strongly_recommend: 'Strongly recommend',
+    recommend: 'Recommend',
+    reservations: 'Recommend with reservations',
+    do_not_recommend: 'Do not recommend'
+};
+
+const RECOMMENDATION_MAX_LENGTH = 5000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function requiresReferees(positions) {
+    return Array.isArray(positions) && positions.some(position => REFEREE_POSITIONS.includes(position));
+}
+
+// Referees arrive as a JSON array of { name, email, organization }
+function parseReferees(body) {
+    if (!body.referees) return [];
+    if (Array.isArray(body.referees)) return body.referees;
+
+    try {
+        const referees = JSON.parse(body.referees);
+        return Array.isArray(referees) ? referees : [];
+    } catch (error) {
+        console.error('Error parsing referees:', error);
+        return [];
+    }
+}
+
+/**
+ * Validate the referees named on an application.
+ * Returns { error } or { referees }. Referees are only kept when one of the
+ * chosen positions asks for them.
+ */
+function validateReferees(referees, { positions, applicantEmail }) {
+    if (!requiresReferees(positions)) {
+        return { referees: [] };
+    }
+
+    const named = referees.filter(referee => referee && (referee.name || referee.email || referee.organization));
+    if (named.length === 0) {
+        return { error: `Please name a referee from a previous MUN secretariat (required for ${REFEREE_POSITIONS.join(', ')})` };
+    }
+    if (named.length > MAX_REFEREES) {
+        return { error: `Please name at most ${MAX_REFEREES} referees` };
+    }
+
+    const validated = [];
+    for (const referee of named) {
+        const name = String(referee.name || '').trim();
+        const email = normalizeEmail(referee.email);
+        const organization = String(referee.organization || '').trim();
+
+        if (!name || !organization) {
+            return { error: 'Each referee needs a name and the MUN secretariat they served on' };
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            return { error: `Please enter a valid email for ${name}` };
+        }
+        if (email === normalizeEmail(applicantEmail)) {
+            return { error: 'A referee cannot be yourself' };
+        }
+        if (validated.some(other => other.email === email)) {
+            return { error: 'Each referee needs a different email' };
+        }
+
+        validated.push({ name, email, organization });
+    }
+
+    return { referees: validated };
+}
+
+function recommendationUrl(baseUrl, token) {
+    return `${baseUrl.replace(/\/$/, '')}/recommend?token=${encodeURIComponent(token)}`;
+}
+
+// Links sent outside a request (reminder sweeps) need a configured base URL
+function defaultBaseUrl() {
+    return process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Email a referee their recommendation link. Every email carries a fresh
+ * token, so only the latest link works. The token, send time and reminder
+ * count are only saved once the email has gone out, so a failed send keeps
+ * the previous link working and does not count as a reminder.
+ * Returns whether the email was sent.
+ */
+async function emailReferee(recommendation, registration, { baseUrl = defaultBaseUrl(), reminder = false } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    try {
+        const edition = await editionForRegistration(registration);
+        const email = renderTemplate(reminder ? 'recommendation_reminder' : 'recommendation_request', {
+            refereeName: recommendation.refereeName,
+            applicantName: registration.name,
+            positions: (registration.positions || []).join(', '),
+            recommendationUrl: recommendationUrl(baseUrl, token)
+        }, edition);
+
+        await createTransport().sendMail({
+            from: fromAddress(edition),
+            to: recommendation.refereeEmail,
+            subject: email.subject,
+            html: email.html
+        });
+    } catch (emailError) {
+        console.error(`Failed to email referee ${recommendation.refereeEmail}:`, emailError);
+        return false;
+    }
+
+    await updateDocument(COLLECTIONS.RECOMMENDATIONS, recommendation.id, {
+        tokenHash: hashToken(token),
+        lastEmailedAt: new Date().toISOString(),
+        reminderCount: (recommendation.reminderCount || 0) + (reminder ? 1 : 0)
+    });
+    return true;
+}
+
+// Record a recommendation request for each referee and email them
+async function requestRecommendations(registration, referees, { baseUrl = defaultBaseUrl() } = {}) {
+    const requests = [];
+
+    for (const referee of referees) {
+        const recommendation = {
+            registrationId: registration.id,
+            edition: registrationEdition(registration),
+            refereeName: referee.name,
+            refereeEmail: referee.email,
+            refereeOrganization: referee.organization,
+            status: RECOMMENDATION_STATES.REQUESTED,
+            requestedAt: new Date().toISOString(),
+            reminderCount: 0
+        };
+        const docRef = await addDocument(COLLECTIONS.RECOMMENDATIONS, recommendation);
+        const emailSent = await emailReferee({ ...recommendation, id: docRef.id }, registration, { baseUrl });
+        requests.push({ id: docRef.id, refereeEmail: referee.email, emailSent });
+    }
+
+    return requests;
+}
+
+async function findRecommendationByToken(token) {
+    if (!token) return null;
+    const [recommendation] = await queryDocuments(COLLECTIONS.RECOMMENDATIONS, [
+        { field: 'tokenHash', operator: '==', value: hashToken(String(token)) }
+    ]);
+    return recommendation || null;
+}
+
+async function getRegistrationRecommendations(registrationId) {
+    return queryDocuments(COLLECTIONS.RECOMMENDATIONS, [
+        { field: 'registrationId', operator: '==', value: registrationId }
+    ]);
+}
+
+async function deleteRegistrationRecommendations(registrationId) {
+    const recommendations = await getRegistrationRecommendations(registrationId);
+    await Promise.all(recommendations.map(recommendation => deleteDocument(COLLECTIONS.RECOMMENDATIONS, recommendation.id)));
+}
+
+function groupRecommendationsByRegistration(recommendations) {
+    const grouped = new Map();
+    recommendations.forEach(recommendation => {
+        if (!grouped.has(recommendation.registrationId)) grouped.set(recommendation.registrationId, []);
+        grouped.get(recommendation.registrationId).push(recommendation);
+    });
+    return grouped;
+}
+
+// { requested, submitted } counts for the registrations table
+function summarizeRecommendations(recommendations = []) {
+    return {
+        requested: recommendations.length,
+        submitted: recommendations.filter(recommendation => recommendation.status === RECOMMENDATION_STATES.SUBMITTED).length
+    };
+}
+
+// What admins see of a recommendation (the link token stays private)
+function toRecommendationView(recommendation) {
+    const { tokenHash, ...view } = recommendation;
+    return view;
+}
+
+function isReminderDue(recommendation, now = new Date()) {
+    if (recommendation.status !== RECOMMENDATION_STATES.REQUESTED) return false;
+    if ((recommendation.reminderCount || 0) >= MAX_REMINDERS) return false;
+
+    const lastEmailedAt = new Date(recommendation.lastEmailedAt || recommendation.requestedAt);
+    return now - lastEmailedAt >= REMINDER_INTERVAL_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Why a committee head cannot remind this referee now, or null
+function checkManualReminder(recommendation, now = new Date()) {
+    if ((recommendation.reminderCount || 0) >= MAX_REMINDERS) {
+        return `This referee has already been reminded ${MAX_REMINDERS} times`;
+    }
+
+    const lastEmailedAt = new Date(recommendation.lastEmailedAt || recommendation.requestedAt);
+    if (now - lastEmailedAt < MANUAL_REMINDER_GAP_HOURS * 60 * 60 * 1000) {
+        return `This referee was emailed in the last ${MANUAL_REMINDER_GAP_HOURS} hours`;
+    }
+
+    return null;
+}
+
+// Remind every referee whose reminder is due. Returns { reminded, failed }.
+async function sendRecommendationReminders({ baseUrl = defaultBaseUrl(), now = new Date() } = {}) {
+    const pending = await queryDocuments(COLLECTIONS.RECOMMENDATIONS, [
+        { field: 'status', operator: '==', value: RECOMMENDATION_STATES.REQUESTED }
+    ]);
+    const due = pending.filter(recommendation => isReminderDue(recommendation, now));
+    if (due.length === 0) return { reminded: 0, failed: 0 };
+
+    const registrations = new Map((await getCollection(COLLECTIONS.REGISTRATIONS)).map(reg => [reg.id, reg]));
+    const results = { reminded: 0, failed: 0 };
+
+    for (const recommendation of due) {
+        const registration = registrations.get(recommendation.registrationId);
+        if (!registration) continue;
+
+        if (await emailReferee(recommendation, registration, { baseUrl, reminder: true })) {
+            results.reminded++;
+        } else {
+            results.failed++;
+        }
+    }
+
+    return results;
+}
+
+// Validate a referee's submission, returning { error } or { recommendation }
+function validateRecommendation(input) {
+    const relationship = String(input.relationship || '').trim();
+    const endorsement = input.endorsement;
+    const text = String(input.recommendation || '').trim();
+
+    if (!relationship) {
+        return { error: 'Please tell us how you know the applicant' };
+    }
+    if (!ENDORSEMENTS[endorsement]) {
+        return { error: 'Please choose how strongly you recommend the applicant' };
+    }
+    if (!text) {
+        return { error: 'Please write your recommendation' };
+    }
+    if (relationship.length > 200) {
+        return { error: 'Please keep how you know the applicant under 200 characters' };
+    }
+    if (text.length > RECOMMENDATION_MAX_LENGTH) {
+        return { error: `Please keep your recommendation under ${RECOMMENDATION_MAX_LENGTH} characters` };
+    }
+
+    return { recommendation: { relationship, endorsement, recommendation: text } };
+}
+
+// How referee submissions appear in the audit log
+function toRefereeActor(recommendation) {
+    return {
+        username: recommendation.refereeEmail,
+        name: recommendation.refereeName,
+        role: 'referee'
+    };
+}
+
+module.exports = {
+    RECOMMENDATION_STATES,
+    REFEREE_POSITIONS,
+    MAX_REFEREES,
+    ENDORSEMENTS,
+    RECOMMENDATION_MAX_LENGTH,
+    requiresReferees,
+    parseReferees,
+    validateReferees,
+    emailReferee,
+    checkManualReminder,
+    requestRecommendations,
+    findRecommendationByToken,
+    getRegistrationRecommendations,
+    deleteRegistrationRecommendations,
+    groupRecommendationsByRegistration,
+    summarizeRecommendations,
+    toRecommendationView,
+    isReminderDue,
+    sendRecommendationReminders,
+    validateRecommendation,
+    toRefereeActor
+};
@@ -0,0 +1,167 @@
+// Application form validation and uploads, shared by the public form and the applicant portal
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeEmail, normalizePhone } = require('./duplicates');
+const { uploadToS3 } = require('./s3Uploader');
+const { committeeCodes, yearValues } = require('./conferenceConfig');
+
+const REQUIRED_FIELDS = ['name', 'email', 'phone', 'college', 'department', 'year'];
+
+// Upload field -> stored URL field and storage folder. Only the ID card is mandatory.
+const UPLOAD_FIELDS = {
+    idCard: { urlField: 'idCardUrl', folder: 'id-cards', label: 'ID card', required: true },
+    munCertificates: { urlField: 'munCertificatesUrl', folder: 'certificates', label: 'MUN certificates', required: false },
+    chairingResume: { urlField: 'chairingResumeUrl', folder: 'resumes', label: 'Chairing resume', required: false }
+};
+
+const fileFilter = (req, file, cb) => {
+    // Check file type
+    if (file.mimetype === 'application/pdf') {
+        cb(null, true);
+    } else {
+        cb(new Error('Only PDF files are allowed'), false);
+    }
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: 3 * 1024 * 1024, // 3MB max file size
+        files: 3 // Maximum 3 files
+    }
+});
+
+// Multer middleware for the registration documents
+const uploadRegistrationFiles = upload.fields(
+    Object.keys(UPLOAD_FIELDS).map(name => ({ name, maxCount: 1 }))
+);
+
+// First required field missing from the input, or null
+function findMissingField(input) {
+    return REQUIRED_FIELDS.find(field => !input[field]) || null;
+}
+
+// Committees and positions arrive as JSON arrays ranked first choice first,
+// or as a single plain value from simpler clients
+function parsePreferences(body) {
+    let committees = [];
+    let positions = [];
+
+    try {
+        if (body.committees) {
+            committees = JSON.parse(body.committees);
+        }
+        if (body.positions) {
+            positions = JSON.parse(body.positions);
+        }
+    } catch (error) {
+        console.error('Error parsing checkbox values:', error);
+        committees = body.committees ? [body.committees] : [];
+        positions = body.positions ? [body.positions] : [];
+    }
+
+    return { committees, positions };
+}
+
+// Validate one ranked list: known values, each listed once
+function validateRanking(list, allowed, label) {
+    if (!Array.isArray(list) || list.length === 0) {
+        return `Please select at least one ${label} preference`;
+    }
+    const unknown = list.find(value => !allowed.includes(value));
+    if (unknown !== undefined) {
+        return `Unknown ${label}: ${unknown}`;
+    }
+    if (new Set(list).size !== list.length) {
+        return `Each ${label} can only be ranked once`;
+    }
+    return null;
+}
+
+function validateCommittees(committees, config) {
+    return validateRanking(committees, committeeCodes(config), 'committee');
+}
+
+function validatePositions(positions, config) {
+    return validateRanking(positions, config.positions, 'position');
+}
+
+// Validate ranked preferences against the conference configuration,
+// returning an error message or null
+function validatePreferences(committees, positions, config) {
+    return validateCommittees(committees, config) || validatePositions(positions, config);
+}
+
+// Validate the year of study, returning an error message or null
+function validateYear(year, config) {
+    return yearValues(config).includes(String(year)) ? null : 'Please select a valid year of study';
+}
+
+// "1. UNSC, 2. DISEC" for tables and exports
+function formatRankedList(list) {
+    if (!Array.isArray(list)) return list || '';
+    return list.map((value, index) => `${index + 1}. ${value}`).join(', ');
+}
+
+// Normalized application fields as stored on a registration (documents excluded)
+function buildApplicationFields(input, committees, positions) {
+    return {
+        name: input.name,
+        email: normalizeEmail(input.email),
+        phone: input.phone,
+        phoneNormalized: normalizePhone(input.phone),
+        college: input.college,
+        department: input.department,
+        year: input.year,
+        munsParticipated: parseInt(input.munsParticipated) || 0,
+        munsWithAwards: parseInt(input.munsWithAwards) || 0,
+        organizingExperience: input.organizingExperience,
+        munsChaired: parseInt(input.munsChaired) || 0,
+        committees: committees,
+        positions: positions
+    };
+}
+
+/**
+ * Upload whichever documents are present in multer's req.files.
+ * Returns { [urlField]: url }. A failed ID card upload always throws; optional
+ * documents only throw when `strict` is set, so a fresh submission is not lost
+ * over a certificate while an applicant replacing one hears about the failure.
+ */
+async function storeUploadedFiles(files, { strict = false } = {}) {
+    const fileUrls = {};
+    const uploads = Object.entries(UPLOAD_FIELDS)
+        .filter(([field]) => files && files[field])
+        .map(([field, config]) => {
+            const file = files[field][0];
+            const key = `${config.folder}/${uuidv4()}-${file.originalname}`;
+
+            return uploadToS3(file.buffer, key, file.mimetype)
+                .then(url => { fileUrls[config.urlField] = url; })
+                .catch(error => {
+                    console.error(`Error uploading ${config.label}:`, error);
+                    if (strict || config.required) {
+                        throw new Error(`Failed to upload ${config.label}`);
+                    }
+                });
+        });
+
+    await Promise.all(uploads);
+    return fileUrls;
+}
+
+module.exports = {
+    REQUIRED_FIELDS,
+    UPLOAD_FIELDS,
+    uploadRegistrationFiles,
+    findMissingField,
+    parsePreferences,
+    validateCommittees,
+    validatePositions,
+    validatePreferences,
+    validateYear,
+    formatRankedList,
+    buildApplicationFields,
+    storeUploadedFiles
+};
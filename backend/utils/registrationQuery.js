@@ -0,0 +1,204 @@
+// Registration listings for the admin table and export. Filters the datastore can
+// answer run as query conditions; the rest are checked as registrations are read.
+// Pages are addressed by a cursor holding the sort value and ID of the last
+// registration on the previous page, so they stay put as registrations come in.
+const { queryPage, IN_QUERY_LIMIT, COLLECTIONS } = require('./repository');
+const { getScopedCommittees, getRegistrationCommittees, canAccessRegistration } = require('./permissions');
+const { getRegistrationStatus } = require('./statusPipeline');
+const { inEdition } = require('./editions');
+const { registrationTagIds } = require('./tags');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const SORT_VALUES = {
+    submittedAt: reg => reg.submittedAt || null,
+    // Blinded admins see candidate codes in place of names
+    name: reg => (reg.identityHidden ? reg.candidateCode : reg.name) || null,
+    score: reg => (reg.scoreSummary ? reg.scoreSummary.normalizedScore : null)
+};
+
+const SORT_FIELDS = Object.keys(SORT_VALUES);
+
+// Fields stored on the registration, which the datastore can order by
+const QUERY_SORT_FIELDS = ['submittedAt', 'name'];
+
+function registrationPositions(registration) {
+    return Array.isArray(registration.positions) ? registration.positions : JSON.parse(registration.positions || '[]');
+}
+
+/**
+ * Conditions for the edition's registrations the admin may see that match the
+ * committee, position, year, status and tag filters. Returns
+ * { conditions, matches(reg), matchesRest(reg) }: matches checks every filter,
+ * matchesRest only those the conditions leave out.
+ */
+function buildRegistrationQuery(admin, editionId, filters = {}) {
+    const { committee, position, year, status, tag } = filters;
+    const clauses = [{
+        condition: { field: 'edition', operator: '==', value: editionId },
+        test: inEdition(editionId)
+    }];
+
+    if (status) {
+        clauses.push({
+            condition: { field: 'status', operator: '==', value: status },
+            test: reg => getRegistrationStatus(reg) === status
+        });
+    }
+
+    // Years are stored as the configured string value; older edits stored some as numbers
+    if (year) {
+        clauses.push({
+            condition: { field: 'year', operator: '==', value: String(year) },
+            test: reg => String(reg.year) === String(year)
+        });
+    }
+
+    // Firestore allows one array-contains or array-contains-any condition per query,
+    // so only the first of these is queried and the rest are checked in memory
+    const arrayClauses = [];
+    if (committee) {
+        arrayClauses.push({
+            condition: { field: 'committees', operator: 'array-contains', value: committee },
+            test: reg => getRegistrationCommittees(reg).includes(committee)
+        });
+    }
+    if (position) {
+        arrayClauses.push({
+            condition: { field: 'positions', operator: 'array-contains', value: position },
+            test: reg => registrationPositions(reg).includes(position)
+        });
+    }
+    if (tag) {
+        arrayClauses.push({
+            condition: { field: 'tags', operator: 'array-contains', value: tag },
+            test: reg => registrationTagIds(reg).includes(tag)
+        });
+    }
+
+    const scope = getScopedCommittees(admin);
+    if (scope) {
+        arrayClauses.push({
+            condition: scope.length > 0 && scope.length <= IN_QUERY_LIMIT
+                ? { field: 'committees', operator: 'array-contains-any', value: scope }
+                : null,
+            test: reg => canAccessRegistration(admin, reg)
+        });
+    }
+
+    arrayClauses.forEach((clause, index) => {
+        clauses.push(index === 0 ? clause : { condition: null, test: clause.test });
+    });
+
+    return {
+        conditions: clauses.filter(clause => clause.condition).map(clause => clause.condition),
+        matches: reg => clauses.every(clause => clause.test(reg)),
+        matchesRest: reg => clauses.every(clause => clause.condition || clause.test(reg))
+    };
+}
+
+function parsePageSize(limit) {
+    const pageSize = parseInt(limit, 10) || DEFAULT_PAGE_SIZE;
+    return Math.min(Math.max(pageSize, 1), MAX_PAGE_SIZE);
+}
+
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+// The [value, id] key in a cursor, or null when it is malformed
+function decodeCursor(cursor) {
+    let key;
+    try {
+        key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    return Array.isArray(key) && key.length === 2 && typeof key[1] === 'string' ? key : null;
+}
+
+// reg -> [value, id], the key registrations are ordered and paged by
+function sortKeyFor(sortBy) {
+    const valueOf = SORT_VALUES[sortBy];
+    return reg => [valueOf(reg) ?? null, reg.id];
+}
+
+// By value, then ID so equal values keep a stable order. Missing values always sort last.
+function compareSortKeys([leftValue, leftId], [rightValue, rightId], sortOrder) {
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    if (leftValue !== rightValue) {
+        if (leftValue === null) return 1;
+        if (rightValue === null) return -1;
+        return (leftValue < rightValue ? -1 : 1) * direction;
+    }
+    if (leftId === rightId) return 0;
+    return (leftId < rightId ? -1 : 1) * direction;
+}
+
+function sortRegistrations(registrations, keyOf, sortOrder = 'desc') {
+    return [...registrations].sort((a, b) => compareSortKeys(keyOf(a), keyOf(b), sortOrder));
+}
+
+/**
+ * One page of registrations already in memory, e.g. when sorting by score.
+ * Returns { registrations, nextCursor }.
+ */
+function pageRegistrations(registrations, { keyOf, sortOrder, after, pageSize }) {
+    const sorted = sortRegistrations(registrations, keyOf, sortOrder);
+    const start = after ? sorted.findIndex(reg => compareSortKeys(keyOf(reg), after, sortOrder) > 0) : 0;
+    const rest = start === -1 ? [] : sorted.slice(start);
+    const page = rest.slice(0, pageSize);
+
+    return {
+        registrations: page,
+        nextCursor: rest.length > pageSize ? encodeCursor(keyOf(page[page.length - 1])) : null
+    };
+}
+
+/**
+ * One page of registrations read from the datastore in sortBy order. select(batch)
+ * returns the registrations in a batch to list, in order, and may describe them for
+ * the table; batches are read until the page is full. Returns { registrations, nextCursor }.
+ */
+async function readRegistrationPage({ conditions, sortBy, sortOrder, after, pageSize, select }) {
+    const keyOf = sortKeyFor(sortBy);
+    const registrations = [];
+    let last = after;
+
+    // Reading one more than a page tells whether there is a next page
+    while (registrations.length <= pageSize) {
+        const batch = await queryPage(COLLECTIONS.REGISTRATIONS, {
+            conditions,
+            orderByField: sortBy,
+            orderDirection: sortOrder === 'asc' ? 'asc' : 'desc',
+            after: last,
+            pageSize: pageSize + 1
+        });
+
+        registrations.push(...await select(batch));
+        if (batch.length <= pageSize) break;
+        last = keyOf(batch[batch.length - 1]);
+    }
+
+    const page = registrations.slice(0, pageSize);
+    return {
+        registrations: page,
+        nextCursor: registrations.length > pageSize ? encodeCursor(keyOf(page[page.length - 1])) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    SORT_FIELDS,
+    QUERY_SORT_FIELDS,
+    buildRegistrationQuery,
+    parsePageSize,
+    decodeCursor,
+    sortKeyFor,
+    sortRegistrations,
+    pageRegistrations,
+    readRegistrationPage
+};
@@ -0,0 +1,268 @@
+// Repository layer over the configured datastore driver (see utils/datastore)
+const driver = require('./datastore');
+const { STATUSES, getRegistrationStatus } = require('./statusPipeline');
+
+// Datastore collections
+const COLLECTIONS = {
+  REGISTRATIONS: 'registrations',
+  ADMIN_USERS: 'admin_users',
+  ADMIN_SESSIONS: 'admin_sessions',
+  AUDIT_LOGS: 'audit_logs',
+  SETTINGS: 'settings',
+  SCORES: 'registration_scores',
+  ALLOCATIONS: 'allocations',
+  INTERVIEW_SLOTS: 'interview_slots',
+  APPLICANT_SESSIONS: 'applicant_sessions',
+  EDITIONS: 'editions',
+  RECOMMENDATIONS: 'recommendations',
+  COMMENTS: 'registration_comments',
+  TAGS: 'registration_tags'
+};
+
+// Most values Firestore accepts in one 'in' or 'array-contains-any' condition
+const IN_QUERY_LIMIT = 30;
+
+// Logs name the fields queried but not the values, which can be emails or token hashes
+function describeConditions(conditions = []) {
+    return conditions.map(({ field, operator }) => `${field} ${operator}`);
+}
+
+// Helper functions
+async function addDocument(collectionName, data) {
+    try {
+        console.log(`📝 Adding document to ${collectionName}`);
+        const id = await driver.add(collectionName, data);
+        console.log(`✅ Document added with ID: ${id}`);
+        return { id };
+    } catch (error) {
+        console.error(`❌ Error adding document to ${collectionName}:`, error);
+        throw error;
+    }
+}
+
+async function getCollection(collectionName, orderByField = null, orderDirection = 'desc') {
+    try {
+        console.log(`📊 Getting collection: ${collectionName}`);
+        const documents = await driver.list(collectionName, orderByField, orderDirection);
+        console.log(`✅ Retrieved ${documents.length} documents from ${collectionName}`);
+        return documents;
+    } catch (error) {
+        console.error(`❌ Error getting collection ${collectionName}:`, error);
+        throw error;
+    }
+}
+
+// conditions: [{ field, operator, value }], e.g. { field: 'email', operator: '==', value: 'a@b.com' }
+async function queryDocuments(collectionName, conditions = []) {
+    try {
+        console.log(`🔍 Querying collection: ${collectionName}`, describeConditions(conditions));
+        const documents = await driver.find(collectionName, conditions);
+        console.log(`✅ Query matched ${documents.length} documents in ${collectionName}`);
+        return documents;
+    } catch (error) {
+        console.error(`❌ Error querying collection ${collectionName}:`, error);
+        throw error;
+    }
+}
+
+// Documents whose field equals one of values. Firestore takes at most
+// IN_QUERY_LIMIT values per 'in' condition, so longer lists are queried in chunks.
+async function queryDocumentsIn(collectionName, field, values) {
+    const unique = [...new Set(values.filter(value => value !== undefined && value !== null && value !== ''))];
+    const chunks = [];
+    for (let i = 0; i < unique.length; i += IN_QUERY_LIMIT) {
+        chunks.push(unique.slice(i, i + IN_QUERY_LIMIT));
+    }
+
+    const results = await Promise.all(chunks.map(chunk => queryDocuments(collectionName, [
+        { field, operator: 'in', value: chunk }
+    ])));
+    return results.flat();
+}
+
+// Up to pageSize documents matching conditions, ordered by orderByField and then document ID.
+// Pass the [value, id] of the last document read as after to continue from it.
+async function queryPage(collectionName, { conditions = [], orderByField, orderDirection = 'desc', after = null, pageSize }) {
+    try {
+        console.log(`📑 Reading page of ${collectionName}`, { conditions: describeConditions(conditions), orderByField, orderDirection, pageSize });
+        const documents = await driver.page(collectionName, { conditions, orderByField, orderDirection, after, pageSize });
+        console.log(`✅ Page has ${documents.length} documents from ${collectionName}`);
+        return documents;
+    } catch (error) {
+        console.error(`❌ Error reading page of ${collectionName}:`, error);
+        throw error;
+    }
+}
+
+async function getDocument(collectionName, docId) {
+    try {
+        console.log(`📄 Getting document: ${collectionName}/${docId}`);
+        const document = await driver.get(collectionName, docId);
+
+        if (document) {
+            console.log(`✅ Document retrieved: ${docId}`);
+        } else {
+            console.log(`⚠️ Document not found: ${docId}`);
+        }
+        return document;
+    } catch (error) {
+        console.error(`❌ Error getting document ${docId}:`, error);
+        throw error;
+    }
+}
+
+async function setDocument(collectionName, docId, data) {
+    try {
+        console.log(`📝 Setting document: ${collectionName}/${docId}`);
+        await driver.set(collectionName, docId, data);
+        console.log(`✅ Document set: ${docId}`);
+        return { id: docId };
+    } catch (error) {
+        console.error(`❌ Error setting document ${docId}:`, error);
+        throw error;
+    }
+}
+
+async function updateDocument(collectionName, docId, data) {
+    try {
+        console.log(`✏️ Updating document: ${collectionName}/${docId}`);
+        await driver.update(collectionName, docId, data);
+        console.log(`✅ Document updated: ${docId}`);
+        return { id: docId };
+    } catch (error) {
+        console.error(`❌ Error updating document ${docId}:`, error);
+        throw error;
+    }
+}
+
+// Compare-and-set: buildUpdate gets the current document (or null) and returns the
+// fields to write, or null to leave it alone. No other write can land in between.
+// Returns the fields written, or null when nothing was.
+async function updateDocumentIf(collectionName, docId, buildUpdate) {
+    try {
+        console.log(`✏️ Conditionally updating document: ${collectionName}/${docId}`);
+        const data = await driver.updateIf(collectionName, docId, buildUpdate);
+        console.log(data ? `✅ Document updated: ${docId}` : `⚠️ Document left unchanged: ${docId}`);
+        return data;
+    } catch (error) {
+        console.error(`❌ Error updating document ${docId}:`, error);
+        throw error;
+    }
+}
+
+async function deleteDocument(collectionName, docId) {
+    try {
+        console.log(`🗑️ Deleting document: ${collectionName}/${docId}`);
+        await driver.remove(collectionName, docId);
+        console.log(`✅ Document deleted: ${docId}`);
+        return { id: docId };
+    } catch (error) {
+        console.error(`❌ Error deleting document ${docId}:`, error);
+        throw error;
+    }
+}
+
+// Statistics helpers
+// Pass options.filter to count only matching registrations (e.g. one edition), options.committees to limit
+// the statistics to registrations listing one of them, and options.config (the conference
+// configuration) for the committees, positions and years to count
+async function getRegistrationStats(options = {}) {
+    try {
+        console.log('📊 Getting registration statistics');
+
+        let registrations = await getCollection(COLLECTIONS.REGISTRATIONS, 'submittedAt', 'desc');
+
+        if (options.filter) {
+            registrations = registrations.filter(options.filter);
+        }
+
+        if (Array.isArray(options.committees)) {
+            registrations = registrations.filter(reg => {
+                const committees = Array.isArray(reg.committees) ? reg.committees : JSON.parse(reg.committees || '[]');
+                return committees.some(committee => options.committees.includes(committee));
+            });
+        }
+
+        // Counts start at zero for every configured committee, position and year
+        const { committees = [], positions = [], years = [] } = options.config || {};
+        const zeroCounts = keys => keys.reduce((counts, key) => {
+            counts[key] = 0;
+            return counts;
+        }, {});
+        const committeeKeys = committees.map(committee => committee.code);
+
+        const stats = {
+            total: registrations.length,
+            committeeStats: zeroCounts(committeeKeys),
+            positionStats: zeroCounts(positions),
+            // committeeStats and positionStats count any choice; these count first choices only
+            committeeFirstChoiceStats: zeroCounts(committeeKeys),
+            positionFirstChoiceStats: zeroCounts(positions),
+            yearStats: zeroCounts(years.map(year => year.value)),
+            statusStats: Object.values(STATUSES).reduce((counts, status) => {
+                counts[status] = 0;
+                return counts;
+            }, {}),
+            recentSubmissions: registrations.slice(0, 10) // Last 10 submissions
+        };
+
+        // Calculate statistics from actual data
+        registrations.forEach(reg => {
+            // Committee stats
+            if (reg.committees) {
+                const committees = Array.isArray(reg.committees) ? reg.committees : JSON.parse(reg.committees || '[]');
+                committees.forEach(committee => {
+                    if (stats.committeeStats[committee] !== undefined) {
+                        stats.committeeStats[committee]++;
+                    }
+                });
+                if (stats.committeeFirstChoiceStats[committees[0]] !== undefined) {
+                    stats.committeeFirstChoiceStats[committees[0]]++;
+                }
+            }
+
+            // Position stats
+            if (reg.positions) {
+                const positions = Array.isArray(reg.positions) ? reg.positions : JSON.parse(reg.positions || '[]');
+                positions.forEach(position => {
+                    if (stats.positionStats[position] !== undefined) {
+                        stats.positionStats[position]++;
+                    }
+                });
+                if (stats.positionFirstChoiceStats[positions[0]] !== undefined) {
+                    stats.positionFirstChoiceStats[positions[0]]++;
+                }
+            }
+
+            // Status stats
+            stats.statusStats[getRegistrationStatus(reg)]++;
+            
+            // Year stats
+            if (reg.year && stats.yearStats[reg.year] !== undefined) {
+                stats.yearStats[reg.year]++;
+            }
+        });
+
+        console.log('✅ Statistics retrieved');
+        return stats;
+    } catch (error) {
+        console.error('❌ Error getting statistics:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    COLLECTIONS,
+    IN_QUERY_LIMIT,
+    addDocument,
+    getCollection,
+    queryDocuments,
+    queryDocumentsIn,
+    queryPage,
+    getDocument,
+    setDocument,
+    updateDocument,
+    updateDocumentIf,
+    deleteDocument,
+    getRegistrationStats
+};
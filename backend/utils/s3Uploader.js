@@ -1,70 +1,70 @@
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+// Upload helpers backed by the configured storage driver (see utils/storage)
+const storage = require('./storage');
 
-// Initialize S3 client
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION || 'eu-north-1',
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
+// Registration fields holding uploaded document URLs
+const REGISTRATION_FILE_FIELDS = ['idCardUrl', 'munCertificatesUrl', 'chairingResumeUrl'];
+
+// Lifetime of presigned download links
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 300;
 
-  // Upload file to S3
+// Upload file to storage
 async function uploadToS3(fileBuffer, key, contentType) {
     try {
-        console.log(`Uploading file to S3: ${key}`);
-      
-      const uploadParams = {
-            Bucket: process.env.AWS_S3_BUCKET,
-            Key: key,
-            Body: fileBuffer,
-            ContentType: contentType,
-            ACL: 'public-read'
-      };
+        console.log(`Uploading file to ${storage.name} storage: ${key}`);
 
-      const command = new PutObjectCommand(uploadParams);
-      const result = await s3Client.send(command);
+        // The returned URL is private, so it only identifies the key
+        const fileUrl = await storage.upload(fileBuffer, key, contentType);
 
         console.log(`File uploaded successfully: ${key}`);
-        
-        // Return the public URL
-        const fileUrl = `https://${process.env.AWS_S3_BUCKET}.s3.${process.env.AWS_REGION || 'eu-north-1'}.amazonaws.com/${key}`;
         return fileUrl;
 
     } catch (error) {
-      console.error('S3 upload error:', error);
-        throw new Error(`Failed to upload file to S3: ${error.message}`);
+        console.error('Storage upload error:', error);
+        throw new Error(`Failed to upload file: ${error.message}`);
     }
 }
 
-  // Delete file from S3
+// Delete file from storage
 async function deleteFromS3(key) {
     try {
-        console.log(`Deleting file from S3: ${key}`);
-        
-        const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
-      const deleteParams = {
-            Bucket: process.env.AWS_S3_BUCKET,
-            Key: key
-      };
+        console.log(`Deleting file from ${storage.name} storage: ${key}`);
 
-      const command = new DeleteObjectCommand(deleteParams);
-      await s3Client.send(command);
+        await storage.remove(key);
 
         console.log(`File deleted successfully: ${key}`);
         return true;
 
     } catch (error) {
-      console.error('S3 delete error:', error);
-        throw new Error(`Failed to delete file from S3: ${error.message}`);
+        console.error('Storage delete error:', error);
+        throw new Error(`Failed to delete file: ${error.message}`);
+    }
+}
+
+// Issue a short-lived download link for a private object
+async function getSignedDownloadUrl(key, expiresIn = SIGNED_URL_TTL_SECONDS) {
+    try {
+        return await storage.getSignedDownloadUrl(key, expiresIn);
+    } catch (error) {
+        console.error('Storage signing error:', error);
+        throw new Error(`Failed to sign download URL: ${error.message}`);
+    }
+}
+
+// Revoke public access on an object uploaded before documents were private
+async function makeObjectPrivate(key) {
+    try {
+        await storage.makePrivate(key);
+        return true;
+    } catch (error) {
+        console.error('Storage ACL error:', error);
+        throw new Error(`Failed to make file private: ${error.message}`);
     }
 }
 
-// Extract key from S3 URL
+// Extract key from a stored file URL
 function getKeyFromUrl(url) {
     try {
-        const urlObj = new URL(url);
-        return urlObj.pathname.substring(1); // Remove leading slash
+        return storage.getKeyFromUrl(url);
     } catch (error) {
         console.error('Error extracting key from URL:', error);
         return null;
@@ -72,7 +72,11 @@ function getKeyFromUrl(url) {
 }
 
 module.exports = {
+    REGISTRATION_FILE_FIELDS,
+    SIGNED_URL_TTL_SECONDS,
     uploadToS3,
     deleteFromS3,
+    getSignedDownloadUrl,
+    makeObjectPrivate,
     getKeyFromUrl
-};
\ No newline at end of file
+};
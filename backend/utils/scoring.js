@@ -0,0 +1,169 @@
+// Reviewer scoring rubric, per edition, and score aggregation
+const { getDocument, setDocument, COLLECTIONS } = require('./repository');
+const { editionSettingsId } = require('./editions');
+
+const RUBRIC_SETTINGS_ID = 'rubric';
+
+// Used until an admin saves their own rubric
+const DEFAULT_RUBRIC = [
+    { key: 'experience', label: 'MUN Experience', maxScore: 10, weight: 1 },
+    { key: 'communication', label: 'Communication', maxScore: 10, weight: 1 },
+    { key: 'committee_knowledge', label: 'Committee Knowledge', maxScore: 10, weight: 1 }
+];
+
+async function getRubric(editionId) {
+    const settings = await getDocument(COLLECTIONS.SETTINGS, editionSettingsId(RUBRIC_SETTINGS_ID, editionId));
+    return settings && Array.isArray(settings.criteria) && settings.criteria.length > 0
+        ? settings.criteria
+        : DEFAULT_RUBRIC;
+}
+
+async function saveRubric(editionId, criteria) {
+    await setDocument(COLLECTIONS.SETTINGS, editionSettingsId(RUBRIC_SETTINGS_ID, editionId), { criteria });
+}
+
+// Validate rubric criteria, returning an error message or null
+function validateRubric(criteria) {
+    if (!Array.isArray(criteria) || criteria.length === 0) {
+        return 'At least one criterion is required';
+    }
+
+    const keys = new Set();
+    for (const criterion of criteria) {
+        if (!criterion || !/^[a-z0-9_]+$/.test(criterion.key || '')) {
+            return 'Each criterion needs a key of lowercase letters, digits or underscores';
+        }
+        if (keys.has(criterion.key)) {
+            return `Duplicate criterion key: ${criterion.key}`;
+        }
+        keys.add(criterion.key);
+
+        if (!criterion.label) {
+            return `Criterion ${criterion.key} needs a label`;
+        }
+        if (!(Number(criterion.maxScore) > 0)) {
+            return `Criterion ${criterion.key} needs a positive maxScore`;
+        }
+        if (criterion.weight !== undefined && !(Number(criterion.weight) > 0)) {
+            return `Criterion ${criterion.key} needs a positive weight`;
+        }
+    }
+
+    return null;
+}
+
+function normalizeRubric(criteria) {
+    return criteria.map(criterion => ({
+        key: criterion.key,
+        label: String(criterion.label),
+        maxScore: Number(criterion.maxScore),
+        weight: criterion.weight !== undefined ? Number(criterion.weight) : 1
+    }));
+}
+
+// Validate one reviewer's scores against the rubric.
+// Returns { error } or { scores } with every criterion as a number.
+function validateScores(criteria, scores) {
+    if (!scores || typeof scores !== 'object') {
+        return { error: 'Scores are required' };
+    }
+
+    const validated = {};
+    for (const criterion of criteria) {
+        const value = Number(scores[criterion.key]);
+        if (scores[criterion.key] === undefined || scores[criterion.key] === '' || isNaN(value)) {
+            return { error: `Missing score for ${criterion.label}` };
+        }
+        if (value < 0 || value > criterion.maxScore) {
+            return { error: `${criterion.label} must be between 0 and ${criterion.maxScore}` };
+        }
+        validated[criterion.key] = value;
+    }
+
+    return { scores: validated };
+}
+
+// Weighted 0-100 score for one reviewer's sheet
+function normalizedSheetScore(criteria, scores) {
+    let weighted = 0;
+    let totalWeight = 0;
+
+    criteria.forEach(criterion => {
+        if (typeof scores[criterion.key] !== 'number') return;
+        // Scores above a since-lowered maximum count as full marks
+        weighted += criterion.weight * Math.min(1, scores[criterion.key] / criterion.maxScore);
+        totalWeight += criterion.weight;
+    });
+
+    return totalWeight > 0 ? (weighted / totalWeight) * 100 : null;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Aggregate every reviewer's sheet for one registration
+function aggregateScores(criteria, sheets) {
+    if (!sheets || sheets.length === 0) {
+        return {
+            reviewerCount: 0,
+            criteriaAverages: {},
+            averageTotal: null,
+            normalizedScore: null
+        };
+    }
+
+    const criteriaAverages = {};
+    criteria.forEach(criterion => {
+        const values = sheets
+            .map(sheet => sheet.scores && sheet.scores[criterion.key])
+            .filter(value => typeof value === 'number');
+        criteriaAverages[criterion.key] = values.length > 0
+            ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            : null;
+    });
+
+    const totals = sheets.map(sheet =>
+        criteria.reduce((sum, criterion) => sum + ((sheet.scores && sheet.scores[criterion.key]) || 0), 0)
+    );
+    const normalized = sheets
+        .map(sheet => normalizedSheetScore(criteria, sheet.scores || {}))
+        .filter(value => value !== null);
+
+    return {
+        reviewerCount: sheets.length,
+        criteriaAverages,
+        averageTotal: round(totals.reduce((sum, value) => sum + value, 0) / totals.length),
+        normalizedScore: normalized.length > 0
+            ? round(normalized.reduce((sum, value) => sum + value, 0) / normalized.length)
+            : null
+    };
+}
+
+// Group score sheets by registration ID
+function groupSheetsByRegistration(sheets) {
+    const grouped = new Map();
+    sheets.forEach(sheet => {
+        if (!grouped.has(sheet.registrationId)) grouped.set(sheet.registrationId, []);
+        grouped.get(sheet.registrationId).push(sheet);
+    });
+    return grouped;
+}
+
+// Score sheets are keyed per reviewer so resubmitting replaces the old sheet
+function scoreSheetId(registrationId, reviewer) {
+    return `${registrationId}__${reviewer}`;
+}
+
+module.exports = {
+    RUBRIC_SETTINGS_ID,
+    DEFAULT_RUBRIC,
+    getRubric,
+    saveRubric,
+    validateRubric,
+    normalizeRubric,
+    validateScores,
+    aggregateScores,
+    groupSheetsByRegistration,
+    scoreSheetId
+};
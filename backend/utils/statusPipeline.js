@@ -0,0 +1,109 @@
+// Application status lifecycle
+const STATUSES = {
+    SUBMITTED: 'submitted',
+    UNDER_REVIEW: 'under_review',
+    SHORTLISTED: 'shortlisted',
+    INTERVIEW: 'interview',
+    SELECTED: 'selected',
+    WAITLISTED: 'waitlisted',
+    REJECTED: 'rejected',
+    DECLINED: 'declined'
+};
+
+const STATUS_LABELS = {
+    [STATUSES.SUBMITTED]: 'Submitted',
+    [STATUSES.UNDER_REVIEW]: 'Under Review',
+    [STATUSES.SHORTLISTED]: 'Shortlisted',
+    [STATUSES.INTERVIEW]: 'Interview',
+    [STATUSES.SELECTED]: 'Selected',
+    [STATUSES.WAITLISTED]: 'Waitlisted',
+    [STATUSES.REJECTED]: 'Rejected',
+    [STATUSES.DECLINED]: 'Declined'
+};
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+    [STATUSES.SUBMITTED]: [STATUSES.UNDER_REVIEW, STATUSES.REJECTED],
+    [STATUSES.UNDER_REVIEW]: [STATUSES.SHORTLISTED, STATUSES.REJECTED],
+    [STATUSES.SHORTLISTED]: [STATUSES.INTERVIEW, STATUSES.REJECTED],
+    [STATUSES.INTERVIEW]: [STATUSES.SELECTED, STATUSES.WAITLISTED, STATUSES.REJECTED],
+    [STATUSES.WAITLISTED]: [STATUSES.SELECTED, STATUSES.REJECTED],
+    [STATUSES.SELECTED]: [],
+    [STATUSES.REJECTED]: [],
+    [STATUSES.DECLINED]: []
+};
+
+// Moves only the offer flow makes, never offered to admins: a selected applicant
+// who declines their offer or lets it expire gives up the seat
+const OFFER_TRANSITIONS = {
+    [STATUSES.SELECTED]: [STATUSES.DECLINED]
+};
+
+function isValidStatus(status) {
+    return Object.values(STATUSES).includes(status);
+}
+
+// Registrations from before the pipeline existed count as submitted
+function getRegistrationStatus(registration) {
+    return isValidStatus(registration && registration.status) ? registration.status : STATUSES.SUBMITTED;
+}
+
+function getNextStatuses(status) {
+    return TRANSITIONS[status] || [];
+}
+
+function canTransition(from, to) {
+    return getNextStatuses(from).includes(to);
+}
+
+// Fields for a registration entering the pipeline
+function initialStatusFields(at = new Date().toISOString()) {
+    return {
+        status: STATUSES.SUBMITTED,
+        statusUpdatedAt: at,
+        statusHistory: [{ from: null, to: STATUSES.SUBMITTED, at, by: null, note: null }]
+    };
+}
+
+// Validate a transition and build the update for it. Pass offer: true for the
+// offer flow's own moves. Returns { error } for an illegal jump, otherwise { updateData }.
+function buildTransition(registration, to, { by = null, note = null, offer = false } = {}) {
+    const from = getRegistrationStatus(registration);
+
+    if (!isValidStatus(to)) {
+        return { error: `Status must be one of: ${Object.values(STATUSES).join(', ')}` };
+    }
+
+    const offerMove = offer && (OFFER_TRANSITIONS[from] || []).includes(to);
+    if (!offerMove && !canTransition(from, to)) {
+        const allowed = getNextStatuses(from);
+        return {
+            error: allowed.length > 0
+                ? `Cannot move from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+                : `Cannot move from ${from}: it is a final status`
+        };
+    }
+
+    const at = new Date().toISOString();
+    const history = Array.isArray(registration.statusHistory) ? registration.statusHistory : [];
+
+    return {
+        updateData: {
+            status: to,
+            statusUpdatedAt: at,
+            statusHistory: [...history, { from, to, at, by, note: note || null }]
+        }
+    };
+}
+
+module.exports = {
+    STATUSES,
+    STATUS_LABELS,
+    TRANSITIONS,
+    isValidStatus,
+    getRegistrationStatus,
+    getNextStatuses,
+    canTransition,
+    initialStatusFields,
+    buildTransition
+};
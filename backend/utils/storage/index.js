@@ -0,0 +1,14 @@
+// Storage driver selection: STORAGE_DRIVER=s3 (default, also S3-compatible) or local
+const drivers = {
+    s3: () => require('./s3Driver'),
+    local: () => require('./localDriver')
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+
+if (!drivers[driverName]) {
+    throw new Error(`Unsupported storage driver: ${driverName}. Use one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+// Only the selected driver is loaded, so the local driver needs no AWS setup
+module.exports = drivers[driverName]();
@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local filesystem storage for development and CI.
+// Files live under STORAGE_LOCAL_DIR and are only reachable through
+// HMAC-signed, expiring links served by routes/fileRoutes.js.
+const rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads'));
+
+// Without a configured secret, links stop working when the server restarts
+const signingSecret = process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+const URL_PREFIX = 'local:///';
+
+// Resolve a key inside the storage root, refusing anything that escapes it
+function resolvePath(key) {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+}
+
+function sign(key, expires) {
+    return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('hex');
+}
+
+async function upload(fileBuffer, key) {
+    const filePath = resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, fileBuffer);
+    return `${URL_PREFIX}${key}`;
+}
+
+async function remove(key) {
+    await fs.unlink(resolvePath(key));
+}
+
+function getKeyFromUrl(url) {
+    return decodeURIComponent(new URL(url).pathname.substring(1)); // Remove leading slash
+}
+
+async function getSignedDownloadUrl(key, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({
+        key,
+        expires: String(expires),
+        signature: sign(key, expires)
+    });
+    return `/api/files?${params.toString()}`;
+}
+
+// Local files are never public
+async function makePrivate() {}
+
+// Absolute path for a signed link, or null if the link is invalid or expired
+function resolveSignedPath(key, expires, signature) {
+    if (!key || !expires || !signature) return null;
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) return null;
+
+    const expected = Buffer.from(sign(key, expires), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        return resolvePath(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    name: 'local',
+    // Files are served from our own origin by routes/fileRoutes.js
+    contentOrigin: null,
+    upload,
+    remove,
+    getKeyFromUrl,
+    getSignedDownloadUrl,
+    makePrivate,
+    resolveSignedPath
+};
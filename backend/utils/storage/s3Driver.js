@@ -0,0 +1,85 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    PutObjectAclCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// S3 and S3-compatible (MinIO, R2, ...) storage.
+// Set S3_ENDPOINT to target a non-AWS service; path-style addressing is
+// used for custom endpoints unless S3_FORCE_PATH_STYLE=false.
+const bucket = process.env.AWS_S3_BUCKET;
+const region = process.env.AWS_REGION || 'eu-north-1';
+const endpoint = process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/+$/, '') : null;
+const forcePathStyle = endpoint ? process.env.S3_FORCE_PATH_STYLE !== 'false' : process.env.S3_FORCE_PATH_STYLE === 'true';
+
+const s3Client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    }
+});
+
+function buildObjectUrl(key) {
+    if (endpoint) {
+        return forcePathStyle ? `${endpoint}/${bucket}/${key}` : `${endpoint.replace('://', `://${bucket}.`)}/${key}`;
+    }
+    return forcePathStyle
+        ? `https://s3.${region}.amazonaws.com/${bucket}/${key}`
+        : `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+}
+
+async function upload(fileBuffer, key, contentType) {
+    await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fileBuffer,
+        ContentType: contentType
+    }));
+    return buildObjectUrl(key);
+}
+
+async function remove(key) {
+    await s3Client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+    }));
+}
+
+function getKeyFromUrl(url) {
+    const key = decodeURIComponent(new URL(url).pathname.substring(1)); // Remove leading slash
+    // Path-style URLs carry the bucket as the first path segment
+    return key.startsWith(`${bucket}/`) ? key.substring(bucket.length + 1) : key;
+}
+
+async function getSignedDownloadUrl(key, expiresIn) {
+    const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+    });
+    return getSignedUrl(s3Client, command, { expiresIn });
+}
+
+async function makePrivate(key) {
+    await s3Client.send(new PutObjectAclCommand({
+        Bucket: bucket,
+        Key: key,
+        ACL: 'private'
+    }));
+}
+
+module.exports = {
+    name: 's3',
+    // Signed links point here, so the admin dashboard may frame them
+    contentOrigin: new URL(buildObjectUrl('')).origin,
+    upload,
+    remove,
+    getKeyFromUrl,
+    getSignedDownloadUrl,
+    makePrivate
+};
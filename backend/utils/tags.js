@@ -0,0 +1,103 @@
+// Organizer labels ("strong speaker", "needs follow-up") kept per edition.
+// Registrations store the IDs of their tags, so renaming a tag needs no backfill
+const {
+    addDocument,
+    updateDocument,
+    queryDocuments,
+    COLLECTIONS
+} = require('./repository');
+
+const TAG_COLORS = ['gray', 'blue', 'green', 'yellow', 'orange', 'red', 'purple'];
+
+const TAG_NAME_MAX_LENGTH = 40;
+
+async function getEditionTags(editionId) {
+    const tags = await queryDocuments(COLLECTIONS.TAGS, [
+        { field: 'edition', operator: '==', value: editionId }
+    ]);
+    return tags.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Validate a tag against the edition's other tags, returning { error } or { tag }
+function validateTag(input, existingTags, tagId = null) {
+    const name = String(input.name || '').trim().replace(/\s+/g, ' ');
+    const color = input.color || TAG_COLORS[0];
+
+    if (!name) {
+        return { error: 'Tag name is required' };
+    }
+    if (name.length > TAG_NAME_MAX_LENGTH) {
+        return { error: `Tag names must be at most ${TAG_NAME_MAX_LENGTH} characters` };
+    }
+    if (!TAG_COLORS.includes(color)) {
+        return { error: `Tag color must be one of: ${TAG_COLORS.join(', ')}` };
+    }
+    if (existingTags.some(tag => tag.id !== tagId && tag.name.toLowerCase() === name.toLowerCase())) {
+        return { error: `A tag named "${name}" already exists` };
+    }
+
+    return { tag: { name, color } };
+}
+
+async function createTag(editionId, tag, admin) {
+    const docRef = await addDocument(COLLECTIONS.TAGS, {
+        ...tag,
+        edition: editionId,
+        createdBy: admin.username
+    });
+    return { id: docRef.id, ...tag, edition: editionId };
+}
+
+function registrationTagIds(registration) {
+    return Array.isArray(registration.tags) ? registration.tags : [];
+}
+
+// Check a list of tag IDs against the edition's tags, returning { error } or { tagIds }
+function validateTagIds(tagIds, tags) {
+    if (!Array.isArray(tagIds)) {
+        return { error: 'Tags must be a list of tag IDs' };
+    }
+
+    const unknown = tagIds.find(tagId => !tags.some(tag => tag.id === tagId));
+    if (unknown !== undefined) {
+        return { error: `Unknown tag: ${unknown}` };
+    }
+
+    return { tagIds: [...new Set(tagIds)] };
+}
+
+// Tag names for tables and exports, e.g. "alumni, strong speaker"
+function formatTagNames(registration, tags) {
+    return registrationTagIds(registration)
+        .map(tagId => tags.find(tag => tag.id === tagId))
+        .filter(Boolean)
+        .map(tag => tag.name)
+        .join(', ');
+}
+
+// Strip a deleted tag from every registration carrying it. Returns the registrations changed.
+async function removeTagFromRegistrations(tagId) {
+    const registrations = await queryDocuments(COLLECTIONS.REGISTRATIONS, [
+        { field: 'tags', operator: 'array-contains', value: tagId }
+    ]);
+
+    for (const registration of registrations) {
+        await updateDocument(COLLECTIONS.REGISTRATIONS, registration.id, {
+            tags: registrationTagIds(registration).filter(id => id !== tagId)
+        });
+    }
+
+    return registrations;
+}
+
+module.exports = {
+    TAG_COLORS,
+    TAG_NAME_MAX_LENGTH,
+    getEditionTags,
+    validateTag,
+    createTag,
+    registrationTagIds,
+    validateTagIds,
+    formatTagNames,
+    removeTagFromRegistrations
+};
@@ -17,6 +17,106 @@ function initializeLandingPage() {
     
     // Initialize mobile menu (if needed)
     initializeMobileMenu();
+    
+    // Show when applications open or close
+    initializeApplicationWindow();
+    
+    // Committee cards come from the conference configuration
+    initializeCommittees();
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+async function initializeCommittees() {
+    const grid = document.getElementById('committeesGrid');
+    if (!grid) return;
+    
+    try {
+        const response = await fetch('/api/submit/conference');
+        const result = await response.json();
+        if (!result.success) return;
+        
+        // The page is branded for the edition taking applications
+        document.querySelectorAll('.edition-year').forEach(element => {
+            element.textContent = result.data.edition.year;
+        });
+        
+        grid.innerHTML = result.data.committees.map(committee => `
+            <div class="committee-card fade-in">
+                <div class="committee-icon">
+                    <i class="fas ${escapeHtml(committee.icon)}"></i>
+                </div>
+                <h3>${escapeHtml(committee.code)}</h3>
+                <h4>${escapeHtml(committee.name)}</h4>
+                <p>${escapeHtml(committee.description)}</p>
+            </div>
+        `).join('');
+        grid.querySelectorAll('.committee-card').forEach(addCardHoverEffect);
+    } catch (error) {
+        console.error('Committees loading error:', error);
+    }
+}
+
+// "3d 4h 12m" until a deadline
+function formatCountdown(ms) {
+    const totalMinutes = Math.max(Math.ceil(ms / 60000), 0);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    return days > 0 ? `${days}d ${hours}h ${minutes}m` : `${hours}h ${minutes}m`;
+}
+
+// Replace the apply note with a countdown, or a closed notice outside the application window
+async function initializeApplicationWindow() {
+    const note = document.getElementById('applyWindowNote');
+    const button = document.getElementById('startApplicationBtn');
+    if (!note || !button) return;
+    
+    let applicationWindow;
+    try {
+        const response = await fetch('/api/submit/window');
+        const result = await response.json();
+        if (!result.success) return;
+        applicationWindow = result.data;
+    } catch (error) {
+        console.error('Application window loading error:', error);
+        return;
+    }
+    
+    // Count down against the server clock, not the visitor's
+    const clockOffset = new Date(applicationWindow.serverTime).getTime() - Date.now();
+    
+    const update = () => {
+        const now = Date.now() + clockOffset;
+        
+        if (applicationWindow.state === 'upcoming') {
+            const remaining = new Date(applicationWindow.opensAt).getTime() - now;
+            if (remaining <= 0) {
+                window.location.reload();
+                return;
+            }
+            button.style.display = 'none';
+            note.textContent = `Applications open in ${formatCountdown(remaining)}.`;
+        } else if (applicationWindow.state === 'closed' ||
+            (applicationWindow.closesAt && new Date(applicationWindow.closesAt).getTime() <= now)) {
+            button.style.display = 'none';
+            note.textContent = 'Applications are closed. Thank you for your interest!';
+        } else if (applicationWindow.closesAt) {
+            note.textContent = `Applications close in ${formatCountdown(new Date(applicationWindow.closesAt).getTime() - now)}. Don't miss this opportunity!`;
+        }
+    };
+    
+    update();
+    if (applicationWindow.state !== 'closed' && (applicationWindow.opensAt || applicationWindow.closesAt)) {
+        setInterval(update, 30000);
+    }
 }
 
 // Smooth scrolling for navigation links
@@ -200,18 +300,18 @@ window.addEventListener('load', function() {
 });
 
 // Add hover effects for cards
-document.addEventListener('DOMContentLoaded', function() {
-    const cards = document.querySelectorAll('.about-card, .committee-card');
+function addCardHoverEffect(card) {
+    card.addEventListener('mouseenter', function() {
+        this.style.transform = 'translateY(-10px) scale(1.02)';
+    });
     
-    cards.forEach(card => {
-        card.addEventListener('mouseenter', function() {
-            this.style.transform = 'translateY(-10px) scale(1.02)';
-        });
-        
-        card.addEventListener('mouseleave', function() {
-            this.style.transform = 'translateY(0) scale(1)';
-        });
+    card.addEventListener('mouseleave', function() {
+        this.style.transform = 'translateY(0) scale(1)';
     });
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('.about-card, .committee-card').forEach(addCardHoverEffect);
 });
 
 // Add counter animation for statistics (if any)
@@ -1,6 +1,74 @@
 // Global variables
 let currentRegistrations = [];
 let dashboardLoaded = false;
+let currentAdmin = null;
+let currentRubric = [];
+let registrationSort = { field: null, order: 'desc' };
+// Cursor paging through the registrations table: the cursor of the page shown,
+// those of the pages before it, and the next page's
+let registrationPager = { cursor: null, previous: [], next: null };
+let searchTimer = null;
+let currentAllocation = null;
+let conferenceConfig = null;
+let applicationQuestions = [];
+let questionAnswers = {};
+let commentThread = { registrationId: null, comments: [], mentionable: [] };
+let registrationTags = [];
+let tagColors = [];
+let shownRegistrations = [];
+let tagsModalTarget = null;
+let reviewState = { blindReview: false, scoringClosed: false, identitiesRevealed: false, blinded: false };
+let dashboardEdition = null;
+let editionSummary = { editions: [], currentEditionId: null };
+
+// Roles allowed to use each part of the dashboard (super-admins can use everything)
+const ROLE_PERMISSIONS = {
+    readRegistrations: ['super-admin', 'reviewer', 'committee-head'],
+    deleteRegistrations: ['super-admin', 'committee-head'],
+    viewAllocation: ['super-admin', 'reviewer', 'committee-head'],
+    manageAllocation: ['super-admin'],
+    viewInterviews: ['super-admin', 'reviewer', 'committee-head'],
+    manageInterviews: ['super-admin', 'committee-head'],
+    manageOffers: ['super-admin', 'committee-head'],
+    sendMail: ['super-admin', 'mailer'],
+    viewAuditLog: ['super-admin'],
+    manageApplicationWindow: ['super-admin'],
+    manageConference: ['super-admin'],
+    manageQuestions: ['super-admin'],
+    remindReferees: ['super-admin', 'committee-head'],
+    bulkTagRegistrations: ['super-admin', 'committee-head'],
+    manageTags: ['super-admin'],
+    manageReview: ['super-admin'],
+    manageProfile: ['super-admin', 'reviewer', 'committee-head'],
+    manageEditions: ['super-admin']
+};
+
+// Display names for application statuses
+const STATUS_LABELS = {
+    submitted: 'Submitted',
+    under_review: 'Under Review',
+    shortlisted: 'Shortlisted',
+    interview: 'Interview',
+    selected: 'Selected',
+    waitlisted: 'Waitlisted',
+    rejected: 'Rejected',
+    declined: 'Declined'
+};
+
+// Display names for offer responses
+const OFFER_LABELS = {
+    pending: 'Offer pending',
+    accepted: 'Offer accepted',
+    declined: 'Offer declined',
+    expired: 'Offer expired'
+};
+
+// The edition picked in the dashboard is remembered per browser
+const EDITION_STORAGE_KEY = 'kmunAdminEdition';
+
+function adminCan(permission) {
+    return Boolean(currentAdmin && ROLE_PERMISSIONS[permission].includes(currentAdmin.role));
+}
 
 // Check if Axios is available, if not, create a simple fallback
 if (typeof axios === 'undefined') {
@@ -44,13 +112,49 @@ const elements = {
     tabContents: document.querySelectorAll('.tab-content'),
     submitBtn: document.getElementById('submitBtn'),
     exportBtn: document.getElementById('exportBtn'),
+    prevPageBtn: document.getElementById('prevPageBtn'),
+    nextPageBtn: document.getElementById('nextPageBtn'),
     mailerForm: document.getElementById('mailerForm'),
     searchInput: document.getElementById('searchInput'),
     committeeFilter: document.getElementById('committeeFilter'),
     positionFilter: document.getElementById('positionFilter'),
-    previewBtn: document.getElementById('previewBtn')
+    tagFilter: document.getElementById('tagFilter'),
+    duplicatesFilter: document.getElementById('duplicatesFilter'),
+    returningFilter: document.getElementById('returningFilter'),
+    toScoreFilter: document.getElementById('toScoreFilter'),
+    statusFilter: document.getElementById('statusFilter'),
+    previewBtn: document.getElementById('previewBtn'),
+    auditFilterForm: document.getElementById('auditFilterForm'),
+    interviewSlotForm: document.getElementById('interviewSlotForm'),
+    bookingForm: document.getElementById('bookingForm'),
+    acceptOfferBtn: document.getElementById('acceptOfferBtn'),
+    declineOfferBtn: document.getElementById('declineOfferBtn'),
+    recommendationForm: document.getElementById('recommendationForm'),
+    portalSignInForm: document.getElementById('portalSignInForm'),
+    portalForm: document.getElementById('portalForm'),
+    portalLogoutBtn: document.getElementById('portalLogoutBtn'),
+    applicationWindowForm: document.getElementById('applicationWindowForm'),
+    conferenceForm: document.getElementById('conferenceForm'),
+    questionsForm: document.getElementById('questionsForm'),
+    editionSelect: document.getElementById('editionSelect'),
+    editionForm: document.getElementById('editionForm'),
+    loginForm: document.getElementById('loginForm'),
+    logoutBtn: document.getElementById('logoutBtn')
 };
 
+// Send expired or missing admin sessions back to the login screen
+if (axios.interceptors && elements.adminDashboard) {
+    axios.interceptors.response.use(
+        response => response,
+        error => {
+            if (error.response?.status === 401) {
+                window.location.href = '/admin/login';
+            }
+            return Promise.reject(error);
+        }
+    );
+}
+
 // Initialize application
 document.addEventListener('DOMContentLoaded', function() {
     console.log('Application initializing...');
@@ -65,6 +169,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
     initializeEventListeners();
     initializeFileUploads();
+    document.querySelectorAll('.ranked-group').forEach(initializeRankedGroup);
     initializePage();
 });
 
@@ -96,6 +201,14 @@ function initializeEventListeners() {
         console.log('Form submission listener added');
     }
     
+    // Admin login/logout
+    if (elements.loginForm) {
+        elements.loginForm.addEventListener('submit', handleLogin);
+    }
+    if (elements.logoutBtn) {
+        elements.logoutBtn.addEventListener('click', handleLogout);
+    }
+    
     // Navigation - only add if element exists (for admin page)
     if (elements.backToForm) {
         elements.backToForm.addEventListener('click', () => {
@@ -123,6 +236,77 @@ function initializeEventListeners() {
         sendFromPreview.addEventListener('click', sendEmailFromPreview);
     }
     
+    // Score Modal
+    const scoreForm = document.getElementById('scoreForm');
+    if (scoreForm) {
+        scoreForm.addEventListener('submit', handleScoreSubmission);
+        document.getElementById('closeScoreModal').addEventListener('click', hideScoreModal);
+        document.getElementById('cancelScoreModal').addEventListener('click', hideScoreModal);
+    }
+    
+    // Recommendations Modal
+    if (document.getElementById('recommendationsModal')) {
+        document.getElementById('closeRecommendationsModal').addEventListener('click', hideRecommendationsModal);
+        document.getElementById('dismissRecommendationsModal').addEventListener('click', hideRecommendationsModal);
+    }
+    
+    // Tags Modal
+    if (document.getElementById('tagsModal')) {
+        document.getElementById('bulkTagBtn')?.addEventListener('click', openBulkTagsModal);
+        document.getElementById('closeTagsModal').addEventListener('click', hideTagsModal);
+        document.getElementById('dismissTagsModal').addEventListener('click', hideTagsModal);
+        document.getElementById('createTagBtn').addEventListener('click', handleCreateTag);
+        document.getElementById('saveTagsBtn').addEventListener('click', saveRegistrationTags);
+        document.getElementById('bulkAddTagsBtn').addEventListener('click', () => applyBulkTags('tag'));
+        document.getElementById('bulkRemoveTagsBtn').addEventListener('click', () => applyBulkTags('untag'));
+    }
+    
+    // Comments Modal
+    const commentForm = document.getElementById('commentForm');
+    if (commentForm) {
+        commentForm.addEventListener('submit', handleCommentSubmission);
+        document.getElementById('closeCommentsModal').addEventListener('click', hideCommentsModal);
+        document.getElementById('dismissCommentsModal').addEventListener('click', hideCommentsModal);
+    }
+    
+    // Registration Drawer
+    const registrationEditForm = document.getElementById('registrationEditForm');
+    if (registrationEditForm) {
+        registrationEditForm.addEventListener('submit', handleRegistrationEditSubmission);
+        registrationEditForm.addEventListener('change', event => {
+            if (event.target.name === 'committees' || event.target.name === 'positions') {
+                renderEditQuestions();
+            }
+        });
+        document.getElementById('cancelRegistrationEdit').addEventListener('click', () => showRegistrationEditForm(false));
+        document.getElementById('editRegistrationBtn').addEventListener('click', () => showRegistrationEditForm(true));
+        document.getElementById('deleteRegistrationBtn').addEventListener('click', () => {
+            deleteRegistration(document.getElementById('registrationDrawer').dataset.registrationId);
+        });
+        document.getElementById('closeRegistrationDrawer').addEventListener('click', hideRegistrationDrawer);
+        document.getElementById('dismissRegistrationDrawer').addEventListener('click', hideRegistrationDrawer);
+    }
+    
+    // Profile Modal
+    const profileForm = document.getElementById('profileForm');
+    if (profileForm) {
+        profileForm.addEventListener('submit', handleProfileSubmission);
+        document.getElementById('profileBtn').addEventListener('click', openProfileModal);
+        document.getElementById('closeProfileModal').addEventListener('click', hideProfileModal);
+        document.getElementById('dismissProfileModal').addEventListener('click', hideProfileModal);
+    }
+    
+    // Answers Modal
+    if (document.getElementById('answersModal')) {
+        document.getElementById('closeAnswersModal').addEventListener('click', hideAnswersModal);
+        document.getElementById('dismissAnswersModal').addEventListener('click', hideAnswersModal);
+    }
+    
+    // Sortable registration columns
+    document.querySelectorAll('#registrationsTable th.sortable').forEach(th => {
+        th.addEventListener('click', () => sortRegistrationsBy(th.dataset.sort));
+    });
+    
     // Dashboard tabs - only add if elements exist (for admin page)
     if (elements.tabBtns.length > 0) {
         elements.tabBtns.forEach(btn => {
@@ -135,6 +319,12 @@ function initializeEventListeners() {
         elements.exportBtn.addEventListener('click', exportToExcel);
     }
     
+    // Registrations table paging - only add if elements exist (for admin page)
+    if (elements.prevPageBtn) {
+        elements.prevPageBtn.addEventListener('click', () => changeRegistrationsPage(-1));
+        elements.nextPageBtn.addEventListener('click', () => changeRegistrationsPage(1));
+    }
+    
     // Mailer form - only add if element exists (for admin page)
     if (elements.mailerForm) {
         elements.mailerForm.addEventListener('submit', handleMailerSubmission);
@@ -146,6 +336,84 @@ function initializeEventListeners() {
         });
     }
     
+    // Audit log filters - only add if element exists (for admin page)
+    if (elements.auditFilterForm) {
+        elements.auditFilterForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            loadAuditLogs();
+        });
+    }
+    
+    // Application window - only add if elements exist (for admin page)
+    if (elements.conferenceForm) {
+        elements.conferenceForm.addEventListener('submit', handleConferenceSubmission);
+        document.getElementById('addCommitteeBtn').addEventListener('click', () => addConferenceCommitteeRow());
+    }
+    
+    // Application questions - only add if elements exist (for admin page)
+    if (elements.questionsForm) {
+        elements.questionsForm.addEventListener('submit', handleQuestionsSubmission);
+        document.getElementById('addQuestionBtn').addEventListener('click', () => addQuestionRow());
+    }
+    
+    // Editions - only add if elements exist (for admin page)
+    if (elements.editionSelect) {
+        elements.editionSelect.addEventListener('change', handleEditionChange);
+    }
+    if (elements.editionForm) {
+        elements.editionForm.addEventListener('submit', handleEditionSubmission);
+    }
+    
+    // Blind review - only add if elements exist (for super-admins)
+    document.getElementById('blindReviewToggle')?.addEventListener('change', handleBlindReviewToggle);
+    document.getElementById('toggleScoringBtn')?.addEventListener('click', toggleScoring);
+    document.getElementById('revealIdentitiesBtn')?.addEventListener('click', revealIdentities);
+    
+    if (elements.applicationWindowForm) {
+        elements.applicationWindowForm.addEventListener('submit', handleApplicationWindowSubmission);
+        document.getElementById('extendWindowBtn').addEventListener('click', extendApplicationWindow);
+    }
+    
+    // Allocation controls - only add if elements exist (for admin page)
+    const allocationActions = {
+        runAllocationBtn: runAllocation,
+        saveAllocationBtn: saveAllocationChanges,
+        publishAllocationBtn: publishAllocation,
+        saveCapacitiesBtn: saveAllocationCapacities
+    };
+    Object.entries(allocationActions).forEach(([id, handler]) => {
+        document.getElementById(id)?.addEventListener('click', handler);
+    });
+    
+    // Interview scheduling - only add if elements exist (for admin page)
+    if (elements.interviewSlotForm) {
+        elements.interviewSlotForm.addEventListener('submit', handleInterviewSlotSubmission);
+        document.getElementById('sendInterviewInvitesBtn').addEventListener('click', sendInterviewInvitations);
+    }
+    
+    // Interview booking - only add if element exists (for booking page)
+    if (elements.bookingForm) {
+        elements.bookingForm.addEventListener('submit', handleBookingSubmission);
+    }
+    
+    // Offer response - only add if elements exist (for offer page)
+    if (elements.acceptOfferBtn) {
+        elements.acceptOfferBtn.addEventListener('click', () => respondToOffer('accept'));
+        elements.declineOfferBtn.addEventListener('click', () => respondToOffer('decline'));
+    }
+    
+    // Referee recommendation - only add if element exists (for recommendation page)
+    if (elements.recommendationForm) {
+        elements.recommendationForm.addEventListener('submit', handleRecommendationSubmission);
+    }
+    
+    // Applicant portal - only add if elements exist (for portal page)
+    if (elements.portalSignInForm) {
+        elements.portalSignInForm.addEventListener('submit', handlePortalSignIn);
+        elements.portalForm.addEventListener('submit', handlePortalUpdate);
+        elements.portalLogoutBtn.addEventListener('click', handlePortalLogout);
+    }
+    
     // Search functionality - only add if element exists (for admin page)
     if (elements.searchInput) {
         elements.searchInput.addEventListener('input', handleSearch);
@@ -158,6 +426,21 @@ function initializeEventListeners() {
     if (elements.positionFilter) {
         elements.positionFilter.addEventListener('change', handleFilter);
     }
+    if (elements.tagFilter) {
+        elements.tagFilter.addEventListener('change', handleFilter);
+    }
+    if (elements.statusFilter) {
+        elements.statusFilter.addEventListener('change', handleFilter);
+    }
+    if (elements.duplicatesFilter) {
+        elements.duplicatesFilter.addEventListener('change', handleFilter);
+    }
+    if (elements.returningFilter) {
+        elements.returningFilter.addEventListener('change', handleFilter);
+    }
+    if (elements.toScoreFilter) {
+        elements.toScoreFilter.addEventListener('change', handleFilter);
+    }
     
     // Preview functionality - only add if element exists (for admin page)
     if (elements.previewBtn) {
@@ -225,6 +508,304 @@ function initializeFileUploads() {
     });
 }
 
+// Committees, positions and year options from the conference configuration
+async function loadConferenceConfig() {
+    if (!conferenceConfig) {
+        const response = await axios.get('/api/submit/conference');
+        conferenceConfig = response.data.data;
+    }
+    return conferenceConfig;
+}
+
+function committeeOptions(config) {
+    return config.committees.map(committee => ({ value: committee.code, label: `${committee.name} (${committee.code})` }));
+}
+
+function positionOptions(config) {
+    return config.positions.map(position => ({ value: position, label: position }));
+}
+
+function renderYearOptions(select, years) {
+    select.innerHTML = '<option value="">Select Year</option>' + years
+        .map(year => `<option value="${escapeHtml(year.value)}">${escapeHtml(year.label)}</option>`)
+        .join('');
+}
+
+// Rankable checkboxes, with any chosen options first in the applicant's ranking
+function renderPreferenceOptions(container, name, options, selected) {
+    const values = options.map(option => option.value);
+    const chosen = Array.isArray(selected) ? selected.filter(value => values.includes(value)) : [];
+    const ordered = [
+        ...chosen.map(value => options.find(option => option.value === value)),
+        ...options.filter(option => !chosen.includes(option.value))
+    ];
+    
+    container.innerHTML = ordered.map(option => `
+        <label class="checkbox-item">
+            <input type="checkbox" name="${name}" value="${escapeHtml(option.value)}" ${chosen.includes(option.value) ? 'checked' : ''}>
+            <span class="checkmark"></span>
+            ${escapeHtml(option.label)}
+        </label>
+    `).join('');
+    initializeRankedGroup(container);
+}
+
+// Application form: fill in the committees, positions and years on offer
+async function loadApplicationOptions() {
+    try {
+        const config = await loadConferenceConfig();
+        renderPreferenceOptions(document.getElementById('formCommittees'), 'committees', committeeOptions(config), []);
+        renderPreferenceOptions(document.getElementById('formPositions'), 'positions', positionOptions(config), []);
+        renderYearOptions(document.getElementById('year'), config.years);
+        initializeApplicationQuestions(document.getElementById('formQuestions'));
+        initializeRefereeFields(document.getElementById('formReferees'), config.referees);
+    } catch (error) {
+        console.error('Application options loading error:', error);
+        showError('Failed to load the application form. Please refresh the page.');
+    }
+}
+
+// Committee and position questions: only those for the ticked preferences are
+// shown, and answers typed before unticking an option come back when it is re-ticked
+function initializeApplicationQuestions(container, answers = {}) {
+    questionAnswers = { ...answers };
+    container.innerHTML = '';
+    
+    if (!container.dataset.questionsReady) {
+        container.dataset.questionsReady = 'true';
+        const form = container.closest('form');
+        form.addEventListener('change', event => {
+            if (event.target.name === 'committees' || event.target.name === 'positions') {
+                renderApplicationQuestions(container);
+            }
+        });
+        // Form reset clears the ticks after this event, so re-render once it has run
+        form.addEventListener('reset', () => setTimeout(() => initializeApplicationQuestions(container)));
+    }
+    
+    renderApplicationQuestions(container);
+}
+
+function renderApplicationQuestions(container) {
+    Object.assign(questionAnswers, collectAnswers(container));
+    
+    const form = container.closest('form');
+    const ticked = name => Array.from(form.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+    const committees = ticked('committees');
+    const positions = ticked('positions');
+    const questions = (conferenceConfig?.questions || []).filter(question => question.committee
+        ? committees.includes(question.committee)
+        : positions.includes(question.position));
+    
+    container.closest('.form-section').style.display = questions.length > 0 ? 'block' : 'none';
+    container.innerHTML = questions.map(question => `
+        <div class="form-group">
+            <label for="question_${escapeHtml(question.key)}">${escapeHtml(question.label)}${question.required ? ' *' : ''}</label>
+            <p class="rank-hint">Asked of ${escapeHtml(question.committee || question.position)} applicants</p>
+            ${questionInput(question, questionAnswers[question.key] || '')}
+        </div>
+    `).join('');
+}
+
+// Answers carry the question key in a data attribute, so FormData skips them
+// and they are sent together as one JSON field
+function questionInput(question, value) {
+    const attributes = `id="question_${escapeHtml(question.key)}" data-question-key="${escapeHtml(question.key)}"${question.required ? ' required' : ''}`;
+    
+    switch (question.type) {
+        case 'long_text':
+            return `<textarea ${attributes} rows="5" maxlength="3000">${escapeHtml(value)}</textarea>`;
+        case 'choice':
+            return `<select ${attributes}>
+                <option value="">Select Option</option>
+                ${question.options.map(option => `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+            </select>`;
+        case 'url':
+            return `<input type="url" ${attributes} maxlength="500" placeholder="https://" value="${escapeHtml(value)}">`;
+        default:
+            return `<input type="text" ${attributes} maxlength="200" value="${escapeHtml(value)}">`;
+    }
+}
+
+function collectAnswers(container) {
+    const answers = {};
+    container.querySelectorAll('[data-question-key]').forEach(input => {
+        answers[input.dataset.questionKey] = input.value.trim();
+    });
+    return answers;
+}
+
+// Referees: shown once a position that asks for a recommendation is ticked.
+// In the portal, pass onFile when referees were already named (none are asked
+// for), and applied with the positions already applied for: the first referee
+// is only required when one of the ticked positions is new.
+function initializeRefereeFields(container, rules, { onFile = false, applied = [] } = {}) {
+    container.innerHTML = onFile ? '' : Array.from({ length: rules.max }, (_, index) => `
+        <div class="form-grid referee-entry">
+            <div class="form-group">
+                <label for="referee${index}Name">Referee ${index + 1} Name${index === 0 ? ' *' : ''}</label>
+                <input type="text" id="referee${index}Name" data-referee-field="name" maxlength="100">
+            </div>
+            <div class="form-group">
+                <label for="referee${index}Email">Referee ${index + 1} Email${index === 0 ? ' *' : ''}</label>
+                <input type="email" id="referee${index}Email" data-referee-field="email">
+            </div>
+            <div class="form-group">
+                <label for="referee${index}Organization">Secretariat Role and MUN${index === 0 ? ' *' : ''}</label>
+                <input type="text" id="referee${index}Organization" data-referee-field="organization" maxlength="150" placeholder="Secretary-General, XYZ MUN 2024">
+            </div>
+        </div>
+    `).join('');
+    container.closest('.form-section').querySelector('.rank-hint').textContent =
+        `Applicants for ${rules.positions.join(', ')} need a recommendation from someone who served on a previous MUN secretariat. We will email them a link to write it.`;
+    
+    container.dataset.refereePositions = JSON.stringify(rules.positions);
+    container.dataset.appliedPositions = JSON.stringify(applied);
+    
+    // The portal renders again after each save, so listen only once
+    if (!container.dataset.refereesReady) {
+        container.dataset.refereesReady = 'true';
+        const form = container.closest('form');
+        form.addEventListener('change', event => {
+            if (event.target.name === 'positions') updateRefereeFields(container);
+        });
+        form.addEventListener('reset', () => setTimeout(() => updateRefereeFields(container)));
+    }
+    updateRefereeFields(container);
+}
+
+function updateRefereeFields(container) {
+    const refereePositions = JSON.parse(container.dataset.refereePositions);
+    const applied = JSON.parse(container.dataset.appliedPositions);
+    const asking = Array.from(container.closest('form').querySelectorAll('input[name="positions"]:checked'))
+        .map(input => input.value)
+        .filter(position => refereePositions.includes(position));
+    
+    container.closest('.form-section').style.display = container.children.length > 0 && asking.length > 0 ? 'block' : 'none';
+    container.querySelectorAll('.referee-entry:first-child input').forEach(input => {
+        input.required = asking.some(position => !applied.includes(position));
+    });
+}
+
+// Referees with anything filled in
+function collectReferees(container) {
+    return Array.from(container.querySelectorAll('.referee-entry'))
+        .map(entry => {
+            const referee = {};
+            entry.querySelectorAll('[data-referee-field]').forEach(input => {
+                referee[input.dataset.refereeField] = input.value.trim();
+            });
+            return referee;
+        })
+        .filter(referee => referee.name || referee.email || referee.organization);
+}
+
+// Ranked preferences: ticked options sit at the top in rank order and can be
+// dragged, or moved with the arrow buttons, to change the order
+function initializeRankedGroup(group) {
+    group.querySelectorAll('.checkbox-item').forEach(item => {
+        if (item.querySelector('.rank-badge')) return;
+        
+        item.insertAdjacentHTML('afterbegin', '<span class="rank-badge"></span>');
+        item.insertAdjacentHTML('beforeend', `
+            <span class="rank-controls">
+                <button type="button" class="rank-move" data-direction="up" title="Move up"><i class="fas fa-chevron-up"></i></button>
+                <button type="button" class="rank-move" data-direction="down" title="Move down"><i class="fas fa-chevron-down"></i></button>
+            </span>
+        `);
+    });
+    
+    if (!group.dataset.rankingReady) {
+        group.dataset.rankingReady = 'true';
+        let draggedItem = null;
+        
+        group.addEventListener('change', event => {
+            const item = event.target.closest('.checkbox-item');
+            // A newly ticked option becomes the lowest-ranked choice
+            if (item && event.target.checked) {
+                const ranked = rankedItems(group).filter(other => other !== item);
+                group.insertBefore(item, ranked.length > 0 ? ranked[ranked.length - 1].nextSibling : group.firstChild);
+            }
+            settleRanking(group);
+        });
+        
+        group.addEventListener('click', event => {
+            const button = event.target.closest('.rank-move');
+            if (!button) return;
+            event.preventDefault();
+            
+            const item = button.closest('.checkbox-item');
+            const ranked = rankedItems(group);
+            const index = ranked.indexOf(item);
+            if (button.dataset.direction === 'up' && index > 0) {
+                group.insertBefore(item, ranked[index - 1]);
+            } else if (button.dataset.direction === 'down' && index < ranked.length - 1) {
+                group.insertBefore(item, ranked[index + 1].nextSibling);
+            }
+            settleRanking(group);
+        });
+        
+        group.addEventListener('dragstart', event => {
+            draggedItem = event.target.closest('.checkbox-item');
+            if (!draggedItem || draggedItem.querySelector('input').disabled) {
+                event.preventDefault();
+                draggedItem = null;
+                return;
+            }
+            event.dataTransfer.effectAllowed = 'move';
+            draggedItem.classList.add('dragging');
+        });
+        
+        group.addEventListener('dragover', event => {
+            if (!draggedItem) return;
+            event.preventDefault();
+            
+            const target = event.target.closest('.checkbox-item');
+            if (!target || target === draggedItem || !target.querySelector('input').checked) return;
+            const { top, height } = target.getBoundingClientRect();
+            group.insertBefore(draggedItem, event.clientY < top + height / 2 ? target : target.nextSibling);
+        });
+        
+        group.addEventListener('dragend', () => {
+            if (!draggedItem) return;
+            draggedItem.classList.remove('dragging');
+            draggedItem = null;
+            settleRanking(group);
+        });
+        
+        // Form reset clears the ticks after this event, so settle once it has run
+        const form = group.closest('form');
+        if (form) {
+            form.addEventListener('reset', () => setTimeout(() => settleRanking(group)));
+        }
+    }
+    
+    settleRanking(group);
+}
+
+function rankedItems(group) {
+    return Array.from(group.querySelectorAll('.checkbox-item')).filter(item => item.querySelector('input').checked);
+}
+
+// Keep ticked options first and number them
+function settleRanking(group) {
+    const items = Array.from(group.querySelectorAll('.checkbox-item'));
+    const ranked = items.filter(item => item.querySelector('input').checked);
+    const unranked = items.filter(item => !item.querySelector('input').checked);
+    
+    [...ranked, ...unranked].forEach(item => group.appendChild(item));
+    ranked.forEach((item, index) => {
+        item.classList.add('ranked');
+        item.draggable = !item.querySelector('input').disabled;
+        item.querySelector('.rank-badge').textContent = index + 1;
+    });
+    unranked.forEach(item => {
+        item.classList.remove('ranked');
+        item.draggable = false;
+        item.querySelector('.rank-badge').textContent = '';
+    });
+}
+
 // Update file display
 function updateFileDisplay(input, display) {
     if (input.files && input.files[0]) {
@@ -301,9 +882,11 @@ async function handleFormSubmission(event) {
             throw new Error('Please select at least one position preference.');
         }
         
-        // Add checkbox values to form data
+        // Add checkbox values and question answers to form data
         formData.set('committees', JSON.stringify(committees));
         formData.set('positions', JSON.stringify(positions));
+        formData.set('answers', JSON.stringify(collectAnswers(document.getElementById('formQuestions'))));
+        formData.set('referees', JSON.stringify(collectReferees(document.getElementById('formReferees'))));
         
         console.log('Submitting form data...');
         
@@ -348,6 +931,47 @@ async function handleFormSubmission(event) {
     }
 }
 
+// Admin login handler
+async function handleLogin(event) {
+    event.preventDefault();
+    
+    try {
+        showLoading();
+        
+        const response = await axios.post('/api/auth/login', {
+            username: document.getElementById('username')?.value,
+            password: document.getElementById('password')?.value
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            window.location.href = '/admin';
+        } else {
+            throw new Error(response.data.message || 'Login failed.');
+        }
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        showError(error.response?.data?.message || 'Login failed.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Admin logout handler
+async function handleLogout() {
+    try {
+        await axios.post('/api/auth/logout');
+    } catch (error) {
+        console.error('Logout error:', error);
+    } finally {
+        window.location.href = '/admin/login';
+    }
+}
+
 // Load dashboard data
 async function loadDashboardData() {
     // Prevent multiple loads
@@ -361,52 +985,130 @@ async function loadDashboardData() {
     console.log('Loading dashboard data...', new Date().toISOString());
     
     try {
+        // Every request below is scoped to the edition picked in the switcher
+        await loadEditions();
+        
+        // The edition's committees, positions and years drive the filters and pickers
+        const conferenceResponse = await axios.get('/api/admin/conference');
+        conferenceConfig = conferenceResponse.data.data;
+        renderConferenceOptions(conferenceConfig);
+        
+        // Questions label the answers in the registrations table and export
+        const questionsResponse = await axios.get('/api/admin/questions');
+        applicationQuestions = questionsResponse.data.data;
+        
+        // Load the logged in admin and hide what their role cannot use
+        const meResponse = await axios.get('/api/auth/me');
+        if (meResponse.data.success) {
+            currentAdmin = meResponse.data.data;
+            applyRolePermissions();
+        }
+        
+        if (elements.conferenceForm) {
+            renderConferenceSettings(conferenceConfig);
+        }
+        if (elements.questionsForm) {
+            renderQuestionSettings(applicationQuestions);
+        }
+        if (elements.editionForm) {
+            renderEditionSettings();
+        }
+        
         // Load statistics
         const statsResponse = await axios.get('/api/admin/stats');
         if (statsResponse.data.success) {
             updateStatistics(statsResponse.data.data);
         }
         
-        // Load registrations
-        const registrationsResponse = await axios.get('/api/admin/registrations');
-        if (registrationsResponse.data.success) {
-            currentRegistrations = registrationsResponse.data.data;
-            updateRegistrationsTable(currentRegistrations);
+        // Load the application window
+        await loadApplicationWindowSettings();
+        
+        // Load registrations, after the tags their chips are labelled with
+        if (adminCan('readRegistrations')) {
+            await loadTags();
+            registrationPager = { cursor: null, previous: [], next: null };
+            await loadRegistrationsPage();
         }
         
         console.log('Dashboard data loaded successfully');
         
     } catch (error) {
         console.error('Dashboard data loading error:', error);
-        // Use mock data for development
+        // Show empty statistics rather than stale ones
         updateStatistics({
             total: 0,
-            committeeStats: {
-                'UNSC': 0,
-                'UNODC': 0,
-                'LOK SABHA': 0,
-                'CCC': 0,
-                'IPC': 0,
-                'DISEC': 0
-            },
-            positionStats: {
-                'Chairperson': 0,
-                'Vice-Chairperson': 0,
-                'Director': 0
-            },
-            yearStats: {
-                '1': 0,
-                '2': 0,
-                '3': 0,
-                '4': 0,
-                '5': 0
-            },
+            committeeStats: {},
+            positionStats: {},
+            yearStats: {},
             recentSubmissions: []
         });
         updateRegistrationsTable([]);
     }
 }
 
+// Hide dashboard tabs and filters outside the admin's role
+function applyRolePermissions() {
+    const tabPermissions = {
+        registrations: 'readRegistrations',
+        allocation: 'viewAllocation',
+        interviews: 'viewInterviews',
+        mailer: 'sendMail',
+        auditLog: 'viewAuditLog'
+    };
+    
+    Object.entries(tabPermissions).forEach(([tabName, permission]) => {
+        if (!adminCan(permission)) {
+            document.querySelector(`[data-tab="${tabName}"]`)?.remove();
+            document.getElementById(`${tabName}Tab`)?.remove();
+        }
+    });
+    
+    if (!adminCan('manageAllocation')) {
+        document.querySelectorAll('.manage-allocation').forEach(element => element.remove());
+    }
+    if (!adminCan('manageInterviews')) {
+        document.querySelectorAll('.manage-interviews').forEach(element => element.remove());
+    }
+    if (!adminCan('manageApplicationWindow')) {
+        document.querySelectorAll('.manage-window').forEach(element => element.remove());
+        elements.applicationWindowForm = null;
+    }
+    if (!adminCan('manageConference')) {
+        document.querySelectorAll('.manage-conference').forEach(element => element.remove());
+        elements.conferenceForm = null;
+    }
+    if (!adminCan('manageQuestions')) {
+        document.querySelectorAll('.manage-questions').forEach(element => element.remove());
+        elements.questionsForm = null;
+    }
+    if (!adminCan('bulkTagRegistrations')) {
+        document.querySelectorAll('.manage-bulk-tags').forEach(element => element.remove());
+    }
+    if (!adminCan('manageTags')) {
+        document.querySelectorAll('.manage-tags').forEach(element => element.remove());
+    }
+    if (!adminCan('manageProfile')) {
+        document.querySelectorAll('.manage-profile').forEach(element => element.remove());
+        elements.toScoreFilter = null;
+    }
+    if (!adminCan('manageReview')) {
+        document.querySelectorAll('.manage-review').forEach(element => element.remove());
+    }
+    if (!adminCan('manageEditions')) {
+        document.querySelectorAll('.manage-editions').forEach(element => element.remove());
+        elements.editionForm = null;
+    }
+    
+    // Committee heads only get their own committees in the filter
+    if (currentAdmin.role === 'committee-head' && elements.committeeFilter) {
+        Array.from(elements.committeeFilter.options).forEach(option => {
+            if (option.value && !currentAdmin.committees.includes(option.value)) {
+                option.remove();
+            }
+        });
+    }
+}
+
 // Update statistics
 function updateStatistics(stats) {
     // Prevent multiple calls
@@ -432,6 +1134,35 @@ function updateStatistics(stats) {
         todayElement.textContent = todayCount;
     }
     
+    // Update status breakdown
+    const statusList = document.getElementById('statusBreakdown');
+    if (statusList && stats.statusStats) {
+        statusList.innerHTML = Object.entries(stats.statusStats)
+            .map(([status, count]) => `
+                <div class="status-count">
+                    <span class="badge status-badge status-${status}">${STATUS_LABELS[status] || status}</span>
+                    <strong>${count}</strong>
+                </div>
+            `)
+            .join('');
+    }
+    
+    // First choice against any choice for each committee and position
+    const preferenceTable = document.querySelector('#preferenceStatsTable tbody');
+    if (preferenceTable && stats.committeeFirstChoiceStats) {
+        const rows = [
+            ...Object.keys(stats.committeeStats).map(name => [name, stats.committeeFirstChoiceStats[name], stats.committeeStats[name]]),
+            ...Object.keys(stats.positionStats).map(name => [name, stats.positionFirstChoiceStats[name], stats.positionStats[name]])
+        ];
+        preferenceTable.innerHTML = rows.map(([name, first, any]) => `
+            <tr>
+                <td>${escapeHtml(name)}</td>
+                <td>${first || 0}</td>
+                <td>${any || 0}</td>
+            </tr>
+        `).join('');
+    }
+    
     // Update weekly registrations
     const weeklyElement = document.getElementById('weeklyRegistrations');
     if (weeklyElement) {
@@ -447,111 +1178,2414 @@ function updateStatistics(stats) {
 
 
 
+// Blinded admins know applicants only by their candidate code
+function displayName(reg) {
+    return reg.identityHidden ? reg.candidateCode : (reg.name || 'N/A');
+}
+
 // Update registrations table
 function updateRegistrationsTable(registrations) {
     const tbody = document.querySelector('#registrationsTable tbody');
     if (!tbody) return;
     
     tbody.innerHTML = '';
+    shownRegistrations = registrations;
     
     if (registrations.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="8" class="text-center">No registrations found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="10" class="text-center">No registrations found</td></tr>';
         return;
     }
     
     registrations.forEach(reg => {
         const row = document.createElement('tr');
         row.innerHTML = `
-            <td>${reg.name || 'N/A'}</td>
-            <td>${reg.email || 'N/A'}</td>
-            <td>${reg.phone || 'N/A'}</td>
+            <td>${escapeHtml(displayName(reg))}${formatDuplicateBadge(reg.possibleDuplicates)}${formatReturningBadge(reg.previousApplications)}${formatConflictBadge(reg.conflict)}${formatTagChips(reg)}</td>
+            <td>${reg.identityHidden ? 'Hidden' : (reg.email || 'N/A')}</td>
+            <td>${reg.identityHidden ? 'Hidden' : (reg.phone || 'N/A')}</td>
             <td>${reg.year || 'N/A'}</td>
-            <td>${Array.isArray(reg.committees) ? reg.committees.join(', ') : 'N/A'}</td>
-            <td>${Array.isArray(reg.positions) ? reg.positions.join(', ') : 'N/A'}</td>
+            <td>${formatRankedPreferences(reg.committees)}</td>
+            <td>${formatRankedPreferences(reg.positions)}</td>
+            <td>${formatStatusCell(reg)}</td>
+            <td>${formatScoreCell(reg)}</td>
             <td>${reg.submittedAt ? new Date(reg.submittedAt).toLocaleDateString() : 'N/A'}</td>
             <td>
                 <button class="btn btn-outline" onclick="viewRegistration('${reg.id}')">
                     <i class="fas fa-eye"></i>
                 </button>
+                ${reg.answers && Object.keys(reg.answers).length > 0 ? `
+                <button class="btn btn-outline" onclick="openAnswersModal('${reg.id}')" title="Answers">
+                    <i class="fas fa-pen-fancy"></i>
+                </button>` : ''}
+                <button class="btn btn-outline" onclick="openTagsModal('${reg.id}')" title="Tags">
+                    <i class="fas fa-tags"></i>
+                </button>
+                <button class="btn btn-outline" onclick="openCommentsModal('${reg.id}')" title="Comments">
+                    <i class="fas fa-comments"></i>${reg.commentCount ? ` ${reg.commentCount}` : ''}
+                </button>
+                ${reg.conflict?.reasons.includes('declared') ? '' : `
+                <button class="btn btn-outline" onclick="declareConflict('${reg.id}')" title="Declare a conflict of interest">
+                    <i class="fas fa-user-slash"></i>
+                </button>`}
                 <button class="btn btn-outline" onclick="editRegistration('${reg.id}')">
                     <i class="fas fa-edit"></i>
                 </button>
+                ${adminCan('deleteRegistrations') ? `
                 <button class="btn btn-outline" onclick="deleteRegistration('${reg.id}')">
                     <i class="fas fa-trash"></i>
-                </button>
+                </button>` : ''}
             </td>
         `;
         tbody.appendChild(row);
     });
 }
 
-// Page-specific initialization
-function initializePage() {
-    const path = window.location.pathname;
-    console.log('Initializing page for path:', path);
+// Status badge plus a picker limited to the allowed next statuses
+function formatStatusCell(reg) {
+    const status = reg.status || 'submitted';
+    const badge = `<span class="badge status-badge status-${status}">${STATUS_LABELS[status] || status}</span>
+        ${formatOfferSummary(reg)}
+        ${formatRecommendationSummary(reg)}`;
     
-    if (path === '/admin') {
-        // Admin page specific initialization
-        if (elements.adminDashboard && !dashboardLoaded) {
-            console.log('Admin dashboard found, loading data...');
-            // Add a small delay to ensure DOM is fully ready
-            setTimeout(() => {
-                if (!dashboardLoaded) {
-                    loadDashboardData();
-                }
-            }, 100);
-        } else {
-            console.log('Admin dashboard element not found or already loaded');
-        }
-    } else if (path === '/form') {
-        // Form page specific initialization
-        console.log('Application form initialized');
+    if (!Array.isArray(reg.nextStatuses) || reg.nextStatuses.length === 0) {
+        return badge;
     }
-}
-
-// Tab switching
-function switchTab(tabName) {
-    // Remove active class from all tabs and contents
-    elements.tabBtns.forEach(btn => btn.classList.remove('active'));
-    elements.tabContents.forEach(content => content.classList.remove('active'));
     
-    // Add active class to selected tab and content
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-    document.getElementById(`${tabName}Tab`).classList.add('active');
-}
-
-// Search functionality
-function handleSearch(event) {
-    const searchTerm = event.target.value.toLowerCase();
-    const filteredRegistrations = currentRegistrations.filter(reg => 
-        reg.name?.toLowerCase().includes(searchTerm) ||
-        reg.email?.toLowerCase().includes(searchTerm) ||
-        reg.phone?.includes(searchTerm) ||
-        reg.college?.toLowerCase().includes(searchTerm)
-    );
-    updateRegistrationsTable(filteredRegistrations);
+    const options = reg.nextStatuses
+        .map(next => `<option value="${next}">${STATUS_LABELS[next] || next}</option>`)
+        .join('');
+    return `${badge}
+        <select class="status-select" onchange="changeRegistrationStatus('${reg.id}', this)">
+            <option value="">Move to...</option>
+            ${options}
+        </select>`;
 }
 
-// Filter functionality
-function handleFilter() {
-    const committeeFilter = elements.committeeFilter?.value || '';
-    const positionFilter = elements.positionFilter?.value || '';
+// Move a registration along the status pipeline
+async function changeRegistrationStatus(id, select) {
+    const status = select.value;
+    if (!status) return;
     
-    let filteredRegistrations = currentRegistrations;
-    
-    if (committeeFilter) {
-        filteredRegistrations = filteredRegistrations.filter(reg => 
-            Array.isArray(reg.committees) && reg.committees.includes(committeeFilter)
-        );
-    }
+    try {
+        const response = await axios.post(`/api/admin/registrations/${id}/status`, { status }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            await reloadRegistrations();
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Status change error:', error);
+        showError(error.response?.data?.message || 'Failed to change status.');
+        select.value = '';
+    }
+}
+
+// Ranked preferences as a numbered list, first choice highlighted
+function formatRankedPreferences(list) {
+    if (!Array.isArray(list) || list.length === 0) return 'N/A';
+    return `<ol class="ranked-list">${list
+        .map((value, index) => `<li${index === 0 ? ' class="first-choice"' : ''}>${escapeHtml(value)}</li>`)
+        .join('')}</ol>`;
+}
+
+// Offer response and deadline, with a resend button while it is pending
+function formatOfferSummary(reg) {
+    if (!reg.offerStatus) return '';
+    
+    const seat = [reg.offerCommittee, reg.offerPosition].filter(Boolean).join(' ');
+    const deadline = reg.offerStatus === 'pending'
+        ? ` · until ${new Date(reg.offerExpiresAt).toLocaleString()}`
+        : '';
+    const resend = reg.offerStatus === 'pending' && adminCan('manageOffers')
+        ? `<button class="btn btn-outline" onclick="resendOffer('${reg.id}')" title="Resend offer">
+                <i class="fas fa-paper-plane"></i>
+            </button>`
+        : '';
+    
+    return `<div class="offer-summary offer-${reg.offerStatus}">
+            ${OFFER_LABELS[reg.offerStatus] || reg.offerStatus}${seat ? ` (${escapeHtml(seat)})` : ''}${deadline}
+            ${resend}
+        </div>`;
+}
+
+// Referee replies so far, opening the recommendations when clicked
+function formatRecommendationSummary(reg) {
+    const summary = reg.recommendationSummary;
+    if (!summary || summary.requested === 0) return '';
+    
+    const complete = summary.submitted === summary.requested;
+    return `<div class="recommendation-summary">
+            <button class="btn btn-outline" onclick="openRecommendationsModal('${reg.id}')" title="Referee recommendations">
+                <i class="fas fa-user-check"></i>
+                ${summary.submitted}/${summary.requested} reference${summary.requested === 1 ? '' : 's'}${complete ? '' : ' pending'}
+            </button>
+        </div>`;
+}
+
+// List a registration's referees with their recommendations or a reminder button
+async function openRecommendationsModal(id) {
+    const registration = currentRegistrations.find(reg => reg.id === id);
+    const modal = document.getElementById('recommendationsModal');
+    if (!registration || !modal) return;
+    
+    try {
+        showLoading();
+        const response = await axios.get('/api/admin/recommendations', { params: { registrationId: id } });
+        
+        document.getElementById('recommendationsApplicantName').textContent = displayName(registration);
+        // Under blind review referees are numbered, as their names would identify the applicant
+        document.getElementById('recommendationsList').innerHTML = response.data.data.map((recommendation, index) => `
+            <div class="recommendation-entry">
+                <h4>
+                    ${recommendation.identityHidden ? `Referee ${index + 1}` : escapeHtml(recommendation.refereeName)}
+                    <small>${recommendation.identityHidden
+                        ? '<em>Hidden</em>'
+                        : `${escapeHtml(recommendation.refereeOrganization)} · ${escapeHtml(recommendation.refereeEmail)}`}</small>
+                </h4>
+                ${recommendation.status === 'submitted' ? `
+                    <p><span class="badge badge-info">${escapeHtml(recommendation.endorsementLabel || recommendation.endorsement)}</span>
+                        <small>Received ${escapeHtml(new Date(recommendation.submittedAt).toLocaleString())}</small></p>
+                    <p><strong>Relationship:</strong> ${escapeHtml(recommendation.relationship)}</p>
+                    <p class="recommendation-text">${escapeHtml(recommendation.recommendation)}</p>
+                ` : `
+                    <p><span class="badge badge-warning">Awaiting reply</span>
+                        <small>Requested ${escapeHtml(new Date(recommendation.requestedAt).toLocaleString())} ·
+                        ${recommendation.reminderCount || 0} reminder${recommendation.reminderCount === 1 ? '' : 's'} sent</small></p>
+                    ${adminCan('remindReferees') ? `
+                    <button type="button" class="btn btn-outline" onclick="remindReferee('${recommendation.id}')">
+                        <i class="fas fa-paper-plane"></i>
+                        Send Reminder
+                    </button>` : ''}
+                `}
+            </div>
+        `).join('') || '<p>No referees were named.</p>';
+        modal.style.display = 'flex';
+    } catch (error) {
+        console.error('Load recommendations error:', error);
+        showError(error.response?.data?.message || 'Failed to load recommendations.');
+    } finally {
+        hideLoading();
+    }
+}
+
+function hideRecommendationsModal() {
+    const modal = document.getElementById('recommendationsModal');
+    if (modal) modal.style.display = 'none';
+}
+
+// Email a referee again with a fresh link
+async function remindReferee(recommendationId) {
+    try {
+        showLoading();
+        const response = await axios.post(`/api/admin/recommendations/${recommendationId}/remind`);
+        if (response.data.success) {
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Remind referee error:', error);
+        showError(error.response?.data?.message || 'Failed to remind the referee.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Email a pending offer again with a fresh deadline
+async function resendOffer(id) {
+    if (!confirm('Resend this offer with a new deadline? The previous link will stop working.')) return;
+    
+    try {
+        showLoading();
+        const response = await axios.post(`/api/admin/offers/${id}/resend`);
+        if (response.data.success) {
+            const registration = currentRegistrations.find(reg => reg.id === id);
+            if (registration) {
+                Object.assign(registration, response.data.data);
+            }
+            updateRegistrationsTable(currentRegistrations);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Resend offer error:', error);
+        showError(error.response?.data?.message || 'Failed to resend the offer.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Averaged rubric score plus a button to add the admin's own scores
+function formatScoreCell(reg) {
+    const summary = reg.scoreSummary;
+    const score = summary && summary.normalizedScore !== null
+        ? `<span class="score-value">${summary.normalizedScore}%</span>
+            <span class="score-reviewers">${summary.reviewerCount} reviewer${summary.reviewerCount === 1 ? '' : 's'}</span>`
+        : '<span class="score-reviewers">Not scored</span>';
+    
+    if (reg.conflict) {
+        return `${score}
+        <button class="btn btn-outline" title="Recused: conflict of interest" disabled>
+            <i class="fas fa-star"></i>
+        </button>`;
+    }
+    
+    return `${score}
+        <button class="btn btn-outline" title="Score" onclick="openScoreModal('${reg.id}')">
+            <i class="fas fa-star"></i>
+        </button>`;
+}
+
+// Sort by a column, flipping the order when it is clicked again
+function sortRegistrationsBy(field) {
+    if (registrationSort.field === field) {
+        registrationSort.order = registrationSort.order === 'asc' ? 'desc' : 'asc';
+    } else {
+        registrationSort = { field, order: field === 'name' ? 'asc' : 'desc' };
+    }
+    
+    document.querySelectorAll('#registrationsTable th.sortable i').forEach(icon => {
+        const th = icon.closest('th');
+        icon.className = th.dataset.sort === registrationSort.field
+            ? `fas fa-sort-${registrationSort.order === 'asc' ? 'up' : 'down'}`
+            : 'fas fa-sort';
+    });
+    
+    handleFilter();
+}
+
+// Show the rubric form, prefilled with the admin's earlier scores
+async function openScoreModal(id) {
+    const registration = currentRegistrations.find(reg => reg.id === id);
+    const modal = document.getElementById('scoreModal');
+    if (!registration || !modal) return;
+    
+    try {
+        showLoading();
+        const response = await axios.get(`/api/admin/registrations/${id}/scores`);
+        const { rubric, sheets } = response.data.data;
+        currentRubric = rubric;
+        
+        const mySheet = sheets.find(sheet => sheet.reviewer === currentAdmin?.username);
+        const otherSheets = sheets.filter(sheet => sheet !== mySheet);
+        
+        document.getElementById('scoreApplicantName').textContent = displayName(registration);
+        document.getElementById('scoreCriteria').innerHTML = rubric.map(criterion => `
+            <div class="form-group">
+                <label for="score_${criterion.key}">${escapeHtml(criterion.label)} (0-${criterion.maxScore})</label>
+                <input type="number" id="score_${criterion.key}" name="${criterion.key}"
+                    min="0" max="${criterion.maxScore}" step="0.5" required
+                    value="${mySheet && mySheet.scores[criterion.key] !== undefined ? mySheet.scores[criterion.key] : ''}">
+            </div>
+        `).join('');
+        document.getElementById('scoreRemarks').value = mySheet ? mySheet.remarks || '' : '';
+        document.getElementById('otherScores').innerHTML = otherSheets.length > 0
+            ? `<h4>Other reviewers</h4><ul>${otherSheets.map(sheet => `
+                <li>
+                    <strong>${escapeHtml(sheet.reviewerName || sheet.reviewer)}</strong>:
+                    ${rubric.map(criterion => `${escapeHtml(criterion.label)} ${sheet.scores[criterion.key] ?? '-'}`).join(', ')}
+                    ${sheet.remarks ? `<br><em>${escapeHtml(sheet.remarks)}</em>` : ''}
+                </li>`).join('')}</ul>`
+            : '';
+        
+        document.getElementById('scoreForm').dataset.registrationId = id;
+        modal.style.display = 'flex';
+    } catch (error) {
+        console.error('Load scores error:', error);
+        showError(error.response?.data?.message || 'Failed to load scores.');
+    } finally {
+        hideLoading();
+    }
+}
+
+function hideScoreModal() {
+    const modal = document.getElementById('scoreModal');
+    if (modal) modal.style.display = 'none';
+}
+
+// Save the admin's scores and refresh the row's summary
+async function handleScoreSubmission(event) {
+    event.preventDefault();
+    
+    const id = event.target.dataset.registrationId;
+    const scores = {};
+    currentRubric.forEach(criterion => {
+        scores[criterion.key] = document.getElementById(`score_${criterion.key}`).value;
+    });
+    
+    try {
+        showLoading();
+        const response = await axios.put(`/api/admin/registrations/${id}/scores`, {
+            scores,
+            remarks: document.getElementById('scoreRemarks').value
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            hideScoreModal();
+            await reloadRegistrations();
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Save scores error:', error);
+        showError(error.response?.data?.message || 'Failed to save scores.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Show a registration's answers to its committee and position questions,
+// including answers to questions removed since
+function openAnswersModal(id) {
+    const registration = currentRegistrations.find(reg => reg.id === id);
+    const modal = document.getElementById('answersModal');
+    if (!registration || !modal) return;
+    
+    const answers = registration.answers || {};
+    const asked = applicationQuestions.filter(question => answers[question.key] !== undefined);
+    const removed = Object.keys(answers).filter(key => !asked.some(question => question.key === key));
+    const formatAnswer = (value, type) => type === 'url'
+        ? `<a href="${escapeHtml(value)}" target="_blank" rel="noopener noreferrer">${escapeHtml(value)}</a>`
+        : escapeHtml(value);
+    
+    document.getElementById('answersApplicantName').textContent = displayName(registration);
+    document.getElementById('answersList').innerHTML = [
+        ...asked.map(question => `
+            <dt>${escapeHtml(question.label)} <small>(${escapeHtml(question.committee || question.position)})</small></dt>
+            <dd>${formatAnswer(answers[question.key], question.type)}</dd>
+        `),
+        ...removed.map(key => `
+            <dt>${escapeHtml(key)} <small>(question removed)</small></dt>
+            <dd>${escapeHtml(answers[key])}</dd>
+        `)
+    ].join('');
+    modal.style.display = 'flex';
+}
+
+function hideAnswersModal() {
+    const modal = document.getElementById('answersModal');
+    if (modal) modal.style.display = 'none';
+}
+
+// Show the admin's college and declared conflicts of interest
+async function openProfileModal() {
+    const modal = document.getElementById('profileModal');
+    if (!modal) return;
+    
+    try {
+        showLoading();
+        const response = await axios.get('/api/admin/profile');
+        renderProfile(response.data.data);
+        modal.style.display = 'flex';
+    } catch (error) {
+        console.error('Load profile error:', error);
+        showError(error.response?.data?.message || 'Failed to load your profile.');
+    } finally {
+        hideLoading();
+    }
+}
+
+function hideProfileModal() {
+    const modal = document.getElementById('profileModal');
+    if (modal) modal.style.display = 'none';
+}
+
+function renderProfile(profile) {
+    document.getElementById('profileCollege').value = profile.college || '';
+    document.getElementById('profileConflicts').innerHTML = profile.conflicts.length > 0
+        ? profile.conflicts.map(conflict => `
+            <li>
+                <strong>${escapeHtml(conflict.applicant || 'Deleted registration')}</strong>
+                ${conflict.note ? ` - ${escapeHtml(conflict.note)}` : ''}
+                <small>(${new Date(conflict.declaredAt).toLocaleDateString()})</small>
+                <button type="button" class="btn btn-outline" onclick="withdrawConflict('${conflict.registrationId}')" title="Withdraw">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>`).join('')
+        : '<li class="window-hint">None declared</li>';
+}
+
+// Conflict flags and the scoring queue depend on the profile, so reload the table
+async function refreshAfterProfileChange(profile) {
+    currentAdmin = { ...currentAdmin, college: profile.college, conflicts: profile.conflicts };
+    await reloadRegistrations();
+}
+
+async function handleProfileSubmission(event) {
+    event.preventDefault();
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/profile', {
+            college: document.getElementById('profileCollege').value
+        });
+        if (response.data.success) {
+            renderProfile(response.data.data);
+            await refreshAfterProfileChange(response.data.data);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Update profile error:', error);
+        showError(error.response?.data?.message || 'Failed to update your profile.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function declareConflict(registrationId) {
+    const registration = currentRegistrations.find(reg => reg.id === registrationId);
+    if (!registration) return;
+    
+    const note = prompt(`Declare a conflict of interest with ${displayName(registration)}? You will be recused from scoring them.\n\nHow do you know them? (optional)`);
+    if (note === null) return;
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/profile/conflicts', { registrationId, note });
+        if (response.data.success) {
+            await refreshAfterProfileChange(response.data.data);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Declare conflict error:', error);
+        showError(error.response?.data?.message || 'Failed to declare the conflict.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function withdrawConflict(registrationId) {
+    if (!confirm('Withdraw this conflict? Scores withdrawn when you declared it are not restored.')) return;
+    
+    try {
+        showLoading();
+        const response = await axios.delete(`/api/admin/profile/conflicts/${encodeURIComponent(registrationId)}`);
+        if (response.data.success) {
+            renderProfile(response.data.data);
+            await refreshAfterProfileChange(response.data.data);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Withdraw conflict error:', error);
+        showError(error.response?.data?.message || 'Failed to withdraw the conflict.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Open the organizers' comment thread on a registration
+async function openCommentsModal(id) {
+    const registration = currentRegistrations.find(reg => reg.id === id);
+    const modal = document.getElementById('commentsModal');
+    if (!registration || !modal) return;
+    
+    try {
+        showLoading();
+        const [commentsResponse, mentionableResponse] = await Promise.all([
+            axios.get(`/api/admin/registrations/${id}/comments`),
+            axios.get(`/api/admin/registrations/${id}/comments/mentionable`)
+        ]);
+        
+        commentThread = {
+            registrationId: id,
+            comments: commentsResponse.data.data,
+            mentionable: mentionableResponse.data.data
+        };
+        document.getElementById('commentsApplicantName').textContent = displayName(registration);
+        document.getElementById('commentBody').value = '';
+        renderCommentThread();
+        renderMentionOptions();
+        modal.style.display = 'flex';
+    } catch (error) {
+        console.error('Load comments error:', error);
+        showError(error.response?.data?.message || 'Failed to load comments.');
+    } finally {
+        hideLoading();
+    }
+}
+
+function hideCommentsModal() {
+    const modal = document.getElementById('commentsModal');
+    if (modal) modal.style.display = 'none';
+}
+
+// Comment text with its @mentions highlighted
+function formatCommentBody(comment) {
+    let html = escapeHtml(comment.body);
+    (comment.mentions || []).forEach(username => {
+        const mention = escapeHtml(`@${username}`);
+        html = html.split(mention).join(`<span class="comment-mention">${mention}</span>`);
+    });
+    return html;
+}
+
+function renderCommentThread() {
+    const thread = document.getElementById('commentsThread');
+    if (!thread) return;
+    
+    thread.innerHTML = commentThread.comments.map(comment => `
+        <div class="comment-entry" id="comment-${comment.id}">
+            <div class="comment-meta">
+                <strong>${escapeHtml(comment.authorName || comment.author)}</strong>
+                <small>${escapeHtml(formatTimestamp(comment.createdAt))}${comment.editedAt ? ' · edited' : ''}</small>
+                ${comment.author === currentAdmin?.username ? `
+                <span class="comment-actions">
+                    <button type="button" class="btn btn-outline" onclick="editComment('${comment.id}')" title="Edit comment">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline" onclick="deleteComment('${comment.id}')" title="Delete comment">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </span>` : ''}
+            </div>
+            <p class="comment-body">${formatCommentBody(comment)}</p>
+        </div>
+    `).join('') || '<p class="comments-empty">No comments yet.</p>';
+}
+
+// Buttons that insert an @mention for each admin who can see the registration
+function renderMentionOptions() {
+    const container = document.getElementById('commentMentions');
+    if (!container) return;
+    
+    const others = commentThread.mentionable.filter(admin => admin.username !== currentAdmin?.username);
+    container.innerHTML = others.length === 0 ? '' : `<small>Mention:</small> ${others.map(admin => `
+        <button type="button" class="mention-option" onclick="insertMention('${escapeHtml(admin.username)}')" title="${escapeHtml(admin.name)}">
+            @${escapeHtml(admin.username)}
+        </button>
+    `).join('')}`;
+}
+
+function insertMention(username) {
+    const textarea = document.getElementById('commentBody');
+    if (!textarea) return;
+    
+    const separator = textarea.value && !/\s$/.test(textarea.value) ? ' ' : '';
+    textarea.value += `${separator}@${username} `;
+    textarea.focus();
+}
+
+// Keep the comment count in the registrations table in step with the thread
+function updateCommentCount() {
+    const registration = currentRegistrations.find(reg => reg.id === commentThread.registrationId);
+    if (registration) {
+        registration.commentCount = commentThread.comments.length;
+        updateRegistrationsTable(currentRegistrations);
+    }
+}
+
+function formatMentionResult(message, notified) {
+    return notified && notified.length > 0
+        ? `${message}. Notified ${notified.map(username => `@${username}`).join(', ')}.`
+        : message;
+}
+
+async function handleCommentSubmission(event) {
+    event.preventDefault();
+    const textarea = document.getElementById('commentBody');
+    
+    try {
+        showLoading();
+        const response = await axios.post(`/api/admin/registrations/${commentThread.registrationId}/comments`, {
+            body: textarea.value
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            commentThread.comments.push(response.data.data.comment);
+            textarea.value = '';
+            renderCommentThread();
+            updateCommentCount();
+            showSuccess(formatMentionResult(response.data.message, response.data.data.notified));
+        }
+    } catch (error) {
+        console.error('Add comment error:', error);
+        showError(error.response?.data?.message || 'Failed to add comment.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Swap one of your comments for an inline editor
+function editComment(commentId) {
+    const comment = commentThread.comments.find(entry => entry.id === commentId);
+    const entry = document.getElementById(`comment-${commentId}`);
+    if (!comment || !entry) return;
+    
+    entry.querySelector('.comment-body').outerHTML = `
+        <div class="comment-editor">
+            <textarea rows="3" maxlength="2000">${escapeHtml(comment.body)}</textarea>
+            <button type="button" class="btn btn-primary" onclick="saveComment('${commentId}')">Save</button>
+            <button type="button" class="btn btn-outline" onclick="renderCommentThread()">Cancel</button>
+        </div>
+    `;
+    entry.querySelector('.comment-editor textarea').focus();
+}
+
+async function saveComment(commentId) {
+    const textarea = document.querySelector(`#comment-${commentId} .comment-editor textarea`);
+    if (!textarea) return;
+    
+    try {
+        showLoading();
+        const response = await axios.put(`/api/admin/registrations/${commentThread.registrationId}/comments/${commentId}`, {
+            body: textarea.value
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            commentThread.comments = commentThread.comments.map(comment =>
+                comment.id === commentId ? response.data.data.comment : comment);
+            renderCommentThread();
+            showSuccess(formatMentionResult(response.data.message, response.data.data.notified));
+        }
+    } catch (error) {
+        console.error('Update comment error:', error);
+        showError(error.response?.data?.message || 'Failed to update comment.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteComment(commentId) {
+    if (!confirm('Delete this comment?')) return;
+    
+    try {
+        showLoading();
+        const response = await axios.delete(`/api/admin/registrations/${commentThread.registrationId}/comments/${commentId}`);
+        
+        if (response.data.success) {
+            commentThread.comments = commentThread.comments.filter(comment => comment.id !== commentId);
+            renderCommentThread();
+            updateCommentCount();
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        showError(error.response?.data?.message || 'Failed to delete comment.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Tags: organizer labels on registrations, per edition
+async function loadTags() {
+    const response = await axios.get('/api/admin/tags');
+    registrationTags = response.data.data;
+    tagColors = response.data.colors || [];
+    renderTagFilter();
+    if (adminCan('manageTags')) {
+        renderTagSettings();
+    }
+}
+
+function findTag(tagId) {
+    return registrationTags.find(tag => tag.id === tagId);
+}
+
+function tagNames(reg) {
+    return (reg.tags || []).map(findTag).filter(Boolean).map(tag => tag.name);
+}
+
+function renderTagFilter() {
+    const select = elements.tagFilter;
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = '<option value="">All Tags</option>' + registrationTags
+        .map(tag => `<option value="${escapeHtml(tag.id)}">${escapeHtml(tag.name)}</option>`)
+        .join('');
+    select.value = findTag(selected) ? selected : '';
+}
+
+function formatTagChips(reg) {
+    const tags = (reg.tags || []).map(findTag).filter(Boolean);
+    if (tags.length === 0) return '';
+    
+    return `<div class="tag-chips">${tags.map(tag =>
+        `<span class="tag-chip tag-${escapeHtml(tag.color)}">${escapeHtml(tag.name)}</span>`).join('')}</div>`;
+}
+
+function renderTagOptions(selectedIds = []) {
+    document.getElementById('tagOptions').innerHTML = registrationTags.map(tag => `
+        <label class="tag-option">
+            <input type="checkbox" value="${escapeHtml(tag.id)}" ${selectedIds.includes(tag.id) ? 'checked' : ''}>
+            <span class="tag-chip tag-${escapeHtml(tag.color)}">${escapeHtml(tag.name)}</span>
+        </label>
+    `).join('') || '<p class="comments-empty">No tags yet. Create one below.</p>';
+    
+    document.getElementById('newTagColor').innerHTML = tagColors
+        .map(color => `<option value="${escapeHtml(color)}">${escapeHtml(color)}</option>`)
+        .join('');
+}
+
+function checkedTagIds() {
+    return Array.from(document.querySelectorAll('#tagOptions input:checked')).map(input => input.value);
+}
+
+// Pick the tags on one registration
+function openTagsModal(id) {
+    const registration = currentRegistrations.find(reg => reg.id === id);
+    if (!registration) return;
+    
+    tagsModalTarget = id;
+    document.getElementById('tagsModalTitle').textContent = `Tags for ${displayName(registration)}`;
+    document.getElementById('saveTagsBtn').style.display = '';
+    document.getElementById('bulkAddTagsBtn').style.display = 'none';
+    document.getElementById('bulkRemoveTagsBtn').style.display = 'none';
+    renderTagOptions(registration.tags || []);
+    document.getElementById('tagsModal').style.display = 'flex';
+}
+
+// Add or remove tags on every registration the filters currently show
+function openBulkTagsModal() {
+    if (shownRegistrations.length === 0) {
+        showError('No registrations are shown.');
+        return;
+    }
+    
+    tagsModalTarget = null;
+    document.getElementById('tagsModalTitle').textContent = `Tag ${shownRegistrations.length} shown registration${shownRegistrations.length === 1 ? '' : 's'}`;
+    document.getElementById('saveTagsBtn').style.display = 'none';
+    document.getElementById('bulkAddTagsBtn').style.display = '';
+    document.getElementById('bulkRemoveTagsBtn').style.display = '';
+    renderTagOptions();
+    document.getElementById('tagsModal').style.display = 'flex';
+}
+
+function hideTagsModal() {
+    const modal = document.getElementById('tagsModal');
+    if (modal) modal.style.display = 'none';
+}
+
+async function handleCreateTag() {
+    const nameInput = document.getElementById('newTagName');
+    const selected = checkedTagIds();
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/tags', {
+            name: nameInput.value,
+            color: document.getElementById('newTagColor').value
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            nameInput.value = '';
+            await loadTags();
+            renderTagOptions([...selected, response.data.data.id]);
+        }
+    } catch (error) {
+        console.error('Create tag error:', error);
+        showError(error.response?.data?.message || 'Failed to create tag.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function saveRegistrationTags() {
+    const registration = currentRegistrations.find(reg => reg.id === tagsModalTarget);
+    if (!registration) return;
+    const tags = checkedTagIds();
+    
+    try {
+        showLoading();
+        const response = await axios.put(`/api/admin/registrations/${registration.id}`, { tags }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            hideTagsModal();
+            await loadTags();
+            await reloadRegistrations();
+            showSuccess('Tags saved');
+        }
+    } catch (error) {
+        console.error('Save tags error:', error);
+        showError(error.response?.data?.message || 'Failed to save tags.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function applyBulkTags(action) {
+    const tagIds = checkedTagIds();
+    if (tagIds.length === 0) {
+        showError('Choose at least one tag.');
+        return;
+    }
+    const registrationIds = shownRegistrations.map(reg => reg.id);
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/registrations/bulk-action', {
+            action,
+            registrationIds,
+            data: { tagIds }
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            // Reload rather than guess which registrations were skipped
+            hideTagsModal();
+            await loadTags();
+            await reloadRegistrations();
+            const { success, failed: failedCount } = response.data.results;
+            if (failedCount > 0) {
+                showError(`${success} updated, ${failedCount} failed: ${response.data.results.errors[0]}`);
+            } else {
+                showSuccess(`${action === 'tag' ? 'Tagged' : 'Untagged'} ${success} registration${success === 1 ? '' : 's'}`);
+            }
+        }
+    } catch (error) {
+        console.error('Bulk tag error:', error);
+        showError(error.response?.data?.message || 'Failed to update tags.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Super-admins rename, recolor and delete tags
+function renderTagSettings() {
+    const tbody = document.querySelector('#tagsTable tbody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = registrationTags.map(tag => `
+        <tr data-tag-id="${escapeHtml(tag.id)}">
+            <td><input type="text" data-field="name" value="${escapeHtml(tag.name)}" maxlength="40"></td>
+            <td>
+                <select data-field="color">
+                    ${tagColors.map(color => `<option value="${escapeHtml(color)}" ${color === tag.color ? 'selected' : ''}>${escapeHtml(color)}</option>`).join('')}
+                </select>
+            </td>
+            <td>${tag.count}</td>
+            <td>
+                <button type="button" class="btn btn-outline" onclick="updateTag('${escapeHtml(tag.id)}')" title="Save tag">
+                    <i class="fas fa-save"></i>
+                </button>
+                <button type="button" class="btn btn-outline" onclick="deleteTag('${escapeHtml(tag.id)}')" title="Delete tag">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="4" class="text-center">No tags yet</td></tr>';
+}
+
+async function updateTag(tagId) {
+    const row = document.querySelector(`#tagsTable tr[data-tag-id="${tagId}"]`);
+    if (!row) return;
+    
+    try {
+        showLoading();
+        const response = await axios.put(`/api/admin/tags/${tagId}`, {
+            name: row.querySelector('[data-field="name"]').value,
+            color: row.querySelector('[data-field="color"]').value
+        }, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        
+        if (response.data.success) {
+            await loadTags();
+            updateRegistrationsTable(currentRegistrations);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Update tag error:', error);
+        showError(error.response?.data?.message || 'Failed to update tag.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteTag(tagId) {
+    const tag = findTag(tagId);
+    if (!tag || !confirm(`Delete the tag "${tag.name}" and remove it from ${tag.count} registration${tag.count === 1 ? '' : 's'}?`)) return;
+    
+    try {
+        showLoading();
+        const response = await axios.delete(`/api/admin/tags/${tagId}`);
+        
+        if (response.data.success) {
+            await loadTags();
+            await reloadRegistrations();
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        showError(error.response?.data?.message || 'Failed to delete tag.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Badge marking a registration that looks like another applicant's
+function formatDuplicateBadge(duplicates) {
+    if (!Array.isArray(duplicates) || duplicates.length === 0) return '';
+    
+    const details = duplicates
+        .map(dup => `${dup.name || dup.id} (${dup.reasons.join(', ')})`)
+        .join('\n');
+    return ` <span class="badge badge-warning" title="${escapeHtml(`Possible duplicate of:\n${details}`)}"><i class="fas fa-clone"></i> Duplicate?</span>`;
+}
+
+// Badge marking an applicant who applied to an earlier edition
+function formatReturningBadge(previousApplications) {
+    if (!Array.isArray(previousApplications) || previousApplications.length === 0) return '';
+    
+    const details = previousApplications
+        .map(previous => {
+            const seat = previous.allocatedCommittee ? ` (${previous.allocatedPosition}, ${previous.allocatedCommittee})` : '';
+            return `${editionName(previous.edition)}: ${STATUS_LABELS[previous.status] || previous.status}${seat}`;
+        })
+        .join('\n');
+    return ` <span class="badge badge-info" title="${escapeHtml(`Applied before:\n${details}`)}"><i class="fas fa-redo"></i> Returning</span>`;
+}
+
+// Badge marking an applicant the admin has a conflict of interest with
+function formatConflictBadge(conflict) {
+    if (!conflict) return '';
+    
+    const details = conflict.reasons
+        .map(reason => reason === 'same_college' ? 'Same college as you' : `Declared by you${conflict.note ? `: ${conflict.note}` : ''}`)
+        .join('\n');
+    return ` <span class="badge badge-danger" title="${escapeHtml(details)}"><i class="fas fa-user-slash"></i> Conflict</span>`;
+}
+
+// Page-specific initialization
+function initializePage() {
+    const path = window.location.pathname;
+    console.log('Initializing page for path:', path);
+    
+    if (path === '/admin') {
+        // Admin page specific initialization
+        if (elements.adminDashboard && !dashboardLoaded) {
+            console.log('Admin dashboard found, loading data...');
+            // Add a small delay to ensure DOM is fully ready
+            setTimeout(() => {
+                if (!dashboardLoaded) {
+                    loadDashboardData();
+                }
+            }, 100);
+        } else {
+            console.log('Admin dashboard element not found or already loaded');
+        }
+    } else if (path === '/form') {
+        // Form page specific initialization
+        console.log('Application form initialized');
+        loadApplicationOptions().then(loadApplicationWindow);
+    } else if (path === '/interview') {
+        loadInterviewBooking();
+    } else if (path === '/offer') {
+        loadOffer();
+    } else if (path === '/recommend') {
+        loadRecommendationRequest();
+    } else if (path === '/portal') {
+        loadPortal();
+    }
+}
+
+// Tab switching
+function switchTab(tabName) {
+    // Remove active class from all tabs and contents
+    elements.tabBtns.forEach(btn => btn.classList.remove('active'));
+    elements.tabContents.forEach(content => content.classList.remove('active'));
+    
+    // Add active class to selected tab and content
+    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+    document.getElementById(`${tabName}Tab`).classList.add('active');
+    
+    // Audit log and allocation are fetched on demand
+    if (tabName === 'auditLog') {
+        loadAuditLogs();
+    }
+    if (tabName === 'allocation') {
+        loadAllocation();
+    }
+    if (tabName === 'interviews') {
+        loadInterviewSchedule();
+    }
+}
+
+// Load audit log entries using the current filters
+async function loadAuditLogs() {
+    const params = {
+        actor: document.getElementById('auditActorFilter')?.value || undefined,
+        action: document.getElementById('auditActionFilter')?.value || undefined,
+        from: document.getElementById('auditFromFilter')?.value || undefined,
+        to: document.getElementById('auditToFilter')?.value || undefined
+    };
+    
+    try {
+        const response = await axios.get('/api/admin/audit-logs', { params });
+        if (response.data.success) {
+            populateAuditActions(response.data.actions || []);
+            updateAuditLogTable(response.data.data);
+        }
+    } catch (error) {
+        console.error('Audit log loading error:', error);
+        showError(error.response?.data?.message || 'Failed to load audit log.');
+    }
+}
+
+// Fill the action filter once from the server's list of actions
+function populateAuditActions(actions) {
+    const select = document.getElementById('auditActionFilter');
+    if (!select || select.options.length > 1) return;
+    
+    actions.forEach(action => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = action;
+        select.appendChild(option);
+    });
+}
+
+// Render field diffs as a list; bulk entries nest diffs under registration IDs
+function formatAuditChanges(changes, depth = 0) {
+    const items = Object.entries(changes || {}).map(([key, value]) => {
+        if (value && typeof value === 'object' && 'from' in value && 'to' in value) {
+            return `<li><strong>${escapeHtml(key)}</strong>: ${escapeHtml(JSON.stringify(value.from))} → ${escapeHtml(JSON.stringify(value.to))}</li>`;
+        }
+        return `<li><strong>${escapeHtml(key)}</strong>${depth === 0 ? formatAuditChanges(value, depth + 1) : ''}</li>`;
+    });
+    return items.length > 0 ? `<ul class="audit-changes">${items.join('')}</ul>` : '';
+}
+
+// Update audit log table
+function updateAuditLogTable(entries) {
+    const tbody = document.querySelector('#auditLogTable tbody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center">No audit entries found</td></tr>';
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const details = [];
+        if (entry.recipientCount !== null && entry.recipientCount !== undefined) {
+            details.push(`<div>Recipients: ${entry.recipientCount}</div>`);
+        }
+        if (entry.details?.subject) {
+            details.push(`<div>Subject: ${escapeHtml(entry.details.subject)}</div>`);
+        }
+        details.push(formatAuditChanges(entry.changes));
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'N/A'}</td>
+            <td>${escapeHtml(entry.actorName || entry.actor)}<br><small>${escapeHtml(entry.actorRole || '')}</small></td>
+            <td>${escapeHtml(entry.action)}</td>
+            <td>${escapeHtml((entry.registrationIds || []).join(', ')) || '—'}</td>
+            <td>${details.join('')}</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+// Search functionality: runs on the server once typing pauses
+function handleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(handleFilter, 300);
+}
+
+// Load the proposed committee/position allocation
+async function loadAllocation() {
+    try {
+        const response = await axios.get('/api/admin/allocation');
+        if (response.data.success) {
+            renderAllocation(response.data.data);
+        }
+    } catch (error) {
+        console.error('Allocation loading error:', error);
+        showError(error.response?.data?.message || 'Failed to load allocation.');
+    }
+}
+
+function renderAllocation(allocation) {
+    currentAllocation = allocation;
+    const canManage = adminCan('manageAllocation');
+    const capacities = allocation.capacities || {};
+    const committees = Object.keys(capacities);
+    const positions = [...new Set(committees.flatMap(committee => Object.keys(capacities[committee])))];
+    
+    const state = document.getElementById('allocationState');
+    state.textContent = allocation.state === 'published' ? 'Published' : 'Draft';
+    state.className = `badge ${allocation.state === 'published' ? 'status-selected' : 'status-submitted'}`;
+    document.getElementById('allocationGeneratedAt').textContent = allocation.generatedAt
+        ? `Last run ${new Date(allocation.generatedAt).toLocaleString()} by ${allocation.generatedBy}`
+        : 'Not run yet';
+    
+    // Capacity grid
+    document.querySelector('#capacityTable thead').innerHTML = `
+        <tr><th>Committee</th>${positions.map(position => `<th>${escapeHtml(position)}</th>`).join('')}</tr>`;
+    document.querySelector('#capacityTable tbody').innerHTML = committees.map(committee => `
+        <tr>
+            <td>${escapeHtml(committee)}</td>
+            ${positions.map(position => `
+                <td><input type="number" min="0" step="1" data-committee="${escapeHtml(committee)}" data-position="${escapeHtml(position)}"
+                    value="${capacities[committee][position] || 0}" ${canManage ? '' : 'disabled'}></td>
+            `).join('')}
+        </tr>
+    `).join('');
+    
+    // One row per seat, filled or not
+    // Applicants from the last run, seated or not, can be seated by hand
+    const candidates = [...(allocation.assignments || []), ...(allocation.unassigned || [])]
+        .map(applicant => ({ id: applicant.registrationId, name: applicant.name }))
+        .sort((a, b) => displayName(a).localeCompare(displayName(b)));
+    const tbody = document.querySelector('#allocationTable tbody');
+    tbody.innerHTML = '';
+    
+    committees.forEach(committee => {
+        positions.forEach(position => {
+            const seats = (allocation.assignments || [])
+                .filter(assignment => assignment.committee === committee && assignment.position === position);
+            for (let i = 0; i < (capacities[committee][position] || 0); i++) {
+                const seat = seats[i];
+                const applicant = canManage
+                    ? `<select class="status-select allocation-select">
+                        <option value="">Unfilled</option>
+                        ${candidates.map(reg => `
+                            <option value="${reg.id}" ${seat && seat.registrationId === reg.id ? 'selected' : ''}>${escapeHtml(displayName(reg))}</option>
+                        `).join('')}
+                    </select>`
+                    : escapeHtml(seat ? seat.name : 'Unfilled');
+                
+                const row = document.createElement('tr');
+                row.dataset.committee = committee;
+                row.dataset.position = position;
+                row.innerHTML = `
+                    <td>${escapeHtml(committee)}</td>
+                    <td>${escapeHtml(position)}</td>
+                    <td>${applicant}</td>
+                    <td>${seat && seat.score !== null ? `${seat.score}%` : '—'}</td>
+                    <td>${seat ? (seat.preferenceRank ? `#${seat.preferenceRank}` : 'Not preferred') : '—'}</td>
+                    <td><input type="checkbox" class="allocation-lock" ${seat && seat.locked ? 'checked' : ''} ${canManage ? '' : 'disabled'}></td>
+                `;
+                tbody.appendChild(row);
+            }
+        });
+    });
+    
+    document.getElementById('allocationConflicts').innerHTML = (allocation.conflicts || []).length > 0
+        ? allocation.conflicts.map(conflict => `<li>${escapeHtml(conflict.message)}</li>`).join('')
+        : '<li>None</li>';
+    
+    const reasons = {
+        outranked: 'outranked for every preference',
+        no_seats: 'no seats in their preferences',
+        no_preferences: 'no preferences'
+    };
+    document.getElementById('allocationUnassigned').innerHTML = (allocation.unassigned || []).length > 0
+        ? allocation.unassigned.map(applicant => `
+            <li>${escapeHtml(applicant.name)}${applicant.score !== null ? ` (${applicant.score}%)` : ''} — ${reasons[applicant.reason] || applicant.reason}</li>
+        `).join('')
+        : '<li>None</li>';
+}
+
+async function runAllocation() {
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/allocation/run', {});
+        if (response.data.success) {
+            renderAllocation(response.data.data);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Run allocation error:', error);
+        showError(error.response?.data?.message || 'Failed to run allocation.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Send the seats as shown in the table, including hand edits and locks
+async function saveAllocationChanges() {
+    const assignments = Array.from(document.querySelectorAll('#allocationTable tbody tr'))
+        .map(row => ({
+            committee: row.dataset.committee,
+            position: row.dataset.position,
+            registrationId: row.querySelector('.allocation-select')?.value,
+            locked: row.querySelector('.allocation-lock').checked
+        }))
+        .filter(assignment => assignment.registrationId);
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/allocation/assignments', { assignments });
+        if (response.data.success) {
+            renderAllocation(response.data.data);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Save allocation error:', error);
+        showError(error.response?.data?.message || 'Failed to save allocation.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function saveAllocationCapacities() {
+    const capacities = {};
+    document.querySelectorAll('#capacityTable input').forEach(input => {
+        const { committee, position } = input.dataset;
+        capacities[committee] = capacities[committee] || {};
+        capacities[committee][position] = parseInt(input.value, 10) || 0;
+    });
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/allocation/capacities', { capacities });
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            await loadAllocation();
+        }
+    } catch (error) {
+        console.error('Save capacities error:', error);
+        showError(error.response?.data?.message || 'Failed to save capacities.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function publishAllocation() {
+    if (!confirm('Publish this allocation? Each assigned applicant will have their committee and position recorded.')) {
+        return;
+    }
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/allocation/publish', {});
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            await loadAllocation();
+        }
+    } catch (error) {
+        console.error('Publish allocation error:', error);
+        showError(error.response?.data?.message || 'Failed to publish allocation.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Load the interview schedule
+async function loadInterviewSchedule() {
+    try {
+        const response = await axios.get('/api/admin/interviews/slots');
+        if (response.data.success) {
+            renderInterviewSchedule(response.data.data);
+        }
+    } catch (error) {
+        console.error('Interview schedule loading error:', error);
+        showError(error.response?.data?.message || 'Failed to load interview schedule.');
+    }
+}
+
+function renderInterviewSchedule({ slots, unbooked }) {
+    const canManage = adminCan('manageInterviews');
+    const tbody = document.querySelector('#interviewScheduleTable tbody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = slots.length === 0
+        ? '<tr><td colspan="6" class="text-center">No interview slots yet</td></tr>'
+        : '';
+    
+    slots.forEach(slot => {
+        const bookings = slot.bookings.length > 0
+            ? slot.bookings.map(booking => `<div>${escapeHtml(booking.name)} <small>${escapeHtml(booking.email || '')}</small></div>`).join('')
+            : '<small>No bookings</small>';
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${new Date(slot.startsAt).toLocaleString()} - ${new Date(slot.endsAt).toLocaleTimeString()}</td>
+            <td>${escapeHtml(slot.committee)}</td>
+            <td>${escapeHtml(slot.panel || '—')}</td>
+            <td>${escapeHtml(slot.location || '—')}</td>
+            <td>${bookings}<small>${slot.bookings.length}/${slot.capacity || 1} booked</small></td>
+            <td>
+                ${canManage && slot.bookings.length === 0 ? `
+                <button class="btn btn-outline" onclick="deleteInterviewSlot('${slot.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>` : ''}
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    document.getElementById('interviewUnbooked').innerHTML = unbooked.length > 0
+        ? unbooked.map(applicant => `
+            <li>${escapeHtml(applicant.name)} <small>${escapeHtml(applicant.email)}</small> —
+                ${applicant.invitedAt ? `link sent ${new Date(applicant.invitedAt).toLocaleDateString()}` : 'not invited yet'}</li>
+        `).join('')
+        : '<li>None</li>';
+}
+
+async function handleInterviewSlotSubmission(event) {
+    event.preventDefault();
+    
+    const slot = {
+        committee: document.getElementById('slotCommittee').value,
+        panel: document.getElementById('slotPanel').value,
+        startsAt: new Date(document.getElementById('slotStartsAt').value).toISOString(),
+        endsAt: new Date(document.getElementById('slotEndsAt').value).toISOString(),
+        capacity: parseInt(document.getElementById('slotCapacity').value, 10),
+        location: document.getElementById('slotLocation').value
+    };
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/interviews/slots', slot);
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            await loadInterviewSchedule();
+        }
+    } catch (error) {
+        console.error('Create slot error:', error);
+        showError(error.response?.data?.message || 'Failed to create interview slot.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function deleteInterviewSlot(id) {
+    if (!confirm('Delete this interview slot?')) return;
+    
+    try {
+        const response = await axios.delete(`/api/admin/interviews/slots/${id}`);
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            await loadInterviewSchedule();
+        }
+    } catch (error) {
+        console.error('Delete slot error:', error);
+        showError(error.response?.data?.message || 'Failed to delete interview slot.');
+    }
+}
+
+// Email fresh booking links to everyone shortlisted who has not booked
+async function sendInterviewInvitations() {
+    if (!confirm('Email booking links to every shortlisted applicant who has not booked yet? Earlier links will stop working.')) {
+        return;
+    }
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/interviews/invitations', {});
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            await loadInterviewSchedule();
+        }
+    } catch (error) {
+        console.error('Send invitations error:', error);
+        showError(error.response?.data?.message || 'Failed to send booking links.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Interview booking page: load the applicant's booking from the link token
+async function loadInterviewBooking() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    const greeting = document.getElementById('bookingGreeting');
+    
+    if (!token) {
+        greeting.textContent = 'This link is missing its booking code. Please use the link from your email.';
+        return;
+    }
+    
+    try {
+        const response = await axios.get('/api/interviews/booking', { params: { token } });
+        if (response.data.success) {
+            renderInterviewBooking(response.data.data);
+        }
+    } catch (error) {
+        console.error('Booking loading error:', error);
+        greeting.textContent = error.response?.data?.message || 'Failed to load your booking.';
+    }
+}
+
+function formatSlotRange(slot) {
+    return `${new Date(slot.startsAt).toLocaleString()} - ${new Date(slot.endsAt).toLocaleTimeString()}`;
+}
+
+function renderInterviewBooking({ name, booking, slots }) {
+    document.getElementById('bookingGreeting').textContent = booking
+        ? `Hi ${name}, your interview is booked. You can pick another slot below to reschedule.`
+        : `Hi ${name}, pick a slot for your interview.`;
+    
+    const current = document.getElementById('currentBooking');
+    if (booking) {
+        current.innerHTML = `
+            <strong>Your interview:</strong> ${escapeHtml(formatSlotRange(booking))}<br>
+            ${escapeHtml(booking.committee)}${booking.panel ? ` · ${escapeHtml(booking.panel)}` : ''}
+            ${booking.location ? `<br>${escapeHtml(booking.location)}` : ''}
+        `;
+        current.style.display = 'block';
+    }
+    
+    document.getElementById('bookingSubmitLabel').textContent = booking ? 'Reschedule' : 'Book Slot';
+    document.getElementById('bookingSlots').innerHTML = slots.length > 0
+        ? slots.map(slot => `
+            <label class="radio-option">
+                <input type="radio" name="slotId" value="${slot.id}" required>
+                <span class="radio-custom"></span>
+                <span>
+                    ${escapeHtml(formatSlotRange(slot))} · ${escapeHtml(slot.committee)}${slot.panel ? ` · ${escapeHtml(slot.panel)}` : ''}
+                    <br><small>${slot.seatsLeft} seat${slot.seatsLeft === 1 ? '' : 's'} left${slot.location ? ` · ${escapeHtml(slot.location)}` : ''}</small>
+                </span>
+            </label>
+        `).join('')
+        : '<p>No other slots are open right now. Please check back later.</p>';
+    
+    elements.bookingForm.style.display = 'block';
+}
+
+async function handleBookingSubmission(event) {
+    event.preventDefault();
+    
+    const selected = elements.bookingForm.querySelector('input[name="slotId"]:checked');
+    if (!selected) {
+        showError('Please pick a slot.');
+        return;
+    }
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/interviews/booking', {
+            token: new URLSearchParams(window.location.search).get('token'),
+            slotId: selected.value
+        });
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            await loadInterviewBooking();
+        }
+    } catch (error) {
+        console.error('Booking error:', error);
+        showError(error.response?.data?.message || 'Failed to book the slot.');
+        await loadInterviewBooking();
+    } finally {
+        hideLoading();
+    }
+}
+
+// Offer page: show the offer behind the link token
+async function loadOffer() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    const greeting = document.getElementById('offerGreeting');
+    
+    if (!token) {
+        greeting.textContent = 'This link is missing its offer code. Please use the link from your email.';
+        return;
+    }
+    
+    try {
+        const response = await axios.get('/api/offers', { params: { token } });
+        if (response.data.success) {
+            renderOffer(response.data.data, params.get('response'));
+        }
+    } catch (error) {
+        console.error('Offer loading error:', error);
+        greeting.textContent = error.response?.data?.message || 'Failed to load your offer.';
+    }
+}
+
+function renderOffer(offer, intendedResponse) {
+    const seat = [offer.committee, offer.position].filter(Boolean).join(' ') || 'the Executive Board';
+    const messages = {
+        pending: `Hi ${offer.name}, you have been selected for ${seat}. Please let us know whether you accept.`,
+        accepted: `Hi ${offer.name}, you have accepted your place as ${seat}. We look forward to working with you!`,
+        declined: `Hi ${offer.name}, you have declined the offer for ${seat}. Thank you for letting us know.`,
+        expired: `Hi ${offer.name}, the offer for ${seat} has expired. Please contact the organizing team.`
+    };
+    document.getElementById('offerGreeting').textContent = messages[offer.status] || messages.pending;
+    
+    const details = document.getElementById('offerDetails');
+    details.innerHTML = offer.status === 'pending'
+        ? `<strong>Respond by:</strong> ${escapeHtml(new Date(offer.expiresAt).toLocaleString())}`
+        : `<strong>${escapeHtml(OFFER_LABELS[offer.status] || offer.status)}</strong>${offer.respondedAt ? ` on ${escapeHtml(new Date(offer.respondedAt).toLocaleString())}` : ''}`;
+    details.style.display = 'block';
+    
+    const actions = document.getElementById('offerActions');
+    actions.style.display = offer.status === 'pending' ? 'flex' : 'none';
+    
+    // The email links say which answer was picked; highlight it but still ask to confirm
+    if (intendedResponse === 'decline') {
+        elements.declineOfferBtn.focus();
+    } else if (intendedResponse === 'accept') {
+        elements.acceptOfferBtn.focus();
+    }
+}
+
+async function respondToOffer(response) {
+    if (response === 'decline' && !confirm('Decline this offer? The seat will be offered to someone else.')) return;
+    
+    try {
+        showLoading();
+        const result = await axios.post('/api/offers/respond', {
+            token: new URLSearchParams(window.location.search).get('token'),
+            response
+        });
+        if (result.data.success) {
+            showSuccess(result.data.message);
+            renderOffer(result.data.data);
+        }
+    } catch (error) {
+        console.error('Offer response error:', error);
+        showError(error.response?.data?.message || 'Failed to record your response.');
+        await loadOffer();
+    } finally {
+        hideLoading();
+    }
+}
+
+// Referee recommendation page: one form per emailed link
+async function loadRecommendationRequest() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    const greeting = document.getElementById('recommendationGreeting');
+    
+    if (!token) {
+        greeting.textContent = 'This link is missing its code. Please use the link from your email.';
+        return;
+    }
+    
+    try {
+        const response = await axios.get('/api/recommendations', { params: { token } });
+        if (response.data.success) {
+            renderRecommendationRequest(response.data.data);
+        }
+    } catch (error) {
+        console.error('Recommendation loading error:', error);
+        greeting.textContent = error.response?.data?.message || 'Failed to load the recommendation request.';
+    }
+}
+
+function renderRecommendationRequest(request) {
+    const positions = request.positions.join(', ') || 'the Executive Board';
+    document.getElementById('recommendationGreeting').textContent = request.status === 'submitted'
+        ? `Thank you, ${request.refereeName}. Your recommendation for ${request.applicantName} was received on ${new Date(request.submittedAt).toLocaleString()}.`
+        : `Hi ${request.refereeName}, ${request.applicantName} has applied to the ${request.editionName} Executive Board for ${positions} and named you as a referee. Your recommendation is only shared with the selection panel.`;
+    
+    document.getElementById('recommendationEndorsement').innerHTML = '<option value="">Select Option</option>' +
+        Object.entries(request.endorsements)
+            .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+            .join('');
+    elements.recommendationForm.style.display = request.status === 'submitted' ? 'none' : 'block';
+}
+
+async function handleRecommendationSubmission(event) {
+    event.preventDefault();
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/recommendations/submit', {
+            token: new URLSearchParams(window.location.search).get('token'),
+            relationship: document.getElementById('recommendationRelationship').value,
+            endorsement: document.getElementById('recommendationEndorsement').value,
+            recommendation: document.getElementById('recommendationText').value
+        });
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            renderRecommendationRequest(response.data.data);
+        }
+    } catch (error) {
+        console.error('Recommendation submission error:', error);
+        showError(error.response?.data?.message || 'Failed to submit your recommendation.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// "3d 4h 12m", or minutes and seconds in the last hour
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${seconds}s`;
+}
+
+// Application form: count down to the deadline and close the form, or single positions, outside the window
+async function loadApplicationWindow() {
+    try {
+        const response = await axios.get('/api/submit/window');
+        if (response.data.success) {
+            renderApplicationWindow(response.data.data);
+        }
+    } catch (error) {
+        console.error('Application window loading error:', error);
+    }
+}
+
+function renderApplicationWindow(applicationWindow) {
+    const notice = document.getElementById('applicationWindowNotice');
+    // Count down against the server clock, not the visitor's
+    const clockOffset = new Date(applicationWindow.serverTime).getTime() - Date.now();
+    const now = () => Date.now() + clockOffset;
+    
+    applicationWindow.positions.forEach(({ position, state, opensAt, closesAt }) => {
+        const checkbox = document.querySelector(`input[name="positions"][value="${position}"]`);
+        if (!checkbox) return;
+        
+        let note = null;
+        if (state === 'upcoming') {
+            note = `(opens ${new Date(opensAt).toLocaleString()})`;
+        } else if (state === 'closed') {
+            note = '(closed)';
+        } else if (closesAt && closesAt !== applicationWindow.closesAt) {
+            note = `(closes ${new Date(closesAt).toLocaleString()})`;
+        }
+        
+        if (state !== 'open') {
+            checkbox.checked = false;
+            checkbox.disabled = true;
+        }
+        if (note) {
+            const span = document.createElement('span');
+            span.className = 'position-closed-note';
+            span.textContent = note;
+            checkbox.closest('.checkbox-item').appendChild(span);
+        }
+    });
+    
+    // Always open: nothing to count down to
+    if (applicationWindow.state === 'open' && !applicationWindow.closesAt) return;
+    
+    const closeForm = (message) => {
+        notice.textContent = message;
+        notice.classList.add('closed');
+        elements.form.style.display = 'none';
+    };
+    
+    const update = () => {
+        if (applicationWindow.state === 'closed') {
+            closeForm('Applications are closed. Thank you for your interest in Kumaraguru MUN.');
+            return false;
+        }
+        
+        if (applicationWindow.state === 'upcoming') {
+            const remaining = new Date(applicationWindow.opensAt).getTime() - now();
+            if (remaining <= 0) {
+                window.location.reload();
+                return false;
+            }
+            closeForm(`Applications open in ${formatCountdown(remaining)} (${new Date(applicationWindow.opensAt).toLocaleString()}).`);
+            return true;
+        }
+        
+        const remaining = new Date(applicationWindow.closesAt).getTime() - now();
+        if (remaining <= 0) {
+            closeForm('Applications are now closed. Thank you for your interest in Kumaraguru MUN.');
+            return false;
+        }
+        notice.textContent = `Applications close in ${formatCountdown(remaining)} (${new Date(applicationWindow.closesAt).toLocaleString()}).`;
+        return true;
+    };
+    
+    notice.style.display = 'block';
+    if (update()) {
+        const timer = setInterval(() => {
+            if (!update()) clearInterval(timer);
+        }, 1000);
+    }
+}
+
+// Convert an ISO time to a datetime-local input value in the admin's timezone
+function toDateTimeLocalValue(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function fromDateTimeLocalValue(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// Admin dashboard: application window summary and editor
+async function loadApplicationWindowSettings() {
+    try {
+        const response = await axios.get('/api/admin/application-window');
+        if (response.data.success) {
+            renderApplicationWindowSettings(response.data.data);
+        }
+    } catch (error) {
+        console.error('Application window loading error:', error);
+    }
+}
+
+function renderApplicationWindowSettings({ settings, current }) {
+    const stateLabels = { upcoming: 'Not open yet', open: 'Open', closed: 'Closed' };
+    const formatTime = value => (value ? new Date(value).toLocaleString() : 'no limit');
+    
+    document.getElementById('applicationWindowSummary').innerHTML = `
+        <strong>${stateLabels[current.state]}</strong>
+        · Opens: ${escapeHtml(formatTime(settings.opensAt))}
+        · Closes: ${escapeHtml(formatTime(settings.closesAt))}
+        · Edits until: ${escapeHtml(formatTime(settings.editDeadline))}
+        ${current.positions
+            .filter(p => settings.positions[p.position])
+            .map(p => `<br><small>${escapeHtml(p.position)}: ${stateLabels[p.state]} · ${escapeHtml(formatTime(p.opensAt))} to ${escapeHtml(formatTime(p.closesAt))}</small>`)
+            .join('')}
+    `;
+    
+    if (!elements.applicationWindowForm) return;
+    
+    document.getElementById('windowOpensAt').value = toDateTimeLocalValue(settings.opensAt);
+    document.getElementById('windowClosesAt').value = toDateTimeLocalValue(settings.closesAt);
+    document.getElementById('windowEditDeadline').value = toDateTimeLocalValue(settings.editDeadline);
+    document.querySelector('#windowPositionsTable tbody').innerHTML = current.positions.map(({ position }) => {
+        const override = settings.positions[position] || {};
+        return `
+            <tr>
+                <td>${escapeHtml(position)}</td>
+                <td><input type="datetime-local" data-position="${escapeHtml(position)}" data-bound="opensAt" value="${toDateTimeLocalValue(override.opensAt)}"></td>
+                <td><input type="datetime-local" data-position="${escapeHtml(position)}" data-bound="closesAt" value="${toDateTimeLocalValue(override.closesAt)}"></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function handleApplicationWindowSubmission(event) {
+    event.preventDefault();
+    
+    const positions = {};
+    document.querySelectorAll('#windowPositionsTable input').forEach(input => {
+        positions[input.dataset.position] = positions[input.dataset.position] || {};
+        positions[input.dataset.position][input.dataset.bound] = fromDateTimeLocalValue(input.value);
+    });
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/application-window', {
+            opensAt: fromDateTimeLocalValue(document.getElementById('windowOpensAt').value),
+            closesAt: fromDateTimeLocalValue(document.getElementById('windowClosesAt').value),
+            positions,
+            editDeadline: fromDateTimeLocalValue(document.getElementById('windowEditDeadline').value)
+        });
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            renderApplicationWindowSettings(response.data.data);
+        }
+    } catch (error) {
+        console.error('Application window update error:', error);
+        showError(error.response?.data?.message || 'Failed to update the application window.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Blind review state for the edition, from the registrations list or the settings endpoints
+function renderReviewState(review) {
+    reviewState = review || reviewState;
+    
+    const notice = document.getElementById('blindReviewNotice');
+    if (notice) notice.style.display = reviewState.blinded ? 'block' : 'none';
+    
+    const summary = document.getElementById('reviewSummary');
+    if (!summary) return;
+    
+    const formatTime = value => (value ? new Date(value).toLocaleString() : '');
+    summary.innerHTML = `
+        <strong>${reviewState.blindReview ? 'Blind review on' : 'Blind review off'}</strong>
+        · Scoring: ${reviewState.scoringClosed ? `closed ${escapeHtml(formatTime(reviewState.scoringClosedAt))}` : 'open'}
+        ${reviewState.identitiesRevealed ? `· Identities revealed ${escapeHtml(formatTime(reviewState.identitiesRevealedAt))}` : ''}
+    `;
+    
+    document.getElementById('blindReviewToggle').checked = reviewState.blindReview;
+    document.getElementById('toggleScoringBtn').innerHTML = reviewState.scoringClosed
+        ? '<i class="fas fa-lock-open"></i> Reopen Scoring'
+        : '<i class="fas fa-lock"></i> Close Scoring';
+    document.getElementById('revealIdentitiesBtn').disabled =
+        !reviewState.blindReview || !reviewState.scoringClosed || reviewState.identitiesRevealed;
+}
+
+async function updateReviewSettings(changes) {
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/review-settings', changes);
+        if (response.data.success) {
+            renderReviewState(response.data.data);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Review settings update error:', error);
+        showError(error.response?.data?.message || 'Failed to update review settings.');
+        renderReviewState(reviewState);
+    } finally {
+        hideLoading();
+    }
+}
+
+function handleBlindReviewToggle(event) {
+    updateReviewSettings({ blindReview: event.target.checked });
+}
+
+function toggleScoring() {
+    if (reviewState.scoringClosed) {
+        if (reviewState.identitiesRevealed && !confirm('Reopening scoring hides applicant identities from reviewers again. Continue?')) return;
+        updateReviewSettings({ scoringClosed: false });
+    } else {
+        if (!confirm('Close scoring? Reviewers will no longer be able to submit or change scores.')) return;
+        updateReviewSettings({ scoringClosed: true });
+    }
+}
+
+async function revealIdentities() {
+    if (!confirm('Reveal applicant identities to every reviewer and committee head?')) return;
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/review-settings/reveal');
+        if (response.data.success) {
+            renderReviewState(response.data.data);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Identity reveal error:', error);
+        showError(error.response?.data?.message || 'Failed to reveal identities.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Push the overall closing time back a day, counting from now if it has already passed
+async function extendApplicationWindow() {
+    const closesInput = document.getElementById('windowClosesAt');
+    if (!closesInput.value) {
+        showError('Applications have no closing time to extend.');
+        return;
+    }
+    
+    const from = Math.max(new Date(closesInput.value).getTime(), Date.now());
+    closesInput.value = toDateTimeLocalValue(new Date(from + 24 * 60 * 60 * 1000).toISOString());
+    elements.applicationWindowForm.requestSubmit();
+}
+
+// Dashboard filters and pickers that list committees or positions
+function renderConferenceOptions(config) {
+    const fill = (select, placeholder, options) => {
+        if (!select) return;
+        select.innerHTML = placeholder + options
+            .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+            .join('');
+    };
+    const committees = config.committees.map(committee => committee.code);
+    
+    fill(elements.committeeFilter, '<option value="">All Committees</option>', committees.map(code => [code, code]));
+    fill(elements.positionFilter, '<option value="">All Positions</option>', config.positions.map(position => [position, position]));
+    fill(document.getElementById('slotCommittee'), '', committees.map(code => [code, code]));
+    fill(document.getElementById('recipients'), '<option value="all">All Registrants</option>',
+        committees.map(code => [code, `${code} Applicants`]));
+}
+
+function addConferenceCommitteeRow(committee = {}) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" data-field="code" value="${escapeHtml(committee.code)}" placeholder="UNSC" required></td>
+        <td><input type="text" data-field="name" value="${escapeHtml(committee.name)}" placeholder="United Nations Security Council" required></td>
+        <td><input type="text" data-field="description" value="${escapeHtml(committee.description)}"></td>
+        <td><input type="text" data-field="icon" value="${escapeHtml(committee.icon)}" placeholder="fa-users"></td>
+        <td>
+            <button type="button" class="btn btn-outline" onclick="this.closest('tr').remove()" title="Remove committee">
+                <i class="fas fa-trash"></i>
+            </button>
+        </td>
+    `;
+    document.querySelector('#conferenceCommitteesTable tbody').appendChild(row);
+}
+
+function renderConferenceSettings(config) {
+    document.querySelector('#conferenceCommitteesTable tbody').innerHTML = '';
+    config.committees.forEach(addConferenceCommitteeRow);
+    document.getElementById('conferencePositions').value = config.positions.join(', ');
+    document.getElementById('conferenceYears').value = config.years.map(year => `${year.value}=${year.label}`).join(', ');
+}
+
+async function handleConferenceSubmission(event) {
+    event.preventDefault();
+    
+    const committees = Array.from(document.querySelectorAll('#conferenceCommitteesTable tbody tr')).map(row => {
+        const committee = {};
+        row.querySelectorAll('input').forEach(input => {
+            committee[input.dataset.field] = input.value.trim();
+        });
+        return committee;
+    });
+    const positions = document.getElementById('conferencePositions').value
+        .split(',').map(position => position.trim()).filter(Boolean);
+    const years = document.getElementById('conferenceYears').value
+        .split(',').map(entry => entry.trim()).filter(Boolean)
+        .map(entry => {
+            const [value, ...label] = entry.split('=');
+            return { value: value.trim(), label: (label.join('=') || value).trim() };
+        });
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/conference', { committees, positions, years });
+        if (response.data.success) {
+            conferenceConfig = response.data.data;
+            renderConferenceSettings(conferenceConfig);
+            renderConferenceOptions(conferenceConfig);
+            // Questions are attached to the configured committees and positions
+            if (elements.questionsForm) {
+                renderQuestionSettings(applicationQuestions);
+            }
+            showSuccess(response.data.message);
+            // Position times are listed per configured position
+            await loadApplicationWindowSettings();
+        }
+    } catch (error) {
+        console.error('Conference configuration update error:', error);
+        showError(error.response?.data?.message || 'Failed to update the conference configuration.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Question editor: one row per question, attached to a committee or a position
+function addQuestionRow(question = {}) {
+    const target = question.committee ? `committee:${question.committee}` : question.position ? `position:${question.position}` : '';
+    const targetOption = (value, label) => `<option value="${escapeHtml(value)}" ${value === target ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    const types = { short_text: 'Short text', long_text: 'Long text', choice: 'Choice', url: 'Link' };
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" data-field="key" value="${escapeHtml(question.key)}" placeholder="unsc_agenda" required></td>
+        <td><input type="text" data-field="label" value="${escapeHtml(question.label)}" placeholder="Outline your research on the agenda" required></td>
+        <td>
+            <select data-field="type">
+                ${Object.entries(types).map(([value, label]) => `<option value="${value}" ${value === question.type ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        </td>
+        <td>
+            <select data-field="target" required>
+                <option value="">Select</option>
+                <optgroup label="Committees">
+                    ${conferenceConfig.committees.map(committee => targetOption(`committee:${committee.code}`, committee.code)).join('')}
+                </optgroup>
+                <optgroup label="Positions">
+                    ${conferenceConfig.positions.map(position => targetOption(`position:${position}`, position)).join('')}
+                </optgroup>
+            </select>
+        </td>
+        <td><input type="text" data-field="options" value="${escapeHtml((question.options || []).join(', '))}" placeholder="Choice questions only"></td>
+        <td><input type="checkbox" data-field="required" ${question.required ? 'checked' : ''}></td>
+        <td>
+            <button type="button" class="btn btn-outline" onclick="this.closest('tr').remove()" title="Remove question">
+                <i class="fas fa-trash"></i>
+            </button>
+        </td>
+    `;
+    document.querySelector('#questionsTable tbody').appendChild(row);
+}
+
+function renderQuestionSettings(questions) {
+    document.querySelector('#questionsTable tbody').innerHTML = '';
+    questions.forEach(addQuestionRow);
+}
+
+async function handleQuestionsSubmission(event) {
+    event.preventDefault();
+    
+    const questions = Array.from(document.querySelectorAll('#questionsTable tbody tr')).map(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        const [targetType, ...targetValue] = field('target').value.split(':');
+        const question = {
+            key: field('key').value.trim(),
+            label: field('label').value.trim(),
+            type: field('type').value,
+            required: field('required').checked,
+            [targetType]: targetValue.join(':')
+        };
+        if (question.type === 'choice') {
+            question.options = field('options').value.split(',').map(option => option.trim()).filter(Boolean);
+        }
+        return question;
+    });
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/questions', { questions });
+        if (response.data.success) {
+            applicationQuestions = response.data.data;
+            renderQuestionSettings(applicationQuestions);
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Application questions update error:', error);
+        showError(error.response?.data?.message || 'Failed to update the application questions.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Editions: the dashboard shows one edition at a time, picked in the header switcher
+async function loadEditions() {
+    const response = await axios.get('/api/admin/editions');
+    editionSummary = response.data.data;
+    
+    const stored = localStorage.getItem(EDITION_STORAGE_KEY);
+    dashboardEdition = editionSummary.editions.find(edition => edition.id === stored) ||
+        editionSummary.editions.find(edition => edition.id === editionSummary.currentEditionId);
+    axios.defaults.headers.common['X-Edition'] = dashboardEdition.id;
+    
+    elements.editionSelect.innerHTML = editionSummary.editions.map(edition => `
+        <option value="${escapeHtml(edition.id)}" ${edition.id === dashboardEdition.id ? 'selected' : ''}>
+            ${escapeHtml(edition.name)}${edition.id === editionSummary.currentEditionId ? ' (current)' : ''}
+        </option>
+    `).join('');
+    
+    document.getElementById('editionNotice').textContent = dashboardEdition.id === editionSummary.currentEditionId
+        ? `Showing ${dashboardEdition.name}, the edition taking applications.`
+        : `Showing ${dashboardEdition.name}. New applications go to ${editionName(editionSummary.currentEditionId)}.`;
+}
+
+function editionName(editionId) {
+    const edition = editionSummary.editions.find(item => item.id === editionId);
+    return edition ? edition.name : editionId;
+}
+
+// Switching editions reloads the dashboard so every tab follows the new edition
+function handleEditionChange(event) {
+    localStorage.setItem(EDITION_STORAGE_KEY, event.target.value);
+    window.location.reload();
+}
+
+function renderEditionSettings() {
+    document.querySelector('#editionsTable tbody').innerHTML = editionSummary.editions.map(edition => {
+        const isCurrent = edition.id === editionSummary.currentEditionId;
+        return `
+            <tr>
+                <td>${escapeHtml(edition.id)}</td>
+                <td>${escapeHtml(edition.name)}</td>
+                <td>${escapeHtml(edition.year)}</td>
+                <td>${isCurrent ? '<span class="badge badge-info">Taking applications</span>' : ''}</td>
+                <td>
+                    ${isCurrent ? '' : `<button type="button" class="btn btn-outline" onclick="activateEdition('${escapeHtml(edition.id)}')">
+                        <i class="fas fa-flag"></i>
+                        Take Applications
+                    </button>`}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function handleEditionSubmission(event) {
+    event.preventDefault();
+    
+    const edition = {
+        id: document.getElementById('editionId').value.trim(),
+        name: document.getElementById('editionName').value.trim(),
+        year: Number(document.getElementById('editionYear').value)
+    };
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/admin/editions', edition);
+        if (response.data.success) {
+            elements.editionForm.reset();
+            await loadEditions();
+            renderEditionSettings();
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Create edition error:', error);
+        showError(error.response?.data?.message || 'Failed to create the edition.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// File new applications under another edition
+async function activateEdition(editionId) {
+    if (!confirm(`File new applications under ${editionName(editionId)}? The application form and applicant portal switch to its committees and window.`)) return;
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/admin/editions/current', { editionId });
+        if (response.data.success) {
+            await loadEditions();
+            renderEditionSettings();
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Switch edition error:', error);
+        showError(error.response?.data?.message || 'Failed to switch the current edition.');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Applicant portal: sign in with the emailed link, then view and edit the application
+async function loadPortal() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    
+    if (token) {
+        // The link only works once, so keep it out of the address bar and history
+        window.history.replaceState({}, '', '/portal');
+        try {
+            await axios.post('/api/portal/session', { token });
+        } catch (error) {
+            console.error('Portal sign-in error:', error);
+            showError(error.response?.data?.message || 'Failed to sign in.');
+        }
+    }
+    
+    try {
+        const [application, config] = await Promise.all([
+            axios.get('/api/portal/me'),
+            loadConferenceConfig()
+        ]);
+        renderPortal(application.data.data, config);
+    } catch (error) {
+        if (error.response?.status !== 401) {
+            console.error('Portal loading error:', error);
+            showError(error.response?.data?.message || 'Failed to load your application.');
+        }
+        document.getElementById('portalApplication').style.display = 'none';
+        document.getElementById('portalSignIn').style.display = 'block';
+        elements.portalLogoutBtn.style.display = 'none';
+    }
+}
+
+
+function renderPortal(application, config) {
+    document.getElementById('portalGreeting').textContent = `Hi ${application.name}`;
+    document.getElementById('portalSummary').textContent = `Submitted on ${new Date(application.submittedAt).toLocaleString()}` +
+        (application.updatedAt ? ` · Last updated ${formatTimestamp(application.updatedAt)}` : '');
+    
+    document.getElementById('portalStatus').innerHTML = `
+        <strong>Application status:</strong>
+        <span class="badge status-badge status-${application.status}">${escapeHtml(application.statusLabel)}</span>
+    `;
+    
+    document.getElementById('portalDocuments').innerHTML = application.documents.map(doc => `
+        <li>
+            <i class="fas fa-file-pdf"></i>
+            ${doc.url
+                ? `<a href="${escapeHtml(doc.url)}" target="_blank" rel="noopener">${escapeHtml(doc.label)}</a>`
+                : `${escapeHtml(doc.label)} <small>(not uploaded)</small>`}
+        </li>
+    `).join('');
+    
+    const referees = document.getElementById('portalReferees');
+    referees.closest('.form-section').style.display = application.referees.length > 0 ? 'block' : 'none';
+    referees.innerHTML = application.referees.map(referee => `
+        <li>
+            <i class="fas fa-user-check"></i>
+            ${escapeHtml(referee.name)} <small>(${escapeHtml(referee.organization)})</small>
+            <span class="badge ${referee.status === 'submitted' ? 'badge-info' : 'badge-warning'}">${referee.status === 'submitted' ? 'Received' : 'Awaiting reply'}</span>
+        </li>
+    `).join('');
+    
+    const deadline = application.editDeadline ? new Date(application.editDeadline).toLocaleString() : null;
+    document.getElementById('portalDeadline').textContent = application.editable
+        ? (deadline ? `You can edit your application until ${deadline}.` : 'You can edit your application below.')
+        : `Editing closed${deadline ? ` on ${deadline}` : ''}. Contact the organizing team if something needs to change.`;
+    
+    const form = elements.portalForm;
+    ['name', 'phone', 'college', 'department', 'munsParticipated', 'munsWithAwards', 'organizingExperience', 'munsChaired']
+        .forEach(field => {
+            form.elements[field].value = application[field] ?? '';
+        });
+    document.getElementById('portalEmailDisplay').value = application.email;
+    
+    renderYearOptions(form.elements.year, config.years);
+    form.elements.year.value = application.year || '';
+    
+    renderPreferenceOptions(document.getElementById('portalCommittees'), 'committees', committeeOptions(config), application.committees);
+    renderPreferenceOptions(document.getElementById('portalPositions'), 'positions', positionOptions(config), application.positions);
+    initializeApplicationQuestions(document.getElementById('portalQuestions'), application.answers);
+    initializeRefereeFields(document.getElementById('portalRefereeFields'), config.referees, {
+        onFile: application.referees.length > 0,
+        applied: application.positions
+    });
+    
+    form.querySelectorAll('input, select, textarea, button').forEach(control => {
+        if (control.id !== 'portalEmailDisplay') control.disabled = !application.editable;
+    });
+    form.querySelector('.form-actions').style.display = application.editable ? 'flex' : 'none';
+    
+    document.getElementById('portalSignIn').style.display = 'none';
+    document.getElementById('portalApplication').style.display = 'block';
+    elements.portalLogoutBtn.style.display = 'inline-flex';
+}
+
+async function handlePortalSignIn(event) {
+    event.preventDefault();
+    
+    try {
+        showLoading();
+        const response = await axios.post('/api/portal/request-link', {
+            email: document.getElementById('portalEmail').value
+        });
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            elements.portalSignInForm.reset();
+        }
+    } catch (error) {
+        console.error('Portal link request error:', error);
+        showError(error.response?.data?.message || 'Failed to send the sign-in link.');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function handlePortalUpdate(event) {
+    event.preventDefault();
+    
+    const formData = new FormData(elements.portalForm);
+    const committees = formData.getAll('committees');
+    const positions = formData.getAll('positions');
+    
+    if (committees.length === 0 || positions.length === 0) {
+        showError('Please select at least one committee and one position preference.');
+        return;
+    }
+    formData.set('committees', JSON.stringify(committees));
+    formData.set('positions', JSON.stringify(positions));
+    formData.set('answers', JSON.stringify(collectAnswers(document.getElementById('portalQuestions'))));
+    formData.set('referees', JSON.stringify(collectReferees(document.getElementById('portalRefereeFields'))));
+    
+    try {
+        showLoading();
+        const response = await axios.put('/api/portal/me', formData, {
+            headers: {
+                'Content-Type': 'multipart/form-data'
+            }
+        });
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            elements.portalForm.querySelectorAll('input[type="file"]').forEach(input => {
+                input.value = '';
+                updateFileDisplay(input, input.parentElement.querySelector('.file-input-display span'));
+            });
+            await loadPortal();
+        }
+    } catch (error) {
+        console.error('Portal update error:', error);
+        showError(error.response?.data?.message || 'Failed to update your application.');
+        if (error.response?.status === 401 || error.response?.status === 403) {
+            await loadPortal();
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+async function handlePortalLogout() {
+    try {
+        await axios.post('/api/portal/logout');
+    } catch (error) {
+        console.error('Portal logout error:', error);
+    } finally {
+        window.location.href = '/portal';
+    }
+}
+
+// The table's filters and sort as query parameters; the server filters, sorts and pages
+function registrationQueryParams() {
+    const params = {
+        search: elements.searchInput?.value.trim() || undefined,
+        committee: elements.committeeFilter?.value || undefined,
+        position: elements.positionFilter?.value || undefined,
+        tag: elements.tagFilter?.value || undefined,
+        status: elements.statusFilter?.value || undefined,
+        flagged: elements.duplicatesFilter?.checked ? 'true' : undefined,
+        returning: elements.returningFilter?.checked ? 'true' : undefined,
+        // Applicants still to score, leaving out conflicts of interest
+        toScore: elements.toScoreFilter?.checked ? 'true' : undefined
+    };
     
-    if (positionFilter) {
-        filteredRegistrations = filteredRegistrations.filter(reg => 
-            Array.isArray(reg.positions) && reg.positions.includes(positionFilter)
-        );
+    if (registrationSort.field) {
+        params.sortBy = registrationSort.field;
+        params.sortOrder = registrationSort.order;
+    }
+    
+    return params;
+}
+
+// Load one page of the registrations table
+async function loadRegistrationsPage() {
+    const response = await axios.get('/api/admin/registrations', {
+        params: { ...registrationQueryParams(), cursor: registrationPager.cursor || undefined }
+    });
+    if (!response.data.success) return;
+    
+    currentRegistrations = response.data.data;
+    currentRubric = response.data.rubric || [];
+    registrationPager.next = response.data.pagination.nextCursor;
+    renderReviewState(response.data.review);
+    updateRegistrationsTable(currentRegistrations);
+    updateRegistrationsPager();
+}
+
+function updateRegistrationsPager() {
+    const pageNumber = registrationPager.previous.length + 1;
+    document.getElementById('registrationsPageInfo').textContent = `Page ${pageNumber}`;
+    elements.prevPageBtn.disabled = pageNumber === 1;
+    elements.nextPageBtn.disabled = !registrationPager.next;
+}
+
+async function changeRegistrationsPage(step) {
+    const pager = registrationPager;
+    if (step > 0 && !pager.next) return;
+    if (step < 0 && pager.previous.length === 0) return;
+    
+    registrationPager = step > 0
+        ? { cursor: pager.next, previous: [...pager.previous, pager.cursor], next: null }
+        : { cursor: pager.previous[pager.previous.length - 1], previous: pager.previous.slice(0, -1), next: null };
+    
+    try {
+        showLoading();
+        await loadRegistrationsPage();
+    } catch (error) {
+        console.error('Registrations page error:', error);
+        registrationPager = pager;
+        showError(error.response?.data?.message || 'Failed to load registrations.');
+    } finally {
+        hideLoading();
     }
+}
+
+// Filters or sort changed: start again from the first page
+async function handleFilter() {
+    registrationPager = { cursor: null, previous: [], next: null };
     
-    updateRegistrationsTable(filteredRegistrations);
+    try {
+        await loadRegistrationsPage();
+    } catch (error) {
+        console.error('Filter registrations error:', error);
+        showError(error.response?.data?.message || 'Failed to load registrations.');
+    }
 }
 
 // Handle mailer tab change
@@ -626,7 +3660,7 @@ function showEmailPreviewModal(subject, message, recipients) {
     const emailHtml = `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <div style="background: linear-gradient(135deg, #172d9d 0%, #797dfa 100%); color: white; padding: 30px; text-align: center;">
-                <h1 style="margin: 0; font-size: 28px;">KMUN'25</h1>
+                <h1 style="margin: 0; font-size: 28px;">${escapeHtml(dashboardEdition.name)}</h1>
                 <p style="margin: 10px 0 0 0; font-size: 16px;">Executive Board Recruitment</p>
             </div>
             <div style="padding: 30px; background: #ffffff;">
@@ -701,39 +3735,32 @@ async function sendEmailFromPreview() {
     }
 }
 
-// Export to Excel
-function exportToExcel() {
-    if (currentRegistrations.length === 0) {
-        showError('No data to export.');
-        return;
-    }
-    
+// Export to Excel: every registration matching the table's filters, not just the page shown
+async function exportToExcel() {
     try {
-    const worksheet = XLSX.utils.json_to_sheet(currentRegistrations.map(reg => ({
-            Name: reg.name || 'N/A',
-            Email: reg.email || 'N/A',
-            Phone: reg.phone || 'N/A',
-            College: reg.college || 'N/A',
-            Department: reg.department || 'N/A',
-            Year: reg.year || 'N/A',
-            'MUNs Participated': reg.munsParticipated || 'N/A',
-            'MUNs with Awards': reg.munsWithAwards || 'N/A',
-            'Organizing Experience': reg.organizingExperience || 'N/A',
-            'MUNs Chaired': reg.munsChaired || 'N/A',
-            Committees: Array.isArray(reg.committees) ? reg.committees.join(', ') : 'N/A',
-            Positions: Array.isArray(reg.positions) ? reg.positions.join(', ') : 'N/A',
-            'Submitted At': reg.submittedAt ? new Date(reg.submittedAt).toLocaleString() : 'N/A'
-    })));
-    
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Registrations');
-    
-        XLSX.writeFile(workbook, `Kumaraguru_MUN_Registrations_${new Date().toISOString().split('T')[0]}.xlsx`);
+        showLoading();
+        const response = await axios.get('/api/admin/export', {
+            params: { ...registrationQueryParams(), format: 'json' }
+        });
+        const rows = response.data.data || [];
+        
+        if (rows.length === 0) {
+            showError('No data to export.');
+            return;
+        }
+        
+        const worksheet = XLSX.utils.json_to_sheet(rows);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, 'Registrations');
+        
+        XLSX.writeFile(workbook, `Kumaraguru_MUN_${dashboardEdition.id}_Registrations_${new Date().toISOString().split('T')[0]}.xlsx`);
         
         showSuccess('Data exported successfully!');
     } catch (error) {
         console.error('Export error:', error);
-        showError('Failed to export data.');
+        showError(error.response?.data?.message || 'Failed to export data.');
+    } finally {
+        hideLoading();
     }
 }
 
@@ -819,6 +3846,23 @@ async function handleMailerSubmission(event) {
 }
 
 // Utility functions
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Local time for a stored timestamp: an ISO string, or a Firestore timestamp
+// ({ seconds, nanoseconds }) from a server that does not convert them
+function formatTimestamp(value) {
+    if (!value) return '';
+    const date = typeof value === 'object' && 'seconds' in value ? new Date(value.seconds * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
 function showLoading() {
     elements.loadingOverlay.style.display = 'flex';
 }
@@ -881,17 +3925,285 @@ function showError(message) {
 
 
 
-// Admin functions (placeholder implementations)
-function viewRegistration(id) {
-    showSuccess(`Viewing registration ${id}`);
+// Uploaded documents shown in the registration drawer
+const REGISTRATION_DOCUMENTS = {
+    idCardUrl: 'ID Card',
+    munCertificatesUrl: 'MUN Certificates',
+    chairingResumeUrl: 'Chairing/Organizing Resume'
+};
+
+// Re-fetch the page of the registrations table shown, after a change elsewhere
+async function reloadRegistrations() {
+    await loadRegistrationsPage();
+}
+
+// Registration drawer: every field, the uploaded PDFs and an edit form
+async function viewRegistration(id, { edit = false } = {}) {
+    const drawer = document.getElementById('registrationDrawer');
+    if (!drawer) return;
+    
+    try {
+        showLoading();
+        const response = await axios.get(`/api/admin/registrations/${id}`);
+        // The table row carries the summaries the detail route does not compute
+        const registration = {
+            ...currentRegistrations.find(reg => reg.id === id),
+            ...response.data.data
+        };
+        
+        drawer.dataset.registrationId = id;
+        document.getElementById('drawerTitle').textContent = displayName(registration);
+        document.getElementById('registrationDetails').innerHTML = renderRegistrationDetails(registration);
+        document.getElementById('deleteRegistrationBtn').style.display = adminCan('deleteRegistrations') ? '' : 'none';
+        fillRegistrationEditForm(registration);
+        showRegistrationEditForm(edit);
+        drawer.style.display = 'flex';
+    } catch (error) {
+        console.error('Load registration error:', error);
+        showError(error.response?.data?.message || 'Failed to load the registration.');
+    } finally {
+        hideLoading();
+    }
 }
 
 function editRegistration(id) {
-    showSuccess(`Editing registration ${id}`);
+    viewRegistration(id, { edit: true });
+}
+
+function hideRegistrationDrawer() {
+    const drawer = document.getElementById('registrationDrawer');
+    if (!drawer) return;
+    
+    drawer.style.display = 'none';
+    // Drop the document viewers so their signed links are not reused
+    document.getElementById('registrationDetails').innerHTML = '';
+}
+
+function renderRegistrationDetails(reg) {
+    const field = (label, value) => `<dt>${escapeHtml(label)}</dt><dd>${value === null || value === undefined || value === '' ? 'N/A' : value}</dd>`;
+    const text = value => (value === null || value === undefined ? '' : escapeHtml(value));
+    const hidden = value => (reg.identityHidden ? '<em>Hidden</em>' : text(value));
+    const yearLabel = (conferenceConfig?.years || []).find(year => String(year.value) === String(reg.year))?.label || reg.year;
+    const answers = reg.answers || {};
+    const score = reg.scoreSummary && reg.scoreSummary.normalizedScore !== null
+        ? `${reg.scoreSummary.normalizedScore}% from ${reg.scoreSummary.reviewerCount} reviewer${reg.scoreSummary.reviewerCount === 1 ? '' : 's'}`
+        : 'Not scored';
+    
+    const history = Array.isArray(reg.statusHistory) && reg.statusHistory.length > 0
+        ? `<ol class="status-history">${reg.statusHistory.map(entry => `
+            <li>
+                ${escapeHtml(STATUS_LABELS[entry.to] || entry.to)}
+                <small>${new Date(entry.at).toLocaleString()}${entry.by ? ` by ${escapeHtml(entry.by)}` : ''}</small>
+                ${entry.note ? `<br><em>${escapeHtml(entry.note)}</em>` : ''}
+            </li>`).join('')}</ol>`
+        : '';
+    
+    const documents = reg.identityHidden
+        ? '<p class="window-hint">Documents are hidden during blind review.</p>'
+        : Object.entries(REGISTRATION_DOCUMENTS).map(([documentField, label]) => `
+            <div class="document-viewer">
+                <div class="document-viewer-header">
+                    <strong>${label}</strong>
+                    ${reg[documentField]
+                        ? `<button type="button" class="btn btn-outline" onclick="showRegistrationDocument('${reg.id}', '${documentField}', this)">
+                                <i class="fas fa-file-pdf"></i> Show
+                            </button>`
+                        : '<span class="window-hint">Not uploaded</span>'}
+                </div>
+            </div>`).join('');
+    
+    return `
+        <div class="drawer-badges">
+            <span class="badge status-badge status-${reg.status}">${STATUS_LABELS[reg.status] || reg.status}</span>
+            ${formatDuplicateBadge(reg.possibleDuplicates)}${formatReturningBadge(reg.previousApplications)}${formatConflictBadge(reg.conflict)}${formatTagChips(reg)}
+        </div>
+        <h4 class="section-title">Applicant</h4>
+        <dl class="answers-list drawer-fields">
+            ${field('Candidate Code', text(reg.candidateCode))}
+            ${field('Name', hidden(reg.name))}
+            ${field('Email', hidden(reg.email))}
+            ${field('Phone', hidden(reg.phone))}
+            ${field('College', hidden(reg.college))}
+            ${field('Department', text(reg.department))}
+            ${field('Year', text(yearLabel))}
+            ${field('Edition', text(editionName(reg.edition)))}
+            ${field('Submitted', formatTimestamp(reg.submittedAt))}
+            ${field('Last Updated', formatTimestamp(reg.updatedAt))}
+        </dl>
+        <h4 class="section-title">Experience</h4>
+        <dl class="answers-list drawer-fields">
+            ${field('MUNs Participated', text(reg.munsParticipated))}
+            ${field('MUNs with Awards', text(reg.munsWithAwards))}
+            ${field('MUNs Chaired', text(reg.munsChaired))}
+            ${field('Organizing Team Member Before', reg.organizingExperience ? (reg.organizingExperience === 'yes' ? 'Yes' : 'No') : '')}
+        </dl>
+        <h4 class="section-title">Preferences</h4>
+        <dl class="answers-list drawer-fields">
+            ${field('Committees', formatRankedPreferences(reg.committees))}
+            ${field('Positions', formatRankedPreferences(reg.positions))}
+            ${field('Allocated Seat', reg.allocatedCommittee ? escapeHtml(`${reg.allocatedPosition}, ${reg.allocatedCommittee}`) : '')}
+        </dl>
+        ${Object.keys(answers).length > 0 ? `
+        <h4 class="section-title">Answers</h4>
+        <dl class="answers-list">
+            ${Object.entries(answers).map(([key, value]) => field(
+                applicationQuestions.find(question => question.key === key)?.label || key,
+                text(value)
+            )).join('')}
+        </dl>` : ''}
+        <h4 class="section-title">Review</h4>
+        <dl class="answers-list drawer-fields">
+            ${field('Score', score)}
+            ${field('Offer', formatOfferSummary(reg))}
+            ${field('Comments', String(reg.commentCount || 0))}
+        </dl>
+        ${history ? `<h4 class="section-title">Status History</h4>${history}` : ''}
+        <h4 class="section-title">Documents</h4>
+        ${documents}
+    `;
+}
+
+// Embed one uploaded PDF through a short-lived signed link
+async function showRegistrationDocument(id, documentField, button) {
+    const viewer = button.closest('.document-viewer');
+    
+    try {
+        button.disabled = true;
+        const response = await axios.get(`/api/admin/registrations/${id}/files/${documentField}`);
+        const url = response.data.data.url;
+        
+        viewer.querySelector('iframe')?.remove();
+        viewer.insertAdjacentHTML('beforeend', `
+            <iframe src="${escapeHtml(url)}" title="${escapeHtml(REGISTRATION_DOCUMENTS[documentField])}" class="pdf-frame"></iframe>
+            <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="window-hint">Open in a new tab</a>
+        `);
+        button.style.display = 'none';
+    } catch (error) {
+        console.error('Load document error:', error);
+        showError(error.response?.data?.message || 'Failed to load the document.');
+        button.disabled = false;
+    }
+}
+
+function showRegistrationEditForm(editing) {
+    document.getElementById('registrationDetails').style.display = editing ? 'none' : 'block';
+    document.getElementById('drawerActions').style.display = editing ? 'none' : 'flex';
+    document.getElementById('registrationEditForm').style.display = editing ? 'block' : 'none';
+    showRegistrationEditError(null);
+}
+
+function fillRegistrationEditForm(reg) {
+    const form = document.getElementById('registrationEditForm');
+    
+    // Blinded admins cannot see or change identifying details
+    form.querySelectorAll('.identity-field').forEach(group => {
+        group.style.display = reg.identityHidden ? 'none' : '';
+        group.querySelector('input').disabled = Boolean(reg.identityHidden);
+    });
+    ['name', 'email', 'phone', 'college', 'department', 'munsParticipated', 'munsWithAwards', 'munsChaired', 'organizingExperience']
+        .forEach(field => {
+            form.elements[field].value = reg[field] ?? '';
+        });
+    
+    renderYearOptions(form.elements.year, conferenceConfig?.years || []);
+    form.elements.year.value = reg.year ?? '';
+    
+    renderPreferenceOptions(document.getElementById('editCommittees'), 'committees', committeeOptions(conferenceConfig), reg.committees);
+    renderPreferenceOptions(document.getElementById('editPositions'), 'positions', positionOptions(conferenceConfig), reg.positions);
+    questionAnswers = { ...(reg.answers || {}) };
+    renderEditQuestions();
+}
+
+// The edition's questions for the preferences ticked in the edit form
+function renderEditQuestions() {
+    const form = document.getElementById('registrationEditForm');
+    const container = document.getElementById('editQuestions');
+    Object.assign(questionAnswers, collectAnswers(container));
+    
+    const ticked = name => Array.from(form.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+    const committees = ticked('committees');
+    const positions = ticked('positions');
+    const questions = applicationQuestions.filter(question => question.committee
+        ? committees.includes(question.committee)
+        : positions.includes(question.position));
+    
+    container.innerHTML = questions.map(question => `
+        <div class="form-group">
+            <label for="question_${escapeHtml(question.key)}">${escapeHtml(question.label)}${question.required ? ' *' : ''}</label>
+            ${questionInput(question, questionAnswers[question.key] || '')}
+        </div>
+    `).join('');
+}
+
+// Show a server validation error above the form and mark the field it names
+function showRegistrationEditError(message, field) {
+    const form = document.getElementById('registrationEditForm');
+    const errorBox = document.getElementById('registrationEditError');
+    
+    form.querySelectorAll('.field-invalid').forEach(element => element.classList.remove('field-invalid'));
+    errorBox.textContent = message || '';
+    errorBox.style.display = message ? 'block' : 'none';
+    if (!message) return;
+    
+    const target = field && (form.elements[field] instanceof Element ? form.elements[field] : form.querySelector(`[data-field="${field}"]`));
+    if (target) {
+        target.classList.add('field-invalid');
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+        errorBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+async function handleRegistrationEditSubmission(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const id = document.getElementById('registrationDrawer').dataset.registrationId;
+    const formData = new FormData(form);
+    const updateData = {};
+    ['name', 'email', 'phone', 'college', 'department', 'year', 'munsParticipated', 'munsWithAwards', 'munsChaired', 'organizingExperience']
+        .forEach(field => {
+            // Disabled (blinded) fields are left out of FormData, and a blank year or count stays unset
+            const value = formData.has(field) ? formData.get(field).trim() : null;
+            if (value === null || (value === '' && ['year', 'munsParticipated', 'munsWithAwards', 'munsChaired'].includes(field))) return;
+            updateData[field] = value;
+        });
+    updateData.committees = formData.getAll('committees');
+    updateData.positions = formData.getAll('positions');
+    updateData.answers = collectAnswers(document.getElementById('editQuestions'));
+    
+    try {
+        showLoading();
+        const response = await axios.put(`/api/admin/registrations/${id}`, updateData);
+        if (response.data.success) {
+            showSuccess(response.data.message);
+            await reloadRegistrations();
+            await viewRegistration(id);
+        }
+    } catch (error) {
+        console.error('Update registration error:', error);
+        showRegistrationEditError(error.response?.data?.message || 'Failed to update the registration.', error.response?.data?.field);
+    } finally {
+        hideLoading();
+    }
 }
 
-function deleteRegistration(id) {
-    if (confirm('Are you sure you want to delete this registration?')) {
-        showSuccess(`Deleting registration ${id}`);
+async function deleteRegistration(id) {
+    const registration = currentRegistrations.find(reg => reg.id === id);
+    if (!confirm(`Delete the registration from ${registration ? displayName(registration) : id}? This also deletes their documents, scores and comments and cannot be undone.`)) return;
+    
+    try {
+        showLoading();
+        const response = await axios.delete(`/api/admin/registrations/${id}`);
+        if (response.data.success) {
+            hideRegistrationDrawer();
+            await reloadRegistrations();
+            showSuccess(response.data.message);
+        }
+    } catch (error) {
+        console.error('Delete registration error:', error);
+        showError(error.response?.data?.message || 'Failed to delete the registration.');
+    } finally {
+        hideLoading();
     }
-}
\ No newline at end of file
+}